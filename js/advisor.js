@@ -0,0 +1,186 @@
+/**
+ * advisor.js — Clinical decision support for the curación
+ * ───────────────────────────────────────────────────────
+ * Suggests dressing categories, flags contraindications and referral
+ * triggers from the wound's characterization (type, grade, exudate,
+ * infection, pain, depth). The knowledge base is config/advisor-rules.json:
+ * every rule whose condition holds is shown (not only the first, as with
+ * the stage rules), and conditions are evaluated by the stage rule engine
+ * (stageRules.evaluateCondition), so both files share one format.
+ *
+ * Rule format:
+ *   { id, kind: 'dressing'|'contraindication'|'referral', title, detail,
+ *     reference, thresholds: { name: value }, when: <condition> }
+ *
+ * Every suggestion shown in a curación is recorded in advisor_decisions
+ * (migration 0018) with whether it was accepted, the rule version and
+ * the facts evaluated. Offline, decisions are queued after the curación.
+ *
+ * Public API (window.CURA360.advisor):
+ *   KINDS                               → [{ key, label }]  (display order)
+ *   load()                              → Promise<{ version, rules }>
+ *   buildFacts(wound, values)           → facts  (values: the curación's measurement)
+ *   evaluate(ruleSet, facts)            → Suggestion[]
+ *       Suggestion: { ruleId, ruleVersion, kind, title, detail, reference, reasons, facts }
+ *   recordDecisions(treatment, decisions) → Promise<Decision[]>  (decisions: [{ suggestion, accepted }])
+ *   decisionsHTML(treatment)            → string  (timeline markup, '' without decisions)
+ */
+
+(function () {
+  'use strict';
+
+  const api = window.CURA360.api;
+  const offline = window.CURA360.offline;
+
+  const CONFIG_URL = 'config/advisor-rules.json';
+
+  const KINDS = [
+    { key: 'referral',         label: 'Derivación' },
+    { key: 'contraindication', label: 'Contraindicación' },
+    { key: 'dressing',         label: 'Sugerencia' }
+  ];
+
+  let _ruleSetPromise = null;
+
+  // ── Knowledge base ───────────────────────────────────
+  function _validate(config) {
+    if (!config || !config.version || !Array.isArray(config.rules)) {
+      throw new Error('Reglas del asistente inválidas: falta version o rules');
+    }
+    const ids = new Set();
+    config.rules.forEach(rule => {
+      if (!rule.id || ids.has(rule.id)) throw new Error('Regla sin id o con id duplicado: ' + rule.id);
+      ids.add(rule.id);
+      if (!KINDS.some(k => k.key === rule.kind)) {
+        throw new Error(`Regla ${rule.id}: tipo desconocido "${rule.kind}"`);
+      }
+      if (!rule.title) throw new Error(`Regla ${rule.id}: falta title`);
+      if (!rule.when) throw new Error(`Regla ${rule.id}: falta la condición "when"`);
+    });
+    return { version: config.version, rules: config.rules };
+  }
+
+  /** Without the file the curación is recorded without suggestions */
+  function load() {
+    if (!_ruleSetPromise) {
+      _ruleSetPromise = fetch(CONFIG_URL, { cache: 'no-cache' })
+        .then(response => {
+          if (!response.ok) throw new Error('HTTP ' + response.status);
+          return response.json();
+        })
+        .then(_validate)
+        .catch(err => {
+          console.error('[advisor] load error:', err);
+          _ruleSetPromise = null; // allow a retry on the next curación
+          return { version: null, rules: [] };
+        });
+    }
+    return _ruleSetPromise;
+  }
+
+  // ── Evaluation ───────────────────────────────────────
+  /** Type and grade come from the wound; the rest from the curación form */
+  function buildFacts(wound, values) {
+    const num = v => (v === null || v === undefined || v === '') ? null : Number(v);
+    return {
+      woundType:      wound.wound_type_standard || null,
+      woundGrade:     wound.wound_grade || null,
+      exudateAmount:  values.exudate_amount || null,
+      exudateType:    values.exudate_type || null,
+      infectionSigns: values.infection_signs === true,
+      painScale:      num(values.pain_scale),
+      depthCm:        num(values.depth_cm)
+    };
+  }
+
+  /** Every rule that holds, referrals first, then in file order */
+  function evaluate(ruleSet, facts) {
+    const engine = window.CURA360.stageRules;
+    const order = kind => KINDS.findIndex(k => k.key === kind);
+    const suggestions = [];
+    ruleSet.rules.forEach(rule => {
+      const reasons = [];
+      let holds = false;
+      try {
+        holds = engine.evaluateCondition(rule.when, facts, rule.thresholds || {}, reasons);
+      } catch (err) {
+        console.error('[advisor] rule ' + rule.id + ':', err);
+      }
+      if (!holds) return;
+      suggestions.push({
+        ruleId: rule.id,
+        ruleVersion: ruleSet.version,
+        kind: rule.kind,
+        title: rule.title,
+        detail: rule.detail || '',
+        reference: rule.reference || '',
+        reasons: reasons,
+        facts: facts
+      });
+    });
+    return suggestions.sort((a, b) => order(a.kind) - order(b.kind));
+  }
+
+  // ── Decisions ────────────────────────────────────────
+  /**
+   * Records one row per suggestion shown. Queued curaciones get their
+   * decisions queued after them, so the outbox replays them in order.
+   */
+  async function recordDecisions(treatment, decisions) {
+    const user = window.CURA360.auth.getCurrentUser();
+    const rows = decisions.map(d => ({
+      treatment_id: treatment.id,
+      wound_id: treatment.wound_id,
+      rule_id: d.suggestion.ruleId,
+      rule_version: d.suggestion.ruleVersion,
+      kind: d.suggestion.kind,
+      title: d.suggestion.title,
+      reason: d.suggestion.reasons.join(' · ') || null,
+      facts: d.suggestion.facts,
+      accepted: d.accepted === true,
+      decided_by: user ? user.id : null
+    }));
+    if (!rows.length) return [];
+
+    if (!treatment._pending && offline.isOnline()) {
+      try {
+        return await api.insert('advisor_decisions', rows);
+      } catch (err) {
+        if (!offline.isNetworkError(err)) {
+          console.error('[advisor] recordDecisions error:', err);
+          window.CURA360.showToast('Error al registrar las decisiones sobre las sugerencias.');
+          return [];
+        }
+      }
+    }
+
+    const saved = [];
+    for (const row of rows) saved.push(await offline.queueInsert('advisor_decisions', row));
+    return saved;
+  }
+
+  function decisionsHTML(treatment) {
+    const decisions = treatment.advisor_decisions || [];
+    if (!decisions.length) return '';
+    const esc = window.CURA360.escapeHTML;
+    const accepted = decisions.filter(d => d.accepted);
+    const declined = decisions.filter(d => !d.accepted);
+    return `
+      <div class="timeline-item__detail advisor-decisions">
+        <strong>Asistente:</strong>
+        ${accepted.length ? 'aceptó ' + accepted.map(d => esc(d.title)).join(', ') : 'ninguna sugerencia aceptada'}
+        ${declined.length ? `<span class="advisor-decisions__declined">· no aceptó ${declined.map(d => esc(d.title)).join(', ')}</span>` : ''}
+      </div>`;
+  }
+
+  // ── Expose ───────────────────────────────────────────
+  window.CURA360.advisor = {
+    KINDS,
+    load,
+    buildFacts,
+    evaluate,
+    recordDecisions,
+    decisionsHTML
+  };
+
+})();
@@ -0,0 +1,368 @@
+/**
+ * alerts.js — Infection and deterioration alerts
+ * ───────────────────────────────────────────────
+ * sync() evaluates config/alert-rules.json on every open wound the user
+ * can write (stage rule engine, stageRules.evaluateCondition) and keeps
+ * wound_alerts (migration 0019) in step:
+ *
+ *   • a rule that holds raises an alert (one unresolved per wound and
+ *     rule), or refreshes the reason of the existing one;
+ *   • an alert whose rule no longer holds, or whose wound was closed,
+ *     is resolved automatically;
+ *   • a snoozed alert reopens when its date passes;
+ *   • an alert resolved by hand is not raised again until the wound has
+ *     a newer measurement (the next curación) or patient report.
+ *
+ * Unreviewed patient reports (patient-reports.js) are facts too, so a
+ * report flags its wound until a professional reviews it.
+ *
+ * Professionals acknowledge, snooze or resolve alerts from the worklist.
+ * Every raise and status change is written to wound_alert_events by a
+ * trigger, with the actor and the note: the audit trail.
+ *
+ * Offline: the unresolved alerts are cached in IndexedDB (store
+ * `alerts`); sync and actions need a connection.
+ *
+ * Public API (window.CURA360.alerts):
+ *   SEVERITIES                  → [{ key, label, badge }]  (highest first)
+ *   STATUS_LABELS               → { [status]: label }
+ *   EVENT_LABELS                → { [action]: label }  (audit trail)
+ *   load()                      → Promise<{ version, rules }>
+ *   buildFacts(wound, history, visit, reports) → facts
+ *   sync()                      → Promise<void>
+ *   list()                      → Promise<Alert[]>  (unresolved, with wound + patient)
+ *   worklist(alerts)            → Alert[]  (snoozed hidden, by severity and priority)
+ *   byWound(alerts)             → { [woundId]: Alert[] }  (worklist order)
+ *   acknowledge(alert)          → Promise<boolean>
+ *   snooze(alert, days, note)   → Promise<boolean>
+ *   resolve(alert, note)        → Promise<boolean>
+ *   events(alertId)             → Promise<Event[]>  (oldest first)
+ */
+
+(function () {
+  'use strict';
+
+  const api = window.CURA360.api;
+  const offline = window.CURA360.offline;
+
+  const CONFIG_URL = 'config/alert-rules.json';
+
+  const SEVERITIES = [
+    { key: 'critical', label: 'Crítica', badge: 'badge--critical' },
+    { key: 'high',     label: 'Alta',    badge: 'badge--pending' },
+    { key: 'medium',   label: 'Media',   badge: 'badge--active' }
+  ];
+
+  const STATUS_LABELS = {
+    open:         'Nueva',
+    acknowledged: 'Vista',
+    snoozed:      'Pospuesta',
+    resolved:     'Resuelta'
+  };
+
+  const EVENT_LABELS = {
+    raised:       'Levantada',
+    acknowledged: 'Marcada como vista',
+    snoozed:      'Pospuesta',
+    reopened:     'Reabierta',
+    resolved:     'Resuelta'
+  };
+
+  const SELECT_LIST = '*,wounds(id,patient_id,type,location,patients(id,name))';
+
+  /** Manually resolved alerts older than this no longer block a new raise */
+  const RESOLVED_LOOKBACK_DAYS = 60;
+
+  const AUTO_RESOLVED_NOTE = 'Resuelta automáticamente: la condición ya no se cumple';
+  const CLOSED_WOUND_NOTE = 'Resuelta automáticamente: herida cerrada';
+
+  let _ruleSetPromise = null;
+
+  // ── Rules ────────────────────────────────────────────
+  function _validate(config) {
+    if (!config || !config.version || !Array.isArray(config.rules)) {
+      throw new Error('Reglas de alertas inválidas: falta version o rules');
+    }
+    const ids = new Set();
+    config.rules.forEach(rule => {
+      if (!rule.id || ids.has(rule.id)) throw new Error('Regla sin id o con id duplicado: ' + rule.id);
+      ids.add(rule.id);
+      if (!SEVERITIES.some(s => s.key === rule.severity)) {
+        throw new Error(`Regla ${rule.id}: gravedad desconocida "${rule.severity}"`);
+      }
+      if (!rule.title) throw new Error(`Regla ${rule.id}: falta title`);
+      if (!rule.when) throw new Error(`Regla ${rule.id}: falta la condición "when"`);
+    });
+    return { version: config.version, rules: config.rules };
+  }
+
+  function load() {
+    if (!_ruleSetPromise) {
+      _ruleSetPromise = fetch(CONFIG_URL, { cache: 'no-cache' })
+        .then(response => {
+          if (!response.ok) throw new Error('HTTP ' + response.status);
+          return response.json();
+        })
+        .then(_validate)
+        .catch(err => {
+          _ruleSetPromise = null; // allow a retry on the next sync
+          throw err;
+        });
+    }
+    return _ruleSetPromise;
+  }
+
+  /**
+   * @param {object}   wound   - wounds row (current snapshot)
+   * @param {object[]} history - its measurements, oldest first
+   * @param {object}   [visit] - its open visit (visits.agenda row)
+   * @param {object[]} [reports] - its unreviewed patient reports
+   */
+  function buildFacts(wound, history, visit, reports = []) {
+    const reportsApi = window.CURA360.patientReports;
+    const measurements = window.CURA360.measurements;
+    const num = v => (v === null || v === undefined || v === '') ? null : Number(v);
+    const trend = measurements.analyzeTrend(history);
+
+    // Latest change: last value against the one before it
+    const withPain = history.filter(m => m.pain_scale !== null && m.pain_scale !== undefined);
+    const withArea = history.filter(m => measurements.area(m) !== null);
+    let painRise = null;
+    let areaGrowthPct = null;
+    if (withPain.length >= 2) {
+      painRise = withPain[withPain.length - 1].pain_scale - withPain[withPain.length - 2].pain_scale;
+    }
+    if (withArea.length >= 2) {
+      const prev = measurements.area(withArea[withArea.length - 2]);
+      const curr = measurements.area(withArea[withArea.length - 1]);
+      if (prev > 0) areaGrowthPct = ((curr - prev) / prev) * 100;
+    }
+
+    const overdue = visit ? -window.CURA360.visits.daysUntil(visit) : 0;
+    return {
+      infectionSigns:     wound.infection_signs === true,
+      painScale:          num(wound.pain_scale),
+      painRise:           painRise,
+      areaGrowthPct:      areaGrowthPct,
+      areaReductionPct:   trend.areaReductionPct,
+      exudateType:        wound.exudate_type || null,
+      woundStatus:        wound.status || null,
+      overdueDays:        overdue > 0 ? overdue : 0,
+      weeksSinceCreation: Math.floor((new Date() - new Date(wound.created_at)) / (7 * 24 * 60 * 60 * 1000)),
+      trendSamples:       trend.samples,
+      pendingReports:     reports.length,
+      reportedWarning:    reports.some(r => reportsApi.hasWarning(r))
+    };
+  }
+
+  function _firing(ruleSet, facts) {
+    const engine = window.CURA360.stageRules;
+    const firing = {};
+    ruleSet.rules.forEach(rule => {
+      const reasons = [];
+      try {
+        if (engine.evaluateCondition(rule.when, facts, rule.thresholds || {}, reasons)) {
+          firing[rule.id] = { rule, reason: reasons.join(' · ') || null };
+        }
+      } catch (err) {
+        console.error('[alerts] rule ' + rule.id + ':', err);
+      }
+    });
+    return firing;
+  }
+
+  // ── Sync ─────────────────────────────────────────────
+  /** Wounds of the patients the user can write (owner, write share, team admin) */
+  async function _writableWounds() {
+    const patients = await window.CURA360.patients.list();
+    const writable = new Set(patients.filter(p => p.access !== 'read').map(p => p.id));
+    const wounds = await window.CURA360.wounds.listAll();
+    return wounds.filter(w => writable.has(w.patient_id));
+  }
+
+  async function _insertAlert(row) {
+    try {
+      await api.insert('wound_alerts', row);
+    } catch (err) {
+      // Raised meanwhile by a teammate's sync
+      if (err.code !== '23505') throw err;
+    }
+  }
+
+  async function sync() {
+    if (!offline.isOnline() || !window.CURA360.auth.can('manageAlerts')) return;
+    try {
+      const ruleSet = await load();
+      const wounds = await _writableWounds();
+      if (!wounds.length) return;
+
+      const ids = wounds.map(w => w.id);
+      const history = await window.CURA360.measurements.historyByWound(ids);
+      const reports = await window.CURA360.patientReports.pendingByWound(ids);
+      const overdue = {};
+      (await window.CURA360.visits.agenda(0)).forEach(g => g.visits.forEach(v => { overdue[v.wound_id] = v; }));
+
+      const since = new Date(Date.now() - RESOLVED_LOOKBACK_DAYS * 24 * 60 * 60 * 1000).toISOString();
+      const [unresolved, resolved] = await Promise.all([
+        api.select('wound_alerts', { status: 'neq.resolved' }),
+        api.select('wound_alerts', {
+          select: 'wound_id,rule_id,resolved_at,resolved_by_rule',
+          status: api.eq('resolved'),
+          resolved_at: 'gte.' + since,
+          order: 'resolved_at.asc'
+        })
+      ]);
+      const open = {};
+      unresolved.forEach(a => { open[a.wound_id + '|' + a.rule_id] = a; });
+      const lastResolved = {};
+      resolved.forEach(a => { lastResolved[a.wound_id + '|' + a.rule_id] = a; });
+
+      const now = new Date();
+      for (const wound of wounds) {
+        const measurements = history[wound.id] || [];
+        const pending = reports[wound.id] || [];
+        const closed = wound.status === 'closed';
+        const firing = closed ? {} : _firing(ruleSet, buildFacts(wound, measurements, overdue[wound.id], pending));
+        // Newest clinical data: last measurement or unreviewed report
+        const latest = measurements.concat(pending).map(r => new Date(r.created_at)).sort((a, b) => b - a)[0] || null;
+
+        for (const ruleId of Object.keys(firing)) {
+          const { rule, reason } = firing[ruleId];
+          const key = wound.id + '|' + ruleId;
+          const existing = open[key];
+          const values = {
+            rule_version: ruleSet.version,
+            severity: rule.severity,
+            priority: rule.priority || 0,
+            title: rule.title,
+            reason: reason
+          };
+
+          if (existing) {
+            const changed = Object.keys(values).some(k => existing[k] !== values[k]);
+            const wakeUp = existing.status === 'snoozed' && new Date(existing.snoozed_until) <= now;
+            if (wakeUp) Object.assign(values, { status: 'open', note: null });
+            if (changed || wakeUp) await api.update('wound_alerts', { id: api.eq(existing.id) }, values);
+            continue;
+          }
+
+          // Resolved by hand: wait for the next curación or patient report
+          const previous = lastResolved[key];
+          if (previous && !previous.resolved_by_rule &&
+              !(latest && latest > new Date(previous.resolved_at))) continue;
+
+          await _insertAlert({ ...values, wound_id: wound.id, rule_id: ruleId });
+        }
+
+        for (const alert of unresolved.filter(a => a.wound_id === wound.id && !firing[a.rule_id])) {
+          await api.update('wound_alerts', { id: api.eq(alert.id) }, {
+            status: 'resolved',
+            resolved_by_rule: true,
+            note: closed ? CLOSED_WOUND_NOTE : AUTO_RESOLVED_NOTE
+          });
+        }
+      }
+    } catch (err) {
+      if (!offline.isNetworkError(err)) console.error('[alerts] sync error:', err);
+    }
+  }
+
+  // ── Worklist ─────────────────────────────────────────
+  async function list() {
+    try {
+      const rows = await api.select('wound_alerts', {
+        select: SELECT_LIST,
+        status: 'neq.resolved',
+        order: 'raised_at.asc'
+      });
+      await offline.replaceWhere('alerts', null, null, rows);
+      return rows;
+    } catch (err) {
+      if (!offline.isNetworkError(err)) console.error('[alerts] list error:', err);
+      return offline.getAll('alerts');
+    }
+  }
+
+  /** Critical first; within a severity, new before acknowledged, then by rule priority and age */
+  function worklist(alerts) {
+    const now = new Date();
+    const rank = severity => SEVERITIES.findIndex(s => s.key === severity);
+    return alerts
+      .filter(a => a.status !== 'resolved' && !(a.status === 'snoozed' && new Date(a.snoozed_until) > now))
+      .sort((a, b) =>
+        rank(a.severity) - rank(b.severity) ||
+        (a.status === 'acknowledged') - (b.status === 'acknowledged') ||
+        b.priority - a.priority ||
+        new Date(a.raised_at) - new Date(b.raised_at));
+  }
+
+  function byWound(alerts) {
+    const groups = {};
+    worklist(alerts).forEach(a => { (groups[a.wound_id] = groups[a.wound_id] || []).push(a); });
+    return groups;
+  }
+
+  // ── Actions ──────────────────────────────────────────
+  async function _update(alert, values, message) {
+    if (!offline.isOnline()) {
+      window.CURA360.showToast('Se requiere conexión para gestionar las alertas.', 'warning');
+      return false;
+    }
+    try {
+      await api.update('wound_alerts', { id: api.eq(alert.id) }, values);
+      window.CURA360.showToast(message, 'success');
+      return true;
+    } catch (err) {
+      console.error('[alerts] update error:', err);
+      window.CURA360.showToast(err.code === '42501'
+        ? 'La alerta ya fue resuelta.'
+        : 'Error al actualizar la alerta.');
+      return false;
+    }
+  }
+
+  function acknowledge(alert) {
+    return _update(alert, { status: 'acknowledged', note: null }, 'Alerta marcada como vista');
+  }
+
+  function snooze(alert, days, note) {
+    const until = new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString();
+    return _update(alert, { status: 'snoozed', snoozed_until: until, note: note || null },
+      days === 1 ? 'Alerta pospuesta 1 día' : `Alerta pospuesta ${days} días`);
+  }
+
+  function resolve(alert, note) {
+    return _update(alert, { status: 'resolved', note: note || null }, 'Alerta resuelta');
+  }
+
+  async function events(alertId) {
+    try {
+      return await api.select('wound_alert_events', {
+        select: '*,profiles(email)',
+        alert_id: api.eq(alertId),
+        order: 'created_at.asc'
+      });
+    } catch (err) {
+      if (!offline.isNetworkError(err)) console.error('[alerts] events error:', err);
+      return [];
+    }
+  }
+
+  // ── Expose ───────────────────────────────────────────
+  window.CURA360.alerts = {
+    SEVERITIES,
+    STATUS_LABELS,
+    EVENT_LABELS,
+    load,
+    buildFacts,
+    sync,
+    list,
+    worklist,
+    byWound,
+    acknowledge,
+    snooze,
+    resolve,
+    events
+  };
+
+})();
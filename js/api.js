@@ -0,0 +1,348 @@
+/**
+ * api.js — Shared data-access client
+ * ───────────────────────────────────
+ * Thin fetch wrapper over the Supabase REST (PostgREST), Storage and
+ * Auth endpoints. Every domain module goes through it, so the instance
+ * is configured only in config.js.
+ *
+ * • Auth headers: apikey + Bearer token from the stored session
+ * • Errors: rejects with ApiError { status, code, details, hint, network, aborted }
+ * • Retries transient failures (network, 408/429/5xx) with exponential
+ *   backoff. Only idempotent methods retry unless opts.retries is given.
+ * • Cancellation: pass opts.signal, or use cancellable(key) to abort the
+ *   previous request started under the same key.
+ * • Expired session: a 401 calls the handler registered with
+ *   onUnauthorized() (auth.js refreshes the token) and retries once.
+ *
+ * Public API (window.CURA360.api):
+ *   ApiError
+ *   request(path, opts)                   → Promise<any>
+ *   select(table, query, opts)            → Promise<object[]>
+ *   selectOne(table, query, opts)         → Promise<object|null>
+ *   insert(table, rowOrRows, opts)        → Promise<object[]>
+ *   update(table, filters, values, opts)  → Promise<object[]>
+ *   remove(table, filters, opts)          → Promise<void>
+ *   rpc(fn, args, opts)                   → Promise<any>
+ *   auth(path, body, opts)                → Promise<any>
+ *   storage.upload(path, blob, contentType, opts) → Promise<object>
+ *   storage.remove(path, opts)            → Promise<void>
+ *   storage.signedUrl(path, expiresIn)    → Promise<string>
+ *   session.get() / session.set(s) / session.clear() / session.token()
+ *   onUnauthorized(fn)                    → void  (fn() → Promise<boolean>)
+ *   cancellable(key)                      → AbortSignal
+ *   eq(value)                             → 'eq.<value>' filter string
+ */
+
+(function () {
+  'use strict';
+
+  const config = window.CURA360.config;
+
+  const RETRYABLE_STATUS = [408, 425, 429, 500, 502, 503, 504];
+  const IDEMPOTENT = ['GET', 'HEAD', 'PUT', 'PATCH', 'DELETE'];
+  const DEFAULT_RETRIES = 2;
+  const BACKOFF_MS = 400;
+
+  const _controllers = {};
+  let _unauthorizedHandler = null;
+
+  // ── Error type ───────────────────────────────────────
+  class ApiError extends Error {
+    /**
+     * @param {string} message
+     * @param {object} [info] - { status, code, details, hint, network, aborted }
+     */
+    constructor(message, info = {}) {
+      super(message);
+      this.name = 'ApiError';
+      this.status = info.status || 0;
+      this.code = info.code || null;
+      this.details = info.details || null;
+      this.hint = info.hint || null;
+      this.network = info.network === true;
+      this.aborted = info.aborted === true;
+    }
+  }
+
+  // ── Session ──────────────────────────────────────────
+  const session = {
+    get() {
+      const data = localStorage.getItem(config.storageKey);
+      if (!data) return null;
+      try {
+        return JSON.parse(data);
+      } catch (err) {
+        console.error('[api] Error parsing stored session:', err);
+        return null;
+      }
+    },
+    set(value) {
+      // Older GoTrue versions only send expires_in
+      if (!value.expires_at && value.expires_in) {
+        value.expires_at = Math.floor(Date.now() / 1000) + value.expires_in;
+      }
+      localStorage.setItem(config.storageKey, JSON.stringify(value));
+    },
+    clear() {
+      localStorage.removeItem(config.storageKey);
+    },
+    token() {
+      const s = session.get();
+      return s ? s.access_token : null;
+    }
+  };
+
+  // ── Core request ─────────────────────────────────────
+  /**
+   * @param {string} path - relative to supabaseUrl, e.g. '/rest/v1/patients'
+   * @param {object} [opts]
+   * @param {string} [opts.method='GET']
+   * @param {object} [opts.query]    - query string params (PostgREST syntax)
+   * @param {*}      [opts.body]     - JSON-serialized unless Blob/FormData
+   * @param {object} [opts.headers]
+   * @param {boolean}[opts.auth=true] - send the session token
+   * @param {AbortSignal} [opts.signal]
+   * @param {number} [opts.retries]
+   * @param {boolean}[opts.refresh=true] - on 401, refresh the session and retry once
+   * @param {boolean}[opts.raw]      - resolve with the Response
+   */
+  async function request(path, opts = {}) {
+    const method = (opts.method || 'GET').toUpperCase();
+    const retries = opts.retries !== undefined
+      ? opts.retries
+      : (IDEMPOTENT.indexOf(method) !== -1 ? DEFAULT_RETRIES : 0);
+
+    let url = config.supabaseUrl + path;
+    if (opts.query) {
+      const params = new URLSearchParams();
+      Object.keys(opts.query).forEach(key => {
+        if (opts.query[key] !== undefined && opts.query[key] !== null) {
+          params.append(key, opts.query[key]);
+        }
+      });
+      const qs = params.toString();
+      if (qs) url += (url.indexOf('?') === -1 ? '?' : '&') + qs;
+    }
+
+    const headers = { 'apikey': config.supabaseKey, ...(opts.headers || {}) };
+    // Only requests signed with the stored session can be refreshed
+    const usesSession = !headers['Authorization'] && opts.auth !== false;
+    if (!headers['Authorization']) {
+      const token = usesSession ? session.token() : null;
+      headers['Authorization'] = 'Bearer ' + (token || config.supabaseKey);
+    }
+    let refreshed = opts.refresh === false || !usesSession;
+
+    let body = opts.body;
+    const binary = body instanceof Blob || body instanceof FormData;
+    if (body !== undefined && body !== null && !binary) {
+      body = JSON.stringify(body);
+      if (!headers['Content-Type']) headers['Content-Type'] = 'application/json';
+    }
+
+    for (let attempt = 0; ; attempt++) {
+      let response;
+      try {
+        response = await fetch(url, { method, headers, body, signal: opts.signal });
+      } catch (err) {
+        if (err.name === 'AbortError') {
+          throw new ApiError('Solicitud cancelada', { aborted: true });
+        }
+        const offline = navigator.onLine === false;
+        if (!offline && attempt < retries) {
+          await _wait(attempt, null, opts.signal);
+          continue;
+        }
+        throw new ApiError('Error de red: ' + err.message, { network: true });
+      }
+
+      if (response.ok) {
+        if (opts.raw) return response;
+        if (response.status === 204) return null;
+        const text = await response.text();
+        return text ? JSON.parse(text) : null;
+      }
+
+      if (RETRYABLE_STATUS.indexOf(response.status) !== -1 && attempt < retries) {
+        await _wait(attempt, response.headers.get('Retry-After'), opts.signal);
+        continue;
+      }
+
+      const error = await _toError(response);
+      if (!refreshed && _unauthorizedHandler && _isExpiredSession(error)) {
+        refreshed = true;
+        if (await _unauthorizedHandler()) {
+          headers['Authorization'] = 'Bearer ' + session.token();
+          continue;
+        }
+      }
+      throw error;
+    }
+  }
+
+  /** PostgREST answers 401; Storage wraps an expired JWT in a 400/403 */
+  function _isExpiredSession(error) {
+    return error.status === 401 || /jwt expired/i.test(error.message);
+  }
+
+  /**
+   * Registers the handler called when a request fails with an expired
+   * session. It must resolve true once a fresh token is stored.
+   */
+  function onUnauthorized(fn) {
+    _unauthorizedHandler = fn;
+  }
+
+  /** Exponential backoff with jitter; honours Retry-After (seconds) */
+  function _wait(attempt, retryAfter, signal) {
+    const seconds = parseInt(retryAfter, 10);
+    const ms = seconds > 0
+      ? seconds * 1000
+      : BACKOFF_MS * Math.pow(2, attempt) + Math.floor(Math.random() * 200);
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(resolve, ms);
+      if (signal) {
+        signal.addEventListener('abort', () => {
+          clearTimeout(timer);
+          reject(new ApiError('Solicitud cancelada', { aborted: true }));
+        }, { once: true });
+      }
+    });
+  }
+
+  /** Normalizes PostgREST, GoTrue and Storage error bodies */
+  async function _toError(response) {
+    let data = null;
+    const text = await response.text();
+    try {
+      data = text ? JSON.parse(text) : null;
+    } catch (err) {
+      data = null;
+    }
+    const message = (data && (data.message || data.error_description || data.msg || data.error)) ||
+      text || ('HTTP ' + response.status);
+    return new ApiError(message, {
+      status: response.status,
+      code: data ? (data.code || data.error_code || data.error || null) : null,
+      details: data ? data.details : null,
+      hint: data ? data.hint : null
+    });
+  }
+
+  // ── REST helpers ─────────────────────────────────────
+  /**
+   * @param {string} table
+   * @param {object} [query] - e.g. { select: '*', wound_id: eq(id), order: 'created_at.desc' }
+   */
+  function select(table, query = {}, opts = {}) {
+    return request('/rest/v1/' + table, {
+      ...opts,
+      query: { select: '*', ...query }
+    });
+  }
+
+  async function selectOne(table, query = {}, opts = {}) {
+    const rows = await select(table, { ...query, limit: 1 }, opts);
+    return rows && rows[0] ? rows[0] : null;
+  }
+
+  function insert(table, rowOrRows, opts = {}) {
+    return request('/rest/v1/' + table, {
+      ...opts,
+      method: 'POST',
+      body: rowOrRows,
+      headers: { 'Prefer': 'return=representation', ...(opts.headers || {}) }
+    });
+  }
+
+  function update(table, filters, values, opts = {}) {
+    return request('/rest/v1/' + table, {
+      ...opts,
+      method: 'PATCH',
+      query: filters,
+      body: values,
+      headers: { 'Prefer': 'return=representation', ...(opts.headers || {}) }
+    });
+  }
+
+  async function remove(table, filters, opts = {}) {
+    await request('/rest/v1/' + table, { ...opts, method: 'DELETE', query: filters });
+  }
+
+  function rpc(fn, args = {}, opts = {}) {
+    return request('/rest/v1/rpc/' + fn, { ...opts, method: 'POST', body: args });
+  }
+
+  /** GoTrue endpoints (token, logout, signup...) */
+  function auth(path, body, opts = {}) {
+    return request('/auth/v1/' + path, {
+      auth: false,
+      ...opts,
+      method: opts.method || 'POST',
+      body: body
+    });
+  }
+
+  // ── Storage helpers ──────────────────────────────────
+  const storage = {
+    upload(path, blob, contentType, opts = {}) {
+      return request(`/storage/v1/object/${config.storageBucket}/${path}`, {
+        ...opts,
+        method: 'POST',
+        body: blob,
+        headers: { 'Content-Type': contentType || 'application/octet-stream' }
+      });
+    },
+
+    async remove(path, opts = {}) {
+      await request(`/storage/v1/object/${config.storageBucket}/${path}`, {
+        ...opts,
+        method: 'DELETE'
+      });
+    },
+
+    async signedUrl(path, expiresIn = 3600) {
+      const data = await request(`/storage/v1/object/sign/${config.storageBucket}/${path}`, {
+        method: 'POST',
+        body: { expiresIn: expiresIn }
+      });
+      return `${config.supabaseUrl}/storage/v1${data.signedURL}`;
+    }
+  };
+
+  // ── Cancellation ─────────────────────────────────────
+  /**
+   * Aborts the previous request registered under `key` and returns a
+   * fresh signal (e.g. when the user switches wounds before a load ends).
+   */
+  function cancellable(key) {
+    if (_controllers[key]) _controllers[key].abort();
+    _controllers[key] = new AbortController();
+    return _controllers[key].signal;
+  }
+
+  /** PostgREST equality filter */
+  function eq(value) {
+    return 'eq.' + value;
+  }
+
+  // ── Expose ───────────────────────────────────────────
+  window.CURA360 = window.CURA360 || {};
+  window.CURA360.api = {
+    ApiError,
+    request,
+    select,
+    selectOne,
+    insert,
+    update,
+    remove,
+    rpc,
+    auth,
+    storage,
+    session,
+    onUnauthorized,
+    cancellable,
+    eq
+  };
+
+})();
@@ -1,27 +1,79 @@
 /**
  * auth.js — Authentication & session management (FETCH-ONLY VERSION)
  * ────────────────────────────────────────────────
- * Complete rewrite using fetch API directly.
- * Does NOT use Supabase SDK for auth operations.
+ * Talks to the Supabase Auth endpoints through the shared API client
+ * (api.js). Does NOT use Supabase SDK for auth operations.
  *
  * Public API (attached to window.CURA360.auth):
  *   login(email, password)  → Promise<void>
  *   logout()                → Promise<void>
  *   getCurrentUser()        → { id, email, role } | null
  *   protectRoute(allowedRoles) → checks session, redirects if needed
+ *   refreshSession()        → Promise<boolean>
+ *   can(permission)         → boolean  (current user, see PERMISSIONS)
+ *   homeFor(role)           → page of a role | null
+ *   ROLE_LABELS, STAFF_ROLES, SIGNOUT_REASONS
+ *
+ * Roles: admin, professional, technician (TENS), auditor, patient. A
+ * profile that cannot be read, has an unknown role or is deactivated
+ * (profiles.active) is signed out; nothing defaults to 'patient'.
+ *
+ * The access token is refreshed with the stored refresh_token shortly
+ * before it expires, and again whenever a request comes back 401 (see
+ * api.onUnauthorized). If the refresh fails on a protected page, a
+ * re-login modal is shown on top of the current page; pending requests
+ * wait for it and are retried, so unsaved form data is kept.
  */
 
 (function () {
   'use strict';
 
   // ── Configuration ────────────────────────────────────
-  const SUPABASE_URL = 'https://ghzfnosevncivblpbful.supabase.co';
-  const SUPABASE_KEY = 'sb_publishable_zLely_K2mNNHQv82YeV40A_-Tj1XLDg';
-  const STORAGE_KEY = 'sb-ghzfnosevncivblpbful-auth-token';
+  const api = window.CURA360.api;
+  /** Last known role, so protected pages still open without connection */
+  const ROLE_KEY = 'cura360-role';
+  /** Refresh this many seconds before the access token expires */
+  const REFRESH_MARGIN_S = 60;
+
+  const ROLE_LABELS = {
+    admin:        'Administrador',
+    professional: 'Profesional',
+    technician:   'TENS',
+    auditor:      'Auditor',
+    patient:      'Paciente'
+  };
+  /** Roles that use dashboard.html */
+  const STAFF_ROLES = ['admin', 'professional', 'technician', 'auditor'];
+
+  /**
+   * UI permissions per role. RLS enforces the same rules; this only
+   * decides which controls are shown.
+   */
+  const PERMISSIONS = {
+    createPatient:  ['admin', 'professional'],
+    createWound:    ['admin', 'professional'],
+    changeStage:    ['admin', 'professional'],
+    recordTreatment:['admin', 'professional', 'technician'],
+    createTeam:     ['admin', 'professional'],
+    manageSupplies: ['admin', 'professional'],
+    manageCatalog:  ['admin'],
+    manageAlerts:   ['admin', 'professional', 'technician'],
+    manageUsers:    ['admin']
+  };
+
+  /** Messages shown on index.html after a forced sign-out (?motivo=) */
+  const SIGNOUT_REASONS = {
+    inactive: 'Su cuenta está desactivada. Contacte al administrador.',
+    profile:  'No se pudo verificar su perfil. Intente de nuevo o contacte al administrador.'
+  };
 
   /** In-memory cache of the current user + role */
   let _currentUser = null;
 
+  let _refreshTimer = null;
+  let _refreshing = null;
+  let _relogin = null;
+
   // ── Toast helper ─────────────────────────────────────
   function showToast(msg, type = 'error') {
     if (window.CURA360.showToast) window.CURA360.showToast(msg, type);
@@ -29,24 +81,19 @@
 
   // ── Get stored session ───────────────────────────────
   function getStoredSession() {
-    const data = localStorage.getItem(STORAGE_KEY);
-    if (!data) return null;
-    try {
-      return JSON.parse(data);
-    } catch (err) {
-      console.error('[auth] Error parsing stored session:', err);
-      return null;
-    }
+    return api.session.get();
   }
 
   // ── Save session to storage ──────────────────────────
   function saveSession(session) {
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(session));
+    api.session.set(session);
   }
 
   // ── Clear session ────────────────────────────────────
   function clearSession() {
-    localStorage.removeItem(STORAGE_KEY);
+    clearTimeout(_refreshTimer);
+    api.session.clear();
+    localStorage.removeItem(ROLE_KEY);
     _currentUser = null;
   }
 
@@ -68,57 +115,42 @@
     try {
       console.log('[auth] Starting login with fetch...');
 
-      // Call Supabase auth API directly
-      const response = await fetch(SUPABASE_URL + '/auth/v1/token?grant_type=password', {
-        method: 'POST',
-        headers: {
-          'apikey': SUPABASE_KEY,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
+      let authData;
+      try {
+        authData = await api.auth('token?grant_type=password', {
           email: email,
           password: password
-        })
-      });
-
-      console.log('[auth] Login response status:', response.status);
-
-      if (!response.ok) {
-        const errorData = await response.json();
-        console.error('[auth] Login error:', errorData);
+        });
+      } catch (err) {
+        if (err.network) throw err;
+        console.error('[auth] Login error:', err.status, err.code, err.message);
         showToast('Credenciales incorrectas. Verifique su correo y contraseña.');
         if (loginBtn) loginBtn.disabled = false;
         return;
       }
 
-      const authData = await response.json();
       console.log('[auth] Login successful, user ID:', authData.user.id);
 
       // Save session to localStorage
       saveSession(authData);
 
       // Fetch role from profiles
-      console.log('[auth] Fetching role...');
-      const role = await _fetchRole(authData.user.id, authData.access_token);
-      console.log('[auth] Role fetched:', role);
+      const profile = await _fetchProfile(authData.user.id, authData.access_token);
+      const problem = _profileProblem(profile);
+      if (problem) {
+        clearSession();
+        showToast(SIGNOUT_REASONS[problem]);
+        if (loginBtn) loginBtn.disabled = false;
+        return;
+      }
 
       _currentUser = { 
         id: authData.user.id, 
         email: authData.user.email, 
-        role: role 
+        role: profile.role 
       };
 
-      // Redirect based on role
-      console.log('[auth] Redirecting to:', role === 'professional' ? 'dashboard' : 'paciente');
-      
-      if (role === 'professional') {
-        window.location.href = 'dashboard.html';
-      } else if (role === 'patient') {
-        window.location.href = 'paciente.html';
-      } else {
-        showToast('Rol no reconocido. Contacte al administrador.');
-        if (loginBtn) loginBtn.disabled = false;
-      }
+      window.location.href = homeFor(profile.role);
     } catch (err) {
       console.error('[auth] login error:', err);
       showToast('Error de conexión. Intente de nuevo.');
@@ -127,25 +159,37 @@
   }
 
   // ── Logout ───────────────────────────────────────────
+  /**
+   * Signs out and wipes the device cache and outbox (offline.clear), so
+   * the next user of a shared device starts empty. Changes still queued
+   * are synced first when possible; the rest are only discarded if the
+   * user confirms.
+   */
   async function logout() {
     const session = getStoredSession();
+    const offline = window.CURA360.offline;
+
+    if (offline) {
+      await offline.replay();
+      const queue = await offline.status();
+      const unsynced = queue.pending + queue.failed;
+      if (unsynced && !confirm(`Hay ${unsynced} ${unsynced === 1 ? 'cambio' : 'cambios'} sin sincronizar en este dispositivo. ` +
+          'Si cierra la sesión se perderán. ¿Cerrar sesión de todos modos?')) {
+        return;
+      }
+    }
     
     if (session && session.access_token) {
       // Call logout endpoint
       try {
-        await fetch(SUPABASE_URL + '/auth/v1/logout', {
-          method: 'POST',
-          headers: {
-            'apikey': SUPABASE_KEY,
-            'Authorization': 'Bearer ' + session.access_token
-          }
-        });
+        await api.auth('logout', null, { auth: true, retries: 0, refresh: false });
       } catch (err) {
         console.error('[auth] logout error:', err);
       }
     }
 
     clearSession();
+    if (offline) await offline.clear();
     window.location.href = 'index.html';
   }
 
@@ -168,73 +212,272 @@
       return null;
     }
 
-    // Check if token is expired
+    // Check if token is expired (offline the cached data stays usable;
+    // the sync queue waits for a fresh login before replaying)
     const now = Math.floor(Date.now() / 1000);
-    if (session.expires_at && session.expires_at < now) {
+    const online = navigator.onLine !== false;
+    if (online && session.expires_at && session.expires_at < now + REFRESH_MARGIN_S) {
+      if (!(await refreshSession())) {
+        clearSession();
+        window.location.href = 'index.html';
+        return null;
+      }
+    }
+    _scheduleRefresh(getStoredSession());
+
+    // Fetch role
+    const profile = await _fetchProfile(session.user.id, getStoredSession().access_token);
+    const problem = _profileProblem(profile);
+    if (problem) {
       clearSession();
-      window.location.href = 'index.html';
+      window.location.href = 'index.html?motivo=' + problem;
       return null;
     }
 
-    // Fetch role
-    const role = await _fetchRole(session.user.id, session.access_token);
     _currentUser = { 
       id: session.user.id, 
       email: session.user.email, 
-      role: role 
+      role: profile.role 
     };
 
     // Check role access
-    if (allowedRoles.length > 0 && !allowedRoles.includes(role)) {
-      if (role === 'patient') {
-        window.location.href = 'paciente.html';
-      } else {
-        window.location.href = 'dashboard.html';
-      }
+    if (allowedRoles.length > 0 && !allowedRoles.includes(profile.role)) {
+      window.location.href = homeFor(profile.role);
       return null;
     }
 
     return _currentUser;
   }
 
-  // ── Internal: fetch role ─────────────────────────────
+  // ── Roles ────────────────────────────────────────────
+  /** Start page of a role, or null for unknown roles */
+  function homeFor(role) {
+    if (role === 'patient') return 'paciente.html';
+    if (STAFF_ROLES.includes(role)) return 'dashboard.html';
+    return null;
+  }
+
+  /** Whether the current user's role grants a PERMISSIONS entry */
+  function can(permission) {
+    const roles = PERMISSIONS[permission];
+    return !!(_currentUser && roles && roles.includes(_currentUser.role));
+  }
+
+  /** 'profile' | 'inactive' when the user may not enter, null otherwise */
+  function _profileProblem(profile) {
+    if (!profile || !homeFor(profile.role)) return 'profile';
+    if (profile.active === false) return 'inactive';
+    return null;
+  }
+
+  // ── Token refresh ────────────────────────────────────
   /**
-   * @param {string} userId
-   * @param {string} accessToken
-   * @returns {Promise<string>}
+   * Exchanges the stored refresh_token for a new session. Concurrent
+   * callers share the same request.
+   * @returns {Promise<boolean>} true when a fresh token is stored
    */
-  async function _fetchRole(userId, accessToken) {
-    try {
-      const response = await fetch(
-        SUPABASE_URL + '/rest/v1/profiles?id=eq.' + userId + '&select=role',
-        {
-          headers: {
-            'apikey': SUPABASE_KEY,
-            'Authorization': 'Bearer ' + accessToken,
-            'Content-Type': 'application/json'
+  function refreshSession() {
+    if (_refreshing) return _refreshing;
+
+    const session = getStoredSession();
+    if (!session || !session.refresh_token) return Promise.resolve(false);
+
+    // No retries: refresh tokens are single-use, so resending one whose
+    // response was lost would present a revoked token
+    _refreshing = api.auth('token?grant_type=refresh_token', {
+      refresh_token: session.refresh_token
+    }, { retries: 0 })
+      .then(data => {
+        saveSession(data);
+        _scheduleRefresh(data);
+        console.log('[auth] Session refreshed');
+        return true;
+      })
+      .catch(err => {
+        console.error('[auth] refresh error:', err.status || '', err.message);
+        return false;
+      })
+      .finally(() => {
+        _refreshing = null;
+      });
+    return _refreshing;
+  }
+
+  /** Plans the next refresh REFRESH_MARGIN_S before expiry */
+  function _scheduleRefresh(session) {
+    clearTimeout(_refreshTimer);
+    if (!session || !session.expires_at) return;
+
+    const delay = Math.max((session.expires_at - REFRESH_MARGIN_S) * 1000 - Date.now(), 0);
+    _refreshTimer = setTimeout(async () => {
+      if (navigator.onLine === false) return; // retried on 'online'
+      if (!(await refreshSession())) await _promptRelogin();
+    }, delay);
+  }
+
+  /** Timers are throttled in background tabs: re-check when coming back */
+  function _checkExpiry() {
+    const session = getStoredSession();
+    if (!_currentUser || !session || !session.expires_at) return;
+    if (session.expires_at - REFRESH_MARGIN_S <= Math.floor(Date.now() / 1000)) {
+      _scheduleRefresh(session);
+    }
+  }
+
+  /**
+   * api.js hook for 401 responses: refresh, or ask the user to log in
+   * again without leaving the page.
+   */
+  async function _handleUnauthorized() {
+    if (await refreshSession()) return true;
+    if (navigator.onLine === false) return false;
+    return _promptRelogin();
+  }
+
+  // ── Re-login modal ───────────────────────────────────
+  /**
+   * Shows a password prompt over the current page. Resolves true once
+   * the same user is signed in again. Only on protected pages.
+   * @returns {Promise<boolean>}
+   */
+  function _promptRelogin() {
+    if (!_currentUser) return Promise.resolve(false);
+    if (_relogin) return _relogin;
+
+    _relogin = new Promise(resolve => {
+      const overlay = document.createElement('div');
+      overlay.className = 'modal-overlay modal-overlay--relogin';
+      overlay.innerHTML = `
+        <div class="modal" role="dialog" aria-modal="true" aria-labelledby="relogin-title">
+          <div class="modal__handle"></div>
+          <div class="modal__header">
+            <h2 class="modal__title" id="relogin-title">Sesión expirada</h2>
+          </div>
+          <div class="modal__body">
+            <p class="relogin__text">
+              Ingrese su contraseña para continuar. Lo que estaba haciendo no se perderá.
+            </p>
+            <form id="relogin-form" novalidate>
+              <div class="form-group">
+                <label class="form-label" for="relogin-email">Correo</label>
+                <input class="form-input" id="relogin-email" type="email" readonly />
+              </div>
+              <div class="form-group" id="relogin-group-password">
+                <label class="form-label" for="relogin-password">Contraseña</label>
+                <input class="form-input" id="relogin-password" type="password" autocomplete="current-password" required />
+                <span class="form-error">Contraseña incorrecta.</span>
+              </div>
+              <button type="submit" class="btn btn--primary btn--full" id="relogin-submit">Continuar</button>
+              <button type="button" class="btn btn--ghost btn--full" id="relogin-logout">Cerrar sesión</button>
+            </form>
+          </div>
+        </div>`;
+      document.body.appendChild(overlay);
+
+      const emailInput = overlay.querySelector('#relogin-email');
+      const passwordInput = overlay.querySelector('#relogin-password');
+      const submitBtn = overlay.querySelector('#relogin-submit');
+      emailInput.value = _currentUser.email;
+      requestAnimationFrame(() => {
+        overlay.classList.add('open');
+        passwordInput.focus();
+      });
+
+      overlay.querySelector('#relogin-logout').addEventListener('click', () => logout());
+
+      overlay.querySelector('#relogin-form').addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const group = overlay.querySelector('#relogin-group-password');
+        group.classList.remove('has-error');
+        if (!passwordInput.value) {
+          group.classList.add('has-error');
+          return;
+        }
+
+        submitBtn.disabled = true;
+        try {
+          const authData = await api.auth('token?grant_type=password', {
+            email: _currentUser.email,
+            password: passwordInput.value
+          });
+
+          saveSession(authData);
+          _scheduleRefresh(authData);
+          overlay.remove();
+          _relogin = null;
+          showToast('Sesión renovada.', 'success');
+          resolve(true);
+        } catch (err) {
+          console.error('[auth] re-login error:', err.status || '', err.message);
+          if (err.network) {
+            showToast('Error de conexión. Intente de nuevo.');
+          } else {
+            group.classList.add('has-error');
           }
+          submitBtn.disabled = false;
         }
-      );
+      });
+    });
+    return _relogin;
+  }
 
-      if (!response.ok) {
-        console.error('[auth] _fetchRole HTTP error:', response.status);
-        return 'patient';
-      }
+  // ── Internal: fetch profile ──────────────────────────
+  /**
+   * @param {string} userId
+   * @param {string} accessToken
+   * @returns {Promise<{ role, active }|null>} null when it cannot be read
+   */
+  async function _fetchProfile(userId, accessToken) {
+    const cached = _cachedProfile(userId);
+    if (cached && navigator.onLine === false) return cached;
+
+    try {
+      const profile = await api.selectOne('profiles', { select: 'role,active', id: api.eq(userId) }, {
+        headers: { 'Authorization': 'Bearer ' + accessToken }
+      });
+      if (!profile) return null;
+      localStorage.setItem(ROLE_KEY, JSON.stringify({
+        userId: userId,
+        role: profile.role,
+        active: profile.active
+      }));
+      return profile;
+    } catch (err) {
+      console.error('[auth] _fetchProfile error:', err.status || '', err);
+      // Offline: last known profile; a server error is not guessed
+      return err.network ? cached : null;
+    }
+  }
 
-      const data = await response.json();
-      return (data && data[0] && data[0].role) ? data[0].role : 'patient';
+  /** Profile cached by the last successful _fetchProfile for this user */
+  function _cachedProfile(userId) {
+    try {
+      const data = JSON.parse(localStorage.getItem(ROLE_KEY));
+      return data && data.userId === userId ? { role: data.role, active: data.active } : null;
     } catch (err) {
-      console.error('[auth] _fetchRole error:', err);
-      return 'patient';
+      return null;
     }
   }
 
+  // ── Lifecycle ────────────────────────────────────────
+  api.onUnauthorized(_handleUnauthorized);
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'visible') _checkExpiry();
+  });
+  window.addEventListener('online', _checkExpiry);
+
   // ── Expose public API ────────────────────────────────
   window.CURA360.auth = {
     login,
     logout,
     getCurrentUser,
-    protectRoute
+    protectRoute,
+    refreshSession,
+    can,
+    homeFor,
+    ROLE_LABELS,
+    STAFF_ROLES,
+    SIGNOUT_REASONS
   };
 
   console.log('[auth] Pure-fetch auth module loaded');
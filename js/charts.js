@@ -0,0 +1,234 @@
+/**
+ * charts.js — Inline SVG charts
+ * ──────────────────────────────
+ * Small dependency-free charts rendered as SVG markup, so they work
+ * offline and print sharply. Colours come from the .chart classes in
+ * css/components.css.
+ *
+ * Public API (window.CURA360.charts):
+ *   lineChart(points, options)   → string  (SVG markup, '' without points)
+ *       points:  [{ date: Date|string, value: number }]  (any order)
+ *       options: { unit, width, height,
+ *                  yMax,                      fixed top of the scale (e.g. EVA 10)
+ *                  yLabels: { value: text },  named ticks instead of numbers
+ *                  markers: [{ date, label }],  vertical event lines
+ *                  projection: { date, value } }  dashed line from the last point
+ *   sparkline(values, options)   → string  (tiny trend line, '' with < 2 values)
+ *       values:  numbers, oldest first
+ *       options: { width, height, lowerIsBetter }
+ *   stackedBars(points, options) → string  (100% columns, '' without points)
+ *       points:  [{ date, parts: { [key]: percent } }]  (any order)
+ *       options: { keys: [{ key, label }], width, height }
+ *                bar segments get the class chart__segment--<key>
+ */
+
+(function () {
+  'use strict';
+
+  const PAD = { top: 16, right: 16, bottom: 32, left: 44 };
+  const LABELLED_LEFT = 76;
+  const Y_TICKS = 4;
+  const X_TICKS = 5;
+
+  // ── Scales ───────────────────────────────────────────
+  /** Round step (1, 2 or 5 × 10ⁿ) so axis labels stay readable */
+  function _niceStep(max, ticks) {
+    const raw = max / ticks;
+    const magnitude = Math.pow(10, Math.floor(Math.log10(raw)));
+    const unit = raw / magnitude;
+    const nice = unit <= 1 ? 1 : unit <= 2 ? 2 : unit <= 5 ? 5 : 10;
+    return nice * magnitude;
+  }
+
+  function _number(value) {
+    return value.toLocaleString('es-CL', { maximumFractionDigits: 1 });
+  }
+
+  function _shortDate(time) {
+    return new Date(time).toLocaleDateString('es-CL', { day: 'numeric', month: 'short' });
+  }
+
+  function _escape(text) {
+    return window.CURA360.escapeHTML(text);
+  }
+
+  // ── Line chart ───────────────────────────────────────
+  function lineChart(points, options = {}) {
+    const width = options.width || 640;
+    const height = options.height || 220;
+    const unit = options.unit || '';
+    const yLabels = options.yLabels || null;
+    const markers = (options.markers || []).map(m => ({ time: new Date(m.date).getTime(), label: m.label }));
+    const projection = options.projection
+      ? { time: new Date(options.projection.date).getTime(), value: Number(options.projection.value) }
+      : null;
+
+    const data = points
+      .filter(p => p.value !== null && p.value !== undefined && !Number.isNaN(p.value))
+      .map(p => ({ time: new Date(p.date).getTime(), value: Number(p.value) }))
+      .sort((a, b) => a.time - b.time);
+    if (!data.length) return '';
+
+    const left = yLabels ? LABELLED_LEFT : PAD.left;
+    const plotW = width - left - PAD.right;
+    const plotH = height - PAD.top - PAD.bottom;
+
+    let ticks;
+    let yMax;
+    if (yLabels) {
+      ticks = Object.keys(yLabels).map(Number).sort((a, b) => a - b);
+      yMax = options.yMax || ticks[ticks.length - 1];
+    } else {
+      const maxValue = options.yMax || Math.max(...data.map(p => p.value)) || 1;
+      const step = _niceStep(maxValue, Y_TICKS);
+      yMax = Math.ceil(maxValue / step) * step;
+      ticks = [];
+      for (let v = 0; v <= yMax + step / 2; v += step) ticks.push(v);
+    }
+
+    // The time axis also covers the markers and the projected point
+    const times = data.map(p => p.time)
+      .concat(markers.map(m => m.time))
+      .concat(projection ? [projection.time] : []);
+    const first = Math.min(...times);
+    const last = Math.max(...times);
+    const span = last - first;
+
+    const x = time => left + (span ? (time - first) / span * plotW : plotW / 2);
+    const y = value => PAD.top + plotH - value / yMax * plotH;
+
+    const grid = ticks.map(v => `
+        <line class="chart__grid" x1="${left}" x2="${left + plotW}" y1="${y(v)}" y2="${y(v)}" />
+        <text class="chart__label" x="${left - 6}" y="${y(v) + 4}" text-anchor="end">${yLabels ? _escape(yLabels[v]) : _number(v)}</text>`);
+
+    const xTicks = span
+      ? Array.from({ length: X_TICKS }, (_, i) => first + span * i / (X_TICKS - 1))
+      : [first];
+    const xLabels = xTicks.map(time =>
+      `<text class="chart__label" x="${x(time)}" y="${height - 10}" text-anchor="middle">${_shortDate(time)}</text>`);
+
+    const markerLines = markers.map(m => `
+        <line class="chart__marker" x1="${x(m.time).toFixed(1)}" x2="${x(m.time).toFixed(1)}" y1="${PAD.top}" y2="${PAD.top + plotH}">
+          <title>${_shortDate(m.time)}: ${_escape(m.label)}</title>
+        </line>
+        <text class="chart__marker-label" x="${(x(m.time) + 3).toFixed(1)}" y="${PAD.top + 10}">${_escape(m.label)}</text>`);
+
+    const path = data.map((p, i) => `${i ? 'L' : 'M'}${x(p.time).toFixed(1)},${y(p.value).toFixed(1)}`).join(' ');
+    const lastPoint = data[data.length - 1];
+    const projectionLine = projection ? `
+        <line class="chart__projection" x1="${x(lastPoint.time).toFixed(1)}" y1="${y(lastPoint.value).toFixed(1)}"
+          x2="${x(projection.time).toFixed(1)}" y2="${y(projection.value).toFixed(1)}" />` : '';
+    const dots = data.map(p => `
+      <circle class="chart__dot" cx="${x(p.time).toFixed(1)}" cy="${y(p.value).toFixed(1)}" r="3.5">
+        <title>${_shortDate(p.time)}: ${yLabels && yLabels[p.value] ? _escape(yLabels[p.value]) : _number(p.value)}${unit && !yLabels ? ' ' + unit : ''}</title>
+      </circle>`);
+
+    return `
+      <svg class="chart" viewBox="0 0 ${width} ${height}" role="img" preserveAspectRatio="xMidYMid meet">
+        ${unit ? `<text class="chart__label" x="${left}" y="${PAD.top - 4}">${unit}</text>` : ''}
+        ${grid.join('')}
+        ${xLabels.join('')}
+        ${markerLines.join('')}
+        ${projectionLine}
+        <path class="chart__line" d="${path}" />
+        ${dots.join('')}
+      </svg>
+    `;
+  }
+
+  // ── Sparkline ────────────────────────────────────────
+  /**
+   * Trend at a glance for list items. The line turns red when the last
+   * value is worse than the first (higher, unless lowerIsBetter is false).
+   */
+  function sparkline(values, options = {}) {
+    const data = values.filter(v => v !== null && v !== undefined && !Number.isNaN(v)).map(Number);
+    if (data.length < 2) return '';
+
+    const width = options.width || 64;
+    const height = options.height || 20;
+    const lowerIsBetter = options.lowerIsBetter !== false;
+
+    const min = Math.min(...data);
+    const max = Math.max(...data);
+    const range = max - min || 1;
+    const points = data.map((v, i) => {
+      const px = 1 + i / (data.length - 1) * (width - 2);
+      const py = 1 + (max - v) / range * (height - 2);
+      return px.toFixed(1) + ',' + py.toFixed(1);
+    }).join(' ');
+
+    const last = data[data.length - 1];
+    const worse = lowerIsBetter ? last > data[0] : last < data[0];
+
+    return `
+      <svg class="chart-spark${worse ? ' chart-spark--worse' : ''}" viewBox="0 0 ${width} ${height}"
+        width="${width}" height="${height}" aria-hidden="true">
+        <polyline points="${points}" />
+      </svg>`;
+  }
+
+  // ── Stacked bars ─────────────────────────────────────
+  /**
+   * Composition over time: one column per date, segments stacked in the
+   * order of options.keys. Columns are evenly spaced, not on a time
+   * scale, so close dates stay readable.
+   */
+  function stackedBars(points, options = {}) {
+    const keys = options.keys || [];
+    const data = points
+      .map(p => ({ time: new Date(p.date).getTime(), parts: p.parts || {} }))
+      .sort((a, b) => a.time - b.time);
+    if (!data.length || !keys.length) return '';
+
+    const width = options.width || 640;
+    const height = options.height || 220;
+    const plotW = width - PAD.left - PAD.right;
+    const plotH = height - PAD.top - PAD.bottom;
+    const slot = plotW / data.length;
+    const barW = Math.min(slot * 0.6, 48);
+    const y = value => PAD.top + plotH - value / 100 * plotH;
+
+    const grid = [0, 25, 50, 75, 100].map(v => `
+        <line class="chart__grid" x1="${PAD.left}" x2="${PAD.left + plotW}" y1="${y(v)}" y2="${y(v)}" />
+        <text class="chart__label" x="${PAD.left - 6}" y="${y(v) + 4}" text-anchor="end">${v}%</text>`);
+
+    const bars = data.map((p, i) => {
+      const cx = PAD.left + slot * (i + 0.5);
+      let base = 0;
+      const segments = keys
+        .filter(k => p.parts[k.key])
+        .map(k => {
+          const value = Number(p.parts[k.key]);
+          const top = y(base + value);
+          const rect = `
+          <rect class="chart__segment chart__segment--${k.key}" x="${(cx - barW / 2).toFixed(1)}" y="${top.toFixed(1)}"
+            width="${barW.toFixed(1)}" height="${(y(base) - top).toFixed(1)}">
+            <title>${_shortDate(p.time)}: ${_escape(k.label)} ${_number(value)}%</title>
+          </rect>`;
+          base += value;
+          return rect;
+        });
+      return segments.join('') +
+        `<text class="chart__label" x="${cx.toFixed(1)}" y="${height - 10}" text-anchor="middle">${_shortDate(p.time)}</text>`;
+    });
+
+    return `
+      <svg class="chart" viewBox="0 0 ${width} ${height}" role="img" preserveAspectRatio="xMidYMid meet">
+        ${grid.join('')}
+        ${bars.join('')}
+      </svg>
+      <div class="chart-legend">${keys.map(k => `
+        <span class="chart-legend__item"><span class="chart-legend__swatch chart__segment--${k.key}"></span>${_escape(k.label)}</span>`).join('')}
+      </div>
+    `;
+  }
+
+  // ── Expose ───────────────────────────────────────────
+  window.CURA360.charts = {
+    lineChart,
+    sparkline,
+    stackedBars
+  };
+
+})();
@@ -0,0 +1,41 @@
+/**
+ * config.js — Single configuration point
+ * ─────────────────────────────────────────
+ * Every module reads the Supabase instance from window.CURA360.config.
+ *
+ * ⚠️  Reemplace los valores de DEFAULTS con sus credenciales reales
+ *     (Supabase Dashboard → Settings → API), o inyéctelos en el deploy
+ *     definiendo window.CURA360_ENV antes de cargar este script:
+ *
+ *     <script>window.CURA360_ENV = { supabaseUrl: 'http://localhost:54321', supabaseKey: '...' };</script>
+ *
+ * Public API (window.CURA360.config):
+ *   supabaseUrl    → base URL, without trailing slash
+ *   supabaseKey    → publishable (anon) key
+ *   storageBucket  → bucket for wound photos
+ *   storageKey     → localStorage key of the auth session
+ */
+
+(function () {
+  'use strict';
+
+  // ── Configuración ──────────────────────────────────────
+  const DEFAULTS = {
+    supabaseUrl:   'https://ghzfnosevncivblpbful.supabase.co',
+    supabaseKey:   'sb_publishable_zLely_K2mNNHQv82YeV40A_-Tj1XLDg',
+    storageBucket: 'wounds'
+  };
+
+  const config = Object.assign({}, DEFAULTS, window.CURA360_ENV || {});
+  config.supabaseUrl = config.supabaseUrl.replace(/\/+$/, '');
+
+  // Same key the Supabase SDK uses: sb-<project ref>-auth-token
+  if (!config.storageKey) {
+    const ref = new URL(config.supabaseUrl).hostname.split('.')[0];
+    config.storageKey = 'sb-' + ref + '-auth-token';
+  }
+
+  window.CURA360 = window.CURA360 || {};
+  window.CURA360.config = Object.freeze(config);
+
+})();
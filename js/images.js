@@ -1,118 +1,118 @@
 /**
  * images.js — Wound Images Management
  * ────────────────────────────────────
- * Handles image upload, compression, storage, and gallery display.
+ * Handles image upload, re-encoding, storage, and gallery display.
  * Uses Supabase Storage for files and wound_images table for metadata.
+ * Each photo is stored in three JPEG variants without metadata: full
+ * (tracing and tissue annotation), display (comparison, reports) and
+ * thumb (gallery and timeline), with dimensions and SHA-256 hashes.
+ * Photos taken offline are kept in IndexedDB ('photos' store) and
+ * uploaded when the sync queue replays (see offline.js).
  *
  * Public API (window.CURA360.images):
- *   upload(woundId, file, notes)     → Promise<object>
+ *   upload(woundId, file, notes, options) → Promise<object>
+ *       options: { treatmentId, quiet }  (link to a curación / no success toasts)
  *   list(woundId)                    → Promise<object[]>
- *   delete(imageId, storagePath)     → Promise<boolean>
+ *   delete(image)                    → Promise<boolean>  (every variant)
+ *   url(image, variant)              → Promise<string|null>  ('full' | 'display' | 'thumb')
  *   getSignedUrl(storagePath)        → Promise<string>
+ *   processImage(file)               → Promise<{full, display, thumb}>  (re-encoded variants)
+ *   CONTENT_TYPE                     → 'image/jpeg'
  */
 
 (function () {
   'use strict';
 
-  const sb = window.CURA360.supabase;
-  const SUPABASE_URL = 'https://ghzfnosevncivblpbful.supabase.co';
-  const SUPABASE_KEY = 'sb_publishable_zLely_K2mNNHQv82YeV40A_-Tj1XLDg';
-  const STORAGE_KEY = 'sb-ghzfnosevncivblpbful-auth-token';
-  const BUCKET_NAME = 'wounds';  // ← IMPORTANTE: debe coincidir con el bucket creado
+  const api = window.CURA360.api;
+  const offline = window.CURA360.offline;
 
-  // ── Helper: get auth token ───────────────────────────
-  function getToken() {
-    const sessionData = localStorage.getItem(STORAGE_KEY);
-    if (!sessionData) return null;
-    try {
-      const session = JSON.parse(sessionData);
-      return session.access_token;
-    } catch (err) {
-      console.error('[images] Error parsing session:', err);
-      return null;
-    }
-  }
-
-  // ── Compress image before upload ─────────────────────
+  // ── Encoding pipeline ────────────────────────────────
   /**
-   * Compresses image if larger than maxSizeMB
-   * @param {File} file - original image file
-   * @param {number} maxSizeMB - max size in MB (default 2)
-   * @param {number} quality - compression quality 0-1 (default 0.85)
-   * @returns {Promise<Blob>}
+   * Every upload is decoded and re-encoded as JPEG through a canvas,
+   * which leaves EXIF and any other metadata (GPS included) behind.
+   * Browsers apply the EXIF orientation while decoding, so the pixels
+   * keep the orientation the photo was taken in. Variants are never
+   * upscaled.
    */
-  async function compressImage(file, maxSizeMB = 2, quality = 0.85) {
-    const maxSizeBytes = maxSizeMB * 1024 * 1024;
-    
-    // Si ya es pequeño, no comprimir
-    if (file.size <= maxSizeBytes) {
-      return file;
-    }
+  const VARIANTS = {
+    full:    { maxDimension: 2560, quality: 0.9 },
+    display: { maxDimension: 1280, quality: 0.85 },
+    thumb:   { maxDimension: 320,  quality: 0.75 }
+  };
+  const CONTENT_TYPE = 'image/jpeg';
+
+  /** wound_images column holding each variant's storage path */
+  const PATH_COLUMNS = { full: 'storage_path', display: 'display_path', thumb: 'thumb_path' };
 
+  function _decode(blob) {
     return new Promise((resolve, reject) => {
-      const reader = new FileReader();
-      
-      reader.onload = (e) => {
-        const img = new Image();
-        
-        img.onload = () => {
-          const canvas = document.createElement('canvas');
-          let width = img.width;
-          let height = img.height;
-          
-          // Reducir dimensiones si es muy grande
-          const maxDimension = 1920;
-          if (width > maxDimension || height > maxDimension) {
-            if (width > height) {
-              height = (height / width) * maxDimension;
-              width = maxDimension;
-            } else {
-              width = (width / height) * maxDimension;
-              height = maxDimension;
-            }
-          }
-          
-          canvas.width = width;
-          canvas.height = height;
-          
-          const ctx = canvas.getContext('2d');
-          ctx.drawImage(img, 0, 0, width, height);
-          
-          canvas.toBlob(
-            (blob) => {
-              if (blob) {
-                console.log('[images] Compressed:', 
-                  `${(file.size / 1024 / 1024).toFixed(2)}MB → ${(blob.size / 1024 / 1024).toFixed(2)}MB`);
-                resolve(blob);
-              } else {
-                reject(new Error('Compression failed'));
-              }
-            },
-            'image/jpeg',
-            quality
-          );
-        };
-        
-        img.onerror = () => reject(new Error('Image load failed'));
-        img.src = e.target.result;
+      const objectUrl = URL.createObjectURL(blob);
+      const img = new Image();
+      img.onload = () => {
+        URL.revokeObjectURL(objectUrl);
+        resolve(img);
       };
-      
-      reader.onerror = () => reject(new Error('File read failed'));
-      reader.readAsDataURL(file);
+      img.onerror = () => {
+        URL.revokeObjectURL(objectUrl);
+        reject(new Error('Image load failed'));
+      };
+      img.src = objectUrl;
     });
   }
 
+  function _encode(img, { maxDimension, quality }) {
+    const scale = Math.min(1, maxDimension / Math.max(img.naturalWidth, img.naturalHeight));
+    const width = Math.round(img.naturalWidth * scale);
+    const height = Math.round(img.naturalHeight * scale);
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    canvas.getContext('2d').drawImage(img, 0, 0, width, height);
+
+    return new Promise((resolve, reject) => {
+      canvas.toBlob(
+        blob => blob ? resolve({ blob, width, height }) : reject(new Error('Encoding failed')),
+        CONTENT_TYPE,
+        quality
+      );
+    });
+  }
+
+  async function _sha256(blob) {
+    const digest = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+    return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+  }
+
+  /**
+   * @param {Blob} file - photo as picked or captured
+   * @returns {Promise<{full, display, thumb}>} each { blob, width, height, sha256 }
+   */
+  async function processImage(file) {
+    const img = await _decode(file);
+    const variants = {};
+    for (const name of Object.keys(VARIANTS)) {
+      const encoded = await _encode(img, VARIANTS[name]);
+      variants[name] = { ...encoded, sha256: await _sha256(encoded.blob) };
+    }
+    console.log('[images] Processed:',
+      `${(file.size / 1024).toFixed(0)}KB → ${(variants.full.blob.size / 1024).toFixed(0)}KB ` +
+      `(${variants.full.width}×${variants.full.height})`);
+    return variants;
+  }
+
   // ── Upload image ─────────────────────────────────────
   /**
    * Uploads image to Supabase Storage and saves metadata
    * @param {string} woundId
    * @param {File} file
    * @param {string} notes - optional notes about the image
+   * @param {{treatmentId?: string, quiet?: boolean}} options - curación the
+   *   photo documents; quiet leaves the success toast to the caller
    * @returns {Promise<object>} image metadata
    */
-  async function upload(woundId, file, notes = '') {
-    const token = getToken();
-    if (!token) {
+  async function upload(woundId, file, notes = '', options = {}) {
+    if (!api.session.token()) {
       window.CURA360.showToast('Sesión expirada. Inicie sesión de nuevo.');
       return null;
     }
@@ -123,158 +123,228 @@
       return null;
     }
 
+    let variants = null;
     try {
       console.log('[images] Starting upload...');
       
-      // Comprimir imagen
-      const compressedBlob = await compressImage(file);
-      
-      // Generar nombre único
-      const timestamp = Date.now();
-      const extension = file.name.split('.').pop() || 'jpg';
-      const fileName = `${timestamp}.${extension}`;
-      const storagePath = `${woundId}/${fileName}`;
+      // Re-encode (drops EXIF) and build the variants
+      variants = await processImage(file);
 
-      console.log('[images] Uploading to:', storagePath);
-
-      // Subir a Storage usando fetch directo
-      const uploadUrl = `${SUPABASE_URL}/storage/v1/object/${BUCKET_NAME}/${storagePath}`;
-      
-      const uploadResponse = await fetch(uploadUrl, {
-        method: 'POST',
-        headers: {
-          'Authorization': 'Bearer ' + token,
-          'apikey': SUPABASE_KEY,
-          'Content-Type': file.type || 'image/jpeg'
-        },
-        body: compressedBlob
-      });
-
-      if (!uploadResponse.ok) {
-        const error = await uploadResponse.text();
-        console.error('[images] Upload failed:', error);
-        window.CURA360.showToast('Error al subir imagen.');
-        return null;
+      if (!offline.isOnline()) {
+        return await _storePending(woundId, variants, notes, options);
       }
 
-      console.log('[images] Upload successful, saving metadata...');
-
-      // Guardar metadata en tabla
-      const metadata = {
-        wound_id: woundId,
-        storage_path: storagePath,
-        file_size: compressedBlob.size,
-        uploaded_by: user.id,
+      const saved = await _send(woundId, variants, {
+        userId: user.id,
         notes: notes,
-        created_at: new Date().toISOString()
-      };
-
-      const metadataResponse = await fetch(
-        `${SUPABASE_URL}/rest/v1/wound_images`,
-        {
-          method: 'POST',
-          headers: {
-            'apikey': SUPABASE_KEY,
-            'Authorization': 'Bearer ' + token,
-            'Content-Type': 'application/json',
-            'Prefer': 'return=representation'
-          },
-          body: JSON.stringify(metadata)
-        }
-      );
-
-      if (!metadataResponse.ok) {
-        console.error('[images] Metadata save failed');
-        window.CURA360.showToast('Error al guardar metadata de imagen.');
-        return null;
-      }
+        treatmentId: options.treatmentId || null,
+        createdAt: new Date().toISOString()
+      });
 
-      const savedMetadata = await metadataResponse.json();
-      console.log('[images] Metadata saved:', savedMetadata[0].id);
-      
-      window.CURA360.showToast('Imagen agregada exitosamente.', 'success');
-      return savedMetadata[0];
+      if (!options.quiet) window.CURA360.showToast('Imagen agregada exitosamente.', 'success');
+      return saved;
       
     } catch (err) {
+      if (variants && offline.isNetworkError(err)) {
+        return await _storePending(woundId, variants, notes, options);
+      }
       console.error('[images] upload error:', err);
       window.CURA360.showToast('Error al subir imagen.');
       return null;
     }
   }
 
-  // ── List images for a wound ──────────────────────────
+  // ── Send to Storage + metadata ───────────────────────
   /**
+   * Uploads the variants and inserts their wound_images row. Throws on
+   * failure, after removing the variants already uploaded (except when
+   * the insert was lost on the network: the row may exist).
    * @param {string} woundId
-   * @returns {Promise<object[]>}
+   * @param {{full, display, thumb}} variants - from processImage
+   * @param {{userId, notes, treatmentId, createdAt}} opts
+   * @returns {Promise<object>} saved metadata row
    */
-  async function list(woundId) {
-    const token = getToken();
-    if (!token) return [];
+  async function _send(woundId, variants, opts) {
+    // Generar nombre único: <wound>/<timestamp>.jpg, _display.jpg, _thumb.jpg
+    const base = `${woundId}/${Date.now()}`;
+    const paths = {
+      full: `${base}.jpg`,
+      display: `${base}_display.jpg`,
+      thumb: `${base}_thumb.jpg`
+    };
+
+    console.log('[images] Uploading to:', paths.full);
 
+    // Subir a Storage (bucket definido en config.js)
+    const uploaded = [];
+    let inserting = false;
     try {
-      const response = await fetch(
-        `${SUPABASE_URL}/rest/v1/wound_images?wound_id=eq.${woundId}&select=*&order=created_at.desc`,
-        {
-          headers: {
-            'apikey': SUPABASE_KEY,
-            'Authorization': 'Bearer ' + token,
-            'Content-Type': 'application/json'
-          }
-        }
-      );
+      for (const name of Object.keys(paths)) {
+        await api.storage.upload(paths[name], variants[name].blob, CONTENT_TYPE);
+        uploaded.push(paths[name]);
+      }
+      console.log('[images] Upload successful, saving metadata...');
+      inserting = true;
+      return await _insertMetadata(woundId, paths, variants, opts);
+    } catch (err) {
+      if (!(inserting && offline.isNetworkError(err))) await _removeUploaded(uploaded);
+      throw err;
+    }
+  }
 
-      if (!response.ok) {
-        console.error('[images] list HTTP error:', response.status);
-        return [];
+  /** Best effort: a failed cleanup must not hide the original error */
+  async function _removeUploaded(paths) {
+    for (const path of paths) {
+      try {
+        await api.storage.remove(path);
+      } catch (err) {
+        console.error('[images] cleanup error:', path, err);
       }
+    }
+  }
+
+  async function _insertMetadata(woundId, paths, variants, opts) {
+    // Guardar metadata en tabla
+    const metadata = {
+      wound_id: woundId,
+      storage_path: paths.full,
+      file_size: variants.full.blob.size,
+      width: variants.full.width,
+      height: variants.full.height,
+      sha256: variants.full.sha256,
+      display_path: paths.display,
+      display_width: variants.display.width,
+      display_height: variants.display.height,
+      display_sha256: variants.display.sha256,
+      thumb_path: paths.thumb,
+      thumb_width: variants.thumb.width,
+      thumb_height: variants.thumb.height,
+      thumb_sha256: variants.thumb.sha256,
+      uploaded_by: opts.userId,
+      notes: opts.notes,
+      treatment_id: opts.treatmentId || null,
+      created_at: opts.createdAt
+    };
+
+    const [saved] = await api.insert('wound_images', metadata);
+    console.log('[images] Metadata saved:', saved.id);
+    return saved;
+  }
+
+  // ── Offline photos ───────────────────────────────────
+  /**
+   * Keeps the photo on the device and queues its upload
+   */
+  async function _storePending(woundId, variants, notes, options = {}) {
+    const photo = {
+      id: offline.uuid(),
+      wound_id: woundId,
+      treatment_id: options.treatmentId || null,
+      variants: variants,
+      notes: notes,
+      created_at: new Date().toISOString(),
+      _pending: true
+    };
+    await offline.put('photos', photo);
+    await offline.enqueue({ kind: 'upload', photo_id: photo.id });
+    if (!options.quiet) window.CURA360.showToast('Sin conexión: foto guardada en el dispositivo.', 'warning');
+    return photo;
+  }
+
+  // Object URLs of the last listing per wound, revoked when it is listed again
+  const _pendingUrls = new Map();
+
+  /** Pending photos in gallery shape (local object URL, no storage path) */
+  async function _listPending(woundId) {
+    const photos = await offline.getByIndex('photos', 'wound_id', woundId);
+    (_pendingUrls.get(woundId) || []).forEach(url => URL.revokeObjectURL(url));
+    const rows = photos.map(p => ({
+      id: p.id,
+      wound_id: p.wound_id,
+      treatment_id: p.treatment_id || null,
+      storage_path: '',
+      notes: p.notes,
+      created_at: p.created_at,
+      local_url: URL.createObjectURL(p.variants ? p.variants.display.blob : p.blob),
+      _pending: true
+    }));
+    _pendingUrls.set(woundId, rows.map(r => r.local_url));
+    return rows;
+  }
+
+  // Replay handler: upload a photo stored while offline
+  offline.registerHandler('upload', async op => {
+    const photo = await offline.get('photos', op.photo_id);
+    if (!photo) return; // discarded before syncing
+
+    if (!api.session.token()) throw new Error('Sesión expirada');
+
+    // Photos queued before the pipeline existed only kept one blob
+    const variants = photo.variants || await processImage(photo.blob);
+    await _send(photo.wound_id, variants, {
+      userId: op.user_id, // who took the photo (replay only runs their own ops)
+      notes: photo.notes,
+      treatmentId: photo.treatment_id,
+      createdAt: photo.created_at
+    });
+    await offline.remove('photos', photo.id);
+  });
+
+  // ── List images for a wound ──────────────────────────
+  /**
+   * @param {string} woundId
+   * @returns {Promise<object[]>}
+   */
+  async function list(woundId) {
+    if (!api.session.token()) return [];
+
+    const pending = await _listPending(woundId);
+    if (!offline.isOnline()) return pending;
 
-      return await response.json();
+    try {
+      const rows = await api.select('wound_images', {
+        wound_id: api.eq(woundId),
+        order: 'created_at.desc'
+      }, { signal: api.cancellable('images.list') });
+      return pending.concat(rows);
     } catch (err) {
-      console.error('[images] list error:', err);
-      return [];
+      if (!err.aborted) console.error('[images] list error:', err);
+      return pending;
     }
   }
 
   // ── Delete image ─────────────────────────────────────
   /**
-   * Deletes image from storage and metadata
-   * @param {string} imageId - wound_images.id
-   * @param {string} storagePath
+   * Deletes every stored variant and the metadata row
+   * @param {object} image - wound_images row (or pending photo)
    * @returns {Promise<boolean>}
    */
-  async function deleteImage(imageId, storagePath) {
-    const token = getToken();
-    if (!token) return false;
+  async function deleteImage(image) {
+    // Photo not uploaded yet: just discard the local copy
+    if (!image.storage_path) {
+      await offline.remove('photos', image.id);
+      window.CURA360.showToast('Imagen eliminada.', 'success');
+      return true;
+    }
+
+    if (!api.session.token()) return false;
 
     try {
-      // Delete from storage
-      const storageUrl = `${SUPABASE_URL}/storage/v1/object/${BUCKET_NAME}/${storagePath}`;
-      
-      await fetch(storageUrl, {
-        method: 'DELETE',
-        headers: {
-          'Authorization': 'Bearer ' + token,
-          'apikey': SUPABASE_KEY
+      // Delete from storage (a missing object must not block the metadata delete)
+      const paths = Object.values(PATH_COLUMNS).map(column => image[column]).filter(Boolean);
+      for (const path of paths) {
+        try {
+          await api.storage.remove(path);
+        } catch (err) {
+          console.error('[images] storage delete error:', err);
         }
-      });
+      }
 
       // Delete metadata
-      const metadataUrl = `${SUPABASE_URL}/rest/v1/wound_images?id=eq.${imageId}`;
-      
-      const response = await fetch(metadataUrl, {
-        method: 'DELETE',
-        headers: {
-          'apikey': SUPABASE_KEY,
-          'Authorization': 'Bearer ' + token
-        }
-      });
+      await api.remove('wound_images', { id: api.eq(image.id) });
 
-      if (response.ok) {
-        window.CURA360.showToast('Imagen eliminada.', 'success');
-        return true;
-      }
-      
-      return false;
+      window.CURA360.showToast('Imagen eliminada.', 'success');
+      return true;
     } catch (err) {
       console.error('[images] delete error:', err);
       window.CURA360.showToast('Error al eliminar imagen.');
@@ -289,42 +359,37 @@
    * @returns {Promise<string|null>}
    */
   async function getSignedUrl(storagePath) {
-    const token = getToken();
-    if (!token) return null;
+    if (!api.session.token()) return null;
 
     try {
-      const response = await fetch(
-        `${SUPABASE_URL}/storage/v1/object/sign/${BUCKET_NAME}/${storagePath}`,
-        {
-          method: 'POST',
-          headers: {
-            'Authorization': 'Bearer ' + token,
-            'apikey': SUPABASE_KEY,
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify({ expiresIn: 3600 }) // 1 hour
-        }
-      );
-
-      if (!response.ok) {
-        console.error('[images] getSignedUrl failed:', response.status);
-        return null;
-      }
-
-      const data = await response.json();
-      return `${SUPABASE_URL}/storage/v1${data.signedURL}`;
+      return await api.storage.signedUrl(storagePath, 3600); // 1 hour
     } catch (err) {
       console.error('[images] getSignedUrl error:', err);
       return null;
     }
   }
 
+  /**
+   * URL of one variant: the local copy of a pending photo, else a signed
+   * URL. Photos uploaded before the variants existed only have the full one.
+   * @param {object} image - wound_images row
+   * @param {'full'|'display'|'thumb'} variant
+   * @returns {Promise<string|null>}
+   */
+  function url(image, variant = 'display') {
+    if (image.local_url) return Promise.resolve(image.local_url);
+    return getSignedUrl(image[PATH_COLUMNS[variant]] || image.storage_path);
+  }
+
   // ── Expose ───────────────────────────────────────────
   window.CURA360.images = {
     upload,
     list,
     delete: deleteImage,
-    getSignedUrl
+    url,
+    getSignedUrl,
+    processImage,
+    CONTENT_TYPE
   };
 
   console.log('[images] Module loaded');
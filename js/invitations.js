@@ -0,0 +1,164 @@
+/**
+ * invitations.js — Patient account invitations
+ * ─────────────────────────────────────────────
+ * The professional generates a one-time, expiring code for a patient
+ * record; the patient signs up on registro.html with it and
+ * redeem_patient_invitation() links patients.user_id to the new account.
+ *
+ * Public API (window.CURA360.invitations):
+ *   create(patientId)         → Promise<Invitation|null>
+ *   listByPatient(patientId)  → Promise<Invitation[]>
+ *   revoke(invitationId)      → Promise<boolean>
+ *   status(code)              → Promise<'valid'|'used'|'expired'|'revoked'|'invalid'>
+ *   redeem(code)              → Promise<string>  (patient id; throws ApiError)
+ *   link(code)                → string  (registro.html URL with the code)
+ *   state(invitation)         → 'valid'|'used'|'expired'|'revoked'
+ *   normalize(code)           → string  (canonical XXXX-XXXX form)
+ *   generateCode()            → string  (random XXXX-XXXX, also used by users.js)
+ *   rememberPending(code) / takePending() → code kept across e-mail confirmation
+ */
+
+(function () {
+  'use strict';
+
+  const api = window.CURA360.api;
+
+  /** Days an invitation stays valid */
+  const TTL_DAYS = 7;
+  /** No 0/O/1/I so codes can be dictated over the phone */
+  const ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+  const PENDING_KEY = 'cura360-pending-invitation';
+
+  // ── Code generation ──────────────────────────────────
+  function generateCode() {
+    const bytes = window.crypto.getRandomValues(new Uint8Array(8));
+    const chars = Array.from(bytes, b => ALPHABET[b % ALPHABET.length]).join('');
+    return chars.slice(0, 4) + '-' + chars.slice(4);
+  }
+
+  /** Accepts 'abcd efgh', 'ABCDEFGH' or 'ABCD-EFGH' */
+  function normalize(code) {
+    const chars = String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+    return chars.length === 8 ? chars.slice(0, 4) + '-' + chars.slice(4) : chars;
+  }
+
+  // ── Create invitation ────────────────────────────────
+  async function create(patientId) {
+    const user = window.CURA360.auth.getCurrentUser();
+    if (!user) {
+      window.CURA360.showToast('Sesión expirada. Inicie sesión de nuevo.');
+      return null;
+    }
+
+    const expires = new Date(Date.now() + TTL_DAYS * 24 * 60 * 60 * 1000);
+
+    // A collision on the unique code is astronomically rare; retry once
+    for (let attempt = 0; attempt < 2; attempt++) {
+      try {
+        const [row] = await api.insert('patient_invitations', {
+          patient_id: patientId,
+          code: generateCode(),
+          created_by: user.id,
+          expires_at: expires.toISOString()
+        });
+        return row;
+      } catch (err) {
+        if (err.code === '23505' && attempt === 0) continue;
+        console.error('[invitations] create error:', err);
+        window.CURA360.showToast('Error al generar la invitación.');
+        return null;
+      }
+    }
+    return null;
+  }
+
+  // ── List invitations of a patient ────────────────────
+  async function listByPatient(patientId) {
+    try {
+      return await api.select('patient_invitations', {
+        patient_id: api.eq(patientId),
+        order: 'created_at.desc'
+      });
+    } catch (err) {
+      console.error('[invitations] list error:', err);
+      return [];
+    }
+  }
+
+  // ── Revoke ───────────────────────────────────────────
+  async function revoke(invitationId) {
+    try {
+      await api.update('patient_invitations', { id: api.eq(invitationId) }, {
+        revoked_at: new Date().toISOString()
+      });
+      return true;
+    } catch (err) {
+      console.error('[invitations] revoke error:', err);
+      window.CURA360.showToast('Error al anular la invitación.');
+      return false;
+    }
+  }
+
+  // ── Status / redeem (patient side) ───────────────────
+  /**
+   * Checks a code before sign-up (works without a session)
+   */
+  async function status(code) {
+    try {
+      return await api.rpc('invitation_status', { p_code: normalize(code) }, { auth: false });
+    } catch (err) {
+      console.error('[invitations] status error:', err);
+      return 'invalid';
+    }
+  }
+
+  /**
+   * Links the signed-in user to the invited patient record
+   * @returns {Promise<string>} patient id
+   */
+  function redeem(code) {
+    return api.rpc('redeem_patient_invitation', { p_code: normalize(code) });
+  }
+
+  // ── Helpers ──────────────────────────────────────────
+  function link(code) {
+    const url = new URL('registro.html', window.location.href);
+    url.searchParams.set('code', code);
+    return url.toString();
+  }
+
+  function state(invitation) {
+    if (invitation.revoked_at) return 'revoked';
+    if (invitation.used_at) return 'used';
+    if (new Date(invitation.expires_at) <= new Date()) return 'expired';
+    return 'valid';
+  }
+
+  /** Keeps the code while the patient confirms their e-mail */
+  function rememberPending(code) {
+    localStorage.setItem(PENDING_KEY, normalize(code));
+  }
+
+  function takePending() {
+    const code = localStorage.getItem(PENDING_KEY);
+    localStorage.removeItem(PENDING_KEY);
+    return code;
+  }
+
+  // ── Expose ───────────────────────────────────────────
+  window.CURA360.invitations = {
+    TTL_DAYS,
+    create,
+    listByPatient,
+    revoke,
+    status,
+    redeem,
+    link,
+    state,
+    normalize,
+    generateCode,
+    rememberPending,
+    takePending
+  };
+
+})();
@@ -0,0 +1,253 @@
+/**
+ * CURA360 - Measurements Module
+ * Measurement snapshots per curación (length, width, depth, exudate, pain,
+ * infection), healing-trend analysis used by wounds.evaluateStage and
+ * the projected closure date shown on the wound detail view
+ */
+
+(function () {
+  'use strict';
+
+  /** Ordinal rank of exudate amounts, used to detect worsening */
+  const EXUDATE_RANK = { escaso: 1, moderado: 2, abundante: 3 };
+
+  /** Measurements that define the "current" healing rate for projections */
+  const PROJECTION_SAMPLES = 5;
+
+  /** Snapshot fields copied from the form / wound row */
+  const FIELDS = [
+    'length_cm', 'width_cm', 'depth_cm',
+    'exudate_amount', 'exudate_type',
+    'pain_scale', 'infection_signs'
+  ];
+
+  const measurements = {
+
+    /**
+     * Record a measurement snapshot for a wound.
+     * Returns null (without inserting) when the snapshot is empty.
+     * @param {string} woundId
+     * @param {object} data         - any of FIELDS
+     * @param {string} [treatmentId] - curación that produced the snapshot
+     */
+    async create(woundId, data, treatmentId) {
+      try {
+        const snapshot = this.pick(data);
+        if (Object.keys(snapshot).length === 0) return null;
+
+        snapshot.wound_id = woundId;
+        if (treatmentId) snapshot.treatment_id = treatmentId;
+        snapshot.created_at = data.created_at || new Date().toISOString();
+
+        if (!window.CURA360.offline.isOnline()) {
+          return await window.CURA360.offline.queueInsert('wound_measurements', snapshot);
+        }
+
+        const [row] = await window.CURA360.api.insert('wound_measurements', snapshot);
+        return row;
+
+      } catch (err) {
+        console.error('Error creating measurement:', err);
+        return null;
+      }
+    },
+
+    /**
+     * List measurements by wound, oldest first
+     */
+    async listByWound(woundId) {
+      try {
+        return await window.CURA360.api.select('wound_measurements', {
+          wound_id: window.CURA360.api.eq(woundId),
+          order: 'created_at.asc'
+        });
+
+      } catch (err) {
+        console.error('Error listing measurements:', err);
+        return [];
+      }
+    },
+
+    /**
+     * Area history of several wounds in one request, for list sparklines
+     * @returns {Promise<object>} { woundId: [area, ...] } oldest first
+     */
+    async areaSeries(woundIds) {
+      const series = {};
+      if (!woundIds.length) return series;
+      try {
+        const rows = await window.CURA360.api.select('wound_measurements', {
+          select: 'wound_id,created_at,length_cm,width_cm',
+          wound_id: 'in.(' + woundIds.join(',') + ')',
+          order: 'created_at.asc'
+        });
+        rows.forEach(row => {
+          const area = this.area(row);
+          if (area !== null) (series[row.wound_id] = series[row.wound_id] || []).push(area);
+        });
+      } catch (err) {
+        // Offline or failed: lists simply show no sparkline
+        if (!window.CURA360.offline.isNetworkError(err)) console.error('Error loading area series:', err);
+      }
+      return series;
+    },
+
+    /**
+     * Full history of several wounds in one request (alerts.js)
+     * @returns {Promise<object>} { woundId: [measurement, ...] } oldest first
+     */
+    async historyByWound(woundIds) {
+      const history = {};
+      if (!woundIds.length) return history;
+      const rows = await window.CURA360.api.select('wound_measurements', {
+        wound_id: 'in.(' + woundIds.join(',') + ')',
+        order: 'created_at.asc'
+      });
+      rows.forEach(row => { (history[row.wound_id] = history[row.wound_id] || []).push(row); });
+      return history;
+    },
+
+    /**
+     * Keep only snapshot fields with a real value (0 and false are valid)
+     */
+    pick(data) {
+      const snapshot = {};
+      FIELDS.forEach(key => {
+        const value = data[key];
+        if (value !== null && value !== '' && value !== undefined && !Number.isNaN(value)) {
+          snapshot[key] = value;
+        }
+      });
+      return snapshot;
+    },
+
+    /**
+     * Area in cm² (length × width) or null if either is missing
+     */
+    area(m) {
+      if (!m || m.length_cm == null || m.width_cm == null) return null;
+      return Number(m.length_cm) * Number(m.width_cm);
+    },
+
+    /**
+     * Ordinal exudate level (1 escaso … 3 abundante) or null
+     */
+    exudateLevel(m) {
+      return (m && EXUDATE_RANK[m.exudate_amount]) || null;
+    },
+
+    /**
+     * Projected closure from the current healing rate: least-squares
+     * slope of the area over the last PROJECTION_SAMPLES measurements,
+     * extended until the area reaches zero.
+     * @param {object[]} history - measurements, oldest first
+     * @returns {{ date: Date, days: number, ratePerDay: number }|null}
+     *          null with fewer than 2 areas or when the area is not shrinking
+     */
+    projectClosure(history) {
+      const recent = history
+        .filter(m => this.area(m) !== null)
+        .slice(-PROJECTION_SAMPLES);
+      if (recent.length < 2) return null;
+
+      const DAY = 24 * 60 * 60 * 1000;
+      const t0 = new Date(recent[0].created_at).getTime();
+      const xs = recent.map(m => (new Date(m.created_at).getTime() - t0) / DAY);
+      const ys = recent.map(m => this.area(m));
+      const meanX = xs.reduce((a, b) => a + b, 0) / xs.length;
+      const meanY = ys.reduce((a, b) => a + b, 0) / ys.length;
+      let num = 0;
+      let den = 0;
+      xs.forEach((x, i) => {
+        num += (x - meanX) * (ys[i] - meanY);
+        den += (x - meanX) * (x - meanX);
+      });
+      if (den === 0) return null;
+
+      const slope = num / den; // cm² per day
+      if (slope >= 0) return null;
+
+      const last = recent[recent.length - 1];
+      const lastArea = ys[ys.length - 1];
+      const days = Math.ceil(lastArea / -slope);
+      return {
+        date: new Date(new Date(last.created_at).getTime() + days * DAY),
+        days: days,
+        ratePerDay: -slope
+      };
+    },
+
+    /**
+     * Analyze the healing trend of a chronologically ordered history.
+     * @param {object[]} history - measurements, oldest first
+     * @returns {{
+     *   samples: number,
+     *   daysSpan: number,
+     *   initialArea: number|null,
+     *   currentArea: number|null,
+     *   areaReductionPct: number|null,
+     *   painDelta: number|null,
+     *   painDecreasing: boolean,
+     *   painIncreasing: boolean,
+     *   exudateWorsening: boolean,
+     *   exudateImproving: boolean
+     * }}
+     */
+    analyzeTrend(history) {
+      const trend = {
+        samples: history.length,
+        daysSpan: 0,
+        initialArea: null,
+        currentArea: null,
+        areaReductionPct: null,
+        painDelta: null,
+        painDecreasing: false,
+        painIncreasing: false,
+        exudateWorsening: false,
+        exudateImproving: false
+      };
+      if (history.length < 2) return trend;
+
+      const first = history[0];
+      const last = history[history.length - 1];
+      trend.daysSpan = Math.floor(
+        (new Date(last.created_at) - new Date(first.created_at)) / (1000 * 60 * 60 * 24)
+      );
+
+      // Area: first vs last snapshot that actually carry both dimensions
+      const withArea = history.filter(m => this.area(m) !== null);
+      if (withArea.length >= 2) {
+        trend.initialArea = this.area(withArea[0]);
+        trend.currentArea = this.area(withArea[withArea.length - 1]);
+        if (trend.initialArea > 0) {
+          trend.areaReductionPct =
+            ((trend.initialArea - trend.currentArea) / trend.initialArea) * 100;
+        }
+      }
+
+      // Pain: first vs last recorded EVA value
+      const withPain = history.filter(m => m.pain_scale !== null && m.pain_scale !== undefined);
+      if (withPain.length >= 2) {
+        trend.painDelta = withPain[withPain.length - 1].pain_scale - withPain[0].pain_scale;
+        trend.painDecreasing = trend.painDelta < 0;
+        trend.painIncreasing = trend.painDelta > 0;
+      }
+
+      // Exudate: last recorded amount vs the one before it
+      const withExudate = history.filter(m => EXUDATE_RANK[m.exudate_amount]);
+      if (withExudate.length >= 2) {
+        const prev = EXUDATE_RANK[withExudate[withExudate.length - 2].exudate_amount];
+        const curr = EXUDATE_RANK[withExudate[withExudate.length - 1].exudate_amount];
+        trend.exudateWorsening = curr > prev;
+        trend.exudateImproving = curr < prev;
+      }
+
+      return trend;
+    }
+  };
+
+  // Export to global namespace
+  window.CURA360 = window.CURA360 || {};
+  window.CURA360.measurements = measurements;
+
+})();
@@ -0,0 +1,442 @@
+/**
+ * offline.js — Offline-first cache + sync queue
+ * ──────────────────────────────────────────────
+ * Mirrors the professional's patients, wounds, treatments, visit agenda,
+ * supplies catalog, clinical alerts and pending photos in IndexedDB so
+ * home visits work without coverage.
+ *
+ * • Reads: data modules cache every successful read and fall back to
+ *   the cache when the network is unavailable.
+ * • Writes: when offline, data modules put the row in an outbox queue
+ *   (with a client-generated UUID) and the queue is replayed in order
+ *   as soon as connectivity returns.
+ * • Registers the service worker (sw.js) that caches the app shell.
+ *
+ * Cached rows (`_user_id`) and outbox ops (`user_id`) belong to the user
+ * signed in when they were stored: reads only return the current user's
+ * rows and replay() only sends their ops, so a device shared without
+ * signing out never shows or replays another account's data. auth.logout()
+ * wipes the database with clear().
+ *
+ * Every change of the queue dispatches a `cura360-sync` event on window
+ * with { online, pending, failed, syncing } so pages can show an indicator.
+ *
+ * Public API (window.CURA360.offline):
+ *   isOnline()                          → boolean
+ *   isNetworkError(err)                 → boolean
+ *   uuid()                              → string
+ *   get(store, id)                      → Promise<object|null>
+ *   getAll(store)                       → Promise<object[]>
+ *   getByIndex(store, index, value)     → Promise<object[]>
+ *   put(store, rowOrRows)               → Promise<void>
+ *   replaceWhere(store, index, value, rows) → Promise<void>
+ *   remove(store, id)                   → Promise<void>
+ *   queueInsert(table, row, store)      → Promise<object>
+ *   queueUpdate(table, id, values, store) → Promise<void>
+ *   queueDelete(table, id, store)       → Promise<void>
+ *   enqueue(op)                         → Promise<void>
+ *   registerHandler(kind, fn)           → void
+ *   replay()                            → Promise<void>
+ *   status()                            → Promise<object>  (current user's ops)
+ *   clear()                             → Promise<void>  (every store, outbox included)
+ */
+
+(function () {
+  'use strict';
+
+  // ── Configuration ────────────────────────────────────
+  const api = window.CURA360.api;
+
+  const DB_NAME = 'cura360';
+  const DB_VERSION = 4;
+
+  /** Ops that fail on the server this many times are parked as 'failed' */
+  const MAX_ATTEMPTS = 5;
+
+  const _handlers = {};
+  let _dbPromise = null;
+  let _syncing = false;
+
+  // ── Owner ────────────────────────────────────────────
+  /** Signed-in user (session stored by auth.js) */
+  function _userId() {
+    const s = api.session.get();
+    return s && s.user ? s.user.id : null;
+  }
+
+  function _own(row) {
+    return !!row && row._user_id === _userId();
+  }
+
+  function _stamp(row) {
+    return { ...row, _user_id: _userId() };
+  }
+
+  function _unstamp(row) {
+    const copy = { ...row };
+    delete copy._user_id;
+    return copy;
+  }
+
+  // ── IndexedDB ────────────────────────────────────────
+  function openDB() {
+    if (_dbPromise) return _dbPromise;
+    _dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = (event) => {
+        const db = request.result;
+        if (event.oldVersion < 1) {
+          db.createObjectStore('patients', { keyPath: 'id' });
+          db.createObjectStore('wounds', { keyPath: 'id' })
+            .createIndex('patient_id', 'patient_id');
+          db.createObjectStore('treatments', { keyPath: 'id' })
+            .createIndex('wound_id', 'wound_id');
+          db.createObjectStore('photos', { keyPath: 'id' })
+            .createIndex('wound_id', 'wound_id');
+          db.createObjectStore('outbox', { keyPath: 'seq', autoIncrement: true });
+        }
+        if (event.oldVersion < 2) {
+          db.createObjectStore('visits', { keyPath: 'id' })
+            .createIndex('wound_id', 'wound_id');
+        }
+        if (event.oldVersion < 3) {
+          db.createObjectStore('supplies', { keyPath: 'id' });
+          db.createObjectStore('supply_kits', { keyPath: 'id' });
+        }
+        if (event.oldVersion < 4) {
+          db.createObjectStore('alerts', { keyPath: 'id' })
+            .createIndex('wound_id', 'wound_id');
+        }
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    return _dbPromise;
+  }
+
+  /**
+   * Runs `fn(store)` inside a transaction and resolves with the value of
+   * the IDBRequest it returns (if any) once the transaction completes.
+   */
+  async function _tx(storeName, mode, fn) {
+    const db = await openDB();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeName, mode);
+      const request = fn(tx.objectStore(storeName));
+      tx.oncomplete = () => resolve(request ? request.result : undefined);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  async function get(store, id) {
+    try {
+      const row = await _tx(store, 'readonly', s => s.get(id));
+      return _own(row) ? _unstamp(row) : null;
+    } catch (err) {
+      console.error('[offline] get error:', err);
+      return null;
+    }
+  }
+
+  async function getAll(store) {
+    try {
+      return (await _tx(store, 'readonly', s => s.getAll())).filter(_own).map(_unstamp);
+    } catch (err) {
+      console.error('[offline] getAll error:', err);
+      return [];
+    }
+  }
+
+  async function getByIndex(store, index, value) {
+    try {
+      return (await _tx(store, 'readonly', s => s.index(index).getAll(value))).filter(_own).map(_unstamp);
+    } catch (err) {
+      console.error('[offline] getByIndex error:', err);
+      return [];
+    }
+  }
+
+  async function put(store, rowOrRows) {
+    const rows = Array.isArray(rowOrRows) ? rowOrRows : [rowOrRows];
+    if (rows.length === 0) return;
+    try {
+      await _tx(store, 'readwrite', s => { rows.forEach(r => s.put(_stamp(r))); });
+    } catch (err) {
+      console.error('[offline] put error:', err);
+    }
+  }
+
+  /**
+   * Replaces the cached rows matching index = value (or the whole store
+   * when index is null) with fresh server rows. The current user's rows
+   * still waiting in the outbox (_pending) are kept; other users' go.
+   */
+  async function replaceWhere(store, index, value, rows) {
+    try {
+      await _tx(store, 'readwrite', s => {
+        const source = index ? s.index(index) : s;
+        const cursorRequest = index ? source.openCursor(IDBKeyRange.only(value)) : source.openCursor();
+        cursorRequest.onsuccess = () => {
+          const cursor = cursorRequest.result;
+          if (!cursor) {
+            rows.forEach(r => s.put(_stamp(r)));
+            return;
+          }
+          if (!(cursor.value._pending && _own(cursor.value))) cursor.delete();
+          cursor.continue();
+        };
+      });
+    } catch (err) {
+      console.error('[offline] replaceWhere error:', err);
+    }
+  }
+
+  /** Empties every store (sign-out); unsynced ops are lost */
+  async function clear() {
+    try {
+      const db = await openDB();
+      const names = Array.from(db.objectStoreNames);
+      await new Promise((resolve, reject) => {
+        const tx = db.transaction(names, 'readwrite');
+        names.forEach(name => tx.objectStore(name).clear());
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+      });
+    } catch (err) {
+      console.error('[offline] clear error:', err);
+    }
+    _notify();
+  }
+
+  async function remove(store, id) {
+    try {
+      await _tx(store, 'readwrite', s => s.delete(id));
+    } catch (err) {
+      console.error('[offline] remove error:', err);
+    }
+  }
+
+  // ── Connectivity helpers ─────────────────────────────
+  function isOnline() {
+    return navigator.onLine !== false;
+  }
+
+  /**
+   * True for failures where the request never reached the server
+   * (fetch TypeError, or the SDK's wrapped equivalent).
+   */
+  function isNetworkError(err) {
+    if (!isOnline()) return true;
+    if (!err) return false;
+    if (err.network || err.name === 'TypeError') return true;
+    return /Failed to fetch|NetworkError|Load failed|Network request failed/i
+      .test(err.message || String(err));
+  }
+
+  function uuid() {
+    if (window.crypto && window.crypto.randomUUID) return window.crypto.randomUUID();
+    const b = window.crypto.getRandomValues(new Uint8Array(16));
+    b[6] = (b[6] & 0x0f) | 0x40;
+    b[8] = (b[8] & 0x3f) | 0x80;
+    const h = Array.from(b, x => x.toString(16).padStart(2, '0')).join('');
+    return `${h.slice(0, 8)}-${h.slice(8, 12)}-${h.slice(12, 16)}-${h.slice(16, 20)}-${h.slice(20)}`;
+  }
+
+  // ── Outbox ───────────────────────────────────────────
+  /**
+   * Adds an operation to the outbox.
+   * @param {object} op - { kind, table?, id?, payload?, store?, ... }
+   */
+  async function enqueue(op) {
+    op.user_id = _userId();
+    op.created_at = new Date().toISOString();
+    op.attempts = 0;
+    op.status = 'pending';
+    await _tx('outbox', 'readwrite', s => s.add(op));
+    _notify();
+  }
+
+  /**
+   * Queues an INSERT and caches the optimistic row.
+   * @returns {Promise<object>} the row, with a client-generated id
+   */
+  async function queueInsert(table, row, store) {
+    const payload = { ...row };
+    if (!payload.id) payload.id = uuid();
+    if (!payload.created_at) payload.created_at = new Date().toISOString();
+    if (store) await put(store, { ...payload, _pending: true });
+    await enqueue({ kind: 'insert', table, id: payload.id, payload, store: store || null });
+    return { ...payload, _pending: true };
+  }
+
+  async function queueUpdate(table, id, values, store) {
+    if (store) {
+      const cached = await get(store, id);
+      if (cached) await put(store, { ...cached, ...values, _pending: true });
+    }
+    await enqueue({ kind: 'update', table, id, payload: values, store: store || null });
+  }
+
+  async function queueDelete(table, id, store) {
+    if (store) await remove(store, id);
+    await enqueue({ kind: 'delete', table, id, store: store || null });
+  }
+
+  /**
+   * Registers a replay handler for custom op kinds (e.g. 'upload').
+   * fn(op) must resolve on success and throw on failure.
+   */
+  function registerHandler(kind, fn) {
+    _handlers[kind] = fn;
+  }
+
+  // ── Replay ───────────────────────────────────────────
+  /** The current user's ops, in queue order (ops of other users are never returned) */
+  async function _ownOps() {
+    const user = _userId();
+    const ops = await _tx('outbox', 'readonly', s => s.getAll());
+    return ops.filter(op => user && op.user_id === user);
+  }
+
+  /** Executes insert / update / delete ops through the REST API */
+  async function _runRest(op) {
+    if (op.kind === 'delete') {
+      await api.remove(op.table, { id: api.eq(op.id) });
+      return null;
+    }
+
+    try {
+      let rows;
+      if (op.kind === 'insert') {
+        const payload = { ...op.payload };
+        delete payload._pending;
+        rows = await api.insert(op.table, payload);
+      } else {
+        rows = await api.update(op.table, { id: api.eq(op.id) }, op.payload);
+      }
+      return rows && rows[0] ? rows[0] : null;
+    } catch (err) {
+      // Insert already applied (response lost on a previous attempt): only
+      // when this op's own row exists. Any other unique violation is a
+      // real failure.
+      if (op.kind === 'insert' && err.code === '23505') {
+        const existing = await api.selectOne(op.table, { id: api.eq(op.id) });
+        if (existing) return existing;
+      }
+      throw err;
+    }
+  }
+
+  /**
+   * Replays the current user's ops in order. Stops at the first network
+   * failure so dependent operations (wound after its patient) keep their
+   * order. Ops of another account stay queued, untouched, for that user.
+   */
+  async function replay() {
+    if (_syncing || !isOnline() || !api.session.token()) return;
+    _syncing = true;
+    _notify();
+
+    try {
+      const ops = await _ownOps();
+      for (const op of ops) {
+        if (op.status === 'failed') continue;
+
+        try {
+          let serverRow = null;
+          if (op.kind === 'insert' || op.kind === 'update' || op.kind === 'delete') {
+            serverRow = await _runRest(op);
+          } else if (_handlers[op.kind]) {
+            await _handlers[op.kind](op);
+          } else {
+            throw new Error('Sin manejador para ' + op.kind);
+          }
+
+          await _tx('outbox', 'readwrite', s => s.delete(op.seq));
+          if (op.store && serverRow) await put(op.store, serverRow);
+
+        } catch (err) {
+          // Network or auth problems affect every op: retry later
+          if (isNetworkError(err) || err.status === 401) {
+            console.warn('[offline] Replay paused:', err.message);
+            break;
+          }
+          op.attempts += 1;
+          op.last_error = err.message;
+          if (op.attempts >= MAX_ATTEMPTS) op.status = 'failed';
+          await _tx('outbox', 'readwrite', s => s.put(op));
+          console.error('[offline] Replay error:', op, err);
+        }
+      }
+    } catch (err) {
+      console.error('[offline] replay error:', err);
+    } finally {
+      _syncing = false;
+      _notify();
+    }
+  }
+
+  async function status() {
+    const ops = await _ownOps();
+    return {
+      online: isOnline(),
+      syncing: _syncing,
+      pending: ops.filter(op => op.status !== 'failed').length,
+      failed: ops.filter(op => op.status === 'failed').length
+    };
+  }
+
+  async function _notify() {
+    const detail = await status();
+    window.dispatchEvent(new CustomEvent('cura360-sync', { detail }));
+  }
+
+  // ── Lifecycle ────────────────────────────────────────
+  window.addEventListener('online', () => {
+    window.CURA360.showToast('Conexión restablecida. Sincronizando...', 'success');
+    replay();
+  });
+  window.addEventListener('offline', () => {
+    window.CURA360.showToast('Sin conexión. Los cambios se guardarán en el dispositivo.', 'warning');
+    _notify();
+  });
+  // Replay leftovers once every module has registered its handlers
+  window.addEventListener('load', () => {
+    replay();
+  });
+
+  if ('serviceWorker' in navigator) {
+    navigator.serviceWorker.register('sw.js').catch(err => {
+      console.error('[offline] Service worker registration failed:', err);
+    });
+  }
+
+  // ── Expose ───────────────────────────────────────────
+  window.CURA360 = window.CURA360 || {};
+  window.CURA360.offline = {
+    isOnline,
+    isNetworkError,
+    uuid,
+    get,
+    getAll,
+    getByIndex,
+    put,
+    replaceWhere,
+    remove,
+    queueInsert,
+    queueUpdate,
+    queueDelete,
+    enqueue,
+    registerHandler,
+    replay,
+    status,
+    clear
+  };
+
+  console.log('[offline] Module loaded');
+
+})();
@@ -0,0 +1,231 @@
+/**
+ * patient-reports.js — Symptoms reported by the patient between visits
+ * ────────────────────────────────────────────────────────────────────
+ * From paciente.html the patient (or a caregiver with the patient's
+ * account) reports pain, the state of the dressing, fever, odor and
+ * bleeding on one of their wounds, with an optional photo. Reports are
+ * stored in patient_reports (migration 0020) and the photo, re-encoded
+ * without metadata (images.processImage), under <wound id>/reports/ in
+ * the `wounds` bucket: display and thumb variants only.
+ *
+ * Staff see the reports in the wound timeline and mark them as
+ * reviewed; while a wound has unreviewed reports alerts.js raises an
+ * alert for it. Sending a report needs a connection; if it fails, the
+ * photo variants already uploaded are removed.
+ *
+ * Public API (window.CURA360.patientReports):
+ *   DRESSING_STATES                 → [{ key, label }]
+ *   create(woundId, data, photo)    → Promise<Report|null>
+ *       data: { pain_scale, dressing_state, fever, odor, bleeding, comment }
+ *   listByWound(woundId)            → Promise<Report[]>  (newest first)
+ *   pendingByWound(woundIds)        → Promise<{ [woundId]: Report[] }>  (unreviewed; throws)
+ *   review(report)                  → Promise<boolean>
+ *   describe(report)                → string[]  (symptoms, for display)
+ *   hasWarning(report)              → boolean  (fever or bleeding)
+ *   timelineHTML(report, options)   → string  (options: { canReview })
+ *   fillPhotos(container, reports)  → Promise<void>  (thumbs into [data-report-photos])
+ *   photoUrl(report, variant)       → Promise<string|null>  ('display' | 'thumb')
+ */
+
+(function () {
+  'use strict';
+
+  const api = window.CURA360.api;
+  const offline = window.CURA360.offline;
+
+  const DRESSING_STATES = [
+    { key: 'intacto',   label: 'Intacto y seco' },
+    { key: 'manchado',  label: 'Manchado' },
+    { key: 'empapado',  label: 'Empapado' },
+    { key: 'despegado', label: 'Despegado o caído' }
+  ];
+
+  /** patient_reports column holding each photo variant's storage path */
+  const PATH_COLUMNS = { display: 'photo_path', thumb: 'thumb_path' };
+
+  // ── Send ─────────────────────────────────────────────
+  /** Uploads the variants, pushing each stored path to `uploaded` */
+  async function _uploadPhoto(woundId, file, uploaded) {
+    const images = window.CURA360.images;
+    const variants = await images.processImage(file);
+    const base = `${woundId}/reports/${Date.now()}`;
+    const paths = { photo_path: `${base}_display.jpg`, thumb_path: `${base}_thumb.jpg` };
+    await api.storage.upload(paths.photo_path, variants.display.blob, images.CONTENT_TYPE);
+    uploaded.push(paths.photo_path);
+    await api.storage.upload(paths.thumb_path, variants.thumb.blob, images.CONTENT_TYPE);
+    uploaded.push(paths.thumb_path);
+    return paths;
+  }
+
+  /** Best effort (wound_files_delete_own_report): never hides the send error */
+  async function _removeUploaded(paths) {
+    for (const path of paths) {
+      try {
+        await api.storage.remove(path);
+      } catch (err) {
+        console.error('[patientReports] cleanup error:', path, err);
+      }
+    }
+  }
+
+  async function create(woundId, data, photo) {
+    const user = window.CURA360.auth.getCurrentUser();
+    if (!user) {
+      window.CURA360.showToast('Usuario no autenticado.');
+      return null;
+    }
+    if (!offline.isOnline()) {
+      window.CURA360.showToast('Se requiere conexión para enviar el reporte.', 'warning');
+      return null;
+    }
+
+    const uploaded = [];
+    let inserting = false;
+    try {
+      window.CURA360.setLoader(true);
+      const row = {
+        wound_id: woundId,
+        reported_by: user.id,
+        pain_scale: data.pain_scale === '' || data.pain_scale == null ? null : Number(data.pain_scale),
+        dressing_state: data.dressing_state || null,
+        fever: data.fever === true,
+        odor: data.odor === true,
+        bleeding: data.bleeding === true,
+        comment: (data.comment || '').trim() || null
+      };
+      if (photo) Object.assign(row, await _uploadPhoto(woundId, photo, uploaded));
+
+      inserting = true;
+      const [saved] = await api.insert('patient_reports', row);
+      window.CURA360.showToast('Reporte enviado a su equipo de salud.', 'success');
+      return saved;
+    } catch (err) {
+      console.error('[patientReports] create error:', err);
+      // An insert lost on the network may have been saved: keep its photo
+      if (!(inserting && offline.isNetworkError(err))) await _removeUploaded(uploaded);
+      window.CURA360.showToast(offline.isNetworkError(err)
+        ? 'Sin conexión: el reporte no se envió. Intente de nuevo.'
+        : 'Error al enviar el reporte.');
+      return null;
+    } finally {
+      window.CURA360.setLoader(false);
+    }
+  }
+
+  // ── Read ─────────────────────────────────────────────
+  async function listByWound(woundId) {
+    try {
+      return await api.select('patient_reports', {
+        wound_id: api.eq(woundId),
+        order: 'created_at.desc'
+      });
+    } catch (err) {
+      if (!offline.isNetworkError(err)) console.error('[patientReports] list error:', err);
+      return [];
+    }
+  }
+
+  /** Unreviewed reports of several wounds in one request (alerts.js) */
+  async function pendingByWound(woundIds) {
+    const pending = {};
+    if (!woundIds.length) return pending;
+    const rows = await api.select('patient_reports', {
+      select: 'id,wound_id,fever,bleeding,created_at',
+      wound_id: 'in.(' + woundIds.join(',') + ')',
+      reviewed_at: 'is.null',
+      order: 'created_at.asc'
+    });
+    rows.forEach(row => { (pending[row.wound_id] = pending[row.wound_id] || []).push(row); });
+    return pending;
+  }
+
+  // ── Review ───────────────────────────────────────────
+  async function review(report) {
+    if (!offline.isOnline()) {
+      window.CURA360.showToast('Se requiere conexión para revisar el reporte.', 'warning');
+      return false;
+    }
+    try {
+      // reviewed_at / reviewed_by are stamped by the patient_reports_guard trigger
+      await api.update('patient_reports', { id: api.eq(report.id) }, { reviewed_at: new Date().toISOString() });
+      window.CURA360.showToast('Reporte marcado como revisado', 'success');
+      return true;
+    } catch (err) {
+      console.error('[patientReports] review error:', err);
+      window.CURA360.showToast(err.code === '42501'
+        ? 'El reporte ya fue revisado.'
+        : 'Error al marcar el reporte como revisado.');
+      return false;
+    }
+  }
+
+  // ── Display ──────────────────────────────────────────
+  function describe(report) {
+    const items = [];
+    if (report.pain_scale !== null && report.pain_scale !== undefined) items.push(`Dolor ${report.pain_scale}/10`);
+    const dressing = DRESSING_STATES.find(d => d.key === report.dressing_state);
+    if (dressing) items.push('Apósito: ' + dressing.label.toLowerCase());
+    if (report.fever) items.push('Fiebre');
+    if (report.odor) items.push('Mal olor');
+    if (report.bleeding) items.push('Sangrado');
+    return items;
+  }
+
+  function hasWarning(report) {
+    return report.fever === true || report.bleeding === true;
+  }
+
+  function timelineHTML(report, options = {}) {
+    const esc = window.CURA360.escapeHTML;
+    const symptoms = describe(report);
+    const reviewed = !!report.reviewed_at;
+    return `
+      <div class="timeline-item timeline-item--report">
+        <div class="timeline-item__card">
+          <div class="timeline-item__date">${window.CURA360.formatDateTime(report.created_at)}</div>
+          <div class="timeline-item__technique patient-report__title">
+            Reporte del paciente
+            ${hasWarning(report) ? '<span class="badge badge--critical">Signos de alarma</span>' : ''}
+            <span class="badge ${reviewed ? 'badge--closed' : 'badge--pending'}">${reviewed ? 'Revisado' : 'Sin revisar'}</span>
+          </div>
+          <div class="timeline-item__detail">${symptoms.length ? esc(symptoms.join(' · ')) : 'Sin síntomas marcados'}</div>
+          ${report.comment ? `<div class="timeline-item__detail"><strong>Comentario:</strong> ${esc(report.comment)}</div>` : ''}
+          ${reviewed ? `<div class="timeline-item__detail patient-report__reviewed">Revisado el ${window.CURA360.formatDateTime(report.reviewed_at)}</div>` : ''}
+          <div class="timeline-item__photos" data-report-photos="${report.id}"></div>
+          ${options.canReview && !reviewed ? `
+            <button class="btn btn--secondary btn--sm patient-report__review" type="button"
+              data-report-review="${report.id}">Marcar como revisado</button>` : ''}
+        </div>
+      </div>`;
+  }
+
+  function photoUrl(report, variant = 'thumb') {
+    const path = report[PATH_COLUMNS[variant]] || report.photo_path;
+    return path ? window.CURA360.images.getSignedUrl(path) : Promise.resolve(null);
+  }
+
+  async function fillPhotos(container, reports) {
+    for (const report of reports.filter(r => r.photo_path)) {
+      const el = container.querySelector(`[data-report-photos="${report.id}"]`);
+      const url = await photoUrl(report, 'thumb');
+      if (el && url) {
+        el.innerHTML = `<img class="timeline-item__photo" src="${url}" data-report-id="${report.id}" alt="Foto enviada por el paciente" loading="lazy" />`;
+      }
+    }
+  }
+
+  // ── Expose ───────────────────────────────────────────
+  window.CURA360.patientReports = {
+    DRESSING_STATES,
+    create,
+    listByWound,
+    pendingByWound,
+    review,
+    describe,
+    hasWarning,
+    timelineHTML,
+    fillPhotos,
+    photoUrl
+  };
+
+})();
@@ -1,35 +1,32 @@
 /**
  * patients.js — Patient CRUD operations
  * ─────────────────────────────────────────
- * Uses direct fetch API with token from localStorage.
- * Workaround for Supabase client not attaching auth tokens correctly.
+ * Goes through the shared API client (api.js), which attaches the
+ * session token and normalizes errors.
+ * Reads are cached in IndexedDB and creates are queued while offline
+ * (see offline.js).
  *
  * Public API (window.CURA360.patients):
  *   create(data)       → Promise<Patient>
- *   list()             → Promise<Patient[]>
+ *   list()             → Promise<Patient[]>  (own, shared and team patients)
  *   getById(id)        → Promise<Patient>
+ *   getByUser(userId)  → Promise<Patient>  (record linked to a patient account)
+ *   setLocation(id, { lat, lng }|null) → Promise<boolean>  (home coordinates, see routes.js)
+ *
+ * Rows returned by create/list/getById carry `access`: the current
+ * user's access to the patient — 'owner', 'write' or 'read' (shared
+ * with them or auditor) or 'admin' (team admin). See teams.js.
  */
 
 (function () {
   'use strict';
 
-  const sb = window.CURA360.supabase;
-  const SUPABASE_URL = 'https://ghzfnosevncivblpbful.supabase.co';
-  const SUPABASE_KEY = 'sb_publishable_zLely_K2mNNHQv82YeV40A_-Tj1XLDg';
-  const STORAGE_KEY = 'sb-' + SUPABASE_URL.match(/\/\/(.+?)\.supabase/)[1] + '-auth-token';
+  const api = window.CURA360.api;
+  const offline = window.CURA360.offline;
 
-  // ── Helper: get auth token from localStorage ─────────
-  function getToken() {
-    const sessionData = localStorage.getItem(STORAGE_KEY);
-    if (!sessionData) return null;
-    try {
-      const session = JSON.parse(sessionData);
-      return session.access_token;
-    } catch (err) {
-      console.error('[patients] Error parsing session:', err);
-      return null;
-    }
-  }
+  // Shares are embedded to derive `access`; RLS only returns the caller's own
+  // share unless they manage the patient
+  const SELECT_WITH_SHARES = '*,patient_shares(professional_id,access)';
 
   // ── Create patient ───────────────────────────────────
   async function create(data) {
@@ -39,8 +36,7 @@
       return null;
     }
 
-    const token = getToken();
-    if (!token) {
+    if (!api.session.token()) {
       window.CURA360.showToast('Sesión expirada. Inicie sesión de nuevo.');
       return null;
     }
@@ -84,28 +80,16 @@
     payload.name = data.name;
     payload.age = parseInt(data.age, 10);
 
-    try {
-      const response = await fetch(SUPABASE_URL + '/rest/v1/patients', {
-        method: 'POST',
-        headers: {
-          'apikey': SUPABASE_KEY,
-          'Authorization': 'Bearer ' + token,
-          'Content-Type': 'application/json',
-          'Prefer': 'return=representation'
-        },
-        body: JSON.stringify(payload)
-      });
-
-      if (!response.ok) {
-        console.error('[patients] create HTTP error:', response.status);
-        window.CURA360.showToast('Error al crear paciente.');
-        return null;
-      }
+    if (!offline.isOnline()) return _queueCreate(payload);
 
-      const rows = await response.json();
+    try {
+      const rows = await api.insert('patients', payload);
+      const row = _withAccess(rows[0], user);
+      await offline.put('patients', row);
       window.CURA360.showToast('Paciente creado exitosamente.', 'success');
-      return rows[0];
+      return row;
     } catch (err) {
+      if (offline.isNetworkError(err)) return _queueCreate(payload);
       console.error('[patients] create error:', err);
       window.CURA360.showToast('Error al crear paciente.');
       return null;
@@ -114,26 +98,19 @@
 
   // ── List patients ────────────────────────────────────
   async function list() {
-    const token = getToken();
-    if (!token) return [];
-
-    try {
-      const response = await fetch(SUPABASE_URL + '/rest/v1/patients?select=*&order=created_at.desc', {
-        headers: {
-          'apikey': SUPABASE_KEY,
-          'Authorization': 'Bearer ' + token,
-          'Content-Type': 'application/json'
-        }
-      });
+    if (!api.session.token()) return [];
 
-      if (!response.ok) {
-        console.error('[patients] list HTTP error:', response.status);
-        window.CURA360.showToast('Error al cargar pacientes.');
-        return [];
-      }
+    const user = window.CURA360.auth.getCurrentUser();
 
-      return await response.json();
+    try {
+      const rows = (await api.select('patients', {
+        select: SELECT_WITH_SHARES,
+        order: 'created_at.desc'
+      })).map(row => _withAccess(row, user));
+      await offline.replaceWhere('patients', null, null, rows);
+      return rows;
     } catch (err) {
+      if (offline.isNetworkError(err)) return _listCached(user);
       console.error('[patients] list error:', err);
       window.CURA360.showToast('Error al cargar pacientes.');
       return [];
@@ -142,32 +119,112 @@
 
   // ── Get single patient ───────────────────────────────
   async function getById(id) {
-    const token = getToken();
-    if (!token) return null;
+    if (!api.session.token()) return null;
+
+    const user = window.CURA360.auth.getCurrentUser();
 
     try {
-      const response = await fetch(SUPABASE_URL + '/rest/v1/patients?id=eq.' + id + '&select=*', {
-        headers: {
-          'apikey': SUPABASE_KEY,
-          'Authorization': 'Bearer ' + token,
-          'Content-Type': 'application/json'
-        }
+      let row = await api.selectOne('patients', {
+        select: SELECT_WITH_SHARES,
+        id: api.eq(id)
       });
-
-      if (!response.ok) {
-        console.error('[patients] getById HTTP error:', response.status);
-        return null;
+      if (row) {
+        row = _withAccess(row, user);
+        await offline.put('patients', row);
       }
-
-      const rows = await response.json();
-      return rows[0] || null;
+      return row;
     } catch (err) {
+      if (offline.isNetworkError(err)) {
+        const cached = await offline.get('patients', id);
+        return cached && !cached.access ? _withAccess(cached, user) : cached;
+      }
       console.error('[patients] getById error:', err);
       return null;
     }
   }
 
+  // ── Get the record linked to a patient account ─────
+  async function getByUser(userId) {
+    if (!api.session.token()) return null;
+
+    try {
+      const row = await api.selectOne('patients', { user_id: api.eq(userId) });
+      if (row) await offline.put('patients', row);
+      return row;
+    } catch (err) {
+      if (offline.isNetworkError(err)) {
+        const rows = await offline.getAll('patients');
+        return rows.find(p => p.user_id === userId) || null;
+      }
+      console.error('[patients] getByUser error:', err);
+      return null;
+    }
+  }
+
+  // ── Home location ────────────────────────────────────
+  async function setLocation(id, point) {
+    const values = {
+      latitude:  point ? Number(point.lat.toFixed(6)) : null,
+      longitude: point ? Number(point.lng.toFixed(6)) : null
+    };
+
+    try {
+      if (offline.isOnline()) {
+        try {
+          await api.update('patients', { id: api.eq(id) }, values);
+          const cached = await offline.get('patients', id);
+          if (cached) await offline.put('patients', { ...cached, ...values });
+          return true;
+        } catch (err) {
+          if (!offline.isNetworkError(err)) throw err;
+        }
+      }
+      await offline.queueUpdate('patients', id, values, 'patients');
+      window.CURA360.showToast('Sin conexión: la ubicación se sincronizará después.', 'warning');
+      return true;
+    } catch (err) {
+      console.error('[patients] setLocation error:', err);
+      window.CURA360.showToast('Error al guardar la ubicación.');
+      return false;
+    }
+  }
+
+  // ── Access level ─────────────────────────────────────
+  /**
+   * Replaces the embedded shares with the caller's access level. A row the
+   * caller neither owns nor has a share for is only visible to team admins
+   * and auditors.
+   */
+  function _withAccess(row, user) {
+    const userId = user && user.id;
+    const shares = row.patient_shares || [];
+    delete row.patient_shares;
+
+    if (row.professional_id === userId) {
+      row.access = 'owner';
+    } else {
+      const own = shares.find(s => s.professional_id === userId);
+      if (own) row.access = own.access;
+      else row.access = user && user.role === 'auditor' ? 'read' : 'admin';
+    }
+    return row;
+  }
+
+  // ── Offline fallbacks ────────────────────────────────
+  async function _queueCreate(payload) {
+    const row = await offline.queueInsert('patients', payload, 'patients');
+    window.CURA360.showToast('Sin conexión: paciente guardado en el dispositivo.', 'warning');
+    return { ...row, access: 'owner' };
+  }
+
+  // Rows queued offline are cached without `access`
+  async function _listCached(user) {
+    const rows = (await offline.getAll('patients'))
+      .map(row => row.access ? row : _withAccess(row, user));
+    return rows.sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+  }
+
   // ── Expose ─────────────────────────────────────────
-  window.CURA360.patients = { create, list, getById };
+  window.CURA360.patients = { create, list, getById, getByUser, setLocation };
 
 })();
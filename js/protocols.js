@@ -0,0 +1,150 @@
+/**
+ * protocols.js — Structured curación record + protocol templates
+ * ───────────────────────────────────────────────────────────────
+ * Besides the technique, each curación records what was done in a
+ * fixed set of fields (FIELDS), stored as treatments.protocol
+ * (migration 0017):
+ *
+ *   { cleansing, debridement, periwound, primary_dressing,
+ *     secondary_dressing, fixation, compression, change_interval_days }
+ *
+ * config/protocol-templates.json holds the suggested values of each
+ * field and reusable templates per wound type (wounds.wound_type_standard)
+ * that prefill the technique, the frequency and the record. Editing the
+ * file needs no code change; increment its `version`.
+ *
+ * Public API (window.CURA360.protocols):
+ *   FIELDS                          → [{ key, label }]  (display order)
+ *   load()                          → Promise<{ version, options, templates }>
+ *   loaded()                        → config | null  (after load)
+ *   templatesFor(config, woundType) → { matching: Template[], others: Template[] }
+ *   template(id)                    → Template | null  (from the loaded config)
+ *   pick(values)                    → protocol | null  (non-empty FIELDS only)
+ *   describe(protocol)              → [{ label, value }]
+ *   summaryHTML(treatment)          → string  (timeline markup, '' without a record)
+ */
+
+(function () {
+  'use strict';
+
+  const CONFIG_URL = 'config/protocol-templates.json';
+
+  const FIELDS = [
+    { key: 'cleansing',          label: 'Limpieza' },
+    { key: 'debridement',        label: 'Desbridamiento' },
+    { key: 'periwound',          label: 'Piel perilesional' },
+    { key: 'primary_dressing',   label: 'Apósito primario' },
+    { key: 'secondary_dressing', label: 'Apósito secundario' },
+    { key: 'fixation',           label: 'Fijación' },
+    { key: 'compression',        label: 'Compresión / descarga' }
+  ];
+
+  let _configPromise = null;
+  let _config = null;
+
+  // ── Templates ────────────────────────────────────────
+  function _validate(config) {
+    if (!config || !config.version || !Array.isArray(config.templates)) {
+      throw new Error('Plantillas de protocolo inválidas: falta version o templates');
+    }
+    const ids = new Set();
+    config.templates.forEach(t => {
+      if (!t.id || ids.has(t.id)) throw new Error('Plantilla sin id o con id repetido: ' + t.id);
+      if (!t.label || !t.technique) throw new Error('Plantilla ' + t.id + ': falta label o technique');
+      ids.add(t.id);
+    });
+    return { version: config.version, options: config.options || {}, templates: config.templates };
+  }
+
+  /** Without the file the form still records the fields, without templates */
+  function load() {
+    if (!_configPromise) {
+      _configPromise = fetch(CONFIG_URL, { cache: 'no-cache' })
+        .then(response => {
+          if (!response.ok) throw new Error('HTTP ' + response.status);
+          return response.json();
+        })
+        .then(config => {
+          _config = _validate(config);
+          return _config;
+        })
+        .catch(err => {
+          console.error('[protocols] load error:', err);
+          _configPromise = null; // allow a retry on the next form
+          return { version: null, options: {}, templates: [] };
+        });
+    }
+    return _configPromise;
+  }
+
+  function loaded() {
+    return _config;
+  }
+
+  function templatesFor(config, woundType) {
+    const matching = [];
+    const others = [];
+    config.templates.forEach(t => {
+      const types = t.woundTypes || [];
+      if (types.length === 0 || types.indexOf(woundType) !== -1) matching.push(t);
+      else others.push(t);
+    });
+    return { matching, others };
+  }
+
+  function template(id) {
+    if (!_config || !id) return null;
+    return _config.templates.find(t => t.id === id) || null;
+  }
+
+  // ── Record ───────────────────────────────────────────
+  function pick(values) {
+    if (!values) return null;
+    const protocol = {};
+    FIELDS.forEach(f => {
+      const value = typeof values[f.key] === 'string' ? values[f.key].trim() : '';
+      if (value) protocol[f.key] = value;
+    });
+    const days = parseInt(values.change_interval_days, 10);
+    if (days > 0) protocol.change_interval_days = days;
+    return Object.keys(protocol).length ? protocol : null;
+  }
+
+  function describe(protocol) {
+    if (!protocol) return [];
+    const rows = FIELDS
+      .filter(f => protocol[f.key])
+      .map(f => ({ label: f.label, value: protocol[f.key] }));
+    if (protocol.change_interval_days) {
+      const days = protocol.change_interval_days;
+      rows.push({ label: 'Próximo cambio', value: 'En ' + days + (days === 1 ? ' día' : ' días') });
+    }
+    return rows;
+  }
+
+  /** Template name (once the config is loaded) and one row per field */
+  function summaryHTML(treatment) {
+    const rows = describe(treatment.protocol);
+    if (!rows.length) return '';
+    const esc = window.CURA360.escapeHTML;
+    const source = template(treatment.protocol_template);
+    return `
+      <dl class="protocol-summary">
+        ${source ? `<div class="protocol-summary__template">Protocolo: ${esc(source.label)}</div>` : ''}
+        ${rows.map(r => `<div class="protocol-summary__row"><dt>${esc(r.label)}</dt><dd>${esc(r.value)}</dd></div>`).join('')}
+      </dl>`;
+  }
+
+  // ── Expose ───────────────────────────────────────────
+  window.CURA360.protocols = {
+    FIELDS,
+    load,
+    loaded,
+    templatesFor,
+    template,
+    pick,
+    describe,
+    summaryHTML
+  };
+
+})();
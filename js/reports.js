@@ -0,0 +1,330 @@
+/**
+ * reports.js — Printable clinical reports
+ * ────────────────────────────────────────
+ * Builds the evolution report handed to physicians, family or the
+ * CESFAM, for one wound or for every wound of a patient. Everything is
+ * rendered in the browser; report.html prints it (or saves it as PDF
+ * from the print dialog).
+ *
+ * A report holds the patient's demographics and antecedentes, and per
+ * wound: its characterization, the clinical stage progress and history,
+ * the area-over-time chart, the full curación timeline and the photos
+ * chosen by the professional (with their tissue composition), followed
+ * by the signature block.
+ *
+ * Public API (window.CURA360.reports):
+ *   load({ woundId } | { patientId }) → Promise<Report|null>
+ *       Report: { patient, wounds: [{ wound, treatments, measurements, stageHistory, images }] }
+ *   photoUrl(image)                   → Promise<string|null>  (display size: local copy or signed URL)
+ *   render(report, options)           → string  (report HTML)
+ *       options: { photos: { [imageId]: url }, signer: { name, credential } }
+ *   loadSigner() / saveSigner(signer) → signer kept on this device
+ */
+
+(function () {
+  'use strict';
+
+  const SIGNER_KEY = 'cura360-report-signer';
+
+  // ── Labels ───────────────────────────────────────────
+  const WOUND_TYPE_LABELS = {
+    ulcera_presion: 'Úlcera por presión',
+    ulcera_venosa: 'Úlcera venosa',
+    ulcera_arterial: 'Úlcera arterial',
+    pie_diabetico: 'Pie diabético',
+    ulcera_mixta: 'Úlcera mixta',
+    traumatica: 'Traumática',
+    quirurgica: 'Quirúrgica',
+    quemadura: 'Quemadura',
+    otra: 'Otra'
+  };
+
+  const GRADE_LABELS = {
+    '1': 'Grado 1 - Eritema no blanqueable',
+    '2': 'Grado 2 - Pérdida parcial espesor',
+    '3': 'Grado 3 - Pérdida total espesor',
+    '4': 'Grado 4 - Pérdida total + exposición ósea',
+    no_estadiable: 'No estadiable'
+  };
+
+  const STATUS_LABELS = { active: 'Activa', pending: 'En evaluación', critical: 'Crítica', closed: 'Cerrada' };
+
+  const MOBILITY_LABELS = {
+    ambulante: 'Ambulante',
+    ambulante_ayuda: 'Ambulante con ayuda',
+    silla_ruedas: 'Silla de ruedas',
+    postrado: 'Postrado'
+  };
+
+  const _cap = text => text ? text.charAt(0).toUpperCase() + text.slice(1) : text;
+
+  // ── Data ─────────────────────────────────────────────
+  async function _woundSection(wound) {
+    const c = window.CURA360;
+    // Sequential on purpose: images.list cancels an overlapping call
+    const treatments = await c.treatments.listByWound(wound.id);
+    const measurements = await c.measurements.listByWound(wound.id);
+    const stageHistory = await c.wounds.listStageHistory(wound.id);
+    const images = await c.images.list(wound.id);
+    return { wound, treatments, measurements, stageHistory, images };
+  }
+
+  async function load({ woundId, patientId }) {
+    const c = window.CURA360;
+    let woundRows;
+    if (woundId) {
+      const wound = await c.wounds.getById(woundId);
+      if (!wound) return null;
+      patientId = wound.patient_id;
+      woundRows = [wound];
+    }
+
+    const patient = await c.patients.getById(patientId);
+    if (!patient) return null;
+    if (!woundRows) woundRows = await c.wounds.listByPatient(patientId);
+
+    await c.protocols.load();
+    const sections = [];
+    for (const wound of woundRows) sections.push(await _woundSection(wound));
+    return { patient, wounds: sections };
+  }
+
+  function photoUrl(image) {
+    return window.CURA360.images.url(image, 'display');
+  }
+
+  // ── Signer ───────────────────────────────────────────
+  function loadSigner() {
+    try {
+      return JSON.parse(localStorage.getItem(SIGNER_KEY)) || { name: '', credential: '' };
+    } catch (err) {
+      return { name: '', credential: '' };
+    }
+  }
+
+  function saveSigner(signer) {
+    localStorage.setItem(SIGNER_KEY, JSON.stringify({
+      name: signer.name || '',
+      credential: signer.credential || ''
+    }));
+  }
+
+  // ── Rendering ────────────────────────────────────────
+  function _rows(pairs) {
+    const esc = window.CURA360.escapeHTML;
+    return pairs
+      .map(([label, value]) => `
+        <div class="report-field">
+          <span class="report-field__label">${label}</span>
+          <span class="report-field__value">${value === null || value === undefined || value === '' ? '—' : esc(value)}</span>
+        </div>`)
+      .join('');
+  }
+
+  function _patientHTML(p) {
+    return `
+      <section class="report-section">
+        <h2 class="report-section__title">Antecedentes del paciente</h2>
+        <div class="report-fields">
+          ${_rows([
+            ['Nombre', p.name],
+            ['RUT', p.rut],
+            ['Edad', p.age !== null && p.age !== undefined ? p.age + ' años' : null],
+            ['Teléfono', p.phone],
+            ['Dirección', [p.address, p.commune].filter(Boolean).join(', ')],
+            ['Diagnóstico', p.diagnosis],
+            ['Antecedentes médicos', p.medical_history],
+            ['Medicamentos', p.medications],
+            ['Alergias', p.allergies],
+            ['Comorbilidades', p.comorbidities],
+            ['Índice de Barthel', p.barthel_index],
+            ['Movilidad', MOBILITY_LABELS[p.mobility] || p.mobility],
+            ['Cuidador/a', [p.caregiver_name, p.caregiver_phone].filter(Boolean).join(' · ')]
+          ])}
+        </div>
+      </section>`;
+  }
+
+  function _dimensions(w) {
+    const parts = [w.length_cm, w.width_cm, w.depth_cm].filter(v => v !== null && v !== undefined);
+    if (!parts.length) return w.dimensions;
+    return parts.map(Number).join(' × ') + ' cm';
+  }
+
+  function _characterizationHTML(w) {
+    const area = window.CURA360.measurements.area(w);
+    return `
+      <div class="report-fields">
+        ${_rows([
+          ['Tipo', WOUND_TYPE_LABELS[w.wound_type_standard] || w.type],
+          ['Grado / estadio', GRADE_LABELS[w.wound_grade] || w.wound_grade],
+          ['Ubicación', w.location],
+          ['Estado', STATUS_LABELS[w.status] || w.status],
+          ['Fecha de inicio', window.CURA360.formatDate(w.created_at)],
+          ['Dimensiones (largo × ancho × prof.)', _dimensions(w)],
+          ['Área', area !== null ? _area(area) : null],
+          ['Exudado', [_cap(w.exudate_amount), w.exudate_type].filter(Boolean).join(', ')],
+          ['Dolor (EVA)', w.pain_scale !== null && w.pain_scale !== undefined ? w.pain_scale + '/10' : null],
+          ['Signos de infección', w.infection_signs === true ? 'Sí' : w.infection_signs === false ? 'No' : null],
+          ['Frecuencia de curación', w.dressing_frequency_days
+            ? 'Cada ' + w.dressing_frequency_days + (w.dressing_frequency_days === 1 ? ' día' : ' días')
+            : null]
+        ])}
+      </div>`;
+  }
+
+  function _area(value) {
+    return value.toLocaleString('es-CL', { maximumFractionDigits: 1 }) + ' cm²';
+  }
+
+  function _stageHTML(w, history) {
+    const c = window.CURA360;
+    const esc = c.escapeHTML;
+    const rules = c.stageRules;
+    const items = history.length === 0
+      ? '<p class="report-empty">Sin cambios de etapa registrados.</p>'
+      : `<table class="report-table">
+          <thead><tr><th>Fecha</th><th>Cambio</th><th>Motivo</th></tr></thead>
+          <tbody>${history.slice().reverse().map(h => `
+            <tr>
+              <td>${c.formatDateTime(h.created_at)}</td>
+              <td>${h.from_stage ? rules.label(h.from_stage) + ' → ' : ''}${rules.label(h.to_stage)}</td>
+              <td>${esc(h.reason || (h.trigger === 'auto' ? 'Automático' : 'Manual'))}</td>
+            </tr>`).join('')}
+          </tbody>
+        </table>`;
+    return `
+      <h3 class="report-subtitle">Etapa clínica</h3>
+      ${rules.renderProgress(w)}
+      ${items}`;
+  }
+
+  function _evolutionHTML(measurements) {
+    const m = window.CURA360.measurements;
+    const points = measurements.map(row => ({ date: row.created_at, value: m.area(row) }));
+    const chart = window.CURA360.charts.lineChart(points, { unit: 'cm²' });
+    if (!chart) {
+      return `
+        <h3 class="report-subtitle">Evolución del área</h3>
+        <p class="report-empty">Sin mediciones con largo y ancho.</p>`;
+    }
+
+    const trend = m.analyzeTrend(measurements);
+    const summary = [];
+    if (trend.initialArea !== null) summary.push('Inicial: ' + _area(trend.initialArea));
+    if (trend.currentArea !== null) summary.push('Actual: ' + _area(trend.currentArea));
+    if (trend.areaReductionPct !== null) {
+      const pct = Math.round(trend.areaReductionPct);
+      summary.push(pct >= 0 ? 'Reducción: ' + pct + '%' : 'Aumento: ' + Math.abs(pct) + '%');
+    }
+    summary.push(trend.samples + (trend.samples === 1 ? ' medición' : ' mediciones') +
+      (trend.daysSpan ? ' en ' + trend.daysSpan + ' días' : ''));
+
+    return `
+      <h3 class="report-subtitle">Evolución del área</h3>
+      <div class="report-chart">${chart}</div>
+      <p class="report-note">${summary.join(' · ')}</p>`;
+  }
+
+  function _timelineHTML(treatments) {
+    const c = window.CURA360;
+    const esc = c.escapeHTML;
+    const rows = treatments.slice().sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+    if (!rows.length) {
+      return `
+        <h3 class="report-subtitle">Curaciones</h3>
+        <p class="report-empty">Sin curaciones registradas.</p>`;
+    }
+    return `
+      <h3 class="report-subtitle">Curaciones (${rows.length})</h3>
+      <table class="report-table">
+        <thead><tr><th>Fecha</th><th>Técnica</th><th>Insumos</th><th>Observaciones</th></tr></thead>
+        <tbody>${rows.map(t => `
+          <tr>
+            <td>${c.formatDateTime(t.created_at)}</td>
+            <td>${esc(t.technique)}${c.protocols.summaryHTML(t)}</td>
+            <td>${esc((t.treatment_supplies || []).map(c.supplies.describeLine).concat(t.supplies || []).join(', ') || '—')}</td>
+            <td>${esc(t.notes || '—')}</td>
+          </tr>`).join('')}
+        </tbody>
+      </table>`;
+  }
+
+  function _photosHTML(images, photos) {
+    const chosen = images
+      .filter(img => photos[img.id])
+      .sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+    if (!chosen.length) return '';
+    const esc = window.CURA360.escapeHTML;
+    return `
+      <h3 class="report-subtitle">Registro fotográfico</h3>
+      <div class="report-photos">${chosen.map(img => `
+        <figure class="report-photo">
+          <img src="${photos[img.id]}" alt="Foto de herida" />
+          <figcaption>${window.CURA360.formatDate(img.created_at)}${img.notes ? ' · ' + esc(img.notes) : ''}${
+            img.tissue_composition ? '<br>' + esc(window.CURA360.tissue.describe(img.tissue_composition)) : ''}</figcaption>
+        </figure>`).join('')}
+      </div>`;
+  }
+
+  function _woundHTML(section, index, total, photos) {
+    const w = section.wound;
+    const esc = window.CURA360.escapeHTML;
+    return `
+      <section class="report-section report-section--wound">
+        <h2 class="report-section__title">
+          ${total > 1 ? 'Herida ' + (index + 1) + ': ' : ''}${esc(w.type)} — ${esc(w.location)}
+        </h2>
+        ${_characterizationHTML(w)}
+        ${_stageHTML(w, section.stageHistory)}
+        ${_evolutionHTML(section.measurements)}
+        ${_timelineHTML(section.treatments)}
+        ${_photosHTML(section.images, photos)}
+      </section>`;
+  }
+
+  function _signatureHTML(signer) {
+    const esc = window.CURA360.escapeHTML;
+    return `
+      <section class="report-signature">
+        <div class="report-signature__line"></div>
+        <div class="report-signature__name">${esc(signer.name) || 'Nombre del profesional'}</div>
+        ${signer.credential ? `<div class="report-signature__credential">${esc(signer.credential)}</div>` : ''}
+        <div class="report-signature__date">${window.CURA360.formatDate(new Date().toISOString())}</div>
+      </section>`;
+  }
+
+  function render(report, options = {}) {
+    const photos = options.photos || {};
+    const signer = options.signer || loadSigner();
+    const total = report.wounds.length;
+    const title = total === 1 ? 'Informe de evolución de herida' : 'Informe de evolución de heridas';
+
+    return `
+      <header class="report-header">
+        <div class="report-header__brand">Cura<span>360</span></div>
+        <div>
+          <h1 class="report-header__title">${title}</h1>
+          <div class="report-header__meta">
+            ${window.CURA360.escapeHTML(report.patient.name)} · Emitido el ${window.CURA360.formatDateTime(new Date().toISOString())}
+          </div>
+        </div>
+      </header>
+      ${_patientHTML(report.patient)}
+      ${total === 0
+        ? '<section class="report-section"><p class="report-empty">El paciente no tiene heridas registradas.</p></section>'
+        : report.wounds.map((s, i) => _woundHTML(s, i, total, photos)).join('')}
+      ${_signatureHTML(signer)}
+    `;
+  }
+
+  // ── Expose ───────────────────────────────────────────
+  window.CURA360.reports = {
+    load,
+    photoUrl,
+    render,
+    loadSigner,
+    saveSigner
+  };
+
+})();
@@ -122,6 +122,35 @@
     });
   }
 
+  /**
+   * Formats a date string including the time of day.
+   * @param {string} isoString
+   * @returns {string}  e.g. "15 de enero de 2025, 14:30"
+   */
+  function formatDateTime(isoString) {
+    if (!isoString) return '—';
+    const d = new Date(isoString);
+    return formatDate(isoString) + ', ' + d.toLocaleTimeString('es-CL', {
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+  }
+
+  /**
+   * Escapes text for safe interpolation into innerHTML templates.
+   * @param {*} value
+   * @returns {string}
+   */
+  function escapeHTML(value) {
+    if (value === null || value === undefined) return '';
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
   /**
    * Returns initials from a name string.
    * @param {string} name
@@ -143,6 +172,8 @@
   window.CURA360.closeModal = closeModal;
   window.CURA360.setLoader  = setLoader;
   window.CURA360.formatDate = formatDate;
+  window.CURA360.formatDateTime = formatDateTime;
+  window.CURA360.escapeHTML = escapeHTML;
   window.CURA360.getInitials = getInitials;
 
 })();
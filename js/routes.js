@@ -0,0 +1,261 @@
+/**
+ * routes.js — Home-visit route planning
+ * ──────────────────────────────────────
+ * Orders the day's visits into a short driving sequence without any
+ * external service: straight-line (haversine) distances, a nearest-
+ * neighbour tour improved with 2-opt, and travel times estimated from
+ * an urban speed and a road-detour factor.
+ *
+ * Patient locations come from patients.latitude / longitude (saved from
+ * the device at the patient's home) or, failing that, the centre of the
+ * patient's commune (config/commune-centroids.json). Patients with
+ * neither are listed apart, at the end.
+ *
+ * Public API (window.CURA360.routes):
+ *   SPEED_KMH, ROAD_FACTOR, SERVICE_MINUTES
+ *   locate(patient)              → Promise<{ lat, lng, source: 'stored'|'commune' }|null>
+ *   currentPosition()            → Promise<{ lat, lng }|null>  (device geolocation)
+ *   distanceKm(a, b)             → number
+ *   travelMinutes(km)            → number
+ *   plan(stops, options)         → Promise<Route>
+ *       stops:   [{ id, patient, ... }]  (one per patient)
+ *       options: { start: { lat, lng }|null, startTime: Date }
+ *       Route:   { stops: [{ ...stop, point, legKm, legMinutes, arrival }],
+ *                  unlocated: [stop], totalKm, totalMinutes, end }
+ *   toText(route, title)         → string  (plain list for the driver)
+ */
+
+(function () {
+  'use strict';
+
+  const CONFIG_URL = 'config/commune-centroids.json';
+
+  /** Average urban driving speed including traffic */
+  const SPEED_KMH = 25;
+  /** Road distance ≈ straight-line distance × ROAD_FACTOR */
+  const ROAD_FACTOR = 1.3;
+  /** Time spent at each home (curación + registro) */
+  const SERVICE_MINUTES = 30;
+
+  const EARTH_RADIUS_KM = 6371;
+
+  let _centroidsPromise = null;
+
+  // ── Locations ────────────────────────────────────────
+  /** Commune names compare without accents or case ("Maipu" = "Maipú") */
+  function _normalize(name) {
+    return String(name || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').trim().toLowerCase();
+  }
+
+  function _loadCentroids() {
+    if (!_centroidsPromise) {
+      _centroidsPromise = fetch(CONFIG_URL, { cache: 'no-cache' })
+        .then(response => {
+          if (!response.ok) throw new Error('HTTP ' + response.status);
+          return response.json();
+        })
+        .then(config => {
+          const byName = {};
+          Object.keys(config.communes || {}).forEach(name => {
+            const [lat, lng] = config.communes[name];
+            byName[_normalize(name)] = { lat, lng };
+          });
+          return byName;
+        })
+        .catch(err => {
+          console.error('[routes] centroids error:', err);
+          _centroidsPromise = null; // allow a retry on the next plan
+          return {};
+        });
+    }
+    return _centroidsPromise;
+  }
+
+  async function locate(patient) {
+    if (patient.latitude !== null && patient.latitude !== undefined &&
+        patient.longitude !== null && patient.longitude !== undefined) {
+      return { lat: Number(patient.latitude), lng: Number(patient.longitude), source: 'stored' };
+    }
+    const centroid = (await _loadCentroids())[_normalize(patient.commune)];
+    return centroid ? { lat: centroid.lat, lng: centroid.lng, source: 'commune' } : null;
+  }
+
+  function currentPosition() {
+    if (!navigator.geolocation) return Promise.resolve(null);
+    return new Promise(resolve => {
+      navigator.geolocation.getCurrentPosition(
+        pos => resolve({ lat: pos.coords.latitude, lng: pos.coords.longitude }),
+        err => {
+          console.warn('[routes] geolocation error:', err.message);
+          resolve(null);
+        },
+        { enableHighAccuracy: true, timeout: 15000, maximumAge: 60000 }
+      );
+    });
+  }
+
+  // ── Distances ────────────────────────────────────────
+  function distanceKm(a, b) {
+    const rad = deg => deg * Math.PI / 180;
+    const dLat = rad(b.lat - a.lat);
+    const dLng = rad(b.lng - a.lng);
+    const h = Math.sin(dLat / 2) ** 2 +
+      Math.cos(rad(a.lat)) * Math.cos(rad(b.lat)) * Math.sin(dLng / 2) ** 2;
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(h));
+  }
+
+  function travelMinutes(km) {
+    return Math.round(km * ROAD_FACTOR / SPEED_KMH * 60);
+  }
+
+  // ── Heuristic ────────────────────────────────────────
+  /** Open path length over points[order[i]] */
+  function _pathKm(points, order) {
+    let km = 0;
+    for (let i = 1; i < order.length; i++) km += distanceKm(points[order[i - 1]], points[order[i]]);
+    return km;
+  }
+
+  /** Greedy tour from `first`: always drive to the closest unvisited point */
+  function _nearestNeighbour(points, first) {
+    const order = [first];
+    const left = new Set(points.map((_, i) => i));
+    left.delete(first);
+    while (left.size) {
+      const from = points[order[order.length - 1]];
+      let best = null;
+      left.forEach(i => {
+        if (best === null || distanceKm(from, points[i]) < distanceKm(from, points[best])) best = i;
+      });
+      order.push(best);
+      left.delete(best);
+    }
+    return order;
+  }
+
+  /**
+   * 2-opt for an open path: reverses order[i..k] while that shortens it.
+   * With fixedStart the first point (the starting position) never moves.
+   */
+  function _twoOpt(points, order, fixedStart) {
+    const d = (i, k) => distanceKm(points[order[i]], points[order[k]]);
+    const n = order.length;
+    let improved = true;
+    while (improved) {
+      improved = false;
+      for (let i = fixedStart ? 1 : 0; i < n - 1; i++) {
+        for (let k = i + 1; k < n; k++) {
+          const before = (i > 0 ? d(i - 1, i) : 0) + (k < n - 1 ? d(k, k + 1) : 0);
+          const after  = (i > 0 ? d(i - 1, k) : 0) + (k < n - 1 ? d(i, k + 1) : 0);
+          if (after < before - 1e-9) {
+            order.splice(i, k - i + 1, ...order.slice(i, k + 1).reverse());
+            improved = true;
+          }
+        }
+      }
+    }
+    return order;
+  }
+
+  /**
+   * Orders the stops. Without a start position every stop is tried as
+   * the first one and the shortest result is kept.
+   */
+  async function plan(stops, options = {}) {
+    const start = options.start || null;
+    const startTime = options.startTime || new Date();
+
+    const located = [];
+    const unlocated = [];
+    for (const stop of stops) {
+      const point = await locate(stop.patient);
+      if (point) located.push({ ...stop, point });
+      else unlocated.push(stop);
+    }
+
+    const points = (start ? [start] : []).concat(located.map(s => s.point));
+    let order = [];
+    if (located.length) {
+      const firsts = start ? [0] : located.map((_, i) => i);
+      let bestKm = Infinity;
+      firsts.forEach(first => {
+        const candidate = _twoOpt(points, _nearestNeighbour(points, first), !!start);
+        const km = _pathKm(points, candidate);
+        if (km < bestKm) {
+          bestKm = km;
+          order = candidate;
+        }
+      });
+      if (start) order = order.slice(1);
+    }
+
+    let clock = startTime.getTime();
+    let previous = start;
+    let totalKm = 0;
+    let totalMinutes = 0;
+    const ordered = order.map((index, n) => {
+      const stop = located[start ? index - 1 : index];
+      const legKm = previous ? distanceKm(previous, stop.point) : 0;
+      const legMinutes = travelMinutes(legKm);
+      clock += (legMinutes + (n > 0 ? SERVICE_MINUTES : 0)) * 60000;
+      totalKm += legKm;
+      totalMinutes += legMinutes;
+      previous = stop.point;
+      return { ...stop, legKm, legMinutes, arrival: new Date(clock) };
+    });
+
+    return {
+      stops: ordered,
+      unlocated,
+      totalKm,
+      totalMinutes,
+      end: new Date(clock + (ordered.length ? SERVICE_MINUTES * 60000 : 0))
+    };
+  }
+
+  // ── Export ───────────────────────────────────────────
+  function _time(date) {
+    return date.toLocaleTimeString('es-CL', { hour: '2-digit', minute: '2-digit' });
+  }
+
+  function _km(km) {
+    return km.toLocaleString('es-CL', { maximumFractionDigits: 1 }) + ' km';
+  }
+
+  function toText(route, title) {
+    const lines = [title, ''];
+    route.stops.forEach((s, i) => {
+      const p = s.patient;
+      lines.push(`${i + 1}. ${_time(s.arrival)} · ${p.name}`);
+      lines.push(`   ${[p.address, p.commune].filter(Boolean).join(', ') || 'Sin dirección'}`);
+      if (p.phone) lines.push(`   Tel: ${p.phone}`);
+      if (i > 0 || s.legKm > 0) {
+        lines.push(`   Trayecto: ${s.legMinutes} min · ${_km(s.legKm)}${s.point.source === 'commune' ? ' (aprox.)' : ''}`);
+      }
+    });
+    if (route.unlocated.length) {
+      lines.push('', 'Sin ubicación (ordenar a mano):');
+      route.unlocated.forEach(s => {
+        const p = s.patient;
+        lines.push(`- ${p.name} · ${[p.address, p.commune].filter(Boolean).join(', ') || 'Sin dirección'}`);
+      });
+    }
+    lines.push('', `Total: ${route.stops.length + route.unlocated.length} visitas · ` +
+      `${route.totalMinutes} min de traslado · ${_km(route.totalKm)} · término estimado ${_time(route.end)}`);
+    return lines.join('\n');
+  }
+
+  // ── Expose ───────────────────────────────────────────
+  window.CURA360.routes = {
+    SPEED_KMH,
+    ROAD_FACTOR,
+    SERVICE_MINUTES,
+    locate,
+    currentPosition,
+    distanceKm,
+    travelMinutes,
+    plan,
+    toText
+  };
+
+})();
@@ -0,0 +1,433 @@
+/**
+ * CURA360 - Clinical Scales Module
+ * Validated scoring instruments stored in clinical_scores:
+ *   • Braden       — riesgo de úlcera por presión (por paciente)
+ *   • PUSH 3.0     — Pressure Ulcer Scale for Healing (por herida)
+ *   • RESVECH 2.0  — Resultados Esperados de la Valoración y Evolución
+ *                    de la Cicatrización de las Heridas Crónicas (por herida)
+ *
+ * Item answers are stored as option ids ({ item: optionId } or, for
+ * checklists, { item: [optionId...] }) so totals can always be recomputed
+ * from the definition.
+ */
+
+(function () {
+  'use strict';
+
+  // ── Option helpers ───────────────────────────────────
+  const opt = (id, score, label) => ({ id, score, label });
+
+  const BRADEN = {
+    id: 'braden',
+    name: 'Braden',
+    version: '1987',
+    target: 'patient',
+    description: 'Riesgo de desarrollar úlceras por presión',
+    min: 6,
+    max: 23,
+    items: [
+      {
+        key: 'percepcion_sensorial', label: 'Percepción sensorial', type: 'single',
+        options: [
+          opt('completamente_limitada', 1, 'Completamente limitada'),
+          opt('muy_limitada', 2, 'Muy limitada'),
+          opt('ligeramente_limitada', 3, 'Ligeramente limitada'),
+          opt('sin_limitaciones', 4, 'Sin limitaciones')
+        ]
+      },
+      {
+        key: 'humedad', label: 'Exposición a la humedad', type: 'single',
+        options: [
+          opt('constantemente_humeda', 1, 'Constantemente húmeda'),
+          opt('a_menudo_humeda', 2, 'A menudo húmeda'),
+          opt('ocasionalmente_humeda', 3, 'Ocasionalmente húmeda'),
+          opt('raramente_humeda', 4, 'Raramente húmeda')
+        ]
+      },
+      {
+        key: 'actividad', label: 'Actividad', type: 'single',
+        options: [
+          opt('encamado', 1, 'Encamado/a'),
+          opt('en_silla', 2, 'En silla'),
+          opt('deambula_ocasionalmente', 3, 'Deambula ocasionalmente'),
+          opt('deambula_frecuentemente', 4, 'Deambula frecuentemente')
+        ]
+      },
+      {
+        key: 'movilidad', label: 'Movilidad', type: 'single',
+        options: [
+          opt('completamente_inmovil', 1, 'Completamente inmóvil'),
+          opt('muy_limitada', 2, 'Muy limitada'),
+          opt('ligeramente_limitada', 3, 'Ligeramente limitada'),
+          opt('sin_limitaciones', 4, 'Sin limitaciones')
+        ]
+      },
+      {
+        key: 'nutricion', label: 'Nutrición', type: 'single',
+        options: [
+          opt('muy_pobre', 1, 'Muy pobre'),
+          opt('probablemente_inadecuada', 2, 'Probablemente inadecuada'),
+          opt('adecuada', 3, 'Adecuada'),
+          opt('excelente', 4, 'Excelente')
+        ]
+      },
+      {
+        key: 'roce', label: 'Roce y peligro de lesiones', type: 'single',
+        options: [
+          opt('problema', 1, 'Problema'),
+          opt('problema_potencial', 2, 'Problema potencial'),
+          opt('sin_problema', 3, 'No existe problema aparente')
+        ]
+      }
+    ],
+    // Lower score = higher risk
+    bands: [
+      { key: 'muy_alto', level: 'critical', label: 'Riesgo muy alto', max: 9 },
+      { key: 'alto',     level: 'critical', label: 'Riesgo alto',     max: 12 },
+      { key: 'moderado', level: 'pending',  label: 'Riesgo moderado', max: 14 },
+      { key: 'bajo',     level: 'active',   label: 'Riesgo bajo',     max: 18 },
+      { key: 'sin_riesgo', level: 'closed', label: 'Sin riesgo',      max: 23 }
+    ]
+  };
+
+  const PUSH = {
+    id: 'push',
+    name: 'PUSH',
+    version: '3.0',
+    target: 'wound',
+    description: 'Evolución de la cicatrización (menor puntaje = mejor)',
+    min: 0,
+    max: 17,
+    items: [
+      {
+        key: 'area', label: 'Largo × ancho (cm²)', type: 'single',
+        options: [
+          opt('a0', 0, '0'),
+          opt('a1', 1, '< 0,3'),
+          opt('a2', 2, '0,3 – 0,6'),
+          opt('a3', 3, '0,7 – 1,0'),
+          opt('a4', 4, '1,1 – 2,0'),
+          opt('a5', 5, '2,1 – 3,0'),
+          opt('a6', 6, '3,1 – 4,0'),
+          opt('a7', 7, '4,1 – 8,0'),
+          opt('a8', 8, '8,1 – 12,0'),
+          opt('a9', 9, '12,1 – 24,0'),
+          opt('a10', 10, '> 24,0')
+        ]
+      },
+      {
+        key: 'exudado', label: 'Cantidad de exudado', type: 'single',
+        options: [
+          opt('ninguno', 0, 'Ninguno'),
+          opt('escaso', 1, 'Escaso'),
+          opt('moderado', 2, 'Moderado'),
+          opt('abundante', 3, 'Abundante')
+        ]
+      },
+      {
+        key: 'tejido', label: 'Tipo de tejido', type: 'single',
+        options: [
+          opt('cerrada', 0, 'Cerrada'),
+          opt('epitelial', 1, 'Tejido epitelial'),
+          opt('granulacion', 2, 'Tejido de granulación'),
+          opt('esfacelo', 3, 'Esfacelo'),
+          opt('necrotico', 4, 'Tejido necrótico')
+        ]
+      }
+    ],
+    // Orientative bands; PUSH is mainly read as a trend over time
+    bands: [
+      { key: 'cicatrizada', level: 'closed',   label: 'Cicatrizada',     max: 0 },
+      { key: 'leve',        level: 'active',   label: 'Compromiso leve', max: 8 },
+      { key: 'moderado',    level: 'pending',  label: 'Compromiso moderado', max: 12 },
+      { key: 'severo',      level: 'critical', label: 'Compromiso severo',   max: 17 }
+    ]
+  };
+
+  const RESVECH = {
+    id: 'resvech',
+    name: 'RESVECH 2.0',
+    version: '2.0',
+    target: 'wound',
+    description: 'Valoración y evolución de heridas crónicas (menor puntaje = mejor)',
+    min: 0,
+    max: 35,
+    items: [
+      {
+        key: 'dimensiones', label: 'Dimensiones de la lesión', type: 'single',
+        options: [
+          opt('d0', 0, 'Superficie = 0 cm²'),
+          opt('d1', 1, 'Superficie < 4 cm²'),
+          opt('d2', 2, 'Superficie 4 – < 16 cm²'),
+          opt('d3', 3, 'Superficie 16 – < 36 cm²'),
+          opt('d4', 4, 'Superficie 36 – < 64 cm²'),
+          opt('d5', 5, 'Superficie 64 – < 100 cm²'),
+          opt('d6', 6, 'Superficie ≥ 100 cm²')
+        ]
+      },
+      {
+        key: 'profundidad', label: 'Profundidad / tejidos afectados', type: 'single',
+        options: [
+          opt('piel_intacta', 0, 'Piel intacta cicatrizada'),
+          opt('dermis_epidermis', 1, 'Afectación de dermis-epidermis'),
+          opt('subcutaneo', 2, 'Afectación del tejido subcutáneo'),
+          opt('musculo', 3, 'Afectación del músculo'),
+          opt('hueso', 4, 'Afectación del hueso y/o tejidos anexos')
+        ]
+      },
+      {
+        key: 'bordes', label: 'Bordes', type: 'single',
+        options: [
+          opt('no_distinguibles', 0, 'No distinguibles (no hay bordes)'),
+          opt('difusos', 1, 'Difusos'),
+          opt('delimitados', 2, 'Delimitados'),
+          opt('danados', 3, 'Dañados'),
+          opt('engrosados', 4, 'Engrosados (envejecidos, evertidos)')
+        ]
+      },
+      {
+        key: 'tejido_lecho', label: 'Tipo de tejido en el lecho', type: 'single',
+        options: [
+          opt('cicatrizada', 0, 'Cerrada / cicatrizada'),
+          opt('epitelial', 1, 'Tejido epitelial'),
+          opt('granulacion', 2, 'Tejido de granulación'),
+          opt('necrotico_esfacelos', 3, 'Tejido necrótico y/o esfacelos'),
+          opt('necrotico', 4, 'Necrótico (escara negra seca o húmeda)')
+        ]
+      },
+      {
+        key: 'exudado', label: 'Exudado', type: 'single',
+        options: [
+          opt('seco', 3, 'Seco'),
+          opt('humedo', 0, 'Húmedo'),
+          opt('mojado', 1, 'Mojado'),
+          opt('saturado', 2, 'Saturado'),
+          opt('fuga', 3, 'Con fuga de exudado')
+        ]
+      },
+      {
+        key: 'infeccion', label: 'Infección / inflamación (signos de biofilm)', type: 'checklist',
+        options: [
+          opt('dolor_aumento', 1, 'Dolor que va en aumento'),
+          opt('eritema', 1, 'Eritema en la perilesión'),
+          opt('edema', 1, 'Edema en la perilesión'),
+          opt('temperatura', 1, 'Aumento de la temperatura'),
+          opt('exudado_aumento', 1, 'Exudado que va en aumento'),
+          opt('exudado_purulento', 1, 'Exudado purulento'),
+          opt('tejido_friable', 1, 'Tejido friable o que sangra con facilidad'),
+          opt('estancada', 1, 'Herida estancada, que no progresa'),
+          opt('biofilm', 1, 'Tejido compatible con biofilm'),
+          opt('olor', 1, 'Olor'),
+          opt('hipergranulacion', 1, 'Hipergranulación'),
+          opt('aumento_tamano', 1, 'Aumento del tamaño de la herida'),
+          opt('lesiones_satelite', 1, 'Lesiones satélite'),
+          opt('palidez', 1, 'Palidez del tejido')
+        ]
+      }
+    ],
+    // Orientative bands; RESVECH is mainly read as a trend over time
+    bands: [
+      { key: 'cicatrizada', level: 'closed',   label: 'Cicatrizada',        max: 0 },
+      { key: 'leve',        level: 'active',   label: 'Compromiso leve',    max: 12 },
+      { key: 'moderado',    level: 'pending',  label: 'Compromiso moderado', max: 24 },
+      { key: 'severo',      level: 'critical', label: 'Compromiso severo',   max: 35 }
+    ]
+  };
+
+  const DEFINITIONS = { braden: BRADEN, push: PUSH, resvech: RESVECH };
+
+  /** PUSH area sub-score thresholds (inclusive upper bound in cm² → option id), from 0.3 cm² up */
+  const PUSH_AREA_LIMITS = [
+    [0.6, 'a2'], [1.0, 'a3'], [2.0, 'a4'], [3.0, 'a5'],
+    [4.0, 'a6'], [8.0, 'a7'], [12.0, 'a8'], [24.0, 'a9'], [Infinity, 'a10']
+  ];
+
+  /** RESVECH dimension thresholds (exclusive upper bound in cm² → option id) */
+  const RESVECH_AREA_LIMITS = [
+    [4, 'd1'], [16, 'd2'], [36, 'd3'], [64, 'd4'], [100, 'd5'], [Infinity, 'd6']
+  ];
+
+  const scales = {
+
+    DEFINITIONS,
+
+    /**
+     * Get a scale definition by id
+     */
+    get(scaleId) {
+      const def = DEFINITIONS[scaleId];
+      if (!def) throw new Error('Escala desconocida: ' + scaleId);
+      return def;
+    },
+
+    /**
+     * Compute total and interpretation band from item answers
+     * @param {string} scaleId
+     * @param {object} items - { itemKey: optionId | optionId[] }
+     * @returns {{ total: number, band: object, complete: boolean }}
+     */
+    score(scaleId, items) {
+      const def = this.get(scaleId);
+      let total = 0;
+      let complete = true;
+
+      def.items.forEach(item => {
+        const answer = items[item.key];
+        if (item.type === 'checklist') {
+          (answer || []).forEach(id => {
+            const o = item.options.find(x => x.id === id);
+            if (o) total += o.score;
+          });
+          return;
+        }
+        const o = item.options.find(x => x.id === answer);
+        if (o) total += o.score;
+        else complete = false;
+      });
+
+      return { total, band: this.band(scaleId, total), complete };
+    },
+
+    /**
+     * Interpretation band for a total
+     */
+    band(scaleId, total) {
+      const def = this.get(scaleId);
+      return def.bands.find(b => total <= b.max) || def.bands[def.bands.length - 1];
+    },
+
+    /**
+     * Suggest item answers from the wound's current values, so the
+     * professional only confirms them
+     */
+    suggest(scaleId, wound) {
+      const items = {};
+      if (!wound) return items;
+      const area = (wound.length_cm != null && wound.width_cm != null)
+        ? Number(wound.length_cm) * Number(wound.width_cm) : null;
+
+      if (scaleId === 'push') {
+        if (area !== null) {
+          if (area === 0) items.area = 'a0';
+          else if (area < 0.3) items.area = 'a1';
+          else items.area = PUSH_AREA_LIMITS.find(l => area <= l[0])[1];
+        }
+        if (wound.exudate_amount) items.exudado = wound.exudate_amount;
+      }
+      if (scaleId === 'resvech') {
+        if (area !== null) {
+          items.dimensiones = area === 0 ? 'd0' : RESVECH_AREA_LIMITS.find(l => area < l[0])[1];
+        }
+      }
+      return items;
+    },
+
+    /**
+     * Store a scale evaluation
+     * @param {object} params
+     * @param {string} params.scale      - 'braden' | 'push' | 'resvech'
+     * @param {string} params.patientId
+     * @param {string} [params.woundId]  - required for wound-level scales
+     * @param {object} params.items
+     * @param {string} [params.notes]
+     */
+    async create({ scale, patientId, woundId, items, notes }) {
+      try {
+        window.CURA360.setLoader(true);
+
+        const def = this.get(scale);
+        if (def.target === 'wound' && !woundId) {
+          throw new Error(def.name + ' requiere una herida');
+        }
+        const result = this.score(scale, items);
+        if (!result.complete) {
+          throw new Error('Complete todos los ítems de la escala');
+        }
+
+        const user = window.CURA360.auth.getCurrentUser();
+        const row = {
+          scale: scale,
+          scale_version: def.version,
+          patient_id: patientId,
+          wound_id: def.target === 'wound' ? woundId : null,
+          items: items,
+          total: result.total,
+          band: result.band.key,
+          notes: notes || null,
+          assessed_by: user ? user.id : null
+        };
+
+        const [data] = await window.CURA360.api.insert('clinical_scores', row);
+
+        window.CURA360.showToast(`${def.name}: ${result.total} puntos (${result.band.label})`, 'success');
+        return data;
+
+      } catch (err) {
+        console.error('Error creating clinical score:', err);
+        window.CURA360.showToast('Error al guardar escala: ' + err.message);
+        return null;
+      } finally {
+        window.CURA360.setLoader(false);
+      }
+    },
+
+    /**
+     * List patient-level scores (Braden), newest first
+     */
+    async listByPatient(patientId, scale) {
+      try {
+        const api = window.CURA360.api;
+        return await api.select('clinical_scores', {
+          patient_id: api.eq(patientId),
+          wound_id: 'is.null',
+          scale: scale ? api.eq(scale) : null,
+          order: 'created_at.desc'
+        });
+
+      } catch (err) {
+        console.error('Error listing patient scores:', err);
+        return [];
+      }
+    },
+
+    /**
+     * List wound-level scores (PUSH, RESVECH), newest first
+     */
+    async listByWound(woundId, scale) {
+      try {
+        const api = window.CURA360.api;
+        return await api.select('clinical_scores', {
+          wound_id: api.eq(woundId),
+          scale: scale ? api.eq(scale) : null,
+          order: 'created_at.desc'
+        });
+
+      } catch (err) {
+        console.error('Error listing wound scores:', err);
+        return [];
+      }
+    },
+
+    /**
+     * Summarize a score history (any order) into latest total and the
+     * reduction since the first evaluation (positive = improvement for
+     * PUSH/RESVECH, where lower is better)
+     */
+    summarize(rows) {
+      if (!rows || rows.length === 0) return { latest: null, reduction: null, count: 0 };
+      const sorted = rows.slice().sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+      const first = sorted[0].total;
+      const latest = sorted[sorted.length - 1].total;
+      return {
+        latest: latest,
+        reduction: sorted.length >= 2 ? first - latest : null,
+        count: sorted.length
+      };
+    }
+  };
+
+  // Export to global namespace
+  window.CURA360 = window.CURA360 || {};
+  window.CURA360.scales = scales;
+
+})();
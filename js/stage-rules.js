@@ -0,0 +1,327 @@
+/**
+ * CURA360 - Clinical Stage Rule Engine
+ * Loads the declarative rule set from config/stage-rules.json and
+ * evaluates it against the facts of a wound.
+ *
+ * Rule format:
+ *   { id, priority, stage, description, thresholds: { name: value }, when: <condition> }
+ *
+ * Condition format:
+ *   { all: [<condition>...] } | { any: [<condition>...] } | { not: <condition> }
+ *   { fact: 'painScale', op: 'gt', value: 7 | '$thresholdName' }
+ *
+ * Rules are evaluated from highest to lowest priority; the first one whose
+ * condition holds decides the stage.
+ *
+ * Also holds the display data of each stage (STAGE_INFO) and the
+ * progress bar markup shared by the dashboard and printed reports.
+ */
+
+(function () {
+  'use strict';
+
+  const CONFIG_URL = 'config/stage-rules.json';
+
+  const STAGES = [
+    'valoracion_inicial',
+    'tratamiento_en_curso',
+    'bajo_observacion',
+    'evolucion_favorable',
+    'alta_clinica'
+  ];
+
+  /** Display data for each stage (progress bar, labels, printed reports) */
+  const STAGE_INFO = [
+    { key: 'valoracion_inicial',   icon: '📋', label: 'Valoración inicial',   description: 'Primera valoración y registro de la herida' },
+    { key: 'tratamiento_en_curso', icon: '🔬', label: 'Tratamiento en curso', description: 'Curaciones regulares en curso' },
+    { key: 'bajo_observacion',     icon: '⚠️', label: 'Bajo observación',     description: 'Requiere monitoreo especial o cambio de tratamiento' },
+    { key: 'evolucion_favorable',  icon: '📈', label: 'Evolución favorable',  description: 'Evolución positiva confirmada' },
+    { key: 'alta_clinica',         icon: '✅', label: 'Alta clínica',         description: 'Herida cicatrizada, lista para alta' }
+  ];
+
+  /** Human-readable fact labels, used to explain why a rule fired */
+  const FACT_LABELS = {
+    treatmentCount:    'Curaciones',
+    daysSinceCreation: 'Días desde el registro',
+    infectionSigns:    'Signos de infección',
+    painScale:         'Dolor (EVA)',
+    lengthCm:          'Largo (cm)',
+    widthCm:           'Ancho (cm)',
+    depthCm:           'Profundidad (cm)',
+    exudateAmount:     'Exudado',
+    exudateType:       'Tipo de exudado',
+    trendSamples:      'Mediciones',
+    areaReductionPct:  'Reducción de área (%)',
+    painDecreasing:    'Dolor en descenso',
+    painIncreasing:    'Dolor en aumento',
+    exudateWorsening:  'Exudado en aumento',
+    exudateImproving:  'Exudado en descenso',
+    pushScore:         'PUSH',
+    pushReduction:     'Reducción PUSH',
+    resvechScore:      'RESVECH',
+    resvechReduction:  'Reducción RESVECH',
+    bradenScore:       'Braden',
+    // Facts of the curación advisor (advisor.js) and alerts (alerts.js), same engine
+    woundType:         'Tipo de herida',
+    woundGrade:        'Grado',
+    woundStatus:       'Estado de la herida',
+    painRise:          'Aumento del dolor (EVA)',
+    areaGrowthPct:     'Aumento del área (%)',
+    overdueDays:       'Días de atraso',
+    weeksSinceCreation:'Semanas en seguimiento',
+    pendingReports:    'Reportes del paciente sin revisar',
+    reportedWarning:   'Fiebre o sangrado reportado'
+  };
+
+  const OPERATORS = {
+    eq:        (a, b) => a === b,
+    neq:       (a, b) => a !== b,
+    gt:        (a, b) => a !== null && a > b,
+    gte:       (a, b) => a !== null && a >= b,
+    lt:        (a, b) => a !== null && a < b,
+    lte:       (a, b) => a !== null && a <= b,
+    lteOrNull: (a, b) => a === null || a <= b,
+    between:   (a, b) => a !== null && a >= b[0] && a <= b[1],
+    in:        (a, b) => b.indexOf(a) !== -1,
+    isNull:    (a)    => a === null,
+    notNull:   (a)    => a !== null
+  };
+
+  const OPERATOR_LABELS = {
+    eq: '=', neq: '≠', gt: '>', gte: '≥', lt: '<', lte: '≤',
+    lteOrNull: '≤', between: 'entre', in: 'en', isNull: 'sin dato', notNull: 'con dato'
+  };
+
+  let _ruleSetPromise = null;
+
+  const stageRules = {
+
+    STAGES,
+    STAGE_INFO,
+
+    /** "icon label" of a stage key (the key itself if unknown) */
+    label(key) {
+      const stage = STAGE_INFO.find(s => s.key === key);
+      return stage ? `${stage.icon} ${stage.label}` : (key || '—');
+    },
+
+    /**
+     * Progress bar of the wound's clinical stage (css/clinical-stage.css).
+     * Shared by the wound detail view and the printed report.
+     */
+    renderProgress(wound) {
+      const currentStage = wound.clinical_stage || 'valoracion_inicial';
+      const currentIndex = STAGE_INFO.findIndex(s => s.key === currentStage);
+      const stageIndex = currentIndex >= 0 ? currentIndex : 0;
+      const current = STAGE_INFO[stageIndex];
+      const progressWidth = (stageIndex / (STAGE_INFO.length - 1)) * 100;
+
+      return `
+        <div class="wound-progress" style="margin-top:var(--sp-4);">
+          <div class="progress-bar" style="--progress-width: ${progressWidth}%;">
+            ${STAGE_INFO.map((stage, i) => {
+              let className = 'progress-step';
+              if (i < stageIndex) className += ' completed';
+              if (i === stageIndex) className += ' current';
+              if (i > stageIndex) className += ' pending';
+              return `<div class="${className}" title="${stage.label}">${stage.icon}</div>`;
+            }).join('')}
+          </div>
+          <div class="progress-label">
+            <span class="progress-label__icon">${current.icon}</span>
+            <span class="progress-label__text">${current.label}</span>
+            <span class="progress-label__step">Paso ${stageIndex + 1} de ${STAGE_INFO.length}</span>
+          </div>
+          <div class="progress-sublabel">
+            ${current.description}
+          </div>
+        </div>
+      `;
+    },
+
+    /**
+     * Load (once) and validate the rule set.
+     * @returns {Promise<{version: string, rules: object[]}>}
+     */
+    load() {
+      if (!_ruleSetPromise) {
+        _ruleSetPromise = fetch(CONFIG_URL, { cache: 'no-cache' })
+          .then(response => {
+            if (!response.ok) throw new Error('HTTP ' + response.status);
+            return response.json();
+          })
+          .then(config => this.validate(config))
+          .catch(err => {
+            _ruleSetPromise = null; // allow a retry on the next evaluation
+            throw err;
+          });
+      }
+      return _ruleSetPromise;
+    },
+
+    /**
+     * Validate a raw config and return it with rules sorted by priority
+     */
+    validate(config) {
+      if (!config || !config.version || !Array.isArray(config.rules)) {
+        throw new Error('Configuración de reglas inválida: falta version o rules');
+      }
+      const ids = new Set();
+      config.rules.forEach(rule => {
+        if (!rule.id || ids.has(rule.id)) {
+          throw new Error('Regla sin id o con id duplicado: ' + rule.id);
+        }
+        ids.add(rule.id);
+        if (STAGES.indexOf(rule.stage) === -1) {
+          throw new Error(`Regla ${rule.id}: etapa desconocida "${rule.stage}"`);
+        }
+        if (typeof rule.priority !== 'number') {
+          throw new Error(`Regla ${rule.id}: priority debe ser numérica`);
+        }
+        if (!rule.when) {
+          throw new Error(`Regla ${rule.id}: falta la condición "when"`);
+        }
+      });
+      return {
+        version: config.version,
+        rules: config.rules.slice().sort((a, b) => b.priority - a.priority)
+      };
+    },
+
+    /**
+     * Build the fact object the rules are evaluated against
+     * @param {object}   wound      - current wounds row
+     * @param {object[]} treatments - treatments of the wound
+     * @param {object}   trend      - measurements.analyzeTrend() result
+     * @param {object}   [scores]   - scales.summarize() per scale: { push, resvech, braden }
+     */
+    buildFacts(wound, treatments, trend, scores = {}) {
+      const latest = key => (scores[key] ? scores[key].latest : null);
+      const reduction = key => (scores[key] ? scores[key].reduction : null);
+      const num = v => (v === null || v === undefined || v === '') ? null : Number(v);
+      const daysSinceCreation = Math.floor(
+        (new Date() - new Date(wound.created_at)) / (1000 * 60 * 60 * 24)
+      );
+      return {
+        treatmentCount:    treatments.length,
+        daysSinceCreation: daysSinceCreation,
+        infectionSigns:    wound.infection_signs === true,
+        painScale:         num(wound.pain_scale),
+        lengthCm:          num(wound.length_cm),
+        widthCm:           num(wound.width_cm),
+        depthCm:           num(wound.depth_cm),
+        exudateAmount:     wound.exudate_amount || null,
+        exudateType:       wound.exudate_type || null,
+        trendSamples:      trend.samples,
+        areaReductionPct:  trend.areaReductionPct,
+        painDecreasing:    trend.painDecreasing,
+        painIncreasing:    trend.painIncreasing,
+        exudateWorsening:  trend.exudateWorsening,
+        exudateImproving:  trend.exudateImproving,
+        pushScore:         latest('push'),
+        pushReduction:     reduction('push'),
+        resvechScore:      latest('resvech'),
+        resvechReduction:  reduction('resvech'),
+        bradenScore:       latest('braden')
+      };
+    },
+
+    /**
+     * Evaluate a rule set against a fact object
+     * @returns {{stage: string|null, ruleId: string|null, ruleVersion: string,
+     *            description: string, reasons: string[], facts: object}}
+     */
+    evaluate(ruleSet, facts) {
+      for (const rule of ruleSet.rules) {
+        const reasons = [];
+        if (this.evaluateCondition(rule.when, facts, rule.thresholds || {}, reasons)) {
+          return {
+            stage: rule.stage,
+            ruleId: rule.id,
+            ruleVersion: ruleSet.version,
+            description: rule.description || '',
+            reasons: reasons,
+            facts: facts
+          };
+        }
+      }
+      return {
+        stage: null,
+        ruleId: null,
+        ruleVersion: ruleSet.version,
+        description: 'Ninguna regla aplicable',
+        reasons: [],
+        facts: facts
+      };
+    },
+
+    /**
+     * Recursively evaluate a condition. Leaf conditions that hold are
+     * appended to `reasons` as readable strings.
+     */
+    evaluateCondition(cond, facts, thresholds, reasons) {
+      if (cond.all) {
+        const local = [];
+        const ok = cond.all.every(c => this.evaluateCondition(c, facts, thresholds, local));
+        if (ok) reasons.push(...local);
+        return ok;
+      }
+      if (cond.any) {
+        for (const c of cond.any) {
+          const local = [];
+          if (this.evaluateCondition(c, facts, thresholds, local)) {
+            reasons.push(...local);
+            return true;
+          }
+        }
+        return false;
+      }
+      if (cond.not) {
+        return !this.evaluateCondition(cond.not, facts, thresholds, []);
+      }
+
+      const op = OPERATORS[cond.op];
+      if (!op) throw new Error('Operador desconocido: ' + cond.op);
+      if (!(cond.fact in facts)) throw new Error('Dato desconocido: ' + cond.fact);
+
+      const actual = facts[cond.fact] === undefined ? null : facts[cond.fact];
+      const expected = this._resolve(cond.value, thresholds);
+      const ok = op(actual, expected);
+      if (ok) reasons.push(this._describe(cond.fact, cond.op, actual, expected));
+      return ok;
+    },
+
+    /** Replace "$name" references with the rule's threshold value */
+    _resolve(value, thresholds) {
+      if (Array.isArray(value)) return value.map(v => this._resolve(v, thresholds));
+      if (typeof value === 'string' && value.charAt(0) === '$') {
+        const key = value.slice(1);
+        if (!(key in thresholds)) throw new Error('Umbral no definido: ' + key);
+        return thresholds[key];
+      }
+      return value;
+    },
+
+    _describe(fact, op, actual, expected) {
+      const label = FACT_LABELS[fact] || fact;
+      const fmt = v => {
+        if (v === true) return 'sí';
+        if (v === false) return 'no';
+        if (v === null) return 'sin dato';
+        if (typeof v === 'number') return String(Math.round(v * 10) / 10);
+        return String(v);
+      };
+      if (op === 'isNull' || op === 'notNull') return `${label}: ${OPERATOR_LABELS[op]}`;
+      if (op === 'between') return `${label}: ${fmt(actual)} (entre ${fmt(expected[0])} y ${fmt(expected[1])})`;
+      if (typeof expected === 'boolean' && (op === 'eq' || op === 'neq')) {
+        return `${label}: ${fmt(actual)}`;
+      }
+      return `${label}: ${fmt(actual)} (${OPERATOR_LABELS[op]} ${fmt(expected)})`;
+    }
+  };
+
+  // Export to global namespace
+  window.CURA360 = window.CURA360 || {};
+  window.CURA360.stageRules = stageRules;
+
+})();
@@ -0,0 +1,360 @@
+/**
+ * supplies.js — Supplies (insumos), stock and curación costs
+ * ───────────────────────────────────────────────────────────
+ * The catalog lists each supply with its unit, reference unit cost and
+ * low-stock level; stock is received in lots (number, expiry, cost) into
+ * kits: a professional's personal kit or a team's shared one (maletín,
+ * bodega). Only admins change the catalog; each user sees and stocks
+ * only the kits they can use (their own, their teams' shared kits, and
+ * every kit of a team they administer: can_use_kit in schema.sql).
+ * The treatment form records line items (supply + quantity) taken from
+ * a kit; the database draws them from the lots in expiry order, never
+ * below zero, copies the average cost and keeps what the kit lacked in
+ * `shortfall` (schema.sql, section "FUNCTIONS: Supplies"), also for
+ * curaciones synced from the offline queue.
+ *
+ * Costs come from the line items embedded in treatments.listByWound,
+ * so they reflect the price of the lot actually used.
+ *
+ * Offline: the catalog and the kits are cached in IndexedDB (stores
+ * `supplies` and `supply_kits`) so the form works without coverage.
+ * Receipts and catalog changes need a connection.
+ *
+ * Public API (window.CURA360.supplies):
+ *   catalog()                            → Promise<Supply[]>  (with lots, by name)
+ *   createSupply(data)                   → Promise<Supply|null>
+ *   updateSupply(id, values)             → Promise<boolean>
+ *   kits()                               → Promise<Kit[]>     (with stock rows)
+ *   createKit(name, owner)               → Promise<Kit|null>  (owner: { professionalId, organizationId })
+ *   preferredKit(kits)                   → Kit|null  (last used, else the user's own)
+ *   rememberKit(kitId)                   → void
+ *   receive(kitId, supplyId, lot)        → Promise<boolean>  (lot: { lot_number, expires_on, unit_cost, quantity })
+ *   adjust(kitId, lotId, quantity)       → Promise<boolean>  (signed correction after a count)
+ *   stockBySupply(kit)                   → { [supplyId]: quantity }
+ *   lowStock(kits, catalog)              → [{ kit, supply, quantity }]
+ *   recordForTreatment(treatment, kitId, items) → Promise<Line[]>  (items: [{ supply_id, quantity }])
+ *   treatmentCost(treatment)             → number
+ *   costSummary(treatments)              → { total, count, average }
+ *   usage(from, to)                      → Promise<[{ supply_id, name, unit, quantity, cost }]>
+ *   formatCost(amount)                   → string  ("$12.350")
+ *   formatQuantity(value)                → string  ("2,5")
+ *   describeLine(line)                   → string  ("Apósito de plata × 2")
+ */
+
+(function () {
+  'use strict';
+
+  const api = window.CURA360.api;
+  const offline = window.CURA360.offline;
+
+  const KIT_KEY = 'cura360.supplyKit';
+
+  const SELECT_CATALOG = '*,supply_lots(id,lot_number,expires_on,unit_cost,created_at)';
+  const SELECT_KITS = 'id,name,professional_id,organization_id,supply_stock(lot_id,quantity,supply_lots(supply_id,lot_number,expires_on))';
+
+  // ── Catalog ──────────────────────────────────────────
+  async function catalog() {
+    try {
+      const rows = await api.select('supplies', { select: SELECT_CATALOG, order: 'name.asc' });
+      await offline.put('supplies', rows);
+      return rows;
+    } catch (err) {
+      if (!offline.isNetworkError(err)) console.error('[supplies] catalog error:', err);
+      const rows = await offline.getAll('supplies');
+      return rows.sort((a, b) => a.name.localeCompare(b.name, 'es'));
+    }
+  }
+
+  async function createSupply(data) {
+    const user = window.CURA360.auth.getCurrentUser();
+    try {
+      const [row] = await api.insert('supplies', { ...data, created_by: user ? user.id : null });
+      window.CURA360.showToast('Insumo agregado al catálogo', 'success');
+      return row;
+    } catch (err) {
+      console.error('[supplies] createSupply error:', err);
+      window.CURA360.showToast(err.code === '23505'
+        ? 'Ya existe un insumo con ese nombre.'
+        : 'Error al guardar el insumo.');
+      return null;
+    }
+  }
+
+  async function updateSupply(id, values) {
+    try {
+      await api.update('supplies', { id: api.eq(id) }, values);
+      return true;
+    } catch (err) {
+      console.error('[supplies] updateSupply error:', err);
+      window.CURA360.showToast('Error al actualizar el insumo.');
+      return false;
+    }
+  }
+
+  // ── Kits ─────────────────────────────────────────────
+  async function kits() {
+    try {
+      const rows = await api.select('supply_kits', { select: SELECT_KITS, order: 'name.asc' });
+      await offline.put('supply_kits', rows);
+      return rows;
+    } catch (err) {
+      if (!offline.isNetworkError(err)) console.error('[supplies] kits error:', err);
+      const rows = await offline.getAll('supply_kits');
+      return rows.sort((a, b) => a.name.localeCompare(b.name, 'es'));
+    }
+  }
+
+  /** Personal kit (professionalId), a team's shared kit (organizationId only), or both */
+  async function createKit(name, owner) {
+    try {
+      const [row] = await api.insert('supply_kits', {
+        name,
+        professional_id: owner.professionalId || null,
+        organization_id: owner.organizationId || null
+      });
+      window.CURA360.showToast('Kit creado', 'success');
+      return row;
+    } catch (err) {
+      console.error('[supplies] createKit error:', err);
+      window.CURA360.showToast(err.code === '23505'
+        ? 'Ese profesional ya tiene un kit personal.'
+        : 'Error al crear el kit.');
+      return null;
+    }
+  }
+
+  function preferredKit(list) {
+    const remembered = localStorage.getItem(KIT_KEY);
+    const user = window.CURA360.auth.getCurrentUser();
+    return list.find(k => k.id === remembered) ||
+      (user && list.find(k => k.professional_id === user.id)) ||
+      null;
+  }
+
+  function rememberKit(kitId) {
+    if (kitId) localStorage.setItem(KIT_KEY, kitId);
+    else localStorage.removeItem(KIT_KEY);
+  }
+
+  // ── Stock ────────────────────────────────────────────
+  async function _movement(kitId, lotId, quantity, reason) {
+    const user = window.CURA360.auth.getCurrentUser();
+    await api.insert('supply_movements', {
+      kit_id: kitId,
+      lot_id: lotId,
+      quantity: quantity,
+      reason: reason,
+      created_by: user ? user.id : null
+    });
+  }
+
+  /** Adds to an existing lot of the supply (same number) or creates it */
+  async function receive(kitId, supplyId, lot) {
+    if (!offline.isOnline()) {
+      window.CURA360.showToast('Se requiere conexión para ingresar stock.', 'warning');
+      return false;
+    }
+    try {
+      let row = await api.selectOne('supply_lots', {
+        supply_id: api.eq(supplyId),
+        lot_number: api.eq(lot.lot_number)
+      });
+      if (!row) {
+        [row] = await api.insert('supply_lots', {
+          supply_id: supplyId,
+          lot_number: lot.lot_number,
+          expires_on: lot.expires_on || null,
+          unit_cost: lot.unit_cost === '' || lot.unit_cost === null || lot.unit_cost === undefined
+            ? null
+            : lot.unit_cost
+        });
+      }
+      await _movement(kitId, row.id, lot.quantity, 'receipt');
+      window.CURA360.showToast('Ingreso de stock registrado', 'success');
+      return true;
+    } catch (err) {
+      console.error('[supplies] receive error:', err);
+      window.CURA360.showToast('Error al registrar el ingreso.');
+      return false;
+    }
+  }
+
+  async function adjust(kitId, lotId, quantity) {
+    if (!quantity) return true;
+    if (!offline.isOnline()) {
+      window.CURA360.showToast('Se requiere conexión para ajustar el stock.', 'warning');
+      return false;
+    }
+    try {
+      await _movement(kitId, lotId, quantity, 'adjustment');
+      return true;
+    } catch (err) {
+      console.error('[supplies] adjust error:', err);
+      window.CURA360.showToast('Error al ajustar el stock.');
+      return false;
+    }
+  }
+
+  function stockBySupply(kit) {
+    const totals = {};
+    (kit.supply_stock || []).forEach(s => {
+      if (!s.supply_lots) return;
+      const id = s.supply_lots.supply_id;
+      totals[id] = (totals[id] || 0) + Number(s.quantity);
+    });
+    return totals;
+  }
+
+  /** Supplies a kit carries (has received at least once) below their level */
+  function lowStock(kitList, supplyList) {
+    const byId = {};
+    supplyList.forEach(s => { byId[s.id] = s; });
+
+    const warnings = [];
+    kitList.forEach(kit => {
+      const totals = stockBySupply(kit);
+      Object.keys(totals).forEach(supplyId => {
+        const supply = byId[supplyId];
+        if (!supply || !supply.active) return;
+        if (totals[supplyId] < Number(supply.min_stock)) {
+          warnings.push({ kit, supply, quantity: totals[supplyId] });
+        }
+      });
+    });
+    return warnings;
+  }
+
+  // ── Curación line items ──────────────────────────────
+  /**
+   * Inserts the line items of a curación. Queued treatments get their
+   * items queued after them, so the outbox replays them in order; items
+   * the server rejects are queued too instead of being lost.
+   */
+  async function recordForTreatment(treatment, kitId, items) {
+    const rows = items
+      .filter(item => item.supply_id && Number(item.quantity) > 0)
+      .map(item => ({
+        treatment_id: treatment.id,
+        supply_id: item.supply_id,
+        kit_id: kitId || null,
+        quantity: Number(item.quantity)
+      }));
+    if (!rows.length) return [];
+
+    if (!treatment._pending && offline.isOnline()) {
+      try {
+        const lines = await api.insert('treatment_supplies', rows);
+        if (lines.some(line => Number(line.shortfall) > 0)) {
+          window.CURA360.showToast('El kit no tenía stock suficiente: lo que faltó quedó registrado sin descontar.');
+        }
+        return lines;
+      } catch (err) {
+        // Rejected by the server: queue the items like offline, so they
+        // are retried and, if still rejected, shown as unsynced changes
+        if (!offline.isNetworkError(err)) {
+          console.error('[supplies] recordForTreatment error:', err);
+          window.CURA360.showToast('No se pudieron registrar los insumos: quedaron pendientes de sincronizar.');
+        }
+      }
+    }
+
+    // Cost estimated from the cached catalog until the server assigns the lot
+    const cached = await offline.getAll('supplies');
+    const saved = [];
+    for (const row of rows) {
+      const supply = cached.find(s => s.id === row.supply_id);
+      const line = await offline.queueInsert('treatment_supplies', row);
+      saved.push({
+        ...line,
+        unit_cost: supply ? supply.unit_cost : null,
+        supplies: supply ? { name: supply.name, unit: supply.unit } : null
+      });
+    }
+    return saved;
+  }
+
+  // ── Costs ────────────────────────────────────────────
+  function _lineCost(line) {
+    return Number(line.quantity) * Number(line.unit_cost || 0);
+  }
+
+  function treatmentCost(treatment) {
+    return (treatment.treatment_supplies || []).reduce((sum, line) => sum + _lineCost(line), 0);
+  }
+
+  /** Average over the curaciones that recorded supplies */
+  function costSummary(treatmentList) {
+    const withSupplies = treatmentList.filter(t => (t.treatment_supplies || []).length);
+    const total = withSupplies.reduce((sum, t) => sum + treatmentCost(t), 0);
+    return {
+      total,
+      count: withSupplies.length,
+      average: withSupplies.length ? total / withSupplies.length : 0
+    };
+  }
+
+  /** Consumption between two dates (ISO strings, `to` excluded), by supply */
+  async function usage(from, to) {
+    try {
+      const rows = await api.select('treatment_supplies', {
+        select: 'supply_id,quantity,unit_cost,supplies(name,unit)',
+        and: `(created_at.gte.${from},created_at.lt.${to})`
+      });
+      const bySupply = {};
+      rows.forEach(line => {
+        const entry = bySupply[line.supply_id] || (bySupply[line.supply_id] = {
+          supply_id: line.supply_id,
+          name: line.supplies ? line.supplies.name : '—',
+          unit: line.supplies ? line.supplies.unit : '',
+          quantity: 0,
+          cost: 0
+        });
+        entry.quantity += Number(line.quantity);
+        entry.cost += _lineCost(line);
+      });
+      return Object.values(bySupply).sort((a, b) => b.cost - a.cost);
+    } catch (err) {
+      if (!offline.isNetworkError(err)) console.error('[supplies] usage error:', err);
+      return [];
+    }
+  }
+
+  // ── Formatting ───────────────────────────────────────
+  function formatCost(amount) {
+    return Number(amount || 0).toLocaleString('es-CL', {
+      style: 'currency', currency: 'CLP', maximumFractionDigits: 0
+    });
+  }
+
+  function formatQuantity(value) {
+    return Number(value).toLocaleString('es-CL', { maximumFractionDigits: 2 });
+  }
+
+  function describeLine(line) {
+    const supply = line.supplies || { name: 'Insumo', unit: '' };
+    return `${supply.name} × ${formatQuantity(line.quantity)}${supply.unit && supply.unit !== 'unidad' ? ' ' + supply.unit : ''}`;
+  }
+
+  // ── Expose ───────────────────────────────────────────
+  window.CURA360.supplies = {
+    catalog,
+    createSupply,
+    updateSupply,
+    kits,
+    createKit,
+    preferredKit,
+    rememberKit,
+    receive,
+    adjust,
+    stockBySupply,
+    lowStock,
+    recordForTreatment,
+    treatmentCost,
+    costSummary,
+    usage,
+    formatCost,
+    formatQuantity,
+    describeLine
+  };
+
+})();
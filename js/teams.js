@@ -0,0 +1,342 @@
+/**
+ * teams.js — Care teams, patient sharing and transfers
+ * ─────────────────────────────────────────────────────
+ * Professionals group into organizations. Admins invite colleagues, who
+ * join only once they accept. Owners place their patients in a team;
+ * the team's admins manage those patients (and only those). Owners (and
+ * admins) can share a patient with a teammate at 'read' or 'write'
+ * level, or transfer it.
+ * Access rules live in the database (can_read_patient / can_write_patient,
+ * see schema.sql); this module only wraps the tables and RPCs.
+ *
+ * Public API (window.CURA360.teams):
+ *   createOrganization(name)               → Promise<Organization|null>
+ *   addMember(orgId, email, role)          → Promise<boolean>  (sends an invitation)
+ *   invitations()                          → Promise<Invitation[]>  (the caller's, pending)
+ *   acceptInvitation(orgId)                → Promise<boolean>
+ *   declineInvitation(orgId)               → Promise<boolean>
+ *   setMemberRole(orgId, userId, role)     → Promise<boolean>
+ *   removeMember(orgId, userId)            → Promise<boolean>
+ *   caseload()                             → Promise<Team[]>  (teams → members → patients)
+ *   colleagues(teams)                      → Array<{ id, email }>  (joined teammates, without self)
+ *   addPatient(orgId, patientId)           → Promise<boolean>  (owner places a patient in a team)
+ *   removePatient(orgId, patientId)        → Promise<boolean>
+ *   listShares(patientId)                  → Promise<Share[]>  ({ id, professional_id, access, email })
+ *   share(patientId, professionalId, access) → Promise<boolean>
+ *   unshare(shareId)                       → Promise<boolean>
+ *   transfer(patientId, toId, keepAccess)  → Promise<boolean>
+ *   canWrite(patient) / canManage(patient) → boolean  (uses patient.access from patients.js)
+ */
+
+(function () {
+  'use strict';
+
+  const api = window.CURA360.api;
+
+  const ACCESS_LABELS = {
+    owner: 'Propietario',
+    admin: 'Administrador del equipo',
+    write: 'Lectura y escritura',
+    read:  'Solo lectura'
+  };
+
+  // ── Organizations ────────────────────────────────────
+  async function createOrganization(name) {
+    const user = window.CURA360.auth.getCurrentUser();
+    if (!user) {
+      window.CURA360.showToast('Sesión expirada. Inicie sesión de nuevo.');
+      return null;
+    }
+
+    try {
+      // The creator becomes admin (on_organization_created trigger)
+      const [row] = await api.insert('organizations', { name: name, created_by: user.id });
+      window.CURA360.showToast('Equipo creado.', 'success');
+      return row;
+    } catch (err) {
+      console.error('[teams] createOrganization error:', err);
+      window.CURA360.showToast('Error al crear el equipo.');
+      return null;
+    }
+  }
+
+  // ── Members ──────────────────────────────────────────
+  async function addMember(orgId, email, role = 'member') {
+    try {
+      await api.rpc('add_team_member', { p_org: orgId, p_email: email, p_role: role });
+      window.CURA360.showToast('Invitación enviada. Se sumará al equipo cuando la acepte.', 'success');
+      return true;
+    } catch (err) {
+      console.error('[teams] addMember error:', err);
+      window.CURA360.showToast(err.code === 'P0002'
+        ? 'No existe una cuenta activa del equipo clínico con ese correo.'
+        : 'Error al agregar el integrante.');
+      return false;
+    }
+  }
+
+  async function setMemberRole(orgId, userId, role) {
+    try {
+      await api.update('organization_members', {
+        organization_id: api.eq(orgId),
+        user_id: api.eq(userId)
+      }, { role: role });
+      return true;
+    } catch (err) {
+      console.error('[teams] setMemberRole error:', err);
+      window.CURA360.showToast('Error al cambiar el rol.');
+      return false;
+    }
+  }
+
+  async function removeMember(orgId, userId) {
+    try {
+      await api.remove('organization_members', {
+        organization_id: api.eq(orgId),
+        user_id: api.eq(userId)
+      });
+      return true;
+    } catch (err) {
+      console.error('[teams] removeMember error:', err);
+      window.CURA360.showToast('Error al quitar el integrante.');
+      return false;
+    }
+  }
+
+  // ── Invitations ──────────────────────────────────────
+  /** Pending invitations of the current user: { organization_id, organization_name, member_role, invited_by_email, invited_at } */
+  async function invitations() {
+    try {
+      return (await api.rpc('team_invitations')) || [];
+    } catch (err) {
+      console.error('[teams] invitations error:', err);
+      return [];
+    }
+  }
+
+  async function acceptInvitation(orgId) {
+    try {
+      await api.rpc('accept_team_invitation', { p_org: orgId });
+      window.CURA360.showToast('Se unió al equipo.', 'success');
+      return true;
+    } catch (err) {
+      console.error('[teams] acceptInvitation error:', err);
+      window.CURA360.showToast(err.code === 'P0002'
+        ? 'La invitación ya no está vigente.'
+        : 'Error al aceptar la invitación.');
+      return false;
+    }
+  }
+
+  /** Declining deletes the caller's own pending membership */
+  function declineInvitation(orgId) {
+    const user = window.CURA360.auth.getCurrentUser();
+    return user ? removeMember(orgId, user.id) : Promise.resolve(false);
+  }
+
+  // ── Caseload ─────────────────────────────────────────
+  /**
+   * The patients placed in each team, grouped by organization and owner.
+   * member.pending marks an invitation not yet accepted; patient.access
+   * is the caller's access (null = cannot open it).
+   * @returns {Promise<Array<{ id, name, members: Array<{ id, email, role, pending, patients }> }>>}
+   */
+  async function caseload() {
+    let rows;
+    try {
+      rows = await api.rpc('team_caseload');
+    } catch (err) {
+      console.error('[teams] caseload error:', err);
+      window.CURA360.showToast('Error al cargar el equipo.');
+      return [];
+    }
+
+    const teams = [];
+    const byOrg = {};
+    (rows || []).forEach(r => {
+      let team = byOrg[r.organization_id];
+      if (!team) {
+        team = byOrg[r.organization_id] = { id: r.organization_id, name: r.organization_name, members: [], _byId: {} };
+        teams.push(team);
+      }
+      let member = team._byId[r.professional_id];
+      if (!member) {
+        member = team._byId[r.professional_id] = {
+          id: r.professional_id,
+          email: r.professional_email,
+          role: r.member_role,
+          pending: r.member_pending === true,
+          patients: []
+        };
+        team.members.push(member);
+      }
+      if (r.patient_id) {
+        member.patients.push({
+          id: r.patient_id,
+          name: r.patient_name,
+          active_wounds: Number(r.active_wounds) || 0,
+          access: r.access
+        });
+      }
+    });
+    teams.forEach(t => delete t._byId);
+    return teams;
+  }
+
+  /** Distinct teammates across all teams, without the current user or pending invitees */
+  function colleagues(teams) {
+    const user = window.CURA360.auth.getCurrentUser();
+    const seen = {};
+    const list = [];
+    teams.forEach(t => t.members.forEach(m => {
+      if (m.pending || seen[m.id] || (user && m.id === user.id)) return;
+      seen[m.id] = true;
+      list.push({ id: m.id, email: m.email });
+    }));
+    return list.sort((a, b) => a.email.localeCompare(b.email));
+  }
+
+  // ── Team patients ────────────────────────────────────
+  /** Places one of the caller's own patients in a team: its admins can then manage it */
+  async function addPatient(orgId, patientId) {
+    const user = window.CURA360.auth.getCurrentUser();
+    if (!user) {
+      window.CURA360.showToast('Sesión expirada. Inicie sesión de nuevo.');
+      return false;
+    }
+
+    try {
+      await api.insert('team_patients', { organization_id: orgId, patient_id: patientId, added_by: user.id });
+      return true;
+    } catch (err) {
+      console.error('[teams] addPatient error:', err);
+      window.CURA360.showToast('Error al agregar el paciente al equipo.');
+      return false;
+    }
+  }
+
+  async function removePatient(orgId, patientId) {
+    try {
+      await api.remove('team_patients', {
+        organization_id: api.eq(orgId),
+        patient_id: api.eq(patientId)
+      });
+      return true;
+    } catch (err) {
+      console.error('[teams] removePatient error:', err);
+      window.CURA360.showToast('Error al quitar el paciente del equipo.');
+      return false;
+    }
+  }
+
+  // ── Patient sharing ──────────────────────────────────
+  async function listShares(patientId) {
+    try {
+      const rows = await api.select('patient_shares', {
+        select: 'id,professional_id,access,created_at,profiles!patient_shares_professional_fkey(email)',
+        patient_id: api.eq(patientId),
+        order: 'created_at.asc'
+      });
+      return rows.map(r => ({
+        id: r.id,
+        professional_id: r.professional_id,
+        access: r.access,
+        created_at: r.created_at,
+        email: r.profiles ? r.profiles.email : '—'
+      }));
+    } catch (err) {
+      console.error('[teams] listShares error:', err);
+      return [];
+    }
+  }
+
+  /** Creates the share or changes its access level */
+  async function share(patientId, professionalId, access) {
+    const user = window.CURA360.auth.getCurrentUser();
+    if (!user) {
+      window.CURA360.showToast('Sesión expirada. Inicie sesión de nuevo.');
+      return false;
+    }
+
+    try {
+      await api.insert('patient_shares', {
+        patient_id: patientId,
+        professional_id: professionalId,
+        access: access,
+        granted_by: user.id
+      }, {
+        query: { on_conflict: 'patient_id,professional_id' },
+        headers: { 'Prefer': 'return=representation,resolution=merge-duplicates' }
+      });
+      return true;
+    } catch (err) {
+      console.error('[teams] share error:', err);
+      window.CURA360.showToast('Error al compartir el paciente.');
+      return false;
+    }
+  }
+
+  async function unshare(shareId) {
+    try {
+      await api.remove('patient_shares', { id: api.eq(shareId) });
+      return true;
+    } catch (err) {
+      console.error('[teams] unshare error:', err);
+      window.CURA360.showToast('Error al quitar el acceso.');
+      return false;
+    }
+  }
+
+  // ── Transfer ─────────────────────────────────────────
+  /**
+   * Moves ownership to a teammate. With keepAccess the previous owner
+   * keeps a 'write' share.
+   */
+  async function transfer(patientId, toId, keepAccess = true) {
+    try {
+      await api.rpc('transfer_patient', {
+        p_patient: patientId,
+        p_to: toId,
+        p_keep_access: keepAccess
+      });
+      window.CURA360.showToast('Paciente transferido.', 'success');
+      return true;
+    } catch (err) {
+      console.error('[teams] transfer error:', err);
+      window.CURA360.showToast('Error al transferir el paciente.');
+      return false;
+    }
+  }
+
+  // ── Access helpers ───────────────────────────────────
+  function canWrite(patient) {
+    return !!patient && ['owner', 'admin', 'write'].indexOf(patient.access) !== -1;
+  }
+
+  function canManage(patient) {
+    return !!patient && (patient.access === 'owner' || patient.access === 'admin');
+  }
+
+  // ── Expose ───────────────────────────────────────────
+  window.CURA360.teams = {
+    ACCESS_LABELS,
+    createOrganization,
+    addMember,
+    invitations,
+    acceptInvitation,
+    declineInvitation,
+    setMemberRole,
+    removeMember,
+    caseload,
+    colleagues,
+    addPatient,
+    removePatient,
+    listShares,
+    share,
+    unshare,
+    transfer,
+    canWrite,
+    canManage
+  };
+
+})();
@@ -0,0 +1,167 @@
+/**
+ * tissue.js — Wound bed composition on photos
+ * ────────────────────────────────────────────
+ * In the image viewer (dashboard.html) staff outline regions of the
+ * wound bed and tag each one with a tissue type. This module turns the
+ * outlines into percentage coverage per type and stores both on the
+ * wound_images row (migration 0014), linked to the curación of that day.
+ *
+ *   tissue:      { width, height, regions: [{ type, polygon: [[x, y], ...] }] }
+ *   composition: { granulation: 60, slough: 40 }   (whole percentages, sum 100)
+ *
+ * Points are pixels of the original image, like tracing.js. Where
+ * regions overlap, the one drawn last wins; when the photo also has a
+ * traced wound edge, regions are clipped to it.
+ *
+ * Public API (window.CURA360.tissue):
+ *   TYPES                           → [{ key, label }]  (drawing order of the legend)
+ *   label(key)                      → string
+ *   compute(tissue, outline)        → composition | null
+ *   save(image, tissue, treatmentId) → Promise<object|null>  (updated fields)
+ *   listByWound(woundId)            → Promise<Image[]>  (annotated photos, oldest first)
+ *   describe(composition)           → string  ("Granulación 60% · Esfacelo 40%")
+ */
+
+(function () {
+  'use strict';
+
+  const api = window.CURA360.api;
+  const offline = window.CURA360.offline;
+
+  const TYPES = [
+    { key: 'granulation',      label: 'Granulación' },
+    { key: 'epithelial',       label: 'Epitelización' },
+    { key: 'hypergranulation', label: 'Hipergranulación' },
+    { key: 'slough',           label: 'Esfacelo' },
+    { key: 'necrotic',         label: 'Necrosis' }
+  ];
+
+  const MIN_POINTS = 3;
+  /** Sampling grid: cells along the longest side of the photo */
+  const GRID = 240;
+
+  function label(key) {
+    const type = TYPES.find(t => t.key === key);
+    return type ? type.label : key;
+  }
+
+  // ── Coverage ─────────────────────────────────────────
+  /** Even-odd ray casting */
+  function _inside(point, polygon) {
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+      const [xi, yi] = polygon[i];
+      const [xj, yj] = polygon[j];
+      if ((yi > point[1]) !== (yj > point[1]) &&
+          point[0] < (xj - xi) * (point[1] - yi) / (yj - yi) + xi) {
+        inside = !inside;
+      }
+    }
+    return inside;
+  }
+
+  /** Rounds to whole percentages that still add up to 100 (largest remainder) */
+  function _percentages(counts, total) {
+    const keys = Object.keys(counts);
+    const exact = keys.map(key => ({ key, value: counts[key] * 100 / total }));
+    const result = {};
+    exact.forEach(e => { result[e.key] = Math.floor(e.value); });
+    let missing = 100 - keys.reduce((sum, key) => sum + result[key], 0);
+    exact
+      .sort((a, b) => (b.value - Math.floor(b.value)) - (a.value - Math.floor(a.value)))
+      .forEach(e => {
+        if (missing > 0) { result[e.key]++; missing--; }
+      });
+    return result;
+  }
+
+  /**
+   * Samples the photo on a grid and counts, per type, the cells covered
+   * by its regions; the percentages are of the annotated area.
+   */
+  function compute(tissue, outline) {
+    if (!tissue || !tissue.width || !tissue.height) return null;
+    const regions = (tissue.regions || []).filter(r => r.polygon && r.polygon.length >= MIN_POINTS);
+    if (!regions.length) return null;
+    const edge = outline && outline.length >= MIN_POINTS ? outline : null;
+
+    const cell = Math.max(tissue.width, tissue.height) / GRID;
+    const counts = {};
+    let total = 0;
+    for (let y = cell / 2; y < tissue.height; y += cell) {
+      for (let x = cell / 2; x < tissue.width; x += cell) {
+        const point = [x, y];
+        if (edge && !_inside(point, edge)) continue;
+        for (let i = regions.length - 1; i >= 0; i--) {
+          if (_inside(point, regions[i].polygon)) {
+            counts[regions[i].type] = (counts[regions[i].type] || 0) + 1;
+            total++;
+            break;
+          }
+        }
+      }
+    }
+    return total ? _percentages(counts, total) : null;
+  }
+
+  function describe(composition) {
+    return TYPES
+      .filter(t => composition[t.key])
+      .map(t => `${t.label} ${composition[t.key]}%`)
+      .join(' · ');
+  }
+
+  // ── Persistence ──────────────────────────────────────
+  async function save(image, tissue, treatmentId) {
+    const composition = compute(tissue, image.tracing ? image.tracing.polygon : null);
+    if (!composition) return null;
+
+    const user = window.CURA360.auth.getCurrentUser();
+    const values = {
+      tissue: tissue,
+      tissue_composition: composition,
+      treatment_id: image.treatment_id || treatmentId || null,
+      annotated_by: user ? user.id : null,
+      annotated_at: new Date().toISOString()
+    };
+
+    try {
+      if (!offline.isOnline()) {
+        await offline.queueUpdate('wound_images', image.id, values);
+        window.CURA360.showToast('Sin conexión: los tejidos se guardarán al sincronizar.', 'warning');
+        return values;
+      }
+      await api.update('wound_images', { id: api.eq(image.id) }, values);
+      return values;
+    } catch (err) {
+      console.error('[tissue] save error:', err);
+      window.CURA360.showToast('Error al guardar los tejidos.');
+      return null;
+    }
+  }
+
+  async function listByWound(woundId) {
+    try {
+      return await api.select('wound_images', {
+        select: 'id,created_at,treatment_id,tissue_composition',
+        wound_id: api.eq(woundId),
+        tissue_composition: 'not.is.null',
+        order: 'created_at.asc'
+      });
+    } catch (err) {
+      if (!offline.isNetworkError(err)) console.error('[tissue] listByWound error:', err);
+      return [];
+    }
+  }
+
+  // ── Expose ───────────────────────────────────────────
+  window.CURA360.tissue = {
+    TYPES,
+    label,
+    compute,
+    save,
+    listByWound,
+    describe
+  };
+
+})();
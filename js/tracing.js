@@ -0,0 +1,160 @@
+/**
+ * tracing.js — Wound measurement on photos
+ * ─────────────────────────────────────────
+ * The image viewer (dashboard.html) lets staff calibrate a photo with a
+ * marker or ruler of known length and trace the wound edge as a polygon.
+ * This module turns that drawing into centimetres and stores it on the
+ * wound_images row (migration 0013). Points are pixels of the original
+ * image, so a tracing stays valid at any display size.
+ *
+ *   tracing: { width, height,
+ *              calibration: { a: [x, y], b: [x, y], cm },
+ *              polygon: [[x, y], ...] }
+ *
+ * Length and width are the long and short sides of the smallest
+ * rectangle that encloses the outline, so L × W matches what a ruler
+ * laid along the wound would give.
+ *
+ * Public API (window.CURA360.tracing):
+ *   compute(tracing)             → { area_cm2, length_cm, width_cm } | null
+ *   save(image, tracing)         → Promise<object|null>  (updated fields)
+ *   latestForWound(woundId)      → Promise<Image|null>   (most recent measured photo)
+ *   describe(result)             → string  ("4,2 cm² · 2,5 × 1,8 cm")
+ */
+
+(function () {
+  'use strict';
+
+  const api = window.CURA360.api;
+  const offline = window.CURA360.offline;
+
+  const MIN_POINTS = 3;
+
+  // ── Geometry (pixels) ────────────────────────────────
+  function _distance(a, b) {
+    return Math.hypot(b[0] - a[0], b[1] - a[1]);
+  }
+
+  /** Shoelace formula; the outline may be traced in either direction */
+  function _polygonArea(points) {
+    let sum = 0;
+    points.forEach((p, i) => {
+      const q = points[(i + 1) % points.length];
+      sum += p[0] * q[1] - q[0] * p[1];
+    });
+    return Math.abs(sum) / 2;
+  }
+
+  /** Convex hull (monotone chain), counter-clockwise */
+  function _hull(points) {
+    const sorted = points.slice().sort((p, q) => p[0] - q[0] || p[1] - q[1]);
+    const cross = (o, p, q) => (p[0] - o[0]) * (q[1] - o[1]) - (p[1] - o[1]) * (q[0] - o[0]);
+    const half = list => {
+      const out = [];
+      list.forEach(p => {
+        while (out.length >= 2 && cross(out[out.length - 2], out[out.length - 1], p) <= 0) out.pop();
+        out.push(p);
+      });
+      out.pop();
+      return out;
+    };
+    return half(sorted).concat(half(sorted.slice().reverse()));
+  }
+
+  /**
+   * Sides of the smallest rectangle around the outline: one side always
+   * lies on a hull edge, so every edge direction is tried.
+   */
+  function _dimensions(points) {
+    const hull = _hull(points);
+    let best = null;
+    hull.forEach((p, i) => {
+      const q = hull[(i + 1) % hull.length];
+      const edge = _distance(p, q);
+      if (!edge) return;
+      const ux = (q[0] - p[0]) / edge;
+      const uy = (q[1] - p[1]) / edge;
+      const along = hull.map(h => h[0] * ux + h[1] * uy);
+      const across = hull.map(h => h[0] * -uy + h[1] * ux);
+      const a = Math.max(...along) - Math.min(...along);
+      const b = Math.max(...across) - Math.min(...across);
+      if (!best || a * b < best.a * best.b) best = { a, b };
+    });
+    if (!best) return { length: 0, width: 0 };
+    return { length: Math.max(best.a, best.b), width: Math.min(best.a, best.b) };
+  }
+
+  const _round = (value, decimals) => Math.round(value * Math.pow(10, decimals)) / Math.pow(10, decimals);
+
+  function compute(tracing) {
+    if (!tracing || !tracing.calibration || !tracing.polygon) return null;
+    const { a, b, cm } = tracing.calibration;
+    const pixels = a && b ? _distance(a, b) : 0;
+    if (!pixels || !(cm > 0) || tracing.polygon.length < MIN_POINTS) return null;
+
+    const cmPerPixel = cm / pixels;
+    const dims = _dimensions(tracing.polygon);
+    return {
+      area_cm2: _round(_polygonArea(tracing.polygon) * cmPerPixel * cmPerPixel, 2),
+      length_cm: _round(dims.length * cmPerPixel, 1),
+      width_cm: _round(dims.width * cmPerPixel, 1)
+    };
+  }
+
+  function describe(result) {
+    const n = (value, decimals) => Number(value).toLocaleString('es-CL', { maximumFractionDigits: decimals });
+    return `${n(result.area_cm2, 1)} cm² · ${n(result.length_cm, 1)} × ${n(result.width_cm, 1)} cm`;
+  }
+
+  // ── Persistence ──────────────────────────────────────
+  async function save(image, tracing) {
+    const result = compute(tracing);
+    if (!result) return null;
+
+    const user = window.CURA360.auth.getCurrentUser();
+    const values = {
+      tracing: tracing,
+      area_cm2: result.area_cm2,
+      length_cm: result.length_cm,
+      width_cm: result.width_cm,
+      measured_by: user ? user.id : null,
+      measured_at: new Date().toISOString()
+    };
+
+    try {
+      if (!offline.isOnline()) {
+        await offline.queueUpdate('wound_images', image.id, values);
+        window.CURA360.showToast('Sin conexión: la medición se guardará al sincronizar.', 'warning');
+        return values;
+      }
+      await api.update('wound_images', { id: api.eq(image.id) }, values);
+      return values;
+    } catch (err) {
+      console.error('[tracing] save error:', err);
+      window.CURA360.showToast('Error al guardar la medición.');
+      return null;
+    }
+  }
+
+  async function latestForWound(woundId) {
+    try {
+      return await api.selectOne('wound_images', {
+        wound_id: api.eq(woundId),
+        measured_at: 'not.is.null',
+        order: 'measured_at.desc'
+      });
+    } catch (err) {
+      if (!offline.isNetworkError(err)) console.error('[tracing] latestForWound error:', err);
+      return null;
+    }
+  }
+
+  // ── Expose ───────────────────────────────────────────
+  window.CURA360.tracing = {
+    compute,
+    save,
+    latestForWound,
+    describe
+  };
+
+})();
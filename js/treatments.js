@@ -1,22 +1,63 @@
 /**
  * CURA360 - Treatments Module (with Clinical Stage Auto-Evaluation)
  * Handles wound treatments/curaciones + triggers automatic stage evaluation
+ * The database schedules the next visit after each curación (visits.js)
+ * Supplies used are line items (treatment_supplies, supplies.js), listed
+ * embedded in each curación together with their unit cost
+ * The structured record of the curación (cleansing, dressings, compression...)
+ * is treatments.protocol, see protocols.js
+ * Decisions on the advisor's suggestions (advisor_decisions, advisor.js) are embedded too
+ * Offline: curaciones are queued and listed from the IndexedDB cache
  */
 
 (function () {
   'use strict';
 
+  const api = window.CURA360.api;
+  const offline = window.CURA360.offline;
+
+  const SELECT_WITH_DETAIL = '*,treatment_supplies(id,supply_id,lot_id,kit_id,quantity,unit_cost,shortfall,supplies(name,unit))' +
+    ',advisor_decisions(rule_id,kind,title,accepted)';
+
   const treatments = {
     
     /**
      * Create a new treatment and trigger automatic stage evaluation
+     * data.measurement (optional) is stored as a wound_measurements
+     * snapshot linked to the treatment and copied onto the wound row
+     * data.frequency_days (optional) updates the wound's dressing-change
+     * frequency first, so the next visit is scheduled with it
+     * data.photos (optional) are Files uploaded as wound_images linked to
+     * the treatment; offline they are queued after it
+     * data.supply_items (optional) [{ supply_id, quantity }] and
+     * data.supply_kit_id record the supplies used, decremented from that kit
+     * data.protocol (optional) is the structured record (protocols.FIELDS) and
+     * data.protocol_template the template that prefilled it
+     * data.advisor_decisions (optional) [{ suggestion, accepted }] are the
+     * advisor's suggestions shown in the form, recorded after the treatment
      */
     async create(woundId, data) {
       try {
         window.CURA360.setLoader(true);
         
+        const measurement = data.measurement || null;
+        delete data.measurement;
+        const frequencyDays = data.frequency_days || null;
+        delete data.frequency_days;
+        const photos = data.photos || [];
+        delete data.photos;
+        const supplyItems = data.supply_items || [];
+        const supplyKitId = data.supply_kit_id || null;
+        delete data.supply_items;
+        delete data.supply_kit_id;
+        const decisions = data.advisor_decisions || [];
+        delete data.advisor_decisions;
+        
         data.wound_id = woundId;
         data.created_at = new Date().toISOString();
+        if (window.CURA360.protocols) {
+          data.protocol = window.CURA360.protocols.pick(data.protocol);
+        }
         
         // Clean data - remove empty values
         const cleanData = {};
@@ -31,15 +72,82 @@
           throw new Error('wound_id y technique son requeridos');
         }
         
-        const { data: treatment, error } = await window.CURA360.supabase
-          .from('treatments')
-          .insert([cleanData])
-          .select()
-          .single();
-          
-        if (error) throw error;
+        // Before the insert: its trigger schedules the next visit from the wound
+        if (frequencyDays) {
+          const frequency = { dressing_frequency_days: frequencyDays };
+          let saved = false;
+          if (offline.isOnline()) {
+            try {
+              await api.update('wounds', { id: api.eq(woundId) }, frequency);
+              saved = true;
+            } catch (err) {
+              if (!offline.isNetworkError(err)) throw err;
+            }
+          }
+          if (!saved) await offline.queueUpdate('wounds', woundId, frequency, 'wounds');
+        }
         
-        window.CURA360.showToast('Curación registrada correctamente');
+        let treatment = null;
+        if (offline.isOnline()) {
+          try {
+            [treatment] = await api.insert('treatments', cleanData);
+          } catch (err) {
+            if (!offline.isNetworkError(err)) throw err;
+          }
+        }
+        
+        if (treatment) {
+          await offline.put('treatments', treatment);
+          window.CURA360.showToast('Curación registrada correctamente');
+        } else {
+          treatment = await offline.queueInsert('treatments', cleanData, 'treatments');
+          window.CURA360.showToast('Sin conexión: curación guardada en el dispositivo', 'warning');
+        }
+        
+        // Measurement snapshot for trend analysis + keep wound row current
+        if (measurement) {
+          const snapshot = await window.CURA360.measurements.create(
+            woundId, { ...measurement, created_at: treatment.created_at }, treatment.id
+          );
+          if (snapshot) {
+            const woundValues = window.CURA360.measurements.pick(measurement);
+            if (treatment._pending) {
+              await offline.queueUpdate('wounds', woundId, woundValues, 'wounds');
+            } else {
+              try {
+                await api.update('wounds', { id: api.eq(woundId) }, woundValues);
+              } catch (woundError) {
+                console.error('Error updating wound measurements:', woundError);
+              }
+            }
+          }
+        }
+        
+        // Supply line items; cached with the curación so its cost shows offline
+        if (supplyItems.length) {
+          const lines = await window.CURA360.supplies.recordForTreatment(treatment, supplyKitId, supplyItems);
+          treatment.treatment_supplies = lines;
+          await offline.put('treatments', treatment);
+        }
+        
+        if (decisions.length) {
+          treatment.advisor_decisions = await window.CURA360.advisor.recordDecisions(treatment, decisions);
+          await offline.put('treatments', treatment);
+        }
+        
+        // Photos of the curación (images.upload reports its own errors)
+        let photosSaved = 0;
+        for (const file of photos) {
+          const image = await window.CURA360.images.upload(woundId, file, '', { treatmentId: treatment.id, quiet: true });
+          if (image) photosSaved++;
+        }
+        if (photosSaved) {
+          window.CURA360.showToast(photosSaved === 1 ? '1 foto adjunta a la curación' : photosSaved + ' fotos adjuntas a la curación', 'success');
+        }
+        
+        if (window.CURA360.visits) {
+          await window.CURA360.visits.forgetWound(woundId);
+        }
         
         // 🆕 EVALUAR Y ACTUALIZAR CLINICAL STAGE AUTOMÁTICAMENTE
         // Esto ejecuta las reglas automáticas después de cada curación
@@ -64,16 +172,10 @@
      */
     async getById(treatmentId) {
       try {
-        const { data, error } = await window.CURA360.supabase
-          .from('treatments')
-          .select('*')
-          .eq('id', treatmentId)
-          .single();
-          
-        if (error) throw error;
-        return data;
+        return await api.selectOne('treatments', { id: api.eq(treatmentId) });
         
       } catch (err) {
+        if (offline.isNetworkError(err)) return offline.get('treatments', treatmentId);
         console.error('Error getting treatment:', err);
         return null;
       }
@@ -84,16 +186,19 @@
      */
     async listByWound(woundId) {
       try {
-        const { data, error } = await window.CURA360.supabase
-          .from('treatments')
-          .select('*')
-          .eq('wound_id', woundId)
-          .order('created_at', { ascending: false });
-          
-        if (error) throw error;
-        return data || [];
+        const data = await api.select('treatments', {
+          select: SELECT_WITH_DETAIL,
+          wound_id: api.eq(woundId),
+          order: 'created_at.desc'
+        });
+        await offline.replaceWhere('treatments', 'wound_id', woundId, data);
+        return data;
         
       } catch (err) {
+        if (offline.isNetworkError(err)) {
+          const rows = await offline.getByIndex('treatments', 'wound_id', woundId);
+          return rows.sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+        }
         console.error('Error listing treatments:', err);
         return [];
       }
@@ -106,12 +211,13 @@
       try {
         window.CURA360.setLoader(true);
         
-        const { error } = await window.CURA360.supabase
-          .from('treatments')
-          .update(updates)
-          .eq('id', treatmentId);
-          
-        if (error) throw error;
+        if (!offline.isOnline()) {
+          await offline.queueUpdate('treatments', treatmentId, updates, 'treatments');
+          window.CURA360.showToast('Sin conexión: el cambio se sincronizará después', 'warning');
+          return true;
+        }
+        
+        await api.update('treatments', { id: api.eq(treatmentId) }, updates);
         
         window.CURA360.showToast('Curación actualizada');
         return true;
@@ -132,12 +238,14 @@
       try {
         window.CURA360.setLoader(true);
         
-        const { error } = await window.CURA360.supabase
-          .from('treatments')
-          .delete()
-          .eq('id', treatmentId);
-          
-        if (error) throw error;
+        if (!offline.isOnline()) {
+          await offline.queueDelete('treatments', treatmentId, 'treatments');
+          window.CURA360.showToast('Sin conexión: la eliminación se sincronizará después', 'warning');
+          return true;
+        }
+        
+        await api.remove('treatments', { id: api.eq(treatmentId) });
+        await offline.remove('treatments', treatmentId);
         
         window.CURA360.showToast('Curación eliminada');
         return true;
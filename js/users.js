@@ -0,0 +1,146 @@
+/**
+ * users.js — Staff accounts and the admin console
+ * ─────────────────────────────────────────────────
+ * Admins invite staff by e-mail with a role (user_invitations), change
+ * roles and deactivate accounts (profiles.active). The invited person
+ * signs up on registro.html with the code; handle_new_user() gives the
+ * new profile the invited role. RLS limits every write to admins and
+ * never lets them edit their own profile.
+ *
+ * Public API (window.CURA360.users):
+ *   ROLES                          → staff roles an admin can assign
+ *   list()                         → Promise<Profile[]>  ({ id, email, role, active })
+ *   setRole(userId, role)          → Promise<boolean>
+ *   setActive(userId, active)      → Promise<boolean>
+ *   invite(email, role)            → Promise<UserInvitation|null>
+ *   listInvitations()              → Promise<UserInvitation[]>
+ *   revokeInvitation(id)           → Promise<boolean>
+ *   invitationStatus(code, email)  → Promise<'valid'|'used'|'expired'|'revoked'|'email_mismatch'|'invalid'>
+ */
+
+(function () {
+  'use strict';
+
+  const api = window.CURA360.api;
+  const invitations = window.CURA360.invitations;
+
+  const ROLES = ['professional', 'technician', 'auditor', 'admin'];
+
+  // ── Accounts ─────────────────────────────────────────
+  async function list() {
+    try {
+      return await api.select('profiles', {
+        select: 'id,email,role,active',
+        order: 'email.asc'
+      });
+    } catch (err) {
+      console.error('[users] list error:', err);
+      window.CURA360.showToast('Error al cargar los usuarios.');
+      return [];
+    }
+  }
+
+  async function setRole(userId, role) {
+    try {
+      await api.update('profiles', { id: api.eq(userId) }, { role: role });
+      return true;
+    } catch (err) {
+      console.error('[users] setRole error:', err);
+      window.CURA360.showToast('Error al cambiar el rol.');
+      return false;
+    }
+  }
+
+  async function setActive(userId, active) {
+    try {
+      await api.update('profiles', { id: api.eq(userId) }, { active: active });
+      return true;
+    } catch (err) {
+      console.error('[users] setActive error:', err);
+      window.CURA360.showToast(active ? 'Error al reactivar la cuenta.' : 'Error al desactivar la cuenta.');
+      return false;
+    }
+  }
+
+  // ── Invitations ──────────────────────────────────────
+  async function invite(email, role) {
+    const user = window.CURA360.auth.getCurrentUser();
+    if (!user) {
+      window.CURA360.showToast('Sesión expirada. Inicie sesión de nuevo.');
+      return null;
+    }
+
+    const expires = new Date(Date.now() + invitations.TTL_DAYS * 24 * 60 * 60 * 1000);
+
+    // Same single retry on a code collision as patient invitations
+    for (let attempt = 0; attempt < 2; attempt++) {
+      try {
+        const [row] = await api.insert('user_invitations', {
+          email: email.trim().toLowerCase(),
+          role: role,
+          code: invitations.generateCode(),
+          created_by: user.id,
+          expires_at: expires.toISOString()
+        });
+        return row;
+      } catch (err) {
+        if (err.code === '23505' && attempt === 0) continue;
+        console.error('[users] invite error:', err);
+        window.CURA360.showToast('Error al generar la invitación.');
+        return null;
+      }
+    }
+    return null;
+  }
+
+  async function listInvitations() {
+    try {
+      return await api.select('user_invitations', { order: 'created_at.desc' });
+    } catch (err) {
+      console.error('[users] listInvitations error:', err);
+      return [];
+    }
+  }
+
+  async function revokeInvitation(invitationId) {
+    try {
+      await api.update('user_invitations', { id: api.eq(invitationId) }, {
+        revoked_at: new Date().toISOString()
+      });
+      return true;
+    } catch (err) {
+      console.error('[users] revokeInvitation error:', err);
+      window.CURA360.showToast('Error al anular la invitación.');
+      return false;
+    }
+  }
+
+  /**
+   * Checks a staff code before sign-up (works without a session). The
+   * code is only valid for the invited e-mail.
+   */
+  async function invitationStatus(code, email) {
+    try {
+      return await api.rpc('user_invitation_status', {
+        p_code: invitations.normalize(code),
+        p_email: email
+      }, { auth: false });
+    } catch (err) {
+      console.error('[users] invitationStatus error:', err);
+      return 'invalid';
+    }
+  }
+
+  // ── Expose ───────────────────────────────────────────
+  window.CURA360.users = {
+    ROLES,
+    list,
+    setRole,
+    setActive,
+    invite,
+    listInvitations,
+    revokeInvitation,
+    invitationStatus
+  };
+
+})();
@@ -0,0 +1,166 @@
+/**
+ * visits.js — Curación agenda
+ * ────────────────────────────
+ * Each wound carries a dressing-change frequency (wounds.dressing_frequency_days).
+ * The database keeps one open visit per wound, due that many days after
+ * the last curación: recording a curación completes it and schedules the
+ * next one (triggers in schema.sql, section "FUNCTIONS: Visits"). This
+ * module reads the agenda and supplies the per-technique defaults used by
+ * the treatment form.
+ *
+ * Offline: the open agenda is cached in IndexedDB (store `visits`).
+ *
+ * Public API (window.CURA360.visits):
+ *   FREQUENCY_BY_TECHNIQUE       → { [technique]: days }
+ *   frequencyFor(technique)      → number  (default days between curaciones)
+ *   agenda(days)                 → Promise<Array<{ commune, visits }>>  (overdue + next `days` days)
+ *   nextForWound(woundId)        → Promise<Visit|null>
+ *   daysUntil(visit)             → number  (negative = overdue)
+ *   state(visit)                 → 'overdue' | 'today' | 'upcoming'
+ *   forgetWound(woundId)         → Promise<void>  (drops the cached open visit after a curación)
+ */
+
+(function () {
+  'use strict';
+
+  const api = window.CURA360.api;
+  const offline = window.CURA360.offline;
+
+  /** Days between curaciones by technique (options of #t-technique) */
+  const FREQUENCY_BY_TECHNIQUE = {
+    'Cura seca': 1,
+    'Cura húmeda': 3,
+    'Cura con apósito de plata': 3,
+    'Cura con gel': 3,
+    'Desbridamiento': 2,
+    'Otra': 3
+  };
+  const DEFAULT_FREQUENCY = 3;
+
+  const NO_COMMUNE = 'Sin comuna';
+
+  const SELECT_AGENDA = 'id,wound_id,scheduled_for,' +
+    'wounds(id,patient_id,type,location,status,dressing_frequency_days,patients(id,name,commune,address,phone,latitude,longitude))';
+
+  function frequencyFor(technique) {
+    return FREQUENCY_BY_TECHNIQUE[technique] || DEFAULT_FREQUENCY;
+  }
+
+  // ── Dates ────────────────────────────────────────────
+  /** scheduled_for is a plain date ('YYYY-MM-DD'): compare in local time */
+  function daysUntil(visit) {
+    const [y, m, d] = visit.scheduled_for.split('-').map(Number);
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    return Math.round((new Date(y, m - 1, d) - today) / (24 * 60 * 60 * 1000));
+  }
+
+  function state(visit) {
+    const days = daysUntil(visit);
+    if (days < 0) return 'overdue';
+    if (days === 0) return 'today';
+    return 'upcoming';
+  }
+
+  // ── Reads ────────────────────────────────────────────
+  /** Flattens the embedded wound / patient so cached rows look the same */
+  function _flatten(row) {
+    const wound = row.wounds || {};
+    return {
+      id: row.id,
+      wound_id: row.wound_id,
+      scheduled_for: row.scheduled_for,
+      wound: {
+        id: wound.id,
+        patient_id: wound.patient_id,
+        type: wound.type,
+        location: wound.location,
+        status: wound.status,
+        dressing_frequency_days: wound.dressing_frequency_days
+      },
+      patient: wound.patients || { id: wound.patient_id, name: '—', commune: null, address: null }
+    };
+  }
+
+  async function _openVisits() {
+    try {
+      const rows = await api.select('visits', {
+        select: SELECT_AGENDA,
+        status: api.eq('scheduled'),
+        order: 'scheduled_for.asc'
+      });
+      const visits = rows.map(_flatten);
+      await offline.replaceWhere('visits', null, null, visits);
+      return visits;
+    } catch (err) {
+      if (offline.isNetworkError(err)) return offline.getAll('visits');
+      console.error('[visits] agenda error:', err);
+      window.CURA360.showToast('Error al cargar la agenda.');
+      return [];
+    }
+  }
+
+  /**
+   * Open visits due within `days` days (1 = today), overdue ones
+   * included, grouped by the patient's commune.
+   */
+  async function agenda(days = 1) {
+    const visits = (await _openVisits()).filter(v => daysUntil(v) < days);
+
+    const groups = {};
+    visits.forEach(v => {
+      const commune = (v.patient.commune || '').trim() || NO_COMMUNE;
+      (groups[commune] = groups[commune] || []).push(v);
+    });
+
+    return Object.keys(groups)
+      .sort((a, b) => {
+        if (a === NO_COMMUNE) return 1;
+        if (b === NO_COMMUNE) return -1;
+        return a.localeCompare(b, 'es');
+      })
+      .map(commune => ({
+        commune: commune,
+        visits: groups[commune].sort((a, b) =>
+          a.scheduled_for.localeCompare(b.scheduled_for) ||
+          (a.patient.name || '').localeCompare(b.patient.name || '', 'es'))
+      }));
+  }
+
+  async function nextForWound(woundId) {
+    try {
+      return await api.selectOne('visits', {
+        wound_id: api.eq(woundId),
+        status: api.eq('scheduled')
+      });
+    } catch (err) {
+      if (offline.isNetworkError(err)) {
+        const [cached] = await offline.getByIndex('visits', 'wound_id', woundId);
+        return cached || null;
+      }
+      console.error('[visits] nextForWound error:', err);
+      return null;
+    }
+  }
+
+  /**
+   * The server replaces the open visit when the curación syncs; until
+   * then the cached one would still show as due.
+   */
+  async function forgetWound(woundId) {
+    const cached = await offline.getByIndex('visits', 'wound_id', woundId);
+    for (const v of cached) await offline.remove('visits', v.id);
+  }
+
+  // ── Expose ───────────────────────────────────────────
+  window.CURA360.visits = {
+    FREQUENCY_BY_TECHNIQUE,
+    frequencyFor,
+    agenda,
+    nextForWound,
+    daysUntil,
+    state,
+    forgetWound
+  };
+
+})();
@@ -1,11 +1,16 @@
 /**
  * CURA360 - Wounds Module (Complete with Clinical Stage Auto-Evaluation)
  * Handles wound CRUD + automatic stage evaluation
+ * Offline: reads fall back to the IndexedDB cache and writes are queued
+ * (see offline.js); stage evaluation is deferred until the queue syncs.
  */
 
 (function () {
   'use strict';
 
+  const api = window.CURA360.api;
+  const offline = window.CURA360.offline;
+
   const wounds = {
     
     /**
@@ -35,13 +40,27 @@
           throw new Error('patient_id es requerido');
         }
         
-        const { data: wound, error } = await window.CURA360.supabase
-          .from('wounds')
-          .insert([cleanData])
-          .select()
-          .single();
-          
-        if (error) throw error;
+        if (!offline.isOnline()) return await this._createOffline(cleanData);
+        
+        let wound;
+        try {
+          [wound] = await api.insert('wounds', cleanData);
+        } catch (err) {
+          if (offline.isNetworkError(err)) return await this._createOffline(cleanData);
+          throw err;
+        }
+        await offline.put('wounds', wound);
+        
+        // Initial stage is always a manual choice from the form
+        await this._recordStageChange(wound.id, null, wound.clinical_stage, {
+          trigger: 'manual',
+          reason: 'Etapa inicial al registrar la herida'
+        });
+        
+        // Baseline snapshot so later curaciones have something to compare against
+        if (window.CURA360.measurements) {
+          await window.CURA360.measurements.create(wound.id, wound);
+        }
         
         window.CURA360.showToast('Herida registrada correctamente');
         return wound;
@@ -57,78 +76,68 @@
 
     /**
      * Evaluate and update clinical stage automatically
-     * Called after each treatment is registered
+     * Called after each treatment is registered.
+     * Rules come from config/stage-rules.json (see stage-rules.js).
+     * @returns {Promise<object|null>} evaluation: { stage, ruleId, ruleVersion, description, reasons, facts }
      */
     async evaluateStage(woundId) {
       try {
+        // Needs the full server history: run it once the queue has synced
+        if (!offline.isOnline()) {
+          await offline.enqueue({ kind: 'evaluate', wound_id: woundId });
+          return null;
+        }
+        
         // Get wound data
         const wound = await this.getById(woundId);
         if (!wound) return null;
         
-        // Get treatments count and last treatment
-        const treatments = await window.CURA360.treatments.listByWound(woundId);
-        const treatmentCount = treatments.length;
-        
-        // Calculate days since creation
-        const createdDate = new Date(wound.created_at);
-        const today = new Date();
-        const daysSinceCreation = Math.floor((today - createdDate) / (1000 * 60 * 60 * 24));
+        const ruleSet = await window.CURA360.stageRules.load();
         
-        // Determine new stage based on rules
-        let newStage = wound.clinical_stage;
+        const treatments = await window.CURA360.treatments.listByWound(woundId);
         
-        // RULE 1: Valoración inicial
-        // Recent wound without treatments
-        if (treatmentCount === 0 && daysSinceCreation < 1) {
-          newStage = 'valoracion_inicial';
-        }
+        // Healing trend from the measurement history
+        const history = await window.CURA360.measurements.listByWound(woundId);
+        const trend = window.CURA360.measurements.analyzeTrend(history);
         
-        // RULE 2: Tratamiento en curso
-        // Has 1-3 treatments, no infection, recent wound
-        else if (treatmentCount >= 1 && treatmentCount <= 3 && !wound.infection_signs) {
-          newStage = 'tratamiento_en_curso';
-        }
+        // Clinical scale histories (PUSH/RESVECH per wound, Braden per patient)
+        const scales = window.CURA360.scales;
+        const woundScores = await scales.listByWound(woundId);
+        const bradenScores = await scales.listByPatient(wound.patient_id, 'braden');
+        const scores = {
+          push: scales.summarize(woundScores.filter(r => r.scale === 'push')),
+          resvech: scales.summarize(woundScores.filter(r => r.scale === 'resvech')),
+          braden: scales.summarize(bradenScores)
+        };
         
-        // RULE 3: Bajo observación (ALERT)
-        // Has infection, high pain, or no improvement after 2+ weeks
-        else if (
-          wound.infection_signs === true || 
-          (wound.pain_scale && wound.pain_scale > 7) ||
-          (daysSinceCreation > 14 && treatmentCount > 5 && this._noImprovement(wound, treatments))
-        ) {
-          newStage = 'bajo_observacion';
-        }
+        const facts = window.CURA360.stageRules.buildFacts(wound, treatments, trend, scores);
+        const result = window.CURA360.stageRules.evaluate(ruleSet, facts);
         
-        // RULE 4: Evolución favorable
-        // Multiple treatments, no infection, showing improvement
-        else if (
-          treatmentCount > 3 &&
-          !wound.infection_signs &&
-          (wound.pain_scale === null || wound.pain_scale <= 5) &&
-          this._showsImprovement(wound, treatments)
-        ) {
-          newStage = 'evolucion_favorable';
-        }
-        
-        // RULE 5: Alta clínica (mostly manual, but can auto-suggest)
-        // Very small wound, minimal exudate, low/no pain, no infection
-        else if (
-          wound.length_cm && wound.width_cm &&
-          wound.length_cm < 1 && wound.width_cm < 1 &&
-          wound.exudate_amount === 'escaso' &&
-          (!wound.pain_scale || wound.pain_scale <= 2) &&
-          wound.infection_signs !== true
-        ) {
-          newStage = 'alta_clinica';
-        }
+        const changed = result.stage && result.stage !== wound.clinical_stage;
+        const reason = result.description +
+          (result.reasons.length ? ': ' + result.reasons.join('; ') : '');
         
-        // Update if stage changed
-        if (newStage !== wound.clinical_stage) {
-          await this.updateStage(woundId, newStage);
-          console.log(`✅ Wound ${woundId} stage updated: ${wound.clinical_stage} → ${newStage}`);
+        // Locked after a manual override, or recorded by a technician
+        // (cannot change stages): only store the suggestion
+        if (wound.stage_locked || !window.CURA360.auth.can('changeStage')) {
+          await this._saveSuggestion(woundId, changed ? result : null, reason);
+          result.applied = false;
+        } else if (changed) {
+          await this.updateStage(woundId, result.stage, {
+            trigger: 'auto',
+            ruleId: result.ruleId,
+            ruleVersion: result.ruleVersion,
+            reason: reason,
+            fromStage: wound.clinical_stage
+          });
+          result.applied = true;
+          console.log(`✅ Wound ${woundId} stage updated: ${wound.clinical_stage} → ${result.stage} ` +
+            `(regla ${result.ruleId} v${result.ruleVersion})`);
+        } else {
+          result.applied = false;
         }
         
-        return newStage;
+        return result;
         
       } catch (err) {
         console.error('Error evaluating stage:', err);
@@ -137,16 +146,45 @@
     },
 
     /**
-     * Manually update clinical stage (override automatic)
+     * Update clinical stage and record the transition in wound_stage_history
+     * @param {string} woundId
+     * @param {string} newStage
+     * @param {object} [opts]
+     * @param {'auto'|'manual'} [opts.trigger='manual']
+     * @param {string}  [opts.ruleId]      - rule that fired (auto only)
+     * @param {string}  [opts.ruleVersion] - rule set version (auto only)
+     * @param {string}  [opts.reason]
+     * @param {boolean} [opts.lock]        - set/clear stage_locked with the change
+     * @param {string}  [opts.fromStage]   - current stage, fetched if omitted
      */
-    async updateStage(woundId, newStage) {
+    async updateStage(woundId, newStage, opts = {}) {
       try {
-        const { error } = await window.CURA360.supabase
-          .from('wounds')
-          .update({ clinical_stage: newStage })
-          .eq('id', woundId);
-          
-        if (error) throw error;
+        const trigger = opts.trigger || 'manual';
+        
+        let fromStage = opts.fromStage;
+        if (fromStage === undefined) {
+          const current = await this.getById(woundId);
+          fromStage = current ? current.clinical_stage : null;
+        }
+        
+        const updates = {
+          clinical_stage: newStage,
+          suggested_stage: null,
+          suggested_rule_id: null,
+          suggested_reason: null
+        };
+        if (typeof opts.lock === 'boolean') updates.stage_locked = opts.lock;
+        
+        await this._write(woundId, updates);
+        
+        if (fromStage !== newStage) {
+          await this._recordStageChange(woundId, fromStage, newStage, {
+            trigger: trigger,
+            ruleId: opts.ruleId,
+            ruleVersion: opts.ruleVersion,
+            reason: opts.reason
+          });
+        }
         return true;
         
       } catch (err) {
@@ -156,48 +194,123 @@
     },
 
     /**
-     * Helper: Check if wound shows improvement
+     * Lock / unlock a wound's stage. While locked, evaluateStage only
+     * stores a suggestion instead of changing clinical_stage.
      */
-    _showsImprovement(wound, treatments) {
-      if (treatments.length < 2) return false;
-      
-      // Check if exudate is decreasing
-      if (wound.exudate_amount === 'escaso' || wound.exudate_amount === 'moderado') {
+    async setStageLock(woundId, locked) {
+      try {
+        const updates = { stage_locked: locked };
+        if (!locked) {
+          updates.suggested_stage = null;
+          updates.suggested_rule_id = null;
+          updates.suggested_reason = null;
+        }
+        await this._write(woundId, updates);
         return true;
+        
+      } catch (err) {
+        console.error('Error updating stage lock:', err);
+        return false;
       }
-      
-      // Check if pain is decreasing
-      if (wound.pain_scale !== null && wound.pain_scale <= 4) {
-        return true;
+    },
+
+    /**
+     * List stage transitions of a wound, newest first
+     */
+    async listStageHistory(woundId) {
+      try {
+        if (!offline.isOnline()) return [];
+        
+        return await api.select('wound_stage_history', {
+          wound_id: api.eq(woundId),
+          order: 'created_at.desc'
+        });
+        
+      } catch (err) {
+        console.error('Error listing stage history:', err);
+        return [];
       }
-      
-      // Check if size is decreasing (would need measurement history)
-      // For now, assume improvement if measurements are small
-      if (wound.length_cm && wound.width_cm) {
-        if (wound.length_cm < 5 && wound.width_cm < 5) {
-          return true;
+    },
+
+    /**
+     * Helper: insert a wound_stage_history row (errors are logged, not thrown,
+     * so a failed audit insert never blocks the clinical workflow)
+     */
+    async _recordStageChange(woundId, fromStage, toStage, opts) {
+      const user = window.CURA360.auth && window.CURA360.auth.getCurrentUser();
+      const row = {
+        wound_id: woundId,
+        from_stage: fromStage,
+        to_stage: toStage,
+        trigger: opts.trigger,
+        rule_id: opts.ruleId || null,
+        rule_version: opts.ruleVersion || null,
+        reason: opts.reason || null,
+        actor_id: user ? user.id : null
+      };
+      if (!offline.isOnline()) {
+        await offline.queueInsert('wound_stage_history', row);
+        return;
+      }
+      try {
+        await api.insert('wound_stage_history', row);
+      } catch (err) {
+        console.error('Error recording stage history:', err);
+      }
+    },
+
+    /**
+     * Helper: store (or clear, when result is null) the pending suggestion
+     * of a locked wound
+     */
+    async _saveSuggestion(woundId, result, reason) {
+      try {
+        await this._write(woundId, {
+          suggested_stage: result ? result.stage : null,
+          suggested_rule_id: result ? result.ruleId : null,
+          suggested_reason: result ? reason : null
+        });
+      } catch (err) {
+        console.error('Error saving stage suggestion:', err);
+      }
+    },
+
+    /**
+     * Helper: update a wounds row, queueing the change when offline
+     */
+    async _write(woundId, updates) {
+      if (!offline.isOnline()) {
+        await offline.queueUpdate('wounds', woundId, updates, 'wounds');
+        return;
+      }
+      try {
+        await api.update('wounds', { id: api.eq(woundId) }, updates);
+      } catch (err) {
+        if (offline.isNetworkError(err)) {
+          await offline.queueUpdate('wounds', woundId, updates, 'wounds');
+          return;
         }
+        throw err;
       }
-      
-      return false;
+      const cached = await offline.get('wounds', woundId);
+      if (cached) await offline.put('wounds', { ...cached, ...updates });
     },
 
     /**
-     * Helper: Check if wound shows no improvement
+     * Helper: store a wound created without connection. The stage history
+     * and baseline measurement are queued right behind it.
      */
-    _noImprovement(wound, treatments) {
-      // If still has abundant exudate after 2+ weeks
-      if (wound.exudate_amount === 'abundante') return true;
-      
-      // If pain hasn't decreased
-      if (wound.pain_scale && wound.pain_scale > 6) return true;
-      
-      // If measurements haven't decreased (simplified check)
-      if (wound.length_cm && wound.width_cm) {
-        if (wound.length_cm > 8 || wound.width_cm > 8) return true;
+    async _createOffline(cleanData) {
+      const wound = await offline.queueInsert('wounds', cleanData, 'wounds');
+      await this._recordStageChange(wound.id, null, wound.clinical_stage, {
+        trigger: 'manual',
+        reason: 'Etapa inicial al registrar la herida'
+      });
+      if (window.CURA360.measurements) {
+        await window.CURA360.measurements.create(wound.id, wound);
       }
-      
-      return false;
+      window.CURA360.showToast('Sin conexión: herida guardada en el dispositivo', 'warning');
+      return wound;
     },
 
     /**
@@ -205,16 +318,12 @@
      */
     async getById(woundId) {
       try {
-        const { data, error } = await window.CURA360.supabase
-          .from('wounds')
-          .select('*')
-          .eq('id', woundId)
-          .single();
-          
-        if (error) throw error;
+        const data = await api.selectOne('wounds', { id: api.eq(woundId) });
+        if (data) await offline.put('wounds', data);
         return data;
         
       } catch (err) {
+        if (offline.isNetworkError(err)) return offline.get('wounds', woundId);
         console.error('Error getting wound:', err);
         return null;
       }
@@ -225,16 +334,17 @@
      */
     async listByPatient(patientId) {
       try {
-        const { data, error } = await window.CURA360.supabase
-          .from('wounds')
-          .select('*')
-          .eq('patient_id', patientId)
-          .order('created_at', { ascending: false });
-          
-        if (error) throw error;
-        return data || [];
+        const data = await api.select('wounds', {
+          patient_id: api.eq(patientId),
+          order: 'created_at.desc'
+        });
+        await offline.replaceWhere('wounds', 'patient_id', patientId, data);
+        return data;
         
       } catch (err) {
+        if (offline.isNetworkError(err)) {
+          return _newestFirst(await offline.getByIndex('wounds', 'patient_id', patientId));
+        }
         console.error('Error listing wounds:', err);
         return [];
       }
@@ -245,15 +355,12 @@
      */
     async listAll() {
       try {
-        const { data, error } = await window.CURA360.supabase
-          .from('wounds')
-          .select('*')
-          .order('created_at', { ascending: false });
-          
-        if (error) throw error;
-        return data || [];
+        const data = await api.select('wounds', { order: 'created_at.desc' });
+        await offline.replaceWhere('wounds', null, null, data);
+        return data;
         
       } catch (err) {
+        if (offline.isNetworkError(err)) return _newestFirst(await offline.getAll('wounds'));
         console.error('Error listing all wounds:', err);
         return [];
       }
@@ -266,12 +373,7 @@
       try {
         window.CURA360.setLoader(true);
         
-        const { error } = await window.CURA360.supabase
-          .from('wounds')
-          .update(updates)
-          .eq('id', woundId);
-          
-        if (error) throw error;
+        await this._write(woundId, updates);
         
         window.CURA360.showToast('Herida actualizada');
         return true;
@@ -292,12 +394,14 @@
       try {
         window.CURA360.setLoader(true);
         
-        const { error } = await window.CURA360.supabase
-          .from('wounds')
-          .delete()
-          .eq('id', woundId);
-          
-        if (error) throw error;
+        if (!offline.isOnline()) {
+          await offline.queueDelete('wounds', woundId, 'wounds');
+          window.CURA360.showToast('Sin conexión: la eliminación se sincronizará después', 'warning');
+          return true;
+        }
+        
+        await api.remove('wounds', { id: api.eq(woundId) });
+        await offline.remove('wounds', woundId);
         
         window.CURA360.showToast('Herida eliminada');
         return true;
@@ -312,6 +416,20 @@
     }
   };
 
+  function _newestFirst(rows) {
+    return rows.sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+  }
+
+  // Deferred evaluations queued while offline
+  offline.registerHandler('evaluate', async op => {
+    const result = await wounds.evaluateStage(op.wound_id);
+    if (result) return;
+    // Wound deleted (or no longer visible) since it was queued: nothing to evaluate
+    const wound = await api.selectOne('wounds', { id: api.eq(op.wound_id) });
+    if (!wound) return;
+    throw new Error('No se pudo evaluar la etapa de ' + op.wound_id);
+  });
+
   // Export to global namespace
   window.CURA360 = window.CURA360 || {};
   window.CURA360.wounds = wounds;
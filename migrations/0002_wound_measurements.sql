@@ -0,0 +1,68 @@
+-- =============================================================
+-- 0002 — Measurement snapshots per curación (healing trends)
+-- =============================================================
+
+-- -------------------------------------------------------------
+-- WOUND MEASUREMENTS
+--    One snapshot per curación (plus a baseline at wound creation).
+--    Used to compute healing trends (area reduction, pain, exudate).
+-- -------------------------------------------------------------
+CREATE TABLE IF NOT EXISTS wound_measurements (
+  id              uuid         NOT NULL DEFAULT gen_random_uuid(),
+  wound_id        uuid         NOT NULL,
+  treatment_id    uuid,
+  length_cm       numeric(6,2) CHECK (length_cm >= 0),
+  width_cm        numeric(6,2) CHECK (width_cm >= 0),
+  depth_cm        numeric(6,2) CHECK (depth_cm >= 0),
+  exudate_amount  text         CHECK (exudate_amount IN ('escaso', 'moderado', 'abundante')),
+  exudate_type    text         CHECK (exudate_type IN ('seroso', 'sanguinolento', 'serosanguinolento', 'purulento')),
+  pain_scale      smallint     CHECK (pain_scale >= 0 AND pain_scale <= 10),
+  infection_signs boolean,
+  created_at      timestamptz  NOT NULL DEFAULT now(),
+
+  CONSTRAINT wound_measurements_pkey            PRIMARY KEY (id),
+  CONSTRAINT wound_measurements_wound_fkey      FOREIGN KEY (wound_id)
+    REFERENCES wounds(id) ON DELETE CASCADE,
+  CONSTRAINT wound_measurements_treatment_fkey  FOREIGN KEY (treatment_id)
+    REFERENCES treatments(id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_wound_measurements_wound
+  ON wound_measurements(wound_id, created_at);
+
+-- ── wound_measurements ───────────────────────────────────
+ALTER TABLE wound_measurements ENABLE ROW LEVEL SECURITY;
+
+-- Professional: read measurements for wounds they manage
+DROP POLICY IF EXISTS wound_measurements_select_by_professional ON wound_measurements;
+CREATE POLICY wound_measurements_select_by_professional
+  ON wound_measurements FOR SELECT
+  USING (
+    wound_id IN (
+      SELECT w.id FROM wounds w
+      JOIN patients p ON w.patient_id = p.id
+      WHERE p.professional_id = auth.uid()
+    )
+  );
+
+-- Patient: read measurements on their own wounds
+DROP POLICY IF EXISTS wound_measurements_select_own ON wound_measurements;
+CREATE POLICY wound_measurements_select_own
+  ON wound_measurements FOR SELECT
+  USING (
+    wound_id IN (
+      SELECT id FROM wounds WHERE patient_id = auth.uid()
+    )
+  );
+
+-- Professional: insert measurements
+DROP POLICY IF EXISTS wound_measurements_insert_by_professional ON wound_measurements;
+CREATE POLICY wound_measurements_insert_by_professional
+  ON wound_measurements FOR INSERT
+  WITH CHECK (
+    wound_id IN (
+      SELECT w.id FROM wounds w
+      JOIN patients p ON w.patient_id = p.id
+      WHERE p.professional_id = auth.uid()
+    )
+  );
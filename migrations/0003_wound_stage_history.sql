@@ -0,0 +1,67 @@
+-- =============================================================
+-- 0003 — Clinical stage transitions log + stage lock
+-- =============================================================
+
+-- -------------------------------------------------------------
+-- WOUND STAGE HISTORY
+--    Audit log of every clinical_stage transition.
+--    trigger = 'auto' (rule engine, rule_id/rule_version set)
+--            | 'manual' (professional's choice)
+--    stage_locked on wounds: after a manual override, automation
+--    only stores suggested_* instead of changing the stage.
+-- -------------------------------------------------------------
+ALTER TABLE wounds ADD COLUMN IF NOT EXISTS stage_locked      boolean NOT NULL DEFAULT false;
+ALTER TABLE wounds ADD COLUMN IF NOT EXISTS suggested_stage   text;
+ALTER TABLE wounds ADD COLUMN IF NOT EXISTS suggested_rule_id text;
+ALTER TABLE wounds ADD COLUMN IF NOT EXISTS suggested_reason  text;
+
+CREATE TABLE IF NOT EXISTS wound_stage_history (
+  id           uuid        NOT NULL DEFAULT gen_random_uuid(),
+  wound_id     uuid        NOT NULL,
+  from_stage   text,
+  to_stage     text        NOT NULL,
+  trigger      text        NOT NULL CHECK (trigger IN ('auto', 'manual')),
+  rule_id      text,
+  rule_version text,
+  reason       text,
+  actor_id     uuid,
+  created_at   timestamptz NOT NULL DEFAULT now(),
+
+  CONSTRAINT wound_stage_history_pkey       PRIMARY KEY (id),
+  CONSTRAINT wound_stage_history_wound_fkey FOREIGN KEY (wound_id)
+    REFERENCES wounds(id) ON DELETE CASCADE,
+  CONSTRAINT wound_stage_history_actor_fkey FOREIGN KEY (actor_id)
+    REFERENCES profiles(id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_wound_stage_history_wound
+  ON wound_stage_history(wound_id, created_at DESC);
+
+-- ── wound_stage_history ──────────────────────────────────
+ALTER TABLE wound_stage_history ENABLE ROW LEVEL SECURITY;
+
+-- Professional: read stage history for wounds they manage
+DROP POLICY IF EXISTS wound_stage_history_select_by_professional ON wound_stage_history;
+CREATE POLICY wound_stage_history_select_by_professional
+  ON wound_stage_history FOR SELECT
+  USING (
+    wound_id IN (
+      SELECT w.id FROM wounds w
+      JOIN patients p ON w.patient_id = p.id
+      WHERE p.professional_id = auth.uid()
+    )
+  );
+
+-- Professional: insert transitions (actor must be self); no UPDATE/DELETE
+-- policies, so the log is append-only
+DROP POLICY IF EXISTS wound_stage_history_insert_by_professional ON wound_stage_history;
+CREATE POLICY wound_stage_history_insert_by_professional
+  ON wound_stage_history FOR INSERT
+  WITH CHECK (
+    actor_id = auth.uid() AND
+    wound_id IN (
+      SELECT w.id FROM wounds w
+      JOIN patients p ON w.patient_id = p.id
+      WHERE p.professional_id = auth.uid()
+    )
+  );
@@ -0,0 +1,71 @@
+-- =============================================================
+-- 0004 — Braden, PUSH and RESVECH 2.0 scores
+-- =============================================================
+
+-- -------------------------------------------------------------
+-- CLINICAL SCORES (Braden, PUSH, RESVECH 2.0)
+--    items = answers per item as option ids (see js/scales.js),
+--    total / band are computed client-side and stored for history.
+--    Braden is patient-level (wound_id NULL); PUSH and RESVECH
+--    are wound-level.
+-- -------------------------------------------------------------
+CREATE TABLE IF NOT EXISTS clinical_scores (
+  id            uuid        NOT NULL DEFAULT gen_random_uuid(),
+  scale         text        NOT NULL CHECK (scale IN ('braden', 'push', 'resvech')),
+  scale_version text        NOT NULL,
+  patient_id    uuid        NOT NULL,
+  wound_id      uuid,
+  items         jsonb       NOT NULL,
+  total         smallint    NOT NULL CHECK (total >= 0),
+  band          text        NOT NULL,
+  notes         text,
+  assessed_by   uuid,
+  created_at    timestamptz NOT NULL DEFAULT now(),
+
+  CONSTRAINT clinical_scores_pkey          PRIMARY KEY (id),
+  CONSTRAINT clinical_scores_patient_fkey  FOREIGN KEY (patient_id)
+    REFERENCES patients(id) ON DELETE CASCADE,
+  CONSTRAINT clinical_scores_wound_fkey    FOREIGN KEY (wound_id)
+    REFERENCES wounds(id) ON DELETE CASCADE,
+  CONSTRAINT clinical_scores_assessor_fkey FOREIGN KEY (assessed_by)
+    REFERENCES profiles(id) ON DELETE SET NULL,
+  CONSTRAINT clinical_scores_target_check  CHECK (
+    (scale = 'braden' AND wound_id IS NULL) OR
+    (scale IN ('push', 'resvech') AND wound_id IS NOT NULL)
+  )
+);
+
+CREATE INDEX IF NOT EXISTS idx_clinical_scores_patient
+  ON clinical_scores(patient_id, scale, created_at);
+CREATE INDEX IF NOT EXISTS idx_clinical_scores_wound
+  ON clinical_scores(wound_id, scale, created_at);
+
+-- ── clinical_scores ──────────────────────────────────────
+ALTER TABLE clinical_scores ENABLE ROW LEVEL SECURITY;
+
+-- Professional: read scores of their own patients
+DROP POLICY IF EXISTS clinical_scores_select_by_professional ON clinical_scores;
+CREATE POLICY clinical_scores_select_by_professional
+  ON clinical_scores FOR SELECT
+  USING (
+    patient_id IN (
+      SELECT id FROM patients WHERE professional_id = auth.uid()
+    )
+  );
+
+-- Patient: read their own scores
+DROP POLICY IF EXISTS clinical_scores_select_own ON clinical_scores;
+CREATE POLICY clinical_scores_select_own
+  ON clinical_scores FOR SELECT
+  USING (patient_id = auth.uid());
+
+-- Professional: insert scores for own patients
+DROP POLICY IF EXISTS clinical_scores_insert_by_professional ON clinical_scores;
+CREATE POLICY clinical_scores_insert_by_professional
+  ON clinical_scores FOR INSERT
+  WITH CHECK (
+    assessed_by = auth.uid() AND
+    patient_id IN (
+      SELECT id FROM patients WHERE professional_id = auth.uid()
+    )
+  );
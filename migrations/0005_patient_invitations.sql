@@ -0,0 +1,215 @@
+-- =============================================================
+-- 0005 — Patient accounts linked through invitation codes
+-- =============================================================
+-- Patients used to be matched by patients.id = auth.uid(); the
+-- link is now patients.user_id, set by redeem_patient_invitation().
+-- =============================================================
+
+-- -------------------------------------------------------------
+-- PATIENT ACCOUNTS + INVITATIONS
+--    patients.user_id links the clinical record to the patient's
+--    auth user. It is set only by redeem_patient_invitation():
+--    the professional generates a one-time, expiring code and the
+--    patient redeems it right after signing up (registro.html).
+-- -------------------------------------------------------------
+ALTER TABLE patients ADD COLUMN IF NOT EXISTS user_id uuid;
+ALTER TABLE patients DROP CONSTRAINT IF EXISTS patients_user_fkey;
+ALTER TABLE patients ADD CONSTRAINT patients_user_fkey FOREIGN KEY (user_id)
+  REFERENCES profiles(id) ON DELETE SET NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_patients_user ON patients(user_id);
+
+CREATE TABLE IF NOT EXISTS patient_invitations (
+  id          uuid        NOT NULL DEFAULT gen_random_uuid(),
+  patient_id  uuid        NOT NULL,
+  code        text        NOT NULL,
+  created_by  uuid        NOT NULL,
+  expires_at  timestamptz NOT NULL,
+  used_at     timestamptz,
+  used_by     uuid,
+  revoked_at  timestamptz,
+  created_at  timestamptz NOT NULL DEFAULT now(),
+
+  CONSTRAINT patient_invitations_pkey         PRIMARY KEY (id),
+  CONSTRAINT patient_invitations_code_key     UNIQUE (code),
+  CONSTRAINT patient_invitations_patient_fkey FOREIGN KEY (patient_id)
+    REFERENCES patients(id) ON DELETE CASCADE,
+  CONSTRAINT patient_invitations_creator_fkey FOREIGN KEY (created_by)
+    REFERENCES profiles(id) ON DELETE CASCADE,
+  CONSTRAINT patient_invitations_user_fkey    FOREIGN KEY (used_by)
+    REFERENCES profiles(id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_patient_invitations_patient
+  ON patient_invitations(patient_id, created_at DESC);
+
+
+-- =============================================================
+-- FUNCTIONS: Patient invitations
+-- =============================================================
+-- invitation_status(code): callable before sign-up (anon), only
+--   reveals whether a code can be used.
+-- redeem_patient_invitation(code): links the calling user to the
+--   invited patient record and consumes the code. SECURITY DEFINER
+--   because patients may not update patients / invitations.
+-- =============================================================
+
+CREATE OR REPLACE FUNCTION public.invitation_status(p_code text)
+RETURNS text
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT CASE
+    WHEN i.id IS NULL            THEN 'invalid'
+    WHEN i.revoked_at IS NOT NULL THEN 'revoked'
+    WHEN i.used_at IS NOT NULL   THEN 'used'
+    WHEN i.expires_at <= now()   THEN 'expired'
+    ELSE 'valid'
+  END
+  FROM (SELECT 1) AS one
+  LEFT JOIN patient_invitations i ON i.code = upper(trim(p_code));
+$$;
+
+CREATE OR REPLACE FUNCTION public.redeem_patient_invitation(p_code text)
+RETURNS uuid
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_invitation patient_invitations%ROWTYPE;
+  v_role       text;
+BEGIN
+  IF auth.uid() IS NULL THEN
+    RAISE EXCEPTION 'not_authenticated' USING ERRCODE = '28000';
+  END IF;
+
+  SELECT role INTO v_role FROM profiles WHERE id = auth.uid();
+  IF v_role IS DISTINCT FROM 'patient' THEN
+    RAISE EXCEPTION 'not_a_patient_account' USING ERRCODE = '42501';
+  END IF;
+
+  SELECT * INTO v_invitation
+  FROM patient_invitations
+  WHERE code = upper(trim(p_code))
+  FOR UPDATE;
+
+  IF v_invitation.id IS NULL
+     OR v_invitation.revoked_at IS NOT NULL
+     OR v_invitation.used_at IS NOT NULL
+     OR v_invitation.expires_at <= now() THEN
+    RAISE EXCEPTION 'invitation_not_valid' USING ERRCODE = 'P0001';
+  END IF;
+
+  IF EXISTS (SELECT 1 FROM patients WHERE user_id = auth.uid()) THEN
+    RAISE EXCEPTION 'account_already_linked' USING ERRCODE = 'P0001';
+  END IF;
+
+  UPDATE patients
+  SET user_id = auth.uid()
+  WHERE id = v_invitation.patient_id AND user_id IS NULL;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'patient_already_linked' USING ERRCODE = 'P0001';
+  END IF;
+
+  UPDATE patient_invitations
+  SET used_at = now(), used_by = auth.uid()
+  WHERE id = v_invitation.id;
+
+  RETURN v_invitation.patient_id;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.invitation_status(text) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.redeem_patient_invitation(text) TO authenticated;
+
+
+-- ── Patient read policies: use patients.user_id ──────────
+
+-- Patient: read only their own row (linked through an invitation)
+DROP POLICY IF EXISTS patients_select_own ON patients;
+CREATE POLICY patients_select_own
+  ON patients FOR SELECT
+  USING (user_id = auth.uid());
+
+-- Patient: read wounds that belong to them
+DROP POLICY IF EXISTS wounds_select_own ON wounds;
+CREATE POLICY wounds_select_own
+  ON wounds FOR SELECT
+  USING (
+    patient_id IN (
+      SELECT id FROM patients WHERE user_id = auth.uid()
+    )
+  );
+
+-- Patient: read treatments on their own wounds
+DROP POLICY IF EXISTS treatments_select_own ON treatments;
+CREATE POLICY treatments_select_own
+  ON treatments FOR SELECT
+  USING (
+    wound_id IN (
+      SELECT w.id FROM wounds w
+      JOIN patients p ON w.patient_id = p.id
+      WHERE p.user_id = auth.uid()
+    )
+  );
+
+-- Patient: read measurements on their own wounds
+DROP POLICY IF EXISTS wound_measurements_select_own ON wound_measurements;
+CREATE POLICY wound_measurements_select_own
+  ON wound_measurements FOR SELECT
+  USING (
+    wound_id IN (
+      SELECT w.id FROM wounds w
+      JOIN patients p ON w.patient_id = p.id
+      WHERE p.user_id = auth.uid()
+    )
+  );
+
+-- Patient: read their own scores
+DROP POLICY IF EXISTS clinical_scores_select_own ON clinical_scores;
+CREATE POLICY clinical_scores_select_own
+  ON clinical_scores FOR SELECT
+  USING (
+    patient_id IN (
+      SELECT id FROM patients WHERE user_id = auth.uid()
+    )
+  );
+
+-- ── patient_invitations ──────────────────────────────────
+ALTER TABLE patient_invitations ENABLE ROW LEVEL SECURITY;
+
+-- Professional: read invitations of their own patients
+DROP POLICY IF EXISTS patient_invitations_select_by_professional ON patient_invitations;
+CREATE POLICY patient_invitations_select_by_professional
+  ON patient_invitations FOR SELECT
+  USING (
+    patient_id IN (
+      SELECT id FROM patients WHERE professional_id = auth.uid()
+    )
+  );
+
+-- Professional: create invitations for own patients
+DROP POLICY IF EXISTS patient_invitations_insert_by_professional ON patient_invitations;
+CREATE POLICY patient_invitations_insert_by_professional
+  ON patient_invitations FOR INSERT
+  WITH CHECK (
+    created_by = auth.uid() AND
+    used_at IS NULL AND
+    patient_id IN (
+      SELECT id FROM patients WHERE professional_id = auth.uid()
+    )
+  );
+
+-- Professional: revoke (update) invitations of own patients.
+-- Redemption happens only through redeem_patient_invitation().
+DROP POLICY IF EXISTS patient_invitations_update_by_professional ON patient_invitations;
+CREATE POLICY patient_invitations_update_by_professional
+  ON patient_invitations FOR UPDATE
+  USING (
+    patient_id IN (
+      SELECT id FROM patients WHERE professional_id = auth.uid()
+    )
+  );
@@ -0,0 +1,89 @@
+-- =============================================================
+-- 0006 — Columns the front-end writes but no migration created
+-- =============================================================
+-- patients.create sends identification, clinical background,
+-- functional assessment and caregiver fields; wounds.create sends
+-- the standardized type, grade, clinical stage and the latest
+-- measurement. These columns were added by hand in some projects,
+-- so every statement is safe to re-run.
+--
+-- CHECK constraints are added NOT VALID: they apply to new writes
+-- without failing on legacy rows. Run VALIDATE CONSTRAINT once the
+-- old data is clean.
+-- =============================================================
+
+-- -------------------------------------------------------------
+-- PATIENTS
+-- -------------------------------------------------------------
+ALTER TABLE patients ADD COLUMN IF NOT EXISTS rut             text;
+ALTER TABLE patients ADD COLUMN IF NOT EXISTS phone           text;
+ALTER TABLE patients ADD COLUMN IF NOT EXISTS address         text;
+ALTER TABLE patients ADD COLUMN IF NOT EXISTS commune         text;
+ALTER TABLE patients ADD COLUMN IF NOT EXISTS medical_history text;
+ALTER TABLE patients ADD COLUMN IF NOT EXISTS medications     text;
+ALTER TABLE patients ADD COLUMN IF NOT EXISTS allergies       text;
+ALTER TABLE patients ADD COLUMN IF NOT EXISTS barthel_index   smallint;
+ALTER TABLE patients ADD COLUMN IF NOT EXISTS mobility        text;
+ALTER TABLE patients ADD COLUMN IF NOT EXISTS caregiver_name  text;
+ALTER TABLE patients ADD COLUMN IF NOT EXISTS caregiver_phone text;
+
+ALTER TABLE patients DROP CONSTRAINT IF EXISTS patients_barthel_check;
+ALTER TABLE patients ADD CONSTRAINT patients_barthel_check
+  CHECK (barthel_index >= 0 AND barthel_index <= 100) NOT VALID;
+
+ALTER TABLE patients DROP CONSTRAINT IF EXISTS patients_mobility_check;
+ALTER TABLE patients ADD CONSTRAINT patients_mobility_check
+  CHECK (mobility IN ('ambulante', 'ambulante_ayuda', 'silla_ruedas', 'postrado')) NOT VALID;
+
+-- -------------------------------------------------------------
+-- WOUNDS
+--    length/width/depth, exudate, pain and infection mirror the
+--    latest wound_measurements snapshot (see treatments.create).
+-- -------------------------------------------------------------
+ALTER TABLE wounds ADD COLUMN IF NOT EXISTS wound_type_standard text;
+ALTER TABLE wounds ADD COLUMN IF NOT EXISTS wound_grade         text;
+ALTER TABLE wounds ADD COLUMN IF NOT EXISTS clinical_stage      text NOT NULL DEFAULT 'valoracion_inicial';
+ALTER TABLE wounds ADD COLUMN IF NOT EXISTS length_cm           numeric(6,2);
+ALTER TABLE wounds ADD COLUMN IF NOT EXISTS width_cm            numeric(6,2);
+ALTER TABLE wounds ADD COLUMN IF NOT EXISTS depth_cm            numeric(6,2);
+ALTER TABLE wounds ADD COLUMN IF NOT EXISTS exudate_amount      text;
+ALTER TABLE wounds ADD COLUMN IF NOT EXISTS exudate_type        text;
+ALTER TABLE wounds ADD COLUMN IF NOT EXISTS pain_scale          smallint;
+ALTER TABLE wounds ADD COLUMN IF NOT EXISTS infection_signs     boolean;
+
+ALTER TABLE wounds DROP CONSTRAINT IF EXISTS wounds_type_standard_check;
+ALTER TABLE wounds ADD CONSTRAINT wounds_type_standard_check
+  CHECK (wound_type_standard IN (
+    'ulcera_presion', 'ulcera_venosa', 'ulcera_arterial', 'pie_diabetico',
+    'ulcera_mixta', 'traumatica', 'quirurgica', 'quemadura', 'otra'
+  )) NOT VALID;
+
+ALTER TABLE wounds DROP CONSTRAINT IF EXISTS wounds_grade_check;
+ALTER TABLE wounds ADD CONSTRAINT wounds_grade_check
+  CHECK (wound_grade IN ('1', '2', '3', '4', 'no_estadiable')) NOT VALID;
+
+-- Keep in sync with STAGES in js/stage-rules.js
+ALTER TABLE wounds DROP CONSTRAINT IF EXISTS wounds_clinical_stage_check;
+ALTER TABLE wounds ADD CONSTRAINT wounds_clinical_stage_check
+  CHECK (clinical_stage IN (
+    'valoracion_inicial', 'tratamiento_en_curso', 'bajo_observacion',
+    'evolucion_favorable', 'alta_clinica'
+  )) NOT VALID;
+
+ALTER TABLE wounds DROP CONSTRAINT IF EXISTS wounds_measurements_check;
+ALTER TABLE wounds ADD CONSTRAINT wounds_measurements_check
+  CHECK (
+    (length_cm IS NULL OR length_cm >= 0) AND
+    (width_cm  IS NULL OR width_cm  >= 0) AND
+    (depth_cm  IS NULL OR depth_cm  >= 0) AND
+    (pain_scale IS NULL OR (pain_scale >= 0 AND pain_scale <= 10))
+  ) NOT VALID;
+
+ALTER TABLE wounds DROP CONSTRAINT IF EXISTS wounds_exudate_check;
+ALTER TABLE wounds ADD CONSTRAINT wounds_exudate_check
+  CHECK (
+    (exudate_amount IS NULL OR exudate_amount IN ('escaso', 'moderado', 'abundante')) AND
+    (exudate_type IS NULL OR exudate_type IN ('seroso', 'sanguinolento', 'serosanguinolento', 'purulento'))
+  ) NOT VALID;
+
+CREATE INDEX IF NOT EXISTS idx_wounds_clinical_stage ON wounds(clinical_stage);
@@ -0,0 +1,135 @@
+-- =============================================================
+-- 0007 — Wound photos: metadata table + Storage bucket policies
+-- =============================================================
+-- images.js uploads to the private `wounds` bucket under
+-- <wound_id>/<timestamp>.<ext> and stores one wound_images row per
+-- file. Access follows the wound: the folder name is the wound id.
+-- =============================================================
+
+-- -------------------------------------------------------------
+-- WOUND IMAGES
+-- -------------------------------------------------------------
+CREATE TABLE IF NOT EXISTS wound_images (
+  id           uuid        NOT NULL DEFAULT gen_random_uuid(),
+  wound_id     uuid        NOT NULL,
+  storage_path text        NOT NULL,
+  file_size    integer     CHECK (file_size >= 0),
+  notes        text,
+  uploaded_by  uuid,
+  created_at   timestamptz NOT NULL DEFAULT now(),
+
+  CONSTRAINT wound_images_pkey          PRIMARY KEY (id),
+  CONSTRAINT wound_images_path_key      UNIQUE (storage_path),
+  CONSTRAINT wound_images_wound_fkey    FOREIGN KEY (wound_id)
+    REFERENCES wounds(id) ON DELETE CASCADE,
+  CONSTRAINT wound_images_uploader_fkey FOREIGN KEY (uploaded_by)
+    REFERENCES profiles(id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_wound_images_wound
+  ON wound_images(wound_id, created_at DESC);
+
+-- ── wound_images ─────────────────────────────────────────
+ALTER TABLE wound_images ENABLE ROW LEVEL SECURITY;
+
+-- Professional: read photos of wounds they manage
+DROP POLICY IF EXISTS wound_images_select_by_professional ON wound_images;
+CREATE POLICY wound_images_select_by_professional
+  ON wound_images FOR SELECT
+  USING (
+    wound_id IN (
+      SELECT w.id FROM wounds w
+      JOIN patients p ON w.patient_id = p.id
+      WHERE p.professional_id = auth.uid()
+    )
+  );
+
+-- Patient: read photos of their own wounds
+DROP POLICY IF EXISTS wound_images_select_own ON wound_images;
+CREATE POLICY wound_images_select_own
+  ON wound_images FOR SELECT
+  USING (
+    wound_id IN (
+      SELECT w.id FROM wounds w
+      JOIN patients p ON w.patient_id = p.id
+      WHERE p.user_id = auth.uid()
+    )
+  );
+
+-- Professional: insert photos (uploader must be self)
+DROP POLICY IF EXISTS wound_images_insert_by_professional ON wound_images;
+CREATE POLICY wound_images_insert_by_professional
+  ON wound_images FOR INSERT
+  WITH CHECK (
+    uploaded_by = auth.uid() AND
+    wound_id IN (
+      SELECT w.id FROM wounds w
+      JOIN patients p ON w.patient_id = p.id
+      WHERE p.professional_id = auth.uid()
+    )
+  );
+
+
+-- =============================================================
+-- STORAGE: `wounds` bucket
+-- =============================================================
+-- Private bucket; the app reads through signed URLs
+-- (api.storage.signedUrl). storage.foldername(name)[1] is the
+-- wound id.
+-- =============================================================
+
+INSERT INTO storage.buckets (id, name, public)
+VALUES ('wounds', 'wounds', false)
+ON CONFLICT (id) DO NOTHING;
+
+-- Professional: read files of wounds they manage
+DROP POLICY IF EXISTS wound_files_select_by_professional ON storage.objects;
+CREATE POLICY wound_files_select_by_professional
+  ON storage.objects FOR SELECT
+  USING (
+    bucket_id = 'wounds' AND
+    (storage.foldername(name))[1] IN (
+      SELECT w.id::text FROM wounds w
+      JOIN patients p ON w.patient_id = p.id
+      WHERE p.professional_id = auth.uid()
+    )
+  );
+
+-- Patient: read files of their own wounds
+DROP POLICY IF EXISTS wound_files_select_own ON storage.objects;
+CREATE POLICY wound_files_select_own
+  ON storage.objects FOR SELECT
+  USING (
+    bucket_id = 'wounds' AND
+    (storage.foldername(name))[1] IN (
+      SELECT w.id::text FROM wounds w
+      JOIN patients p ON w.patient_id = p.id
+      WHERE p.user_id = auth.uid()
+    )
+  );
+
+-- Professional: upload files for wounds they manage
+DROP POLICY IF EXISTS wound_files_insert_by_professional ON storage.objects;
+CREATE POLICY wound_files_insert_by_professional
+  ON storage.objects FOR INSERT
+  WITH CHECK (
+    bucket_id = 'wounds' AND
+    (storage.foldername(name))[1] IN (
+      SELECT w.id::text FROM wounds w
+      JOIN patients p ON w.patient_id = p.id
+      WHERE p.professional_id = auth.uid()
+    )
+  );
+
+-- Professional: delete files of wounds they manage
+DROP POLICY IF EXISTS wound_files_delete_by_professional ON storage.objects;
+CREATE POLICY wound_files_delete_by_professional
+  ON storage.objects FOR DELETE
+  USING (
+    bucket_id = 'wounds' AND
+    (storage.foldername(name))[1] IN (
+      SELECT w.id::text FROM wounds w
+      JOIN patients p ON w.patient_id = p.id
+      WHERE p.professional_id = auth.uid()
+    )
+  );
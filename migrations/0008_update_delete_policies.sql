@@ -0,0 +1,70 @@
+-- =============================================================
+-- 0008 — UPDATE / DELETE policies used by the front-end
+-- =============================================================
+-- wounds.delete, treatments.update / delete and images.delete (plus
+-- the offline queue replaying them) were silently filtered by RLS:
+-- PostgREST answers 2xx and changes nothing when no policy matches.
+-- For UPDATE, USING also acts as WITH CHECK, so rows cannot be
+-- moved to another professional's patient.
+-- =============================================================
+
+-- ── wounds ───────────────────────────────────────────────
+-- Professional: delete wounds of own patients
+DROP POLICY IF EXISTS wounds_delete_by_professional ON wounds;
+CREATE POLICY wounds_delete_by_professional
+  ON wounds FOR DELETE
+  USING (
+    patient_id IN (
+      SELECT id FROM patients WHERE professional_id = auth.uid()
+    )
+  );
+
+-- ── treatments ───────────────────────────────────────────
+-- Professional: update treatments of wounds they manage
+DROP POLICY IF EXISTS treatments_update_by_professional ON treatments;
+CREATE POLICY treatments_update_by_professional
+  ON treatments FOR UPDATE
+  USING (
+    wound_id IN (
+      SELECT w.id FROM wounds w
+      JOIN patients p ON w.patient_id = p.id
+      WHERE p.professional_id = auth.uid()
+    )
+  );
+
+-- Professional: delete treatments of wounds they manage
+DROP POLICY IF EXISTS treatments_delete_by_professional ON treatments;
+CREATE POLICY treatments_delete_by_professional
+  ON treatments FOR DELETE
+  USING (
+    wound_id IN (
+      SELECT w.id FROM wounds w
+      JOIN patients p ON w.patient_id = p.id
+      WHERE p.professional_id = auth.uid()
+    )
+  );
+
+-- ── wound_images ─────────────────────────────────────────
+-- Professional: edit photo notes of wounds they manage
+DROP POLICY IF EXISTS wound_images_update_by_professional ON wound_images;
+CREATE POLICY wound_images_update_by_professional
+  ON wound_images FOR UPDATE
+  USING (
+    wound_id IN (
+      SELECT w.id FROM wounds w
+      JOIN patients p ON w.patient_id = p.id
+      WHERE p.professional_id = auth.uid()
+    )
+  );
+
+-- Professional: delete photos of wounds they manage
+DROP POLICY IF EXISTS wound_images_delete_by_professional ON wound_images;
+CREATE POLICY wound_images_delete_by_professional
+  ON wound_images FOR DELETE
+  USING (
+    wound_id IN (
+      SELECT w.id FROM wounds w
+      JOIN patients p ON w.patient_id = p.id
+      WHERE p.professional_id = auth.uid()
+    )
+  );
@@ -0,0 +1,821 @@
+-- =============================================================
+-- 0009 — Care teams, patient sharing and transfers
+-- =============================================================
+-- Access to a patient used to be professional_id = auth.uid() in
+-- every policy. It now goes through can_read_patient() /
+-- can_write_patient():
+--   • owner (patients.professional_id)
+--   • admin of an organization the owner placed the patient in
+--     (team_patients)
+--   • colleague with a patient_shares row ('read' or 'write')
+-- Membership is an invitation until the invitee accepts it: pending
+-- members count for nothing. Ownership changes only through
+-- transfer_patient().
+-- =============================================================
+
+-- -------------------------------------------------------------
+-- ORGANIZATIONS + MEMBERS
+--    role = 'admin' manages members and the team's patients
+--         | 'member'
+--    The creator becomes admin (on_organization_created trigger).
+--    Others are invited (add_team_member) and join when they accept
+--    (accept_team_invitation); joined_at is NULL until then.
+-- -------------------------------------------------------------
+CREATE TABLE IF NOT EXISTS organizations (
+  id         uuid        NOT NULL DEFAULT gen_random_uuid(),
+  name       text        NOT NULL CHECK (length(trim(name)) > 0),
+  created_by uuid        NOT NULL,
+  created_at timestamptz NOT NULL DEFAULT now(),
+
+  CONSTRAINT organizations_pkey         PRIMARY KEY (id),
+  CONSTRAINT organizations_creator_fkey FOREIGN KEY (created_by)
+    REFERENCES profiles(id) ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS organization_members (
+  organization_id uuid        NOT NULL,
+  user_id         uuid        NOT NULL,
+  role            text        NOT NULL DEFAULT 'member'
+                    CHECK (role IN ('admin', 'member')),
+  invited_by      uuid,
+  invited_at      timestamptz NOT NULL DEFAULT now(),
+  joined_at       timestamptz,
+
+  CONSTRAINT organization_members_pkey     PRIMARY KEY (organization_id, user_id),
+  CONSTRAINT organization_members_org_fkey FOREIGN KEY (organization_id)
+    REFERENCES organizations(id) ON DELETE CASCADE,
+  CONSTRAINT organization_members_user_fkey FOREIGN KEY (user_id)
+    REFERENCES profiles(id) ON DELETE CASCADE,
+  CONSTRAINT organization_members_inviter_fkey FOREIGN KEY (invited_by)
+    REFERENCES profiles(id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_organization_members_user
+  ON organization_members(user_id);
+
+-- -------------------------------------------------------------
+-- TEAM PATIENTS
+--    Patients their owner placed in a team: the only ones the
+--    team's admins manage.
+-- -------------------------------------------------------------
+CREATE TABLE IF NOT EXISTS team_patients (
+  organization_id uuid        NOT NULL,
+  patient_id      uuid        NOT NULL,
+  added_by        uuid,
+  added_at        timestamptz NOT NULL DEFAULT now(),
+
+  CONSTRAINT team_patients_pkey         PRIMARY KEY (organization_id, patient_id),
+  CONSTRAINT team_patients_org_fkey     FOREIGN KEY (organization_id)
+    REFERENCES organizations(id) ON DELETE CASCADE,
+  CONSTRAINT team_patients_patient_fkey FOREIGN KEY (patient_id)
+    REFERENCES patients(id) ON DELETE CASCADE,
+  CONSTRAINT team_patients_adder_fkey   FOREIGN KEY (added_by)
+    REFERENCES profiles(id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_team_patients_patient
+  ON team_patients(patient_id);
+
+-- -------------------------------------------------------------
+-- PATIENT SHARES
+--    A colleague's access to a patient they do not own.
+-- -------------------------------------------------------------
+CREATE TABLE IF NOT EXISTS patient_shares (
+  id              uuid        NOT NULL DEFAULT gen_random_uuid(),
+  patient_id      uuid        NOT NULL,
+  professional_id uuid        NOT NULL,
+  access          text        NOT NULL DEFAULT 'read'
+                    CHECK (access IN ('read', 'write')),
+  granted_by      uuid,
+  created_at      timestamptz NOT NULL DEFAULT now(),
+
+  CONSTRAINT patient_shares_pkey              PRIMARY KEY (id),
+  CONSTRAINT patient_shares_unique            UNIQUE (patient_id, professional_id),
+  CONSTRAINT patient_shares_patient_fkey      FOREIGN KEY (patient_id)
+    REFERENCES patients(id) ON DELETE CASCADE,
+  CONSTRAINT patient_shares_professional_fkey FOREIGN KEY (professional_id)
+    REFERENCES profiles(id) ON DELETE CASCADE,
+  CONSTRAINT patient_shares_granter_fkey      FOREIGN KEY (granted_by)
+    REFERENCES profiles(id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_patient_shares_professional
+  ON patient_shares(professional_id);
+
+
+-- =============================================================
+-- FUNCTIONS: Access helpers
+-- =============================================================
+-- SECURITY DEFINER so policies can call them without recursing
+-- into the RLS of the tables they read.
+-- =============================================================
+
+CREATE OR REPLACE FUNCTION public.is_org_member(p_org uuid)
+RETURNS boolean
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT EXISTS (
+    SELECT 1 FROM organization_members
+    WHERE organization_id = p_org AND user_id = auth.uid() AND joined_at IS NOT NULL
+  );
+$$;
+
+CREATE OR REPLACE FUNCTION public.is_org_admin(p_org uuid)
+RETURNS boolean
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT EXISTS (
+    SELECT 1 FROM organization_members
+    WHERE organization_id = p_org AND user_id = auth.uid() AND role = 'admin'
+      AND joined_at IS NOT NULL
+  );
+$$;
+
+-- True when the caller and p_user belong to at least one common
+-- organization (pending invitations do not count)
+CREATE OR REPLACE FUNCTION public.shares_org_with(p_user uuid)
+RETURNS boolean
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT EXISTS (
+    SELECT 1
+    FROM organization_members me
+    JOIN organization_members other ON other.organization_id = me.organization_id
+    WHERE me.user_id = auth.uid() AND me.joined_at IS NOT NULL
+      AND other.user_id = p_user AND other.joined_at IS NOT NULL
+  );
+$$;
+
+-- True when the owner placed the patient in an organization the
+-- caller belongs to (p_admin: as admin) and still belongs to it
+CREATE OR REPLACE FUNCTION public.is_team_patient(p_patient uuid, p_admin boolean DEFAULT false)
+RETURNS boolean
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT EXISTS (
+    SELECT 1
+    FROM patients p
+    JOIN team_patients tp           ON tp.patient_id = p.id
+    JOIN organization_members me    ON me.organization_id = tp.organization_id
+    JOIN organization_members owner ON owner.organization_id = tp.organization_id
+    WHERE p.id = p_patient
+      AND me.user_id = auth.uid() AND me.joined_at IS NOT NULL
+      AND (me.role = 'admin' OR NOT p_admin)
+      AND owner.user_id = p.professional_id AND owner.joined_at IS NOT NULL
+  );
+$$;
+
+-- Owner, or admin of a team the owner placed the patient in
+CREATE OR REPLACE FUNCTION public.can_manage_patient(p_patient uuid)
+RETURNS boolean
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT EXISTS (
+    SELECT 1 FROM patients p
+    WHERE p.id = p_patient
+      AND (p.professional_id = auth.uid() OR public.is_team_patient(p.id, true))
+  );
+$$;
+
+CREATE OR REPLACE FUNCTION public.can_read_patient(p_patient uuid)
+RETURNS boolean
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT public.can_manage_patient(p_patient) OR EXISTS (
+    SELECT 1 FROM patient_shares
+    WHERE patient_id = p_patient AND professional_id = auth.uid()
+  );
+$$;
+
+CREATE OR REPLACE FUNCTION public.can_write_patient(p_patient uuid)
+RETURNS boolean
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT public.can_manage_patient(p_patient) OR EXISTS (
+    SELECT 1 FROM patient_shares
+    WHERE patient_id = p_patient AND professional_id = auth.uid() AND access = 'write'
+  );
+$$;
+
+CREATE OR REPLACE FUNCTION public.can_read_wound(p_wound uuid)
+RETURNS boolean
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT public.can_read_patient((SELECT patient_id FROM wounds WHERE id = p_wound));
+$$;
+
+CREATE OR REPLACE FUNCTION public.can_write_wound(p_wound uuid)
+RETURNS boolean
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT public.can_write_patient((SELECT patient_id FROM wounds WHERE id = p_wound));
+$$;
+
+CREATE OR REPLACE FUNCTION public.is_professional(p_user uuid)
+RETURNS boolean
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT EXISTS (SELECT 1 FROM profiles WHERE id = p_user AND role = 'professional');
+$$;
+
+
+-- =============================================================
+-- FUNCTIONS: Care teams
+-- =============================================================
+-- add_team_member(org, email, role): admins invite professionals
+--   by e-mail (profiles are not readable outside the team).
+-- team_invitations() / accept_team_invitation(org): the invitee's
+--   pending invitations; accepting makes them a member. Declining
+--   is deleting their own organization_members row.
+-- transfer_patient(patient, to, keep_access): moves ownership to a
+--   teammate; the previous owner keeps write access by default.
+-- team_caseload(): the members of the caller's teams (pending ones
+--   flagged) and the patients placed in each team, with the
+--   caller's access to each one (null = none).
+-- =============================================================
+
+CREATE OR REPLACE FUNCTION public.handle_new_organization()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  INSERT INTO organization_members (organization_id, user_id, role, invited_by, joined_at)
+  VALUES (NEW.id, NEW.created_by, 'admin', NEW.created_by, now());
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS on_organization_created ON organizations;
+
+CREATE TRIGGER on_organization_created
+  AFTER INSERT ON organizations
+  FOR EACH ROW
+  EXECUTE FUNCTION public.handle_new_organization();
+
+CREATE OR REPLACE FUNCTION public.add_team_member(p_org uuid, p_email text, p_role text DEFAULT 'member')
+RETURNS uuid
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_user uuid;
+BEGIN
+  IF NOT public.is_org_admin(p_org) THEN
+    RAISE EXCEPTION 'not_an_org_admin' USING ERRCODE = '42501';
+  END IF;
+
+  SELECT id INTO v_user
+  FROM profiles
+  WHERE lower(email) = lower(trim(p_email)) AND role = 'professional';
+  IF v_user IS NULL THEN
+    RAISE EXCEPTION 'professional_not_found' USING ERRCODE = 'P0002';
+  END IF;
+
+  -- Pending until the invitee accepts it (accept_team_invitation)
+  INSERT INTO organization_members (organization_id, user_id, role, invited_by)
+  VALUES (p_org, v_user, p_role, auth.uid())
+  ON CONFLICT (organization_id, user_id) DO UPDATE SET role = EXCLUDED.role;
+
+  RETURN v_user;
+END;
+$$;
+
+-- Admins only change roles; joined_at is set once, by the invitee
+CREATE OR REPLACE FUNCTION public.guard_organization_member()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF (to_jsonb(NEW) - 'role' - 'joined_at') IS DISTINCT FROM (to_jsonb(OLD) - 'role' - 'joined_at') OR
+     (NEW.joined_at IS DISTINCT FROM OLD.joined_at AND
+      (OLD.joined_at IS NOT NULL OR NEW.user_id IS DISTINCT FROM auth.uid())) THEN
+    RAISE EXCEPTION 'membership_read_only' USING ERRCODE = '42501';
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS organization_members_guard ON organization_members;
+
+CREATE TRIGGER organization_members_guard
+  BEFORE UPDATE ON organization_members
+  FOR EACH ROW
+  EXECUTE FUNCTION public.guard_organization_member();
+
+CREATE OR REPLACE FUNCTION public.accept_team_invitation(p_org uuid)
+RETURNS void
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  UPDATE organization_members
+  SET joined_at = now()
+  WHERE organization_id = p_org AND user_id = auth.uid() AND joined_at IS NULL;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'invitation_not_found' USING ERRCODE = 'P0002';
+  END IF;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.team_invitations()
+RETURNS TABLE (
+  organization_id   uuid,
+  organization_name text,
+  member_role       text,
+  invited_by_email  text,
+  invited_at        timestamptz
+)
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT o.id, o.name, m.role, pr.email, m.invited_at
+  FROM organization_members m
+  JOIN organizations o   ON o.id = m.organization_id
+  LEFT JOIN profiles pr  ON pr.id = m.invited_by
+  WHERE m.user_id = auth.uid() AND m.joined_at IS NULL
+  ORDER BY m.invited_at;
+$$;
+
+-- Blocks changes to patients.professional_id / user_id outside
+-- transfer_patient() and redeem_patient_invitation(), which set
+-- cura360.allow_relink for their own transaction.
+CREATE OR REPLACE FUNCTION public.guard_patient_links()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF (NEW.professional_id IS DISTINCT FROM OLD.professional_id OR
+      NEW.user_id IS DISTINCT FROM OLD.user_id)
+     AND coalesce(current_setting('cura360.allow_relink', true), '') <> 'on' THEN
+    RAISE EXCEPTION 'patient_links_are_read_only' USING ERRCODE = '42501',
+      HINT = 'Use transfer_patient() or redeem_patient_invitation()';
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS patients_guard_links ON patients;
+
+CREATE TRIGGER patients_guard_links
+  BEFORE UPDATE ON patients
+  FOR EACH ROW
+  EXECUTE FUNCTION public.guard_patient_links();
+
+CREATE OR REPLACE FUNCTION public.transfer_patient(p_patient uuid, p_to uuid, p_keep_access boolean DEFAULT true)
+RETURNS void
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_from uuid;
+BEGIN
+  IF NOT public.can_manage_patient(p_patient) THEN
+    RAISE EXCEPTION 'not_allowed' USING ERRCODE = '42501';
+  END IF;
+  IF NOT public.is_professional(p_to) OR
+     (p_to <> auth.uid() AND NOT public.shares_org_with(p_to)) THEN
+    RAISE EXCEPTION 'target_not_in_team' USING ERRCODE = 'P0001';
+  END IF;
+
+  SELECT professional_id INTO v_from FROM patients WHERE id = p_patient FOR UPDATE;
+  IF v_from = p_to THEN
+    RETURN;
+  END IF;
+
+  PERFORM set_config('cura360.allow_relink', 'on', true);
+  UPDATE patients SET professional_id = p_to WHERE id = p_patient;
+  PERFORM set_config('cura360.allow_relink', '', true);
+
+  -- The new owner no longer needs a share
+  DELETE FROM patient_shares WHERE patient_id = p_patient AND professional_id = p_to;
+
+  IF p_keep_access THEN
+    INSERT INTO patient_shares (patient_id, professional_id, access, granted_by)
+    VALUES (p_patient, v_from, 'write', auth.uid())
+    ON CONFLICT (patient_id, professional_id) DO UPDATE SET access = 'write';
+  END IF;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.team_caseload()
+RETURNS TABLE (
+  organization_id    uuid,
+  organization_name  text,
+  professional_id    uuid,
+  professional_email text,
+  member_role        text,
+  member_pending     boolean,
+  patient_id         uuid,
+  patient_name       text,
+  active_wounds      bigint,
+  access             text
+)
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT
+    o.id, o.name, m.user_id, pr.email, m.role, m.joined_at IS NULL, p.id, p.name,
+    (SELECT count(*) FROM wounds w WHERE w.patient_id = p.id AND w.status <> 'closed'),
+    CASE
+      WHEN p.id IS NULL                  THEN NULL
+      WHEN p.professional_id = auth.uid() THEN 'owner'
+      WHEN me.role = 'admin'             THEN 'admin'
+      ELSE s.access
+    END
+  FROM organization_members me
+  JOIN organizations o         ON o.id = me.organization_id
+  JOIN organization_members m  ON m.organization_id = me.organization_id
+  JOIN profiles pr             ON pr.id = m.user_id
+  LEFT JOIN (team_patients tp JOIN patients p ON p.id = tp.patient_id)
+         ON tp.organization_id = m.organization_id
+        AND p.professional_id = m.user_id
+        AND m.joined_at IS NOT NULL
+  LEFT JOIN patient_shares s   ON s.patient_id = p.id AND s.professional_id = auth.uid()
+  WHERE me.user_id = auth.uid() AND me.joined_at IS NOT NULL
+  ORDER BY o.name, pr.email, p.name;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.add_team_member(uuid, text, text) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.accept_team_invitation(uuid) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.team_invitations() TO authenticated;
+GRANT EXECUTE ON FUNCTION public.transfer_patient(uuid, uuid, boolean) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.team_caseload() TO authenticated;
+
+-- redeem_patient_invitation() now has to pass the link guard
+CREATE OR REPLACE FUNCTION public.redeem_patient_invitation(p_code text)
+RETURNS uuid
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_invitation patient_invitations%ROWTYPE;
+  v_role       text;
+BEGIN
+  IF auth.uid() IS NULL THEN
+    RAISE EXCEPTION 'not_authenticated' USING ERRCODE = '28000';
+  END IF;
+
+  SELECT role INTO v_role FROM profiles WHERE id = auth.uid();
+  IF v_role IS DISTINCT FROM 'patient' THEN
+    RAISE EXCEPTION 'not_a_patient_account' USING ERRCODE = '42501';
+  END IF;
+
+  SELECT * INTO v_invitation
+  FROM patient_invitations
+  WHERE code = upper(trim(p_code))
+  FOR UPDATE;
+
+  IF v_invitation.id IS NULL
+     OR v_invitation.revoked_at IS NOT NULL
+     OR v_invitation.used_at IS NOT NULL
+     OR v_invitation.expires_at <= now() THEN
+    RAISE EXCEPTION 'invitation_not_valid' USING ERRCODE = 'P0001';
+  END IF;
+
+  IF EXISTS (SELECT 1 FROM patients WHERE user_id = auth.uid()) THEN
+    RAISE EXCEPTION 'account_already_linked' USING ERRCODE = 'P0001';
+  END IF;
+
+  PERFORM set_config('cura360.allow_relink', 'on', true);
+  UPDATE patients
+  SET user_id = auth.uid()
+  WHERE id = v_invitation.patient_id AND user_id IS NULL;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'patient_already_linked' USING ERRCODE = 'P0001';
+  END IF;
+  PERFORM set_config('cura360.allow_relink', '', true);
+
+  UPDATE patient_invitations
+  SET used_at = now(), used_by = auth.uid()
+  WHERE id = v_invitation.id;
+
+  RETURN v_invitation.patient_id;
+END;
+$$;
+
+
+-- =============================================================
+-- RLS: new tables
+-- =============================================================
+
+-- ── profiles ─────────────────────────────────────────────
+-- Teammates can read each other's e-mail (member lists, shares)
+DROP POLICY IF EXISTS profiles_select_teammates ON profiles;
+CREATE POLICY profiles_select_teammates
+  ON profiles FOR SELECT
+  USING (shares_org_with(id));
+
+-- ── organizations ────────────────────────────────────────
+ALTER TABLE organizations ENABLE ROW LEVEL SECURITY;
+
+-- Members: read their organizations. created_by also matches so the
+-- INSERT ... RETURNING runs before the membership trigger.
+DROP POLICY IF EXISTS organizations_select_member ON organizations;
+CREATE POLICY organizations_select_member
+  ON organizations FOR SELECT
+  USING (created_by = auth.uid() OR is_org_member(id));
+
+-- Professional: create organizations (becomes admin via trigger)
+DROP POLICY IF EXISTS organizations_insert_by_professional ON organizations;
+CREATE POLICY organizations_insert_by_professional
+  ON organizations FOR INSERT
+  WITH CHECK (created_by = auth.uid() AND is_professional(auth.uid()));
+
+-- Admin: rename / delete
+DROP POLICY IF EXISTS organizations_update_by_admin ON organizations;
+CREATE POLICY organizations_update_by_admin
+  ON organizations FOR UPDATE
+  USING (is_org_admin(id));
+
+DROP POLICY IF EXISTS organizations_delete_by_admin ON organizations;
+CREATE POLICY organizations_delete_by_admin
+  ON organizations FOR DELETE
+  USING (is_org_admin(id));
+
+-- ── organization_members ─────────────────────────────────
+ALTER TABLE organization_members ENABLE ROW LEVEL SECURITY;
+
+-- Members: read the member list of their organizations, pending
+-- invitations included. Inserts only through add_team_member() (no
+-- INSERT policy); invitees accept through accept_team_invitation().
+DROP POLICY IF EXISTS organization_members_select_member ON organization_members;
+CREATE POLICY organization_members_select_member
+  ON organization_members FOR SELECT
+  USING (is_org_member(organization_id));
+
+-- Admin: change roles
+DROP POLICY IF EXISTS organization_members_update_by_admin ON organization_members;
+CREATE POLICY organization_members_update_by_admin
+  ON organization_members FOR UPDATE
+  USING (is_org_admin(organization_id));
+
+-- Admin removes anyone; members can leave, invitees decline
+DROP POLICY IF EXISTS organization_members_delete ON organization_members;
+CREATE POLICY organization_members_delete
+  ON organization_members FOR DELETE
+  USING (is_org_admin(organization_id) OR user_id = auth.uid());
+
+-- ── team_patients ────────────────────────────────────────
+ALTER TABLE team_patients ENABLE ROW LEVEL SECURITY;
+
+-- Members: see which patients are placed in their teams
+DROP POLICY IF EXISTS team_patients_select_member ON team_patients;
+CREATE POLICY team_patients_select_member
+  ON team_patients FOR SELECT
+  USING (is_org_member(organization_id));
+
+-- Owner: place their own patient in one of their teams
+DROP POLICY IF EXISTS team_patients_insert_by_owner ON team_patients;
+CREATE POLICY team_patients_insert_by_owner
+  ON team_patients FOR INSERT
+  WITH CHECK (
+    added_by = auth.uid() AND
+    is_org_member(organization_id) AND
+    EXISTS (SELECT 1 FROM patients WHERE id = patient_id AND professional_id = auth.uid())
+  );
+
+-- Owner or team admin: take the patient out of the team
+DROP POLICY IF EXISTS team_patients_delete ON team_patients;
+CREATE POLICY team_patients_delete
+  ON team_patients FOR DELETE
+  USING (
+    is_org_admin(organization_id) OR
+    EXISTS (SELECT 1 FROM patients WHERE id = patient_id AND professional_id = auth.uid())
+  );
+
+-- ── patient_shares ───────────────────────────────────────
+ALTER TABLE patient_shares ENABLE ROW LEVEL SECURITY;
+
+-- Grantee sees their shares; owner / admin sees all of the patient
+DROP POLICY IF EXISTS patient_shares_select ON patient_shares;
+CREATE POLICY patient_shares_select
+  ON patient_shares FOR SELECT
+  USING (professional_id = auth.uid() OR can_manage_patient(patient_id));
+
+-- Owner / admin: share with a professional of a common organization
+DROP POLICY IF EXISTS patient_shares_insert_by_manager ON patient_shares;
+CREATE POLICY patient_shares_insert_by_manager
+  ON patient_shares FOR INSERT
+  WITH CHECK (
+    granted_by = auth.uid() AND
+    can_manage_patient(patient_id) AND
+    is_professional(professional_id) AND
+    shares_org_with(professional_id)
+  );
+
+-- Owner / admin: change access level
+DROP POLICY IF EXISTS patient_shares_update_by_manager ON patient_shares;
+CREATE POLICY patient_shares_update_by_manager
+  ON patient_shares FOR UPDATE
+  USING (can_manage_patient(patient_id));
+
+-- Owner / admin revokes; the grantee can give the patient back
+DROP POLICY IF EXISTS patient_shares_delete ON patient_shares;
+CREATE POLICY patient_shares_delete
+  ON patient_shares FOR DELETE
+  USING (can_manage_patient(patient_id) OR professional_id = auth.uid());
+
+
+-- =============================================================
+-- RLS: professional policies now use the access helpers
+-- =============================================================
+
+-- ── patients ─────────────────────────────────────────────
+-- professional_id is checked directly too: the helper cannot see a
+-- row being inserted (INSERT ... RETURNING)
+DROP POLICY IF EXISTS patients_select_by_professional ON patients;
+CREATE POLICY patients_select_by_professional
+  ON patients FOR SELECT
+  USING (professional_id = auth.uid() OR can_read_patient(id));
+
+DROP POLICY IF EXISTS patients_update_by_professional ON patients;
+CREATE POLICY patients_update_by_professional
+  ON patients FOR UPDATE
+  USING (can_write_patient(id));
+
+-- ── wounds ───────────────────────────────────────────────
+DROP POLICY IF EXISTS wounds_select_by_professional ON wounds;
+CREATE POLICY wounds_select_by_professional
+  ON wounds FOR SELECT
+  USING (can_read_patient(patient_id));
+
+DROP POLICY IF EXISTS wounds_insert_by_professional ON wounds;
+CREATE POLICY wounds_insert_by_professional
+  ON wounds FOR INSERT
+  WITH CHECK (can_write_patient(patient_id));
+
+DROP POLICY IF EXISTS wounds_update_by_professional ON wounds;
+CREATE POLICY wounds_update_by_professional
+  ON wounds FOR UPDATE
+  USING (can_write_patient(patient_id));
+
+DROP POLICY IF EXISTS wounds_delete_by_professional ON wounds;
+CREATE POLICY wounds_delete_by_professional
+  ON wounds FOR DELETE
+  USING (can_write_patient(patient_id));
+
+-- ── treatments ───────────────────────────────────────────
+DROP POLICY IF EXISTS treatments_select_by_professional ON treatments;
+CREATE POLICY treatments_select_by_professional
+  ON treatments FOR SELECT
+  USING (can_read_wound(wound_id));
+
+DROP POLICY IF EXISTS treatments_insert_by_professional ON treatments;
+CREATE POLICY treatments_insert_by_professional
+  ON treatments FOR INSERT
+  WITH CHECK (can_write_wound(wound_id));
+
+DROP POLICY IF EXISTS treatments_update_by_professional ON treatments;
+CREATE POLICY treatments_update_by_professional
+  ON treatments FOR UPDATE
+  USING (can_write_wound(wound_id));
+
+DROP POLICY IF EXISTS treatments_delete_by_professional ON treatments;
+CREATE POLICY treatments_delete_by_professional
+  ON treatments FOR DELETE
+  USING (can_write_wound(wound_id));
+
+-- ── wound_measurements ───────────────────────────────────
+DROP POLICY IF EXISTS wound_measurements_select_by_professional ON wound_measurements;
+CREATE POLICY wound_measurements_select_by_professional
+  ON wound_measurements FOR SELECT
+  USING (can_read_wound(wound_id));
+
+DROP POLICY IF EXISTS wound_measurements_insert_by_professional ON wound_measurements;
+CREATE POLICY wound_measurements_insert_by_professional
+  ON wound_measurements FOR INSERT
+  WITH CHECK (can_write_wound(wound_id));
+
+-- ── wound_stage_history ──────────────────────────────────
+DROP POLICY IF EXISTS wound_stage_history_select_by_professional ON wound_stage_history;
+CREATE POLICY wound_stage_history_select_by_professional
+  ON wound_stage_history FOR SELECT
+  USING (can_read_wound(wound_id));
+
+DROP POLICY IF EXISTS wound_stage_history_insert_by_professional ON wound_stage_history;
+CREATE POLICY wound_stage_history_insert_by_professional
+  ON wound_stage_history FOR INSERT
+  WITH CHECK (actor_id = auth.uid() AND can_write_wound(wound_id));
+
+-- ── clinical_scores ──────────────────────────────────────
+DROP POLICY IF EXISTS clinical_scores_select_by_professional ON clinical_scores;
+CREATE POLICY clinical_scores_select_by_professional
+  ON clinical_scores FOR SELECT
+  USING (can_read_patient(patient_id));
+
+DROP POLICY IF EXISTS clinical_scores_insert_by_professional ON clinical_scores;
+CREATE POLICY clinical_scores_insert_by_professional
+  ON clinical_scores FOR INSERT
+  WITH CHECK (assessed_by = auth.uid() AND can_write_patient(patient_id));
+
+-- ── patient_invitations ──────────────────────────────────
+DROP POLICY IF EXISTS patient_invitations_select_by_professional ON patient_invitations;
+CREATE POLICY patient_invitations_select_by_professional
+  ON patient_invitations FOR SELECT
+  USING (can_write_patient(patient_id));
+
+DROP POLICY IF EXISTS patient_invitations_insert_by_professional ON patient_invitations;
+CREATE POLICY patient_invitations_insert_by_professional
+  ON patient_invitations FOR INSERT
+  WITH CHECK (
+    created_by = auth.uid() AND
+    used_at IS NULL AND
+    can_write_patient(patient_id)
+  );
+
+DROP POLICY IF EXISTS patient_invitations_update_by_professional ON patient_invitations;
+CREATE POLICY patient_invitations_update_by_professional
+  ON patient_invitations FOR UPDATE
+  USING (can_write_patient(patient_id));
+
+-- ── wound_images ─────────────────────────────────────────
+DROP POLICY IF EXISTS wound_images_select_by_professional ON wound_images;
+CREATE POLICY wound_images_select_by_professional
+  ON wound_images FOR SELECT
+  USING (can_read_wound(wound_id));
+
+DROP POLICY IF EXISTS wound_images_insert_by_professional ON wound_images;
+CREATE POLICY wound_images_insert_by_professional
+  ON wound_images FOR INSERT
+  WITH CHECK (uploaded_by = auth.uid() AND can_write_wound(wound_id));
+
+DROP POLICY IF EXISTS wound_images_update_by_professional ON wound_images;
+CREATE POLICY wound_images_update_by_professional
+  ON wound_images FOR UPDATE
+  USING (can_write_wound(wound_id));
+
+DROP POLICY IF EXISTS wound_images_delete_by_professional ON wound_images;
+CREATE POLICY wound_images_delete_by_professional
+  ON wound_images FOR DELETE
+  USING (can_write_wound(wound_id));
+
+-- ── storage.objects (`wounds` bucket) ────────────────────
+DROP POLICY IF EXISTS wound_files_select_by_professional ON storage.objects;
+CREATE POLICY wound_files_select_by_professional
+  ON storage.objects FOR SELECT
+  USING (
+    bucket_id = 'wounds' AND
+    (storage.foldername(name))[1] IN (
+      SELECT w.id::text FROM wounds w WHERE can_read_patient(w.patient_id)
+    )
+  );
+
+DROP POLICY IF EXISTS wound_files_insert_by_professional ON storage.objects;
+CREATE POLICY wound_files_insert_by_professional
+  ON storage.objects FOR INSERT
+  WITH CHECK (
+    bucket_id = 'wounds' AND
+    (storage.foldername(name))[1] IN (
+      SELECT w.id::text FROM wounds w WHERE can_write_patient(w.patient_id)
+    )
+  );
+
+DROP POLICY IF EXISTS wound_files_delete_by_professional ON storage.objects;
+CREATE POLICY wound_files_delete_by_professional
+  ON storage.objects FOR DELETE
+  USING (
+    bucket_id = 'wounds' AND
+    (storage.foldername(name))[1] IN (
+      SELECT w.id::text FROM wounds w WHERE can_write_patient(w.patient_id)
+    )
+  );
@@ -0,0 +1,464 @@
+-- =============================================================
+-- 0010 — Admin, technician and auditor roles
+-- =============================================================
+-- profiles.role now accepts:
+--   • admin        — professional + user management (admin console)
+--   • professional — owns patients, full clinical access
+--   • technician   — TENS: records curaciones, photos and scales on
+--                    patients shared with write access; cannot
+--                    create patients or wounds nor change stages
+--   • auditor      — read-only access to the patients placed in
+--                    the organizations they belong to
+--   • patient      — reads their own record
+-- profiles.active = false deactivates an account: every helper
+-- below treats it as having no role.
+-- Staff accounts are created from user_invitations: the code is
+-- sent as sign-up metadata and handle_new_user() assigns its role.
+-- Nobody can change their own role any more (profiles_update_own
+-- is dropped); only admins update other profiles.
+-- =============================================================
+
+-- -------------------------------------------------------------
+-- PROFILES: roles + active flag
+-- -------------------------------------------------------------
+ALTER TABLE profiles DROP CONSTRAINT IF EXISTS profiles_role_check;
+ALTER TABLE profiles ADD CONSTRAINT profiles_role_check
+  CHECK (role IN ('admin', 'professional', 'technician', 'auditor', 'patient'));
+
+ALTER TABLE profiles ADD COLUMN IF NOT EXISTS active boolean NOT NULL DEFAULT true;
+
+-- -------------------------------------------------------------
+-- USER INVITATIONS (staff accounts)
+-- -------------------------------------------------------------
+CREATE TABLE IF NOT EXISTS user_invitations (
+  id          uuid        NOT NULL DEFAULT gen_random_uuid(),
+  email       text        NOT NULL,
+  role        text        NOT NULL
+                CHECK (role IN ('admin', 'professional', 'technician', 'auditor')),
+  code        text        NOT NULL,
+  created_by  uuid        NOT NULL,
+  expires_at  timestamptz NOT NULL,
+  used_at     timestamptz,
+  used_by     uuid,
+  revoked_at  timestamptz,
+  created_at  timestamptz NOT NULL DEFAULT now(),
+
+  CONSTRAINT user_invitations_pkey         PRIMARY KEY (id),
+  CONSTRAINT user_invitations_code_key     UNIQUE (code),
+  CONSTRAINT user_invitations_creator_fkey FOREIGN KEY (created_by)
+    REFERENCES profiles(id) ON DELETE CASCADE,
+  CONSTRAINT user_invitations_user_fkey    FOREIGN KEY (used_by)
+    REFERENCES profiles(id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_invitations_created
+  ON user_invitations(created_at DESC);
+
+
+-- =============================================================
+-- FUNCTIONS: Roles
+-- =============================================================
+
+-- Role of the caller; NULL for deactivated accounts
+CREATE OR REPLACE FUNCTION public.app_role()
+RETURNS text
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT role FROM profiles WHERE id = auth.uid() AND active;
+$$;
+
+CREATE OR REPLACE FUNCTION public.has_role(p_user uuid, p_roles text[])
+RETURNS boolean
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT EXISTS (
+    SELECT 1 FROM profiles
+    WHERE id = p_user AND active AND role = ANY (p_roles)
+  );
+$$;
+
+-- Roles that own patients: professional and admin
+CREATE OR REPLACE FUNCTION public.is_professional(p_user uuid)
+RETURNS boolean
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT public.has_role(p_user, ARRAY['professional', 'admin']);
+$$;
+
+-- Patient account linked to p_patient (active)
+CREATE OR REPLACE FUNCTION public.is_own_patient(p_patient uuid)
+RETURNS boolean
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT public.app_role() = 'patient' AND EXISTS (
+    SELECT 1 FROM patients WHERE id = p_patient AND user_id = auth.uid()
+  );
+$$;
+
+CREATE OR REPLACE FUNCTION public.is_own_wound(p_wound uuid)
+RETURNS boolean
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT public.is_own_patient((SELECT patient_id FROM wounds WHERE id = p_wound));
+$$;
+
+-- Owner, or admin of a team the owner placed the patient in
+CREATE OR REPLACE FUNCTION public.can_manage_patient(p_patient uuid)
+RETURNS boolean
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT public.app_role() IN ('professional', 'admin') AND EXISTS (
+    SELECT 1 FROM patients p
+    WHERE p.id = p_patient
+      AND (p.professional_id = auth.uid() OR public.is_team_patient(p.id, true))
+  );
+$$;
+
+-- Managers, shares, and auditors of a team the patient was placed in
+CREATE OR REPLACE FUNCTION public.can_read_patient(p_patient uuid)
+RETURNS boolean
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT public.can_manage_patient(p_patient)
+    OR (
+      public.app_role() IN ('professional', 'admin', 'technician') AND EXISTS (
+        SELECT 1 FROM patient_shares
+        WHERE patient_id = p_patient AND professional_id = auth.uid()
+      )
+    )
+    OR (public.app_role() = 'auditor' AND public.is_team_patient(p_patient));
+$$;
+
+CREATE OR REPLACE FUNCTION public.can_write_patient(p_patient uuid)
+RETURNS boolean
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT public.can_manage_patient(p_patient) OR (
+    public.app_role() IN ('professional', 'admin', 'technician') AND EXISTS (
+      SELECT 1 FROM patient_shares
+      WHERE patient_id = p_patient AND professional_id = auth.uid() AND access = 'write'
+    )
+  );
+$$;
+
+-- Only professionals and admins change clinical_stage / stage_locked.
+-- Technicians still update the measurement snapshot and suggestions.
+CREATE OR REPLACE FUNCTION public.guard_wound_stage()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF auth.uid() IS NOT NULL
+     AND (NEW.clinical_stage IS DISTINCT FROM OLD.clinical_stage OR
+          NEW.stage_locked IS DISTINCT FROM OLD.stage_locked)
+     AND NOT public.is_professional(auth.uid()) THEN
+    RAISE EXCEPTION 'stage_change_not_allowed' USING ERRCODE = '42501';
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS wounds_guard_stage ON wounds;
+
+CREATE TRIGGER wounds_guard_stage
+  BEFORE UPDATE ON wounds
+  FOR EACH ROW
+  EXECUTE FUNCTION public.guard_wound_stage();
+
+
+-- =============================================================
+-- FUNCTIONS: User invitations
+-- =============================================================
+-- user_invitation_status(code, email): callable before sign-up
+--   (anon); the code only works for the invited e-mail.
+-- handle_new_user(): a sign-up carrying a valid code for its e-mail
+--   gets the invited role and consumes the code; any other sign-up
+--   is a patient.
+-- =============================================================
+
+CREATE OR REPLACE FUNCTION public.user_invitation_status(p_code text, p_email text)
+RETURNS text
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT CASE
+    WHEN i.id IS NULL                               THEN 'invalid'
+    WHEN i.revoked_at IS NOT NULL                   THEN 'revoked'
+    WHEN i.used_at IS NOT NULL                      THEN 'used'
+    WHEN i.expires_at <= now()                      THEN 'expired'
+    WHEN lower(i.email) <> lower(trim(p_email))     THEN 'email_mismatch'
+    ELSE 'valid'
+  END
+  FROM (SELECT 1) AS one
+  LEFT JOIN user_invitations i ON i.code = upper(trim(p_code));
+$$;
+
+CREATE OR REPLACE FUNCTION public.handle_new_user()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_invitation user_invitations%ROWTYPE;
+BEGIN
+  SELECT * INTO v_invitation
+  FROM user_invitations
+  WHERE code = upper(trim(NEW.raw_user_meta_data ->> 'invitation_code'))
+    AND lower(email) = lower(NEW.email)
+    AND used_at IS NULL
+    AND revoked_at IS NULL
+    AND expires_at > now()
+  FOR UPDATE;
+
+  INSERT INTO public.profiles (id, email, role)
+  VALUES (NEW.id, NEW.email, coalesce(v_invitation.role, 'patient'));
+
+  IF v_invitation.id IS NOT NULL THEN
+    UPDATE user_invitations
+    SET used_at = now(), used_by = NEW.id
+    WHERE id = v_invitation.id;
+  END IF;
+
+  RETURN NEW;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.user_invitation_status(text, text) TO anon, authenticated;
+
+
+-- =============================================================
+-- FUNCTIONS: Care teams (role-aware)
+-- =============================================================
+
+-- Any active staff account can be invited to a team
+CREATE OR REPLACE FUNCTION public.add_team_member(p_org uuid, p_email text, p_role text DEFAULT 'member')
+RETURNS uuid
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_user uuid;
+BEGIN
+  IF NOT public.is_org_admin(p_org) THEN
+    RAISE EXCEPTION 'not_an_org_admin' USING ERRCODE = '42501';
+  END IF;
+
+  SELECT id INTO v_user
+  FROM profiles
+  WHERE lower(email) = lower(trim(p_email))
+    AND active
+    AND role IN ('admin', 'professional', 'technician', 'auditor');
+  IF v_user IS NULL THEN
+    RAISE EXCEPTION 'professional_not_found' USING ERRCODE = 'P0002';
+  END IF;
+
+  -- Pending until the invitee accepts it (accept_team_invitation)
+  INSERT INTO organization_members (organization_id, user_id, role, invited_by)
+  VALUES (p_org, v_user, p_role, auth.uid())
+  ON CONFLICT (organization_id, user_id) DO UPDATE SET role = EXCLUDED.role;
+
+  RETURN v_user;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.team_caseload()
+RETURNS TABLE (
+  organization_id    uuid,
+  organization_name  text,
+  professional_id    uuid,
+  professional_email text,
+  member_role        text,
+  member_pending     boolean,
+  patient_id         uuid,
+  patient_name       text,
+  active_wounds      bigint,
+  access             text
+)
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT
+    o.id, o.name, m.user_id, pr.email, m.role, m.joined_at IS NULL, p.id, p.name,
+    (SELECT count(*) FROM wounds w WHERE w.patient_id = p.id AND w.status <> 'closed'),
+    CASE
+      WHEN p.id IS NULL                                            THEN NULL
+      WHEN p.professional_id = auth.uid()                          THEN 'owner'
+      WHEN me.role = 'admin' AND public.is_professional(auth.uid()) THEN 'admin'
+      WHEN public.app_role() = 'auditor'                           THEN 'read'
+      ELSE s.access
+    END
+  FROM organization_members me
+  JOIN organizations o         ON o.id = me.organization_id
+  JOIN organization_members m  ON m.organization_id = me.organization_id
+  JOIN profiles pr             ON pr.id = m.user_id
+  LEFT JOIN (team_patients tp JOIN patients p ON p.id = tp.patient_id)
+         ON tp.organization_id = m.organization_id
+        AND p.professional_id = m.user_id
+        AND m.joined_at IS NOT NULL
+  LEFT JOIN patient_shares s   ON s.patient_id = p.id AND s.professional_id = auth.uid()
+  WHERE me.user_id = auth.uid() AND me.joined_at IS NOT NULL AND public.app_role() IS NOT NULL
+  ORDER BY o.name, pr.email, p.name;
+$$;
+
+
+-- =============================================================
+-- RLS
+-- =============================================================
+
+-- ── profiles ─────────────────────────────────────────────
+-- A user could change their own role through this policy
+DROP POLICY IF EXISTS profiles_update_own ON profiles;
+
+-- Admin: read every profile (admin console)
+DROP POLICY IF EXISTS profiles_select_admin ON profiles;
+CREATE POLICY profiles_select_admin
+  ON profiles FOR SELECT
+  USING (app_role() = 'admin');
+
+-- Admin: change roles / deactivate other accounts (never their own,
+-- so the last admin cannot lock everyone out)
+DROP POLICY IF EXISTS profiles_update_by_admin ON profiles;
+CREATE POLICY profiles_update_by_admin
+  ON profiles FOR UPDATE
+  USING (app_role() = 'admin' AND id <> auth.uid());
+
+-- ── user_invitations ─────────────────────────────────────
+ALTER TABLE user_invitations ENABLE ROW LEVEL SECURITY;
+
+-- Admin: read, create and revoke. Redemption happens only in
+-- handle_new_user().
+DROP POLICY IF EXISTS user_invitations_select_admin ON user_invitations;
+CREATE POLICY user_invitations_select_admin
+  ON user_invitations FOR SELECT
+  USING (app_role() = 'admin');
+
+DROP POLICY IF EXISTS user_invitations_insert_admin ON user_invitations;
+CREATE POLICY user_invitations_insert_admin
+  ON user_invitations FOR INSERT
+  WITH CHECK (
+    app_role() = 'admin' AND
+    created_by = auth.uid() AND
+    used_at IS NULL
+  );
+
+DROP POLICY IF EXISTS user_invitations_update_admin ON user_invitations;
+CREATE POLICY user_invitations_update_admin
+  ON user_invitations FOR UPDATE
+  USING (app_role() = 'admin');
+
+-- ── patients ─────────────────────────────────────────────
+DROP POLICY IF EXISTS patients_select_own ON patients;
+CREATE POLICY patients_select_own
+  ON patients FOR SELECT
+  USING (user_id = auth.uid() AND app_role() = 'patient');
+
+-- Technicians and auditors cannot create patients
+DROP POLICY IF EXISTS patients_insert_by_professional ON patients;
+CREATE POLICY patients_insert_by_professional
+  ON patients FOR INSERT
+  WITH CHECK (professional_id = auth.uid() AND is_professional(auth.uid()));
+
+-- ── wounds ───────────────────────────────────────────────
+DROP POLICY IF EXISTS wounds_select_own ON wounds;
+CREATE POLICY wounds_select_own
+  ON wounds FOR SELECT
+  USING (is_own_patient(patient_id));
+
+-- Registering a wound sets its stage: professionals only
+DROP POLICY IF EXISTS wounds_insert_by_professional ON wounds;
+CREATE POLICY wounds_insert_by_professional
+  ON wounds FOR INSERT
+  WITH CHECK (is_professional(auth.uid()) AND can_write_patient(patient_id));
+
+DROP POLICY IF EXISTS wounds_delete_by_professional ON wounds;
+CREATE POLICY wounds_delete_by_professional
+  ON wounds FOR DELETE
+  USING (is_professional(auth.uid()) AND can_write_patient(patient_id));
+
+-- ── treatments ───────────────────────────────────────────
+DROP POLICY IF EXISTS treatments_select_own ON treatments;
+CREATE POLICY treatments_select_own
+  ON treatments FOR SELECT
+  USING (is_own_wound(wound_id));
+
+-- ── wound_measurements ───────────────────────────────────
+DROP POLICY IF EXISTS wound_measurements_select_own ON wound_measurements;
+CREATE POLICY wound_measurements_select_own
+  ON wound_measurements FOR SELECT
+  USING (is_own_wound(wound_id));
+
+-- ── wound_stage_history ──────────────────────────────────
+DROP POLICY IF EXISTS wound_stage_history_insert_by_professional ON wound_stage_history;
+CREATE POLICY wound_stage_history_insert_by_professional
+  ON wound_stage_history FOR INSERT
+  WITH CHECK (
+    actor_id = auth.uid() AND
+    is_professional(auth.uid()) AND
+    can_write_wound(wound_id)
+  );
+
+-- ── clinical_scores ──────────────────────────────────────
+DROP POLICY IF EXISTS clinical_scores_select_own ON clinical_scores;
+CREATE POLICY clinical_scores_select_own
+  ON clinical_scores FOR SELECT
+  USING (is_own_patient(patient_id));
+
+-- ── wound_images ─────────────────────────────────────────
+DROP POLICY IF EXISTS wound_images_select_own ON wound_images;
+CREATE POLICY wound_images_select_own
+  ON wound_images FOR SELECT
+  USING (is_own_wound(wound_id));
+
+-- ── patient_shares ───────────────────────────────────────
+-- Owner / admin: share with a professional or technician of a
+-- common organization (auditors already read everything)
+DROP POLICY IF EXISTS patient_shares_insert_by_manager ON patient_shares;
+CREATE POLICY patient_shares_insert_by_manager
+  ON patient_shares FOR INSERT
+  WITH CHECK (
+    granted_by = auth.uid() AND
+    can_manage_patient(patient_id) AND
+    has_role(professional_id, ARRAY['professional', 'admin', 'technician']) AND
+    shares_org_with(professional_id)
+  );
+
+-- ── storage.objects (`wounds` bucket) ────────────────────
+DROP POLICY IF EXISTS wound_files_select_own ON storage.objects;
+CREATE POLICY wound_files_select_own
+  ON storage.objects FOR SELECT
+  USING (
+    bucket_id = 'wounds' AND
+    (storage.foldername(name))[1] IN (
+      SELECT w.id::text FROM wounds w WHERE is_own_patient(w.patient_id)
+    )
+  );
@@ -0,0 +1,154 @@
+-- =============================================================
+-- 0011 — Dressing-change frequency and scheduled visits
+-- =============================================================
+-- wounds.dressing_frequency_days: days between curaciones. The
+-- treatment form defaults it from the technique (visits.js).
+-- visits: at most one open ('scheduled') visit per wound, due
+-- `dressing_frequency_days` after the last curación (or after the
+-- wound was registered). Recording a curación closes the open
+-- visit and schedules the next one; changing the frequency or
+-- closing the wound reschedules or drops it. All of it happens in
+-- triggers, so curaciones synced from the offline queue schedule
+-- their follow-up too.
+-- =============================================================
+
+ALTER TABLE wounds ADD COLUMN IF NOT EXISTS dressing_frequency_days smallint;
+
+ALTER TABLE wounds DROP CONSTRAINT IF EXISTS wounds_frequency_check;
+ALTER TABLE wounds ADD CONSTRAINT wounds_frequency_check
+  CHECK (dressing_frequency_days BETWEEN 1 AND 30) NOT VALID;
+
+-- -------------------------------------------------------------
+-- VISITS
+-- -------------------------------------------------------------
+CREATE TABLE IF NOT EXISTS visits (
+  id            uuid        NOT NULL DEFAULT gen_random_uuid(),
+  wound_id      uuid        NOT NULL,
+  scheduled_for date        NOT NULL,
+  status        text        NOT NULL DEFAULT 'scheduled',
+  treatment_id  uuid,
+  completed_at  timestamptz,
+  created_at    timestamptz NOT NULL DEFAULT now(),
+
+  CONSTRAINT visits_pkey           PRIMARY KEY (id),
+  CONSTRAINT visits_wound_fkey     FOREIGN KEY (wound_id)
+    REFERENCES wounds(id) ON DELETE CASCADE,
+  CONSTRAINT visits_treatment_fkey FOREIGN KEY (treatment_id)
+    REFERENCES treatments(id) ON DELETE SET NULL,
+  CONSTRAINT visits_status_check   CHECK (status IN ('scheduled', 'done'))
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_visits_open
+  ON visits(wound_id) WHERE status = 'scheduled';
+CREATE INDEX IF NOT EXISTS idx_visits_scheduled
+  ON visits(scheduled_for) WHERE status = 'scheduled';
+
+-- -------------------------------------------------------------
+-- Scheduling
+-- -------------------------------------------------------------
+-- Runs with the caller's rights: only users who can write the
+-- wound (visits policies below) schedule its visits. Dates are
+-- local to Chile so late-evening curaciones count for that day.
+CREATE OR REPLACE FUNCTION public.schedule_next_visit(p_wound uuid)
+RETURNS void
+LANGUAGE plpgsql
+SET search_path = public
+AS $$
+DECLARE
+  v_wound wounds%ROWTYPE;
+  v_last  timestamptz;
+BEGIN
+  SELECT * INTO v_wound FROM wounds WHERE id = p_wound;
+  IF NOT FOUND THEN
+    RETURN;
+  END IF;
+
+  DELETE FROM visits WHERE wound_id = p_wound AND status = 'scheduled';
+
+  IF v_wound.status = 'closed' OR v_wound.dressing_frequency_days IS NULL THEN
+    RETURN;
+  END IF;
+
+  SELECT max(created_at) INTO v_last FROM treatments WHERE wound_id = p_wound;
+
+  INSERT INTO visits (wound_id, scheduled_for)
+  VALUES (
+    p_wound,
+    (COALESCE(v_last, v_wound.created_at) AT TIME ZONE 'America/Santiago')::date
+      + v_wound.dressing_frequency_days
+  );
+END;
+$$;
+
+-- A curación completes the open visit and schedules the next one
+CREATE OR REPLACE FUNCTION public.handle_treatment_visit()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SET search_path = public
+AS $$
+BEGIN
+  UPDATE visits
+  SET status = 'done', treatment_id = NEW.id, completed_at = NEW.created_at
+  WHERE wound_id = NEW.wound_id AND status = 'scheduled';
+
+  PERFORM public.schedule_next_visit(NEW.wound_id);
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS treatments_schedule_visit ON treatments;
+
+CREATE TRIGGER treatments_schedule_visit
+  AFTER INSERT ON treatments
+  FOR EACH ROW
+  EXECUTE FUNCTION public.handle_treatment_visit();
+
+-- New wounds, frequency changes and closing reschedule the open visit
+CREATE OR REPLACE FUNCTION public.handle_wound_visit()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SET search_path = public
+AS $$
+BEGIN
+  IF TG_OP = 'UPDATE'
+     AND NEW.dressing_frequency_days IS NOT DISTINCT FROM OLD.dressing_frequency_days
+     AND (NEW.status = 'closed') = (OLD.status = 'closed') THEN
+    RETURN NEW;
+  END IF;
+
+  PERFORM public.schedule_next_visit(NEW.id);
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS wounds_schedule_visit ON wounds;
+
+CREATE TRIGGER wounds_schedule_visit
+  AFTER INSERT OR UPDATE ON wounds
+  FOR EACH ROW
+  EXECUTE FUNCTION public.handle_wound_visit();
+
+-- ── visits ───────────────────────────────────────────────
+ALTER TABLE visits ENABLE ROW LEVEL SECURITY;
+
+-- Staff: read visits of wounds they can read
+DROP POLICY IF EXISTS visits_select_by_professional ON visits;
+CREATE POLICY visits_select_by_professional
+  ON visits FOR SELECT
+  USING (can_read_wound(wound_id));
+
+-- Staff: schedule, complete and drop visits of wounds they can write
+DROP POLICY IF EXISTS visits_insert_by_professional ON visits;
+CREATE POLICY visits_insert_by_professional
+  ON visits FOR INSERT
+  WITH CHECK (can_write_wound(wound_id));
+
+DROP POLICY IF EXISTS visits_update_by_professional ON visits;
+CREATE POLICY visits_update_by_professional
+  ON visits FOR UPDATE
+  USING (can_write_wound(wound_id));
+
+DROP POLICY IF EXISTS visits_delete_by_professional ON visits;
+CREATE POLICY visits_delete_by_professional
+  ON visits FOR DELETE
+  USING (can_write_wound(wound_id));
@@ -0,0 +1,18 @@
+-- =============================================================
+-- 0012 — Patient home coordinates for route planning
+-- =============================================================
+-- routes.js orders the day's home visits with a local heuristic
+-- (no external routing or geocoding service). It uses these
+-- coordinates, captured from the device at the patient's home,
+-- and falls back to the commune centre (config/commune-centroids.json).
+-- Both columns are set together or not at all.
+-- =============================================================
+
+ALTER TABLE patients ADD COLUMN IF NOT EXISTS latitude  numeric(9,6);
+ALTER TABLE patients ADD COLUMN IF NOT EXISTS longitude numeric(9,6);
+
+ALTER TABLE patients DROP CONSTRAINT IF EXISTS patients_location_check;
+ALTER TABLE patients ADD CONSTRAINT patients_location_check CHECK (
+  (latitude IS NULL AND longitude IS NULL) OR
+  (latitude BETWEEN -90 AND 90 AND longitude BETWEEN -180 AND 180)
+) NOT VALID;
@@ -0,0 +1,32 @@
+-- =============================================================
+-- 0013 — Wound measurement traced on a photo
+-- =============================================================
+-- The image viewer lets staff calibrate the photo against a
+-- marker or ruler of known length and trace the wound edge.
+-- tracing keeps what was drawn, in pixels of the original image:
+--   { "width": 1600, "height": 1200,
+--     "calibration": { "a": [x, y], "b": [x, y], "cm": 2 },
+--     "polygon": [[x, y], ...] }
+-- and the derived area / length / width are stored beside it so
+-- lists and the treatment form do not recompute them. Updates go
+-- through the existing wound_images_update_by_professional policy.
+-- =============================================================
+
+ALTER TABLE wound_images ADD COLUMN IF NOT EXISTS tracing     jsonb;
+ALTER TABLE wound_images ADD COLUMN IF NOT EXISTS area_cm2    numeric(8,2);
+ALTER TABLE wound_images ADD COLUMN IF NOT EXISTS length_cm   numeric(6,2);
+ALTER TABLE wound_images ADD COLUMN IF NOT EXISTS width_cm    numeric(6,2);
+ALTER TABLE wound_images ADD COLUMN IF NOT EXISTS measured_by uuid;
+ALTER TABLE wound_images ADD COLUMN IF NOT EXISTS measured_at timestamptz;
+
+ALTER TABLE wound_images DROP CONSTRAINT IF EXISTS wound_images_measurer_fkey;
+ALTER TABLE wound_images ADD CONSTRAINT wound_images_measurer_fkey
+  FOREIGN KEY (measured_by) REFERENCES profiles(id) ON DELETE SET NULL;
+
+ALTER TABLE wound_images DROP CONSTRAINT IF EXISTS wound_images_tracing_check;
+ALTER TABLE wound_images ADD CONSTRAINT wound_images_tracing_check CHECK (
+  (area_cm2  IS NULL OR area_cm2  >= 0) AND
+  (length_cm IS NULL OR length_cm >= 0) AND
+  (width_cm  IS NULL OR width_cm  >= 0) AND
+  (tracing IS NULL OR jsonb_typeof(tracing) = 'object')
+) NOT VALID;
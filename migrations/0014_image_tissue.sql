@@ -0,0 +1,38 @@
+-- =============================================================
+-- 0014 — Tissue composition annotated on a photo
+-- =============================================================
+-- The image viewer lets staff outline regions of the wound bed
+-- and tag them as granulation, epithelial, hypergranulation,
+-- slough or necrotic tissue. tissue keeps the outlines, in
+-- pixels of the original image:
+--   { "width": 1600, "height": 1200,
+--     "regions": [{ "type": "slough", "polygon": [[x, y], ...] }] }
+-- and tissue_composition the coverage per type in whole
+-- percentages ({ "granulation": 60, "slough": 40 }), which feeds
+-- the wound's evolution. treatment_id links the photo to the
+-- curación it documents. Updates go through the existing
+-- wound_images_update_by_professional policy.
+-- =============================================================
+
+ALTER TABLE wound_images ADD COLUMN IF NOT EXISTS treatment_id       uuid;
+ALTER TABLE wound_images ADD COLUMN IF NOT EXISTS tissue             jsonb;
+ALTER TABLE wound_images ADD COLUMN IF NOT EXISTS tissue_composition jsonb;
+ALTER TABLE wound_images ADD COLUMN IF NOT EXISTS annotated_by       uuid;
+ALTER TABLE wound_images ADD COLUMN IF NOT EXISTS annotated_at       timestamptz;
+
+ALTER TABLE wound_images DROP CONSTRAINT IF EXISTS wound_images_treatment_fkey;
+ALTER TABLE wound_images ADD CONSTRAINT wound_images_treatment_fkey
+  FOREIGN KEY (treatment_id) REFERENCES treatments(id) ON DELETE SET NULL;
+
+ALTER TABLE wound_images DROP CONSTRAINT IF EXISTS wound_images_annotator_fkey;
+ALTER TABLE wound_images ADD CONSTRAINT wound_images_annotator_fkey
+  FOREIGN KEY (annotated_by) REFERENCES profiles(id) ON DELETE SET NULL;
+
+ALTER TABLE wound_images DROP CONSTRAINT IF EXISTS wound_images_tissue_check;
+ALTER TABLE wound_images ADD CONSTRAINT wound_images_tissue_check CHECK (
+  (tissue IS NULL OR jsonb_typeof(tissue) = 'object') AND
+  (tissue_composition IS NULL OR jsonb_typeof(tissue_composition) = 'object')
+) NOT VALID;
+
+CREATE INDEX IF NOT EXISTS idx_wound_images_treatment
+  ON wound_images(treatment_id);
@@ -0,0 +1,35 @@
+-- =============================================================
+-- 0015 — Re-encoded photo variants
+-- =============================================================
+-- Uploads are re-encoded in the browser as JPEG without metadata
+-- (the camera's EXIF carries the GPS position of the patient's
+-- home) and stored in three sizes under the wound's folder:
+--   <wound_id>/<timestamp>.jpg          full     (storage_path)
+--   <wound_id>/<timestamp>_display.jpg  display  (display_path)
+--   <wound_id>/<timestamp>_thumb.jpg    thumb    (thumb_path)
+-- Each keeps its pixel size and SHA-256 (hex). Rows uploaded
+-- before this migration only have storage_path; the app falls
+-- back to it for every size.
+-- =============================================================
+
+ALTER TABLE wound_images ADD COLUMN IF NOT EXISTS width          integer;
+ALTER TABLE wound_images ADD COLUMN IF NOT EXISTS height         integer;
+ALTER TABLE wound_images ADD COLUMN IF NOT EXISTS sha256         text;
+ALTER TABLE wound_images ADD COLUMN IF NOT EXISTS display_path   text;
+ALTER TABLE wound_images ADD COLUMN IF NOT EXISTS display_width  integer;
+ALTER TABLE wound_images ADD COLUMN IF NOT EXISTS display_height integer;
+ALTER TABLE wound_images ADD COLUMN IF NOT EXISTS display_sha256 text;
+ALTER TABLE wound_images ADD COLUMN IF NOT EXISTS thumb_path     text;
+ALTER TABLE wound_images ADD COLUMN IF NOT EXISTS thumb_width    integer;
+ALTER TABLE wound_images ADD COLUMN IF NOT EXISTS thumb_height   integer;
+ALTER TABLE wound_images ADD COLUMN IF NOT EXISTS thumb_sha256   text;
+
+ALTER TABLE wound_images DROP CONSTRAINT IF EXISTS wound_images_variants_check;
+ALTER TABLE wound_images ADD CONSTRAINT wound_images_variants_check CHECK (
+  (width  IS NULL OR width  > 0) AND (height  IS NULL OR height  > 0) AND
+  (display_width IS NULL OR display_width > 0) AND (display_height IS NULL OR display_height > 0) AND
+  (thumb_width   IS NULL OR thumb_width   > 0) AND (thumb_height   IS NULL OR thumb_height   > 0) AND
+  (sha256         IS NULL OR sha256         ~ '^[0-9a-f]{64}$') AND
+  (display_sha256 IS NULL OR display_sha256 ~ '^[0-9a-f]{64}$') AND
+  (thumb_sha256   IS NULL OR thumb_sha256   ~ '^[0-9a-f]{64}$')
+) NOT VALID;
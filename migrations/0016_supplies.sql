@@ -0,0 +1,400 @@
+-- =============================================================
+-- 0016 — Supplies catalog, stock per kit and curación costs
+-- =============================================================
+-- supplies: catalog (unit, reference unit cost, low-stock level).
+-- supply_lots: lots of a supply, with their own unit cost.
+-- supply_kits: where stock is kept: a professional's personal kit
+--   (professional_id) or a shared kit (maletín, bodega) of an
+--   organization (organization_id). A personal kit may belong to an
+--   organization too, whose admins then manage it.
+-- supply_stock: quantity per kit and lot, maintained only by the
+--   supply_movements trigger (receipts, uses, returns, adjustments).
+-- treatment_supplies: line items of a curación. The trigger draws
+--   the quantity from the kit's lots in expiry order (one use per
+--   lot, none below zero), keeps what the kit lacks in shortfall and
+--   copies the average unit cost, so curaciones synced from the
+--   offline queue decrement stock too. Deleting a line item (or its
+--   curación) returns to each lot what was taken from it.
+-- =============================================================
+
+-- -------------------------------------------------------------
+-- TABLES
+-- -------------------------------------------------------------
+CREATE TABLE IF NOT EXISTS supplies (
+  id         uuid          NOT NULL DEFAULT gen_random_uuid(),
+  name       text          NOT NULL CHECK (length(trim(name)) > 0),
+  unit       text          NOT NULL DEFAULT 'unidad',
+  unit_cost  numeric(10,2) NOT NULL DEFAULT 0 CHECK (unit_cost >= 0),
+  min_stock  numeric(10,2) NOT NULL DEFAULT 0 CHECK (min_stock >= 0),
+  active     boolean       NOT NULL DEFAULT true,
+  created_by uuid,
+  created_at timestamptz   NOT NULL DEFAULT now(),
+
+  CONSTRAINT supplies_pkey         PRIMARY KEY (id),
+  CONSTRAINT supplies_creator_fkey FOREIGN KEY (created_by)
+    REFERENCES profiles(id) ON DELETE SET NULL
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_supplies_name
+  ON supplies(lower(name));
+
+CREATE TABLE IF NOT EXISTS supply_lots (
+  id         uuid          NOT NULL DEFAULT gen_random_uuid(),
+  supply_id  uuid          NOT NULL,
+  lot_number text          NOT NULL CHECK (length(trim(lot_number)) > 0),
+  expires_on date,
+  unit_cost  numeric(10,2) CHECK (unit_cost >= 0),   -- NULL: the supply's
+  created_at timestamptz   NOT NULL DEFAULT now(),
+
+  CONSTRAINT supply_lots_pkey        PRIMARY KEY (id),
+  CONSTRAINT supply_lots_number_key  UNIQUE (supply_id, lot_number),
+  CONSTRAINT supply_lots_supply_fkey FOREIGN KEY (supply_id)
+    REFERENCES supplies(id) ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS supply_kits (
+  id              uuid        NOT NULL DEFAULT gen_random_uuid(),
+  name            text        NOT NULL CHECK (length(trim(name)) > 0),
+  professional_id uuid,
+  organization_id uuid,
+  created_at      timestamptz NOT NULL DEFAULT now(),
+
+  CONSTRAINT supply_kits_pkey              PRIMARY KEY (id),
+  CONSTRAINT supply_kits_professional_fkey FOREIGN KEY (professional_id)
+    REFERENCES profiles(id) ON DELETE CASCADE,
+  CONSTRAINT supply_kits_org_fkey          FOREIGN KEY (organization_id)
+    REFERENCES organizations(id) ON DELETE CASCADE,
+  CONSTRAINT supply_kits_owner_check       CHECK (professional_id IS NOT NULL OR organization_id IS NOT NULL)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_supply_kits_professional
+  ON supply_kits(professional_id) WHERE professional_id IS NOT NULL;
+
+CREATE TABLE IF NOT EXISTS supply_stock (
+  kit_id   uuid          NOT NULL,
+  lot_id   uuid          NOT NULL,
+  quantity numeric(10,2) NOT NULL DEFAULT 0,
+
+  CONSTRAINT supply_stock_pkey     PRIMARY KEY (kit_id, lot_id),
+  CONSTRAINT supply_stock_kit_fkey FOREIGN KEY (kit_id)
+    REFERENCES supply_kits(id) ON DELETE CASCADE,
+  CONSTRAINT supply_stock_lot_fkey FOREIGN KEY (lot_id)
+    REFERENCES supply_lots(id) ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS supply_movements (
+  id           uuid          NOT NULL DEFAULT gen_random_uuid(),
+  kit_id       uuid          NOT NULL,
+  lot_id       uuid          NOT NULL,
+  quantity     numeric(10,2) NOT NULL CHECK (quantity <> 0),   -- signed
+  reason       text          NOT NULL,
+  treatment_id uuid,
+  treatment_supply_id uuid,   -- line item a use was drawn for (no FK: kept after the line goes)
+  created_by   uuid,
+  created_at   timestamptz   NOT NULL DEFAULT now(),
+
+  CONSTRAINT supply_movements_pkey           PRIMARY KEY (id),
+  CONSTRAINT supply_movements_kit_fkey       FOREIGN KEY (kit_id)
+    REFERENCES supply_kits(id) ON DELETE CASCADE,
+  CONSTRAINT supply_movements_lot_fkey       FOREIGN KEY (lot_id)
+    REFERENCES supply_lots(id) ON DELETE CASCADE,
+  CONSTRAINT supply_movements_treatment_fkey FOREIGN KEY (treatment_id)
+    REFERENCES treatments(id) ON DELETE SET NULL,
+  CONSTRAINT supply_movements_creator_fkey   FOREIGN KEY (created_by)
+    REFERENCES profiles(id) ON DELETE SET NULL,
+  CONSTRAINT supply_movements_reason_check   CHECK (reason IN ('receipt', 'use', 'return', 'adjustment'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_supply_movements_created
+  ON supply_movements(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_supply_movements_line
+  ON supply_movements(treatment_supply_id) WHERE treatment_supply_id IS NOT NULL;
+
+CREATE TABLE IF NOT EXISTS treatment_supplies (
+  id           uuid          NOT NULL DEFAULT gen_random_uuid(),
+  treatment_id uuid          NOT NULL,
+  supply_id    uuid          NOT NULL,
+  lot_id       uuid,
+  kit_id       uuid,
+  quantity     numeric(10,2) NOT NULL CHECK (quantity > 0),
+  unit_cost    numeric(10,2) CHECK (unit_cost >= 0),   -- copied at insert
+  shortfall    numeric(10,2) NOT NULL DEFAULT 0 CHECK (shortfall >= 0),   -- not in the kit's stock
+  created_at   timestamptz   NOT NULL DEFAULT now(),
+
+  CONSTRAINT treatment_supplies_pkey           PRIMARY KEY (id),
+  CONSTRAINT treatment_supplies_treatment_fkey FOREIGN KEY (treatment_id)
+    REFERENCES treatments(id) ON DELETE CASCADE,
+  CONSTRAINT treatment_supplies_supply_fkey    FOREIGN KEY (supply_id)
+    REFERENCES supplies(id) ON DELETE RESTRICT,
+  CONSTRAINT treatment_supplies_lot_fkey       FOREIGN KEY (lot_id)
+    REFERENCES supply_lots(id) ON DELETE SET NULL,
+  CONSTRAINT treatment_supplies_kit_fkey       FOREIGN KEY (kit_id)
+    REFERENCES supply_kits(id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_treatment_supplies_treatment
+  ON treatment_supplies(treatment_id);
+
+-- -------------------------------------------------------------
+-- Stock
+-- -------------------------------------------------------------
+-- SECURITY DEFINER: supply_stock has no write policies, so the
+-- movements are the only way to change it.
+CREATE OR REPLACE FUNCTION public.apply_supply_movement()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  INSERT INTO supply_stock (kit_id, lot_id, quantity)
+  VALUES (NEW.kit_id, NEW.lot_id, NEW.quantity)
+  ON CONFLICT (kit_id, lot_id)
+  DO UPDATE SET quantity = supply_stock.quantity + EXCLUDED.quantity;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS supply_movements_apply ON supply_movements;
+
+CREATE TRIGGER supply_movements_apply
+  AFTER INSERT ON supply_movements
+  FOR EACH ROW
+  EXECUTE FUNCTION public.apply_supply_movement();
+
+-- Kits the caller may draw from or restock: their personal kit, any
+-- kit of an organization they administer, and the shared kits of
+-- the organizations they belong to
+CREATE OR REPLACE FUNCTION public.can_use_kit(p_kit uuid)
+RETURNS boolean
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT public.app_role() IN ('admin', 'professional', 'technician') AND EXISTS (
+    SELECT 1 FROM supply_kits k
+    WHERE k.id = p_kit
+      AND (
+        k.professional_id = auth.uid() OR
+        public.is_org_admin(k.organization_id) OR
+        (k.professional_id IS NULL AND public.is_org_member(k.organization_id))
+      )
+  );
+$$;
+
+-- Line item drawn from the kit: its lots in expiry order (the given
+-- lot first), one use per lot, never below zero. What the kit lacks
+-- is kept in shortfall; the unit cost averages what was taken, with
+-- the shortfall at the catalog cost
+CREATE OR REPLACE FUNCTION public.prepare_treatment_supply()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_supply_cost numeric;
+  v_left        numeric := NEW.quantity;
+  v_cost        numeric := 0;
+  v_take        numeric;
+  v_first_lot   uuid;
+  r             record;
+BEGIN
+  SELECT unit_cost INTO v_supply_cost FROM supplies WHERE id = NEW.supply_id;
+  NEW.shortfall := 0;
+
+  IF NEW.kit_id IS NOT NULL THEN
+    FOR r IN
+      SELECT s.lot_id, s.quantity, COALESCE(l.unit_cost, v_supply_cost) AS unit_cost
+      FROM supply_stock s
+      JOIN supply_lots l ON l.id = s.lot_id
+      WHERE s.kit_id = NEW.kit_id AND l.supply_id = NEW.supply_id AND s.quantity > 0
+      ORDER BY l.id IS DISTINCT FROM NEW.lot_id, l.expires_on NULLS LAST, l.created_at
+      FOR UPDATE OF s
+    LOOP
+      EXIT WHEN v_left <= 0;
+      v_take := LEAST(v_left, r.quantity);
+      INSERT INTO supply_movements (kit_id, lot_id, quantity, reason, treatment_id, treatment_supply_id, created_by)
+      VALUES (NEW.kit_id, r.lot_id, -v_take, 'use', NEW.treatment_id, NEW.id, auth.uid());
+      v_first_lot := COALESCE(v_first_lot, r.lot_id);
+      v_cost := v_cost + v_take * r.unit_cost;
+      v_left := v_left - v_take;
+    END LOOP;
+
+    NEW.lot_id := v_first_lot;
+    NEW.shortfall := v_left;
+    IF NEW.unit_cost IS NULL THEN
+      NEW.unit_cost := (v_cost + v_left * v_supply_cost) / NEW.quantity;
+    END IF;
+  ELSIF NEW.unit_cost IS NULL THEN
+    NEW.unit_cost := COALESCE((SELECT unit_cost FROM supply_lots WHERE id = NEW.lot_id), v_supply_cost);
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS treatment_supplies_prepare ON treatment_supplies;
+
+CREATE TRIGGER treatment_supplies_prepare
+  BEFORE INSERT ON treatment_supplies
+  FOR EACH ROW
+  EXECUTE FUNCTION public.prepare_treatment_supply();
+
+-- Deleted line items give back what each of their uses took
+CREATE OR REPLACE FUNCTION public.handle_treatment_supply_stock()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  INSERT INTO supply_movements (kit_id, lot_id, quantity, reason, created_by)
+  SELECT m.kit_id, m.lot_id, -SUM(m.quantity), 'return', auth.uid()
+  FROM supply_movements m
+  WHERE m.treatment_supply_id = OLD.id AND m.reason = 'use'
+  GROUP BY m.kit_id, m.lot_id;
+  RETURN OLD;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS treatment_supplies_stock ON treatment_supplies;
+
+CREATE TRIGGER treatment_supplies_stock
+  AFTER DELETE ON treatment_supplies
+  FOR EACH ROW
+  EXECUTE FUNCTION public.handle_treatment_supply_stock();
+
+-- -------------------------------------------------------------
+-- RLS
+-- -------------------------------------------------------------
+-- Every staff role reads the catalog and stock. Professionals add
+-- supplies and lots; only admins change them (prices). Kits, their
+-- stock and line items are limited to the kits the user can use
+-- (can_use_kit). Line items follow their curación.
+
+-- ── supplies ─────────────────────────────────────────────
+ALTER TABLE supplies ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS supplies_select_staff ON supplies;
+CREATE POLICY supplies_select_staff
+  ON supplies FOR SELECT
+  USING (app_role() IN ('admin', 'professional', 'technician', 'auditor'));
+
+DROP POLICY IF EXISTS supplies_insert_manager ON supplies;
+CREATE POLICY supplies_insert_manager
+  ON supplies FOR INSERT
+  WITH CHECK (app_role() IN ('admin', 'professional') AND created_by = auth.uid());
+
+DROP POLICY IF EXISTS supplies_update_manager ON supplies;
+CREATE POLICY supplies_update_manager
+  ON supplies FOR UPDATE
+  USING (app_role() = 'admin');
+
+-- ── supply_lots ──────────────────────────────────────────
+ALTER TABLE supply_lots ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS supply_lots_select_staff ON supply_lots;
+CREATE POLICY supply_lots_select_staff
+  ON supply_lots FOR SELECT
+  USING (app_role() IN ('admin', 'professional', 'technician', 'auditor'));
+
+DROP POLICY IF EXISTS supply_lots_insert_manager ON supply_lots;
+CREATE POLICY supply_lots_insert_manager
+  ON supply_lots FOR INSERT
+  WITH CHECK (app_role() IN ('admin', 'professional'));
+
+DROP POLICY IF EXISTS supply_lots_update_manager ON supply_lots;
+CREATE POLICY supply_lots_update_manager
+  ON supply_lots FOR UPDATE
+  USING (app_role() = 'admin');
+
+-- ── supply_kits ──────────────────────────────────────────
+ALTER TABLE supply_kits ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS supply_kits_select_staff ON supply_kits;
+CREATE POLICY supply_kits_select_staff
+  ON supply_kits FOR SELECT
+  USING (
+    app_role() = 'auditor' OR (
+      app_role() IN ('admin', 'professional', 'technician') AND (
+        professional_id = auth.uid() OR
+        is_org_admin(organization_id) OR
+        (professional_id IS NULL AND is_org_member(organization_id))
+      )
+    )
+  );
+
+DROP POLICY IF EXISTS supply_kits_insert_manager ON supply_kits;
+CREATE POLICY supply_kits_insert_manager
+  ON supply_kits FOR INSERT
+  WITH CHECK (
+    app_role() IN ('admin', 'professional') AND (
+      (professional_id = auth.uid() AND (organization_id IS NULL OR is_org_member(organization_id))) OR
+      is_org_admin(organization_id)
+    )
+  );
+
+DROP POLICY IF EXISTS supply_kits_update_manager ON supply_kits;
+CREATE POLICY supply_kits_update_manager
+  ON supply_kits FOR UPDATE
+  USING (
+    app_role() IN ('admin', 'professional') AND
+    (professional_id = auth.uid() OR is_org_admin(organization_id))
+  )
+  WITH CHECK (
+    app_role() IN ('admin', 'professional') AND (
+      (professional_id = auth.uid() AND (organization_id IS NULL OR is_org_member(organization_id))) OR
+      is_org_admin(organization_id)
+    )
+  );
+
+-- ── supply_stock ─────────────────────────────────────────
+-- Written only by apply_supply_movement()
+ALTER TABLE supply_stock ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS supply_stock_select_staff ON supply_stock;
+CREATE POLICY supply_stock_select_staff
+  ON supply_stock FOR SELECT
+  USING (app_role() IN ('admin', 'professional', 'technician', 'auditor'));
+
+-- ── supply_movements ─────────────────────────────────────
+ALTER TABLE supply_movements ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS supply_movements_select_staff ON supply_movements;
+CREATE POLICY supply_movements_select_staff
+  ON supply_movements FOR SELECT
+  USING (app_role() IN ('admin', 'professional', 'technician', 'auditor'));
+
+-- Receipts and adjustments into kits the user can use; uses come
+-- from treatment_supplies
+DROP POLICY IF EXISTS supply_movements_insert_manager ON supply_movements;
+CREATE POLICY supply_movements_insert_manager
+  ON supply_movements FOR INSERT
+  WITH CHECK (
+    app_role() IN ('admin', 'professional') AND
+    created_by = auth.uid() AND
+    reason IN ('receipt', 'adjustment') AND
+    can_use_kit(kit_id)
+  );
+
+-- ── treatment_supplies ───────────────────────────────────
+ALTER TABLE treatment_supplies ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS treatment_supplies_select_by_professional ON treatment_supplies;
+CREATE POLICY treatment_supplies_select_by_professional
+  ON treatment_supplies FOR SELECT
+  USING (can_read_wound((SELECT wound_id FROM treatments WHERE id = treatment_id)));
+
+DROP POLICY IF EXISTS treatment_supplies_insert_by_professional ON treatment_supplies;
+CREATE POLICY treatment_supplies_insert_by_professional
+  ON treatment_supplies FOR INSERT
+  WITH CHECK (
+    can_write_wound((SELECT wound_id FROM treatments WHERE id = treatment_id)) AND
+    (kit_id IS NULL OR can_use_kit(kit_id))
+  );
+
+DROP POLICY IF EXISTS treatment_supplies_delete_by_professional ON treatment_supplies;
+CREATE POLICY treatment_supplies_delete_by_professional
+  ON treatment_supplies FOR DELETE
+  USING (can_write_wound((SELECT wound_id FROM treatments WHERE id = treatment_id)));
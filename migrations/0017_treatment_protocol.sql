@@ -0,0 +1,20 @@
+-- =============================================================
+-- 0017 — Structured curación record
+-- =============================================================
+-- treatments.protocol holds what was done at the curación, with
+-- the keys of js/protocols.js (FIELDS):
+--   { cleansing, debridement, periwound, primary_dressing,
+--     secondary_dressing, fixation, compression,
+--     change_interval_days }
+-- protocol_template is the id of the template of
+-- config/protocol-templates.json that prefilled the form, if any.
+-- Curaciones recorded before this migration keep only technique,
+-- supplies and notes.
+-- =============================================================
+
+ALTER TABLE treatments ADD COLUMN IF NOT EXISTS protocol          jsonb;
+ALTER TABLE treatments ADD COLUMN IF NOT EXISTS protocol_template text;
+
+ALTER TABLE treatments DROP CONSTRAINT IF EXISTS treatments_protocol_check;
+ALTER TABLE treatments ADD CONSTRAINT treatments_protocol_check
+  CHECK (protocol IS NULL OR jsonb_typeof(protocol) = 'object') NOT VALID;
@@ -0,0 +1,60 @@
+-- =============================================================
+-- 0018 — Clinical decision support: decisions on suggestions
+-- =============================================================
+-- The advisor (js/advisor.js) evaluates config/advisor-rules.json
+-- against the wound's characterization when a curación is opened:
+-- dressing suggestions, contraindications and referral triggers.
+-- advisor_decisions records, per curación, every suggestion shown
+-- and whether the professional accepted it, with the rule version
+-- and the facts it was evaluated on, so each decision can be
+-- audited against the knowledge base in force at the time.
+-- Append-only: there are no UPDATE or DELETE policies.
+-- =============================================================
+
+CREATE TABLE IF NOT EXISTS advisor_decisions (
+  id           uuid        NOT NULL DEFAULT gen_random_uuid(),
+  treatment_id uuid        NOT NULL,
+  wound_id     uuid        NOT NULL,
+  rule_id      text        NOT NULL,
+  rule_version text        NOT NULL,
+  kind         text        NOT NULL CHECK (kind IN ('dressing', 'contraindication', 'referral')),
+  title        text        NOT NULL,
+  reason       text,
+  facts        jsonb,
+  accepted     boolean     NOT NULL,
+  decided_by   uuid,
+  created_at   timestamptz NOT NULL DEFAULT now(),
+
+  CONSTRAINT advisor_decisions_pkey           PRIMARY KEY (id),
+  CONSTRAINT advisor_decisions_rule_key       UNIQUE (treatment_id, rule_id),
+  CONSTRAINT advisor_decisions_treatment_fkey FOREIGN KEY (treatment_id)
+    REFERENCES treatments(id) ON DELETE CASCADE,
+  CONSTRAINT advisor_decisions_wound_fkey     FOREIGN KEY (wound_id)
+    REFERENCES wounds(id) ON DELETE CASCADE,
+  CONSTRAINT advisor_decisions_actor_fkey     FOREIGN KEY (decided_by)
+    REFERENCES profiles(id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_advisor_decisions_wound
+  ON advisor_decisions(wound_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_advisor_decisions_rule
+  ON advisor_decisions(rule_id, accepted);
+
+ALTER TABLE advisor_decisions ENABLE ROW LEVEL SECURITY;
+
+-- Staff with access to the wound: read its decisions
+DROP POLICY IF EXISTS advisor_decisions_select_by_professional ON advisor_decisions;
+CREATE POLICY advisor_decisions_select_by_professional
+  ON advisor_decisions FOR SELECT
+  USING (can_read_wound(wound_id));
+
+-- Whoever records the curación records the decisions (actor must be
+-- self, and the curación must belong to the wound)
+DROP POLICY IF EXISTS advisor_decisions_insert_by_professional ON advisor_decisions;
+CREATE POLICY advisor_decisions_insert_by_professional
+  ON advisor_decisions FOR INSERT
+  WITH CHECK (
+    decided_by = auth.uid() AND
+    can_write_wound(wound_id) AND
+    wound_id = (SELECT t.wound_id FROM treatments t WHERE t.id = treatment_id)
+  );
@@ -0,0 +1,183 @@
+-- =============================================================
+-- 0019 — Clinical alerts (infection and deterioration)
+-- =============================================================
+-- wound_alerts: alerts raised by js/alerts.js from the rules of
+--   config/alert-rules.json (infection, rising pain, growing area,
+--   purulent exudate, overdue curación, no improvement...). At most
+--   one unresolved alert per wound and rule. Professionals
+--   acknowledge, snooze (until a date) or resolve them; a resolved
+--   alert is final.
+-- wound_alert_events: audit trail, written only by the trigger on
+--   wound_alerts (raised, acknowledged, snoozed, reopened,
+--   resolved), with the actor, the note and the snooze date.
+--   Clients can read it but not write it.
+-- =============================================================
+
+-- -------------------------------------------------------------
+-- TABLES
+-- -------------------------------------------------------------
+CREATE TABLE IF NOT EXISTS wound_alerts (
+  id               uuid        NOT NULL DEFAULT gen_random_uuid(),
+  wound_id         uuid        NOT NULL,
+  rule_id          text        NOT NULL,
+  rule_version     text        NOT NULL,
+  severity         text        NOT NULL,
+  priority         smallint    NOT NULL DEFAULT 0,
+  title            text        NOT NULL,
+  reason           text,
+  status           text        NOT NULL DEFAULT 'open',
+  snoozed_until    timestamptz,
+  note             text,
+  resolved_by_rule boolean     NOT NULL DEFAULT false,
+  raised_at        timestamptz NOT NULL DEFAULT now(),
+  updated_at       timestamptz NOT NULL DEFAULT now(),
+  updated_by       uuid,
+  resolved_at      timestamptz,
+
+  CONSTRAINT wound_alerts_pkey           PRIMARY KEY (id),
+  CONSTRAINT wound_alerts_wound_fkey     FOREIGN KEY (wound_id)
+    REFERENCES wounds(id) ON DELETE CASCADE,
+  CONSTRAINT wound_alerts_actor_fkey     FOREIGN KEY (updated_by)
+    REFERENCES profiles(id) ON DELETE SET NULL,
+  CONSTRAINT wound_alerts_severity_check CHECK (severity IN ('critical', 'high', 'medium')),
+  CONSTRAINT wound_alerts_status_check   CHECK (status IN ('open', 'acknowledged', 'snoozed', 'resolved')),
+  CONSTRAINT wound_alerts_snooze_check   CHECK (status <> 'snoozed' OR snoozed_until IS NOT NULL)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_wound_alerts_unresolved
+  ON wound_alerts(wound_id, rule_id) WHERE status <> 'resolved';
+CREATE INDEX IF NOT EXISTS idx_wound_alerts_wound
+  ON wound_alerts(wound_id, raised_at DESC);
+
+CREATE TABLE IF NOT EXISTS wound_alert_events (
+  id            uuid        NOT NULL DEFAULT gen_random_uuid(),
+  alert_id      uuid        NOT NULL,
+  action        text        NOT NULL,
+  note          text,
+  snoozed_until timestamptz,
+  actor_id      uuid,
+  created_at    timestamptz NOT NULL DEFAULT now(),
+
+  CONSTRAINT wound_alert_events_pkey         PRIMARY KEY (id),
+  CONSTRAINT wound_alert_events_alert_fkey   FOREIGN KEY (alert_id)
+    REFERENCES wound_alerts(id) ON DELETE CASCADE,
+  CONSTRAINT wound_alert_events_actor_fkey   FOREIGN KEY (actor_id)
+    REFERENCES profiles(id) ON DELETE SET NULL,
+  CONSTRAINT wound_alert_events_action_check CHECK (
+    action IN ('raised', 'acknowledged', 'snoozed', 'reopened', 'resolved')
+  )
+);
+
+CREATE INDEX IF NOT EXISTS idx_wound_alert_events_alert
+  ON wound_alert_events(alert_id, created_at);
+
+-- -------------------------------------------------------------
+-- Guard + audit trail
+-- -------------------------------------------------------------
+-- The wound, the rule and the raise date never change; a resolved
+-- alert is final. Stamps the actor and the resolution date, and
+-- clears resolved_by_rule on anything but a resolution.
+CREATE OR REPLACE FUNCTION public.guard_wound_alert()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF OLD.status = 'resolved' THEN
+    RAISE EXCEPTION 'alert_resolved' USING ERRCODE = '42501';
+  END IF;
+  IF NEW.wound_id IS DISTINCT FROM OLD.wound_id OR
+     NEW.rule_id IS DISTINCT FROM OLD.rule_id OR
+     NEW.raised_at IS DISTINCT FROM OLD.raised_at THEN
+    RAISE EXCEPTION 'alert_immutable' USING ERRCODE = '42501';
+  END IF;
+
+  NEW.updated_at := now();
+  NEW.updated_by := auth.uid();
+  IF NEW.status <> 'snoozed' THEN
+    NEW.snoozed_until := NULL;
+  END IF;
+  IF NEW.status = 'resolved' THEN
+    NEW.resolved_at := now();
+  ELSE
+    NEW.resolved_by_rule := false;
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS wound_alerts_guard ON wound_alerts;
+
+CREATE TRIGGER wound_alerts_guard
+  BEFORE UPDATE ON wound_alerts
+  FOR EACH ROW
+  EXECUTE FUNCTION public.guard_wound_alert();
+
+-- One event per raise and per status change (reason refreshes are
+-- not logged). SECURITY DEFINER: wound_alert_events has no INSERT
+-- policy, so the trail cannot be written from the client.
+CREATE OR REPLACE FUNCTION public.log_wound_alert_event()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF TG_OP = 'UPDATE' AND NEW.status = OLD.status
+     AND NEW.snoozed_until IS NOT DISTINCT FROM OLD.snoozed_until THEN
+    RETURN NEW;
+  END IF;
+
+  INSERT INTO wound_alert_events (alert_id, action, note, snoozed_until, actor_id)
+  VALUES (
+    NEW.id,
+    CASE
+      WHEN TG_OP = 'INSERT' THEN 'raised'
+      WHEN NEW.status = 'open' THEN 'reopened'
+      ELSE NEW.status
+    END,
+    CASE WHEN TG_OP = 'UPDATE' THEN NEW.note END,
+    NEW.snoozed_until,
+    auth.uid()
+  );
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS wound_alerts_log ON wound_alerts;
+
+CREATE TRIGGER wound_alerts_log
+  AFTER INSERT OR UPDATE ON wound_alerts
+  FOR EACH ROW
+  EXECUTE FUNCTION public.log_wound_alert_event();
+
+-- -------------------------------------------------------------
+-- RLS
+-- -------------------------------------------------------------
+ALTER TABLE wound_alerts ENABLE ROW LEVEL SECURITY;
+
+-- Staff: read alerts of wounds they can read
+DROP POLICY IF EXISTS wound_alerts_select_by_professional ON wound_alerts;
+CREATE POLICY wound_alerts_select_by_professional
+  ON wound_alerts FOR SELECT
+  USING (can_read_wound(wound_id));
+
+-- Staff: raise alerts on wounds they can write
+DROP POLICY IF EXISTS wound_alerts_insert_by_professional ON wound_alerts;
+CREATE POLICY wound_alerts_insert_by_professional
+  ON wound_alerts FOR INSERT
+  WITH CHECK (status = 'open' AND NOT resolved_by_rule AND can_write_wound(wound_id));
+
+-- Staff: acknowledge, snooze, reopen and resolve; no DELETE policy
+DROP POLICY IF EXISTS wound_alerts_update_by_professional ON wound_alerts;
+CREATE POLICY wound_alerts_update_by_professional
+  ON wound_alerts FOR UPDATE
+  USING (can_write_wound(wound_id))
+  WITH CHECK (can_write_wound(wound_id));
+
+ALTER TABLE wound_alert_events ENABLE ROW LEVEL SECURITY;
+
+-- Staff: read the trail of alerts they can read; written by trigger only
+DROP POLICY IF EXISTS wound_alert_events_select_by_professional ON wound_alert_events;
+CREATE POLICY wound_alert_events_select_by_professional
+  ON wound_alert_events FOR SELECT
+  USING (EXISTS (SELECT 1 FROM wound_alerts a WHERE a.id = alert_id));
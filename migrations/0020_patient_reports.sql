@@ -0,0 +1,155 @@
+-- =============================================================
+-- 0020 — Patient self-reports between visits
+-- =============================================================
+-- patient_reports: symptoms reported by the patient (or their
+--   caregiver, with the patient's account) from paciente.html:
+--   pain, dressing state, fever, odor, bleeding, a comment and an
+--   optional photo. Patients insert reports only on their own
+--   wounds and read only their own; staff read them in the wound
+--   timeline and mark them as reviewed. Unreviewed reports raise
+--   an alert (config/alert-rules.json).
+-- Report photos are stored in the `wounds` bucket under
+--   <wound id>/reports/, the only folder patients can upload to.
+-- =============================================================
+
+-- -------------------------------------------------------------
+-- TABLE
+-- -------------------------------------------------------------
+CREATE TABLE IF NOT EXISTS patient_reports (
+  id             uuid        NOT NULL DEFAULT gen_random_uuid(),
+  wound_id       uuid        NOT NULL,
+  reported_by    uuid        NOT NULL,
+  pain_scale     smallint,
+  dressing_state text,
+  fever          boolean     NOT NULL DEFAULT false,
+  odor           boolean     NOT NULL DEFAULT false,
+  bleeding       boolean     NOT NULL DEFAULT false,
+  comment        text,
+  photo_path     text,
+  thumb_path     text,
+  created_at     timestamptz NOT NULL DEFAULT now(),
+  reviewed_at    timestamptz,
+  reviewed_by    uuid,
+
+  CONSTRAINT patient_reports_pkey           PRIMARY KEY (id),
+  CONSTRAINT patient_reports_wound_fkey     FOREIGN KEY (wound_id)
+    REFERENCES wounds(id) ON DELETE CASCADE,
+  CONSTRAINT patient_reports_reporter_fkey  FOREIGN KEY (reported_by)
+    REFERENCES profiles(id) ON DELETE CASCADE,
+  CONSTRAINT patient_reports_reviewer_fkey  FOREIGN KEY (reviewed_by)
+    REFERENCES profiles(id) ON DELETE SET NULL,
+  CONSTRAINT patient_reports_pain_check     CHECK (pain_scale IS NULL OR (pain_scale >= 0 AND pain_scale <= 10)),
+  CONSTRAINT patient_reports_dressing_check CHECK (
+    dressing_state IS NULL OR dressing_state IN ('intacto', 'manchado', 'empapado', 'despegado')
+  ),
+  CONSTRAINT patient_reports_photo_check    CHECK (
+    (photo_path IS NULL OR (split_part(photo_path, '/', 1) = wound_id::text AND
+                            split_part(photo_path, '/', 2) = 'reports')) AND
+    (thumb_path IS NULL OR (split_part(thumb_path, '/', 1) = wound_id::text AND
+                            split_part(thumb_path, '/', 2) = 'reports'))
+  )
+);
+
+CREATE INDEX IF NOT EXISTS idx_patient_reports_wound
+  ON patient_reports(wound_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_patient_reports_unreviewed
+  ON patient_reports(wound_id) WHERE reviewed_at IS NULL;
+
+-- -------------------------------------------------------------
+-- Guard: staff only mark reports as reviewed
+-- -------------------------------------------------------------
+-- A report never changes after it is sent; the only update is the
+-- review, stamped here with the reviewer and the date.
+CREATE OR REPLACE FUNCTION public.guard_patient_report()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF OLD.reviewed_at IS NOT NULL THEN
+    RAISE EXCEPTION 'report_reviewed' USING ERRCODE = '42501';
+  END IF;
+  IF (to_jsonb(NEW) - 'reviewed_at' - 'reviewed_by') IS DISTINCT FROM
+     (to_jsonb(OLD) - 'reviewed_at' - 'reviewed_by') THEN
+    RAISE EXCEPTION 'report_immutable' USING ERRCODE = '42501';
+  END IF;
+
+  NEW.reviewed_at := now();
+  NEW.reviewed_by := auth.uid();
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS patient_reports_guard ON patient_reports;
+
+CREATE TRIGGER patient_reports_guard
+  BEFORE UPDATE ON patient_reports
+  FOR EACH ROW
+  EXECUTE FUNCTION public.guard_patient_report();
+
+-- -------------------------------------------------------------
+-- RLS
+-- -------------------------------------------------------------
+ALTER TABLE patient_reports ENABLE ROW LEVEL SECURITY;
+
+-- Staff: read reports of wounds they can read
+DROP POLICY IF EXISTS patient_reports_select_by_professional ON patient_reports;
+CREATE POLICY patient_reports_select_by_professional
+  ON patient_reports FOR SELECT
+  USING (can_read_wound(wound_id));
+
+-- Staff: mark reports as reviewed (the guard allows nothing else)
+DROP POLICY IF EXISTS patient_reports_update_by_professional ON patient_reports;
+CREATE POLICY patient_reports_update_by_professional
+  ON patient_reports FOR UPDATE
+  USING (can_write_wound(wound_id))
+  WITH CHECK (can_write_wound(wound_id));
+
+-- Patient: read their own reports
+DROP POLICY IF EXISTS patient_reports_select_own ON patient_reports;
+CREATE POLICY patient_reports_select_own
+  ON patient_reports FOR SELECT
+  USING (
+    reported_by = auth.uid() AND
+    is_own_patient((SELECT patient_id FROM wounds WHERE id = wound_id))
+  );
+
+-- Patient: report only on their own wounds, unreviewed; no DELETE policy
+DROP POLICY IF EXISTS patient_reports_insert_own ON patient_reports;
+CREATE POLICY patient_reports_insert_own
+  ON patient_reports FOR INSERT
+  WITH CHECK (
+    reported_by = auth.uid() AND
+    reviewed_at IS NULL AND
+    reviewed_by IS NULL AND
+    is_own_patient((SELECT patient_id FROM wounds WHERE id = wound_id))
+  );
+
+-- -------------------------------------------------------------
+-- STORAGE: report photos
+-- -------------------------------------------------------------
+-- Patient: upload photos of their own wounds, only under reports/
+-- (they already read their wounds' files: wound_files_select_own)
+DROP POLICY IF EXISTS wound_files_insert_own_report ON storage.objects;
+CREATE POLICY wound_files_insert_own_report
+  ON storage.objects FOR INSERT
+  WITH CHECK (
+    bucket_id = 'wounds' AND
+    (storage.foldername(name))[2] = 'reports' AND
+    (storage.foldername(name))[1] IN (
+      SELECT w.id::text FROM wounds w WHERE is_own_patient(w.patient_id)
+    )
+  );
+
+-- Patient: remove their own report photos not attached to a report
+-- (cleanup after a failed send)
+DROP POLICY IF EXISTS wound_files_delete_own_report ON storage.objects;
+CREATE POLICY wound_files_delete_own_report
+  ON storage.objects FOR DELETE
+  USING (
+    bucket_id = 'wounds' AND
+    owner = auth.uid() AND
+    (storage.foldername(name))[2] = 'reports' AND
+    NOT EXISTS (
+      SELECT 1 FROM patient_reports r WHERE objects.name IN (r.photo_path, r.thumb_path)
+    )
+  );
@@ -3,22 +3,37 @@
 -- =============================================================
 -- Run this entire file in Supabase Studio → SQL Editor.
 -- It creates tables, enables RLS, and defines all security policies.
+--
+-- This is the current schema for NEW projects. Existing databases
+-- are upgraded with the numbered files in migrations/ (applied by
+-- scripts/migrate.sh). Every schema change goes into a new
+-- migration AND into this file.
 -- =============================================================
 
 -- -------------------------------------------------------------
 -- 1. PROFILES
 --    Extended user info linked to auth.users.
 --    Created automatically when a user signs up (see trigger below).
+--    role = 'admin'        professional + user management
+--         | 'professional' owns patients
+--         | 'technician'   TENS: curaciones on shared patients, no
+--                          new patients / wounds, no stage changes
+--         | 'auditor'      read-only, every patient of their teams
+--         | 'patient'
+--    active = false deactivates the account (see app_role()).
 -- -------------------------------------------------------------
 CREATE TABLE IF NOT EXISTS profiles (
-  id    uuid NOT NULL DEFAULT gen_random_uuid(),
-  email text NOT NULL,
-  role  text NOT NULL DEFAULT 'patient'
-            CHECK (role IN ('professional', 'patient')),
+  id     uuid    NOT NULL DEFAULT gen_random_uuid(),
+  email  text    NOT NULL,
+  role   text    NOT NULL DEFAULT 'patient',
+  active boolean NOT NULL DEFAULT true,
 
   CONSTRAINT profiles_pkey PRIMARY KEY (id),
   CONSTRAINT profiles_id_fkey FOREIGN KEY (id)
-    REFERENCES auth.users(id) ON DELETE CASCADE
+    REFERENCES auth.users(id) ON DELETE CASCADE,
+  CONSTRAINT profiles_role_check CHECK (
+    role IN ('admin', 'professional', 'technician', 'auditor', 'patient')
+  )
 );
 
 -- Index for fast role lookups
@@ -31,93 +46,1805 @@ CREATE TABLE IF NOT EXISTS patients (
   id               uuid        NOT NULL DEFAULT gen_random_uuid(),
   name             text        NOT NULL,
   age              smallint    NOT NULL CHECK (age >= 0 AND age <= 150),
+  rut              text,
+  phone            text,
+  address          text,
+  commune          text,
+  latitude         numeric(9,6),   -- home location for route planning (routes.js)
+  longitude        numeric(9,6),
   diagnosis        text,
+  medical_history  text,
+  medications      text,
+  allergies        text,
   comorbidities    text,
+  barthel_index    smallint,
+  mobility         text,
+  caregiver_name   text,
+  caregiver_phone  text,
   professional_id  uuid        NOT NULL,
   created_at       timestamptz NOT NULL DEFAULT now(),
 
   CONSTRAINT patients_pkey           PRIMARY KEY (id),
   CONSTRAINT patients_prof_fkey      FOREIGN KEY (professional_id)
+    REFERENCES profiles(id) ON DELETE CASCADE,
+  CONSTRAINT patients_barthel_check  CHECK (barthel_index >= 0 AND barthel_index <= 100),
+  CONSTRAINT patients_mobility_check CHECK (
+    mobility IN ('ambulante', 'ambulante_ayuda', 'silla_ruedas', 'postrado')
+  ),
+  CONSTRAINT patients_location_check CHECK (
+    (latitude IS NULL AND longitude IS NULL) OR
+    (latitude BETWEEN -90 AND 90 AND longitude BETWEEN -180 AND 180)
+  )
+);
+
+CREATE INDEX IF NOT EXISTS idx_patients_professional ON patients(professional_id);
+
+-- -------------------------------------------------------------
+-- 3. WOUNDS
+--    length/width/depth, exudate, pain and infection mirror the
+--    latest wound_measurements snapshot (see treatments.create).
+--    dressing_frequency_days drives the visits agenda (section 13).
+-- -------------------------------------------------------------
+CREATE TABLE IF NOT EXISTS wounds (
+  id                  uuid         NOT NULL DEFAULT gen_random_uuid(),
+  patient_id          uuid         NOT NULL,
+  type                text         NOT NULL,
+  wound_type_standard text,
+  wound_grade         text,
+  clinical_stage      text         NOT NULL DEFAULT 'valoracion_inicial',
+  location            text         NOT NULL,
+  dimensions          text,
+  length_cm           numeric(6,2),
+  width_cm            numeric(6,2),
+  depth_cm            numeric(6,2),
+  exudate_amount      text,
+  exudate_type        text,
+  pain_scale          smallint,
+  infection_signs     boolean,
+  status              text         NOT NULL DEFAULT 'active'
+                        CHECK (status IN ('active', 'pending', 'critical', 'closed')),
+  dressing_frequency_days smallint,
+  created_at          timestamptz  NOT NULL DEFAULT now(),
+
+  CONSTRAINT wounds_pkey        PRIMARY KEY (id),
+  CONSTRAINT wounds_patient_fkey FOREIGN KEY (patient_id)
+    REFERENCES patients(id) ON DELETE CASCADE,
+  CONSTRAINT wounds_type_standard_check CHECK (wound_type_standard IN (
+    'ulcera_presion', 'ulcera_venosa', 'ulcera_arterial', 'pie_diabetico',
+    'ulcera_mixta', 'traumatica', 'quirurgica', 'quemadura', 'otra'
+  )),
+  CONSTRAINT wounds_grade_check CHECK (wound_grade IN ('1', '2', '3', '4', 'no_estadiable')),
+  -- Keep in sync with STAGES in js/stage-rules.js
+  CONSTRAINT wounds_clinical_stage_check CHECK (clinical_stage IN (
+    'valoracion_inicial', 'tratamiento_en_curso', 'bajo_observacion',
+    'evolucion_favorable', 'alta_clinica'
+  )),
+  CONSTRAINT wounds_measurements_check CHECK (
+    (length_cm IS NULL OR length_cm >= 0) AND
+    (width_cm  IS NULL OR width_cm  >= 0) AND
+    (depth_cm  IS NULL OR depth_cm  >= 0) AND
+    (pain_scale IS NULL OR (pain_scale >= 0 AND pain_scale <= 10))
+  ),
+  CONSTRAINT wounds_exudate_check CHECK (
+    (exudate_amount IS NULL OR exudate_amount IN ('escaso', 'moderado', 'abundante')) AND
+    (exudate_type IS NULL OR exudate_type IN ('seroso', 'sanguinolento', 'serosanguinolento', 'purulento'))
+  ),
+  CONSTRAINT wounds_frequency_check CHECK (dressing_frequency_days BETWEEN 1 AND 30)
+);
+
+CREATE INDEX IF NOT EXISTS idx_wounds_patient ON wounds(patient_id);
+CREATE INDEX IF NOT EXISTS idx_wounds_clinical_stage ON wounds(clinical_stage);
+
+-- -------------------------------------------------------------
+-- 4. TREATMENTS (curaciones)
+-- -------------------------------------------------------------
+CREATE TABLE IF NOT EXISTS treatments (
+  id                uuid        NOT NULL DEFAULT gen_random_uuid(),
+  wound_id          uuid        NOT NULL,
+  technique         text        NOT NULL,
+  supplies          text,
+  notes             text,
+  protocol          jsonb,      -- structured record (js/protocols.js FIELDS)
+  protocol_template text,       -- id in config/protocol-templates.json
+  created_at        timestamptz NOT NULL DEFAULT now(),
+
+  CONSTRAINT treatments_pkey       PRIMARY KEY (id),
+  CONSTRAINT treatments_wound_fkey FOREIGN KEY (wound_id)
+    REFERENCES wounds(id) ON DELETE CASCADE,
+  CONSTRAINT treatments_protocol_check
+    CHECK (protocol IS NULL OR jsonb_typeof(protocol) = 'object')
+);
+
+CREATE INDEX IF NOT EXISTS idx_treatments_wound ON treatments(wound_id);
+
+-- -------------------------------------------------------------
+-- 5. WOUND MEASUREMENTS
+--    One snapshot per curación (plus a baseline at wound creation).
+--    Used to compute healing trends (area reduction, pain, exudate).
+-- -------------------------------------------------------------
+CREATE TABLE IF NOT EXISTS wound_measurements (
+  id              uuid         NOT NULL DEFAULT gen_random_uuid(),
+  wound_id        uuid         NOT NULL,
+  treatment_id    uuid,
+  length_cm       numeric(6,2) CHECK (length_cm >= 0),
+  width_cm        numeric(6,2) CHECK (width_cm >= 0),
+  depth_cm        numeric(6,2) CHECK (depth_cm >= 0),
+  exudate_amount  text         CHECK (exudate_amount IN ('escaso', 'moderado', 'abundante')),
+  exudate_type    text         CHECK (exudate_type IN ('seroso', 'sanguinolento', 'serosanguinolento', 'purulento')),
+  pain_scale      smallint     CHECK (pain_scale >= 0 AND pain_scale <= 10),
+  infection_signs boolean,
+  created_at      timestamptz  NOT NULL DEFAULT now(),
+
+  CONSTRAINT wound_measurements_pkey            PRIMARY KEY (id),
+  CONSTRAINT wound_measurements_wound_fkey      FOREIGN KEY (wound_id)
+    REFERENCES wounds(id) ON DELETE CASCADE,
+  CONSTRAINT wound_measurements_treatment_fkey  FOREIGN KEY (treatment_id)
+    REFERENCES treatments(id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_wound_measurements_wound
+  ON wound_measurements(wound_id, created_at);
+
+-- -------------------------------------------------------------
+-- 6. WOUND STAGE HISTORY
+--    Audit log of every clinical_stage transition.
+--    trigger = 'auto' (rule engine, rule_id/rule_version set)
+--            | 'manual' (professional's choice)
+--    stage_locked on wounds: after a manual override, automation
+--    only stores suggested_* instead of changing the stage.
+-- -------------------------------------------------------------
+ALTER TABLE wounds ADD COLUMN IF NOT EXISTS stage_locked      boolean NOT NULL DEFAULT false;
+ALTER TABLE wounds ADD COLUMN IF NOT EXISTS suggested_stage   text;
+ALTER TABLE wounds ADD COLUMN IF NOT EXISTS suggested_rule_id text;
+ALTER TABLE wounds ADD COLUMN IF NOT EXISTS suggested_reason  text;
+
+CREATE TABLE IF NOT EXISTS wound_stage_history (
+  id           uuid        NOT NULL DEFAULT gen_random_uuid(),
+  wound_id     uuid        NOT NULL,
+  from_stage   text,
+  to_stage     text        NOT NULL,
+  trigger      text        NOT NULL CHECK (trigger IN ('auto', 'manual')),
+  rule_id      text,
+  rule_version text,
+  reason       text,
+  actor_id     uuid,
+  created_at   timestamptz NOT NULL DEFAULT now(),
+
+  CONSTRAINT wound_stage_history_pkey       PRIMARY KEY (id),
+  CONSTRAINT wound_stage_history_wound_fkey FOREIGN KEY (wound_id)
+    REFERENCES wounds(id) ON DELETE CASCADE,
+  CONSTRAINT wound_stage_history_actor_fkey FOREIGN KEY (actor_id)
+    REFERENCES profiles(id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_wound_stage_history_wound
+  ON wound_stage_history(wound_id, created_at DESC);
+
+-- -------------------------------------------------------------
+-- 7. CLINICAL SCORES (Braden, PUSH, RESVECH 2.0)
+--    items = answers per item as option ids (see js/scales.js),
+--    total / band are computed client-side and stored for history.
+--    Braden is patient-level (wound_id NULL); PUSH and RESVECH
+--    are wound-level.
+-- -------------------------------------------------------------
+CREATE TABLE IF NOT EXISTS clinical_scores (
+  id            uuid        NOT NULL DEFAULT gen_random_uuid(),
+  scale         text        NOT NULL CHECK (scale IN ('braden', 'push', 'resvech')),
+  scale_version text        NOT NULL,
+  patient_id    uuid        NOT NULL,
+  wound_id      uuid,
+  items         jsonb       NOT NULL,
+  total         smallint    NOT NULL CHECK (total >= 0),
+  band          text        NOT NULL,
+  notes         text,
+  assessed_by   uuid,
+  created_at    timestamptz NOT NULL DEFAULT now(),
+
+  CONSTRAINT clinical_scores_pkey          PRIMARY KEY (id),
+  CONSTRAINT clinical_scores_patient_fkey  FOREIGN KEY (patient_id)
+    REFERENCES patients(id) ON DELETE CASCADE,
+  CONSTRAINT clinical_scores_wound_fkey    FOREIGN KEY (wound_id)
+    REFERENCES wounds(id) ON DELETE CASCADE,
+  CONSTRAINT clinical_scores_assessor_fkey FOREIGN KEY (assessed_by)
+    REFERENCES profiles(id) ON DELETE SET NULL,
+  CONSTRAINT clinical_scores_target_check  CHECK (
+    (scale = 'braden' AND wound_id IS NULL) OR
+    (scale IN ('push', 'resvech') AND wound_id IS NOT NULL)
+  )
+);
+
+CREATE INDEX IF NOT EXISTS idx_clinical_scores_patient
+  ON clinical_scores(patient_id, scale, created_at);
+CREATE INDEX IF NOT EXISTS idx_clinical_scores_wound
+  ON clinical_scores(wound_id, scale, created_at);
+
+-- -------------------------------------------------------------
+-- 8. PATIENT ACCOUNTS + INVITATIONS
+--    patients.user_id links the clinical record to the patient's
+--    auth user. It is set only by redeem_patient_invitation():
+--    the professional generates a one-time, expiring code and the
+--    patient redeems it right after signing up (registro.html).
+-- -------------------------------------------------------------
+ALTER TABLE patients ADD COLUMN IF NOT EXISTS user_id uuid;
+ALTER TABLE patients DROP CONSTRAINT IF EXISTS patients_user_fkey;
+ALTER TABLE patients ADD CONSTRAINT patients_user_fkey FOREIGN KEY (user_id)
+  REFERENCES profiles(id) ON DELETE SET NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_patients_user ON patients(user_id);
+
+CREATE TABLE IF NOT EXISTS patient_invitations (
+  id          uuid        NOT NULL DEFAULT gen_random_uuid(),
+  patient_id  uuid        NOT NULL,
+  code        text        NOT NULL,
+  created_by  uuid        NOT NULL,
+  expires_at  timestamptz NOT NULL,
+  used_at     timestamptz,
+  used_by     uuid,
+  revoked_at  timestamptz,
+  created_at  timestamptz NOT NULL DEFAULT now(),
+
+  CONSTRAINT patient_invitations_pkey         PRIMARY KEY (id),
+  CONSTRAINT patient_invitations_code_key     UNIQUE (code),
+  CONSTRAINT patient_invitations_patient_fkey FOREIGN KEY (patient_id)
+    REFERENCES patients(id) ON DELETE CASCADE,
+  CONSTRAINT patient_invitations_creator_fkey FOREIGN KEY (created_by)
+    REFERENCES profiles(id) ON DELETE CASCADE,
+  CONSTRAINT patient_invitations_user_fkey    FOREIGN KEY (used_by)
+    REFERENCES profiles(id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_patient_invitations_patient
+  ON patient_invitations(patient_id, created_at DESC);
+
+-- -------------------------------------------------------------
+-- 9. WOUND IMAGES
+--    Metadata of the photos stored in the `wounds` bucket under
+--    <wound_id>/<timestamp>.<ext> (see STORAGE below), plus the
+--    measurement traced on the photo (tracing.js).
+-- -------------------------------------------------------------
+CREATE TABLE IF NOT EXISTS wound_images (
+  id           uuid        NOT NULL DEFAULT gen_random_uuid(),
+  wound_id     uuid        NOT NULL,
+  storage_path text        NOT NULL,
+  file_size    integer     CHECK (file_size >= 0),
+  width        integer,        -- full variant (storage_path), pixels
+  height       integer,
+  sha256       text,
+  display_path   text,         -- ≤ 1280 px, comparison and reports
+  display_width  integer,
+  display_height integer,
+  display_sha256 text,
+  thumb_path     text,         -- ≤ 320 px, gallery and timeline
+  thumb_width    integer,
+  thumb_height   integer,
+  thumb_sha256   text,
+  notes        text,
+  uploaded_by  uuid,
+  tracing      jsonb,          -- calibration + wound outline drawn in the viewer
+  area_cm2     numeric(8,2),
+  length_cm    numeric(6,2),
+  width_cm     numeric(6,2),
+  measured_by  uuid,
+  measured_at  timestamptz,
+  treatment_id uuid,           -- curación the photo documents
+  tissue       jsonb,          -- tissue regions outlined in the viewer
+  tissue_composition jsonb,    -- { granulation: 60, slough: 40 } (%)
+  annotated_by uuid,
+  annotated_at timestamptz,
+  created_at   timestamptz NOT NULL DEFAULT now(),
+
+  CONSTRAINT wound_images_pkey          PRIMARY KEY (id),
+  CONSTRAINT wound_images_path_key      UNIQUE (storage_path),
+  CONSTRAINT wound_images_wound_fkey    FOREIGN KEY (wound_id)
+    REFERENCES wounds(id) ON DELETE CASCADE,
+  CONSTRAINT wound_images_uploader_fkey FOREIGN KEY (uploaded_by)
+    REFERENCES profiles(id) ON DELETE SET NULL,
+  CONSTRAINT wound_images_measurer_fkey FOREIGN KEY (measured_by)
+    REFERENCES profiles(id) ON DELETE SET NULL,
+  CONSTRAINT wound_images_tracing_check CHECK (
+    (area_cm2  IS NULL OR area_cm2  >= 0) AND
+    (length_cm IS NULL OR length_cm >= 0) AND
+    (width_cm  IS NULL OR width_cm  >= 0) AND
+    (tracing IS NULL OR jsonb_typeof(tracing) = 'object')
+  ),
+  CONSTRAINT wound_images_treatment_fkey FOREIGN KEY (treatment_id)
+    REFERENCES treatments(id) ON DELETE SET NULL,
+  CONSTRAINT wound_images_annotator_fkey FOREIGN KEY (annotated_by)
+    REFERENCES profiles(id) ON DELETE SET NULL,
+  CONSTRAINT wound_images_tissue_check CHECK (
+    (tissue IS NULL OR jsonb_typeof(tissue) = 'object') AND
+    (tissue_composition IS NULL OR jsonb_typeof(tissue_composition) = 'object')
+  ),
+  CONSTRAINT wound_images_variants_check CHECK (
+    (width  IS NULL OR width  > 0) AND (height  IS NULL OR height  > 0) AND
+    (display_width IS NULL OR display_width > 0) AND (display_height IS NULL OR display_height > 0) AND
+    (thumb_width   IS NULL OR thumb_width   > 0) AND (thumb_height   IS NULL OR thumb_height   > 0) AND
+    (sha256         IS NULL OR sha256         ~ '^[0-9a-f]{64}$') AND
+    (display_sha256 IS NULL OR display_sha256 ~ '^[0-9a-f]{64}$') AND
+    (thumb_sha256   IS NULL OR thumb_sha256   ~ '^[0-9a-f]{64}$')
+  )
+);
+
+CREATE INDEX IF NOT EXISTS idx_wound_images_wound
+  ON wound_images(wound_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_wound_images_treatment
+  ON wound_images(treatment_id);
+
+-- -------------------------------------------------------------
+-- 10. ORGANIZATIONS + MEMBERS + TEAM PATIENTS (care teams)
+--    role = 'admin' manages members and the team's patients
+--         | 'member'
+--    The creator becomes admin (on_organization_created trigger).
+--    Others are invited (add_team_member) and join when they accept
+--    (accept_team_invitation); joined_at is NULL until then.
+-- -------------------------------------------------------------
+CREATE TABLE IF NOT EXISTS organizations (
+  id         uuid        NOT NULL DEFAULT gen_random_uuid(),
+  name       text        NOT NULL CHECK (length(trim(name)) > 0),
+  created_by uuid        NOT NULL,
+  created_at timestamptz NOT NULL DEFAULT now(),
+
+  CONSTRAINT organizations_pkey         PRIMARY KEY (id),
+  CONSTRAINT organizations_creator_fkey FOREIGN KEY (created_by)
     REFERENCES profiles(id) ON DELETE CASCADE
 );
 
-CREATE INDEX IF NOT EXISTS idx_patients_professional ON patients(professional_id);
+CREATE TABLE IF NOT EXISTS organization_members (
+  organization_id uuid        NOT NULL,
+  user_id         uuid        NOT NULL,
+  role            text        NOT NULL DEFAULT 'member'
+                    CHECK (role IN ('admin', 'member')),
+  invited_by      uuid,
+  invited_at      timestamptz NOT NULL DEFAULT now(),
+  joined_at       timestamptz,
+
+  CONSTRAINT organization_members_pkey     PRIMARY KEY (organization_id, user_id),
+  CONSTRAINT organization_members_org_fkey FOREIGN KEY (organization_id)
+    REFERENCES organizations(id) ON DELETE CASCADE,
+  CONSTRAINT organization_members_user_fkey FOREIGN KEY (user_id)
+    REFERENCES profiles(id) ON DELETE CASCADE,
+  CONSTRAINT organization_members_inviter_fkey FOREIGN KEY (invited_by)
+    REFERENCES profiles(id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_organization_members_user
+  ON organization_members(user_id);
+
+-- Patients their owner placed in the team: the only ones its admins
+-- manage and its auditors read
+CREATE TABLE IF NOT EXISTS team_patients (
+  organization_id uuid        NOT NULL,
+  patient_id      uuid        NOT NULL,
+  added_by        uuid,
+  added_at        timestamptz NOT NULL DEFAULT now(),
+
+  CONSTRAINT team_patients_pkey         PRIMARY KEY (organization_id, patient_id),
+  CONSTRAINT team_patients_org_fkey     FOREIGN KEY (organization_id)
+    REFERENCES organizations(id) ON DELETE CASCADE,
+  CONSTRAINT team_patients_patient_fkey FOREIGN KEY (patient_id)
+    REFERENCES patients(id) ON DELETE CASCADE,
+  CONSTRAINT team_patients_adder_fkey   FOREIGN KEY (added_by)
+    REFERENCES profiles(id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_team_patients_patient
+  ON team_patients(patient_id);
+
+-- -------------------------------------------------------------
+-- 11. PATIENT SHARES
+--    A colleague's access to a patient they do not own.
+-- -------------------------------------------------------------
+CREATE TABLE IF NOT EXISTS patient_shares (
+  id              uuid        NOT NULL DEFAULT gen_random_uuid(),
+  patient_id      uuid        NOT NULL,
+  professional_id uuid        NOT NULL,
+  access          text        NOT NULL DEFAULT 'read'
+                    CHECK (access IN ('read', 'write')),
+  granted_by      uuid,
+  created_at      timestamptz NOT NULL DEFAULT now(),
+
+  CONSTRAINT patient_shares_pkey              PRIMARY KEY (id),
+  CONSTRAINT patient_shares_unique            UNIQUE (patient_id, professional_id),
+  CONSTRAINT patient_shares_patient_fkey      FOREIGN KEY (patient_id)
+    REFERENCES patients(id) ON DELETE CASCADE,
+  CONSTRAINT patient_shares_professional_fkey FOREIGN KEY (professional_id)
+    REFERENCES profiles(id) ON DELETE CASCADE,
+  CONSTRAINT patient_shares_granter_fkey      FOREIGN KEY (granted_by)
+    REFERENCES profiles(id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_patient_shares_professional
+  ON patient_shares(professional_id);
+
+-- -------------------------------------------------------------
+-- 12. USER INVITATIONS (staff accounts)
+--    An admin invites an e-mail with a role; the code is sent as
+--    sign-up metadata and handle_new_user() assigns the role.
+-- -------------------------------------------------------------
+CREATE TABLE IF NOT EXISTS user_invitations (
+  id          uuid        NOT NULL DEFAULT gen_random_uuid(),
+  email       text        NOT NULL,
+  role        text        NOT NULL
+                CHECK (role IN ('admin', 'professional', 'technician', 'auditor')),
+  code        text        NOT NULL,
+  created_by  uuid        NOT NULL,
+  expires_at  timestamptz NOT NULL,
+  used_at     timestamptz,
+  used_by     uuid,
+  revoked_at  timestamptz,
+  created_at  timestamptz NOT NULL DEFAULT now(),
+
+  CONSTRAINT user_invitations_pkey         PRIMARY KEY (id),
+  CONSTRAINT user_invitations_code_key     UNIQUE (code),
+  CONSTRAINT user_invitations_creator_fkey FOREIGN KEY (created_by)
+    REFERENCES profiles(id) ON DELETE CASCADE,
+  CONSTRAINT user_invitations_user_fkey    FOREIGN KEY (used_by)
+    REFERENCES profiles(id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_invitations_created
+  ON user_invitations(created_at DESC);
+
+-- -------------------------------------------------------------
+-- 13. VISITS (curación agenda)
+--    At most one open ('scheduled') visit per wound, maintained
+--    by triggers: see FUNCTIONS: Visits.
+-- -------------------------------------------------------------
+CREATE TABLE IF NOT EXISTS visits (
+  id            uuid        NOT NULL DEFAULT gen_random_uuid(),
+  wound_id      uuid        NOT NULL,
+  scheduled_for date        NOT NULL,
+  status        text        NOT NULL DEFAULT 'scheduled',
+  treatment_id  uuid,
+  completed_at  timestamptz,
+  created_at    timestamptz NOT NULL DEFAULT now(),
+
+  CONSTRAINT visits_pkey           PRIMARY KEY (id),
+  CONSTRAINT visits_wound_fkey     FOREIGN KEY (wound_id)
+    REFERENCES wounds(id) ON DELETE CASCADE,
+  CONSTRAINT visits_treatment_fkey FOREIGN KEY (treatment_id)
+    REFERENCES treatments(id) ON DELETE SET NULL,
+  CONSTRAINT visits_status_check   CHECK (status IN ('scheduled', 'done'))
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_visits_open
+  ON visits(wound_id) WHERE status = 'scheduled';
+CREATE INDEX IF NOT EXISTS idx_visits_scheduled
+  ON visits(scheduled_for) WHERE status = 'scheduled';
+
+-- -------------------------------------------------------------
+-- 14. SUPPLIES (insumos: catalog, lots, kits, stock, line items)
+--    supply_stock is maintained by triggers on supply_movements
+--    and treatment_supplies: see FUNCTIONS: Supplies.
+--    supply_kits: a professional's personal kit (professional_id)
+--    or a shared kit of an organization (organization_id); the
+--    organization's admins manage both (can_use_kit).
+-- -------------------------------------------------------------
+CREATE TABLE IF NOT EXISTS supplies (
+  id         uuid          NOT NULL DEFAULT gen_random_uuid(),
+  name       text          NOT NULL CHECK (length(trim(name)) > 0),
+  unit       text          NOT NULL DEFAULT 'unidad',
+  unit_cost  numeric(10,2) NOT NULL DEFAULT 0 CHECK (unit_cost >= 0),
+  min_stock  numeric(10,2) NOT NULL DEFAULT 0 CHECK (min_stock >= 0),
+  active     boolean       NOT NULL DEFAULT true,
+  created_by uuid,
+  created_at timestamptz   NOT NULL DEFAULT now(),
+
+  CONSTRAINT supplies_pkey         PRIMARY KEY (id),
+  CONSTRAINT supplies_creator_fkey FOREIGN KEY (created_by)
+    REFERENCES profiles(id) ON DELETE SET NULL
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_supplies_name
+  ON supplies(lower(name));
+
+CREATE TABLE IF NOT EXISTS supply_lots (
+  id         uuid          NOT NULL DEFAULT gen_random_uuid(),
+  supply_id  uuid          NOT NULL,
+  lot_number text          NOT NULL CHECK (length(trim(lot_number)) > 0),
+  expires_on date,
+  unit_cost  numeric(10,2) CHECK (unit_cost >= 0),   -- NULL: the supply's
+  created_at timestamptz   NOT NULL DEFAULT now(),
+
+  CONSTRAINT supply_lots_pkey        PRIMARY KEY (id),
+  CONSTRAINT supply_lots_number_key  UNIQUE (supply_id, lot_number),
+  CONSTRAINT supply_lots_supply_fkey FOREIGN KEY (supply_id)
+    REFERENCES supplies(id) ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS supply_kits (
+  id              uuid        NOT NULL DEFAULT gen_random_uuid(),
+  name            text        NOT NULL CHECK (length(trim(name)) > 0),
+  professional_id uuid,
+  organization_id uuid,
+  created_at      timestamptz NOT NULL DEFAULT now(),
+
+  CONSTRAINT supply_kits_pkey              PRIMARY KEY (id),
+  CONSTRAINT supply_kits_professional_fkey FOREIGN KEY (professional_id)
+    REFERENCES profiles(id) ON DELETE CASCADE,
+  CONSTRAINT supply_kits_org_fkey          FOREIGN KEY (organization_id)
+    REFERENCES organizations(id) ON DELETE CASCADE,
+  CONSTRAINT supply_kits_owner_check       CHECK (professional_id IS NOT NULL OR organization_id IS NOT NULL)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_supply_kits_professional
+  ON supply_kits(professional_id) WHERE professional_id IS NOT NULL;
+
+CREATE TABLE IF NOT EXISTS supply_stock (
+  kit_id   uuid          NOT NULL,
+  lot_id   uuid          NOT NULL,
+  quantity numeric(10,2) NOT NULL DEFAULT 0,
+
+  CONSTRAINT supply_stock_pkey     PRIMARY KEY (kit_id, lot_id),
+  CONSTRAINT supply_stock_kit_fkey FOREIGN KEY (kit_id)
+    REFERENCES supply_kits(id) ON DELETE CASCADE,
+  CONSTRAINT supply_stock_lot_fkey FOREIGN KEY (lot_id)
+    REFERENCES supply_lots(id) ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS supply_movements (
+  id           uuid          NOT NULL DEFAULT gen_random_uuid(),
+  kit_id       uuid          NOT NULL,
+  lot_id       uuid          NOT NULL,
+  quantity     numeric(10,2) NOT NULL CHECK (quantity <> 0),   -- signed
+  reason       text          NOT NULL,
+  treatment_id uuid,
+  treatment_supply_id uuid,   -- line item a use was drawn for (no FK: kept after the line goes)
+  created_by   uuid,
+  created_at   timestamptz   NOT NULL DEFAULT now(),
+
+  CONSTRAINT supply_movements_pkey           PRIMARY KEY (id),
+  CONSTRAINT supply_movements_kit_fkey       FOREIGN KEY (kit_id)
+    REFERENCES supply_kits(id) ON DELETE CASCADE,
+  CONSTRAINT supply_movements_lot_fkey       FOREIGN KEY (lot_id)
+    REFERENCES supply_lots(id) ON DELETE CASCADE,
+  CONSTRAINT supply_movements_treatment_fkey FOREIGN KEY (treatment_id)
+    REFERENCES treatments(id) ON DELETE SET NULL,
+  CONSTRAINT supply_movements_creator_fkey   FOREIGN KEY (created_by)
+    REFERENCES profiles(id) ON DELETE SET NULL,
+  CONSTRAINT supply_movements_reason_check   CHECK (reason IN ('receipt', 'use', 'return', 'adjustment'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_supply_movements_created
+  ON supply_movements(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_supply_movements_line
+  ON supply_movements(treatment_supply_id) WHERE treatment_supply_id IS NOT NULL;
+
+CREATE TABLE IF NOT EXISTS treatment_supplies (
+  id           uuid          NOT NULL DEFAULT gen_random_uuid(),
+  treatment_id uuid          NOT NULL,
+  supply_id    uuid          NOT NULL,
+  lot_id       uuid,
+  kit_id       uuid,
+  quantity     numeric(10,2) NOT NULL CHECK (quantity > 0),
+  unit_cost    numeric(10,2) CHECK (unit_cost >= 0),   -- copied at insert
+  shortfall    numeric(10,2) NOT NULL DEFAULT 0 CHECK (shortfall >= 0),   -- not in the kit's stock
+  created_at   timestamptz   NOT NULL DEFAULT now(),
+
+  CONSTRAINT treatment_supplies_pkey           PRIMARY KEY (id),
+  CONSTRAINT treatment_supplies_treatment_fkey FOREIGN KEY (treatment_id)
+    REFERENCES treatments(id) ON DELETE CASCADE,
+  CONSTRAINT treatment_supplies_supply_fkey    FOREIGN KEY (supply_id)
+    REFERENCES supplies(id) ON DELETE RESTRICT,
+  CONSTRAINT treatment_supplies_lot_fkey       FOREIGN KEY (lot_id)
+    REFERENCES supply_lots(id) ON DELETE SET NULL,
+  CONSTRAINT treatment_supplies_kit_fkey       FOREIGN KEY (kit_id)
+    REFERENCES supply_kits(id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_treatment_supplies_treatment
+  ON treatment_supplies(treatment_id);
+
+-- -------------------------------------------------------------
+-- 15. ADVISOR DECISIONS (clinical decision support)
+--    Every suggestion of config/advisor-rules.json shown in a
+--    curación and whether it was accepted, with the rule version
+--    and the facts evaluated. Append-only (see RLS).
+-- -------------------------------------------------------------
+CREATE TABLE IF NOT EXISTS advisor_decisions (
+  id           uuid        NOT NULL DEFAULT gen_random_uuid(),
+  treatment_id uuid        NOT NULL,
+  wound_id     uuid        NOT NULL,
+  rule_id      text        NOT NULL,
+  rule_version text        NOT NULL,
+  kind         text        NOT NULL CHECK (kind IN ('dressing', 'contraindication', 'referral')),
+  title        text        NOT NULL,
+  reason       text,
+  facts        jsonb,
+  accepted     boolean     NOT NULL,
+  decided_by   uuid,
+  created_at   timestamptz NOT NULL DEFAULT now(),
+
+  CONSTRAINT advisor_decisions_pkey           PRIMARY KEY (id),
+  CONSTRAINT advisor_decisions_rule_key       UNIQUE (treatment_id, rule_id),
+  CONSTRAINT advisor_decisions_treatment_fkey FOREIGN KEY (treatment_id)
+    REFERENCES treatments(id) ON DELETE CASCADE,
+  CONSTRAINT advisor_decisions_wound_fkey     FOREIGN KEY (wound_id)
+    REFERENCES wounds(id) ON DELETE CASCADE,
+  CONSTRAINT advisor_decisions_actor_fkey     FOREIGN KEY (decided_by)
+    REFERENCES profiles(id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_advisor_decisions_wound
+  ON advisor_decisions(wound_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_advisor_decisions_rule
+  ON advisor_decisions(rule_id, accepted);
+
+-- -------------------------------------------------------------
+-- 16. WOUND ALERTS (infection and deterioration worklist)
+--    Raised by js/alerts.js from config/alert-rules.json; the
+--    audit trail (wound_alert_events) is written by triggers
+--    only: see FUNCTIONS: Alerts.
+-- -------------------------------------------------------------
+CREATE TABLE IF NOT EXISTS wound_alerts (
+  id               uuid        NOT NULL DEFAULT gen_random_uuid(),
+  wound_id         uuid        NOT NULL,
+  rule_id          text        NOT NULL,
+  rule_version     text        NOT NULL,
+  severity         text        NOT NULL,
+  priority         smallint    NOT NULL DEFAULT 0,
+  title            text        NOT NULL,
+  reason           text,
+  status           text        NOT NULL DEFAULT 'open',
+  snoozed_until    timestamptz,
+  note             text,
+  resolved_by_rule boolean     NOT NULL DEFAULT false,
+  raised_at        timestamptz NOT NULL DEFAULT now(),
+  updated_at       timestamptz NOT NULL DEFAULT now(),
+  updated_by       uuid,
+  resolved_at      timestamptz,
+
+  CONSTRAINT wound_alerts_pkey           PRIMARY KEY (id),
+  CONSTRAINT wound_alerts_wound_fkey     FOREIGN KEY (wound_id)
+    REFERENCES wounds(id) ON DELETE CASCADE,
+  CONSTRAINT wound_alerts_actor_fkey     FOREIGN KEY (updated_by)
+    REFERENCES profiles(id) ON DELETE SET NULL,
+  CONSTRAINT wound_alerts_severity_check CHECK (severity IN ('critical', 'high', 'medium')),
+  CONSTRAINT wound_alerts_status_check   CHECK (status IN ('open', 'acknowledged', 'snoozed', 'resolved')),
+  CONSTRAINT wound_alerts_snooze_check   CHECK (status <> 'snoozed' OR snoozed_until IS NOT NULL)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_wound_alerts_unresolved
+  ON wound_alerts(wound_id, rule_id) WHERE status <> 'resolved';
+CREATE INDEX IF NOT EXISTS idx_wound_alerts_wound
+  ON wound_alerts(wound_id, raised_at DESC);
+
+CREATE TABLE IF NOT EXISTS wound_alert_events (
+  id            uuid        NOT NULL DEFAULT gen_random_uuid(),
+  alert_id      uuid        NOT NULL,
+  action        text        NOT NULL,
+  note          text,
+  snoozed_until timestamptz,
+  actor_id      uuid,
+  created_at    timestamptz NOT NULL DEFAULT now(),
+
+  CONSTRAINT wound_alert_events_pkey         PRIMARY KEY (id),
+  CONSTRAINT wound_alert_events_alert_fkey   FOREIGN KEY (alert_id)
+    REFERENCES wound_alerts(id) ON DELETE CASCADE,
+  CONSTRAINT wound_alert_events_actor_fkey   FOREIGN KEY (actor_id)
+    REFERENCES profiles(id) ON DELETE SET NULL,
+  CONSTRAINT wound_alert_events_action_check CHECK (
+    action IN ('raised', 'acknowledged', 'snoozed', 'reopened', 'resolved')
+  )
+);
+
+CREATE INDEX IF NOT EXISTS idx_wound_alert_events_alert
+  ON wound_alert_events(alert_id, created_at);
+
+-- -------------------------------------------------------------
+-- 17. PATIENT REPORTS (self-reported symptoms between visits)
+--    Sent by the patient from paciente.html; staff only mark them
+--    as reviewed (see FUNCTIONS: Patient reports). Photos live in
+--    the `wounds` bucket under <wound id>/reports/.
+-- -------------------------------------------------------------
+CREATE TABLE IF NOT EXISTS patient_reports (
+  id             uuid        NOT NULL DEFAULT gen_random_uuid(),
+  wound_id       uuid        NOT NULL,
+  reported_by    uuid        NOT NULL,
+  pain_scale     smallint,
+  dressing_state text,
+  fever          boolean     NOT NULL DEFAULT false,
+  odor           boolean     NOT NULL DEFAULT false,
+  bleeding       boolean     NOT NULL DEFAULT false,
+  comment        text,
+  photo_path     text,
+  thumb_path     text,
+  created_at     timestamptz NOT NULL DEFAULT now(),
+  reviewed_at    timestamptz,
+  reviewed_by    uuid,
+
+  CONSTRAINT patient_reports_pkey           PRIMARY KEY (id),
+  CONSTRAINT patient_reports_wound_fkey     FOREIGN KEY (wound_id)
+    REFERENCES wounds(id) ON DELETE CASCADE,
+  CONSTRAINT patient_reports_reporter_fkey  FOREIGN KEY (reported_by)
+    REFERENCES profiles(id) ON DELETE CASCADE,
+  CONSTRAINT patient_reports_reviewer_fkey  FOREIGN KEY (reviewed_by)
+    REFERENCES profiles(id) ON DELETE SET NULL,
+  CONSTRAINT patient_reports_pain_check     CHECK (pain_scale IS NULL OR (pain_scale >= 0 AND pain_scale <= 10)),
+  CONSTRAINT patient_reports_dressing_check CHECK (
+    dressing_state IS NULL OR dressing_state IN ('intacto', 'manchado', 'empapado', 'despegado')
+  ),
+  CONSTRAINT patient_reports_photo_check    CHECK (
+    (photo_path IS NULL OR (split_part(photo_path, '/', 1) = wound_id::text AND
+                            split_part(photo_path, '/', 2) = 'reports')) AND
+    (thumb_path IS NULL OR (split_part(thumb_path, '/', 1) = wound_id::text AND
+                            split_part(thumb_path, '/', 2) = 'reports'))
+  )
+);
+
+CREATE INDEX IF NOT EXISTS idx_patient_reports_wound
+  ON patient_reports(wound_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_patient_reports_unreviewed
+  ON patient_reports(wound_id) WHERE reviewed_at IS NULL;
+
+
+-- =============================================================
+-- TRIGGER: Auto-create profile on user sign-up
+-- =============================================================
+-- This function runs after every INSERT into auth.users.
+-- It creates a matching row in `profiles`: with the invited role
+-- when the sign-up carries a valid user_invitations code for its
+-- e-mail (consuming it), as a patient otherwise. Admins change
+-- roles afterwards from the admin console.
+-- =============================================================
+
+CREATE OR REPLACE FUNCTION public.handle_new_user()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_invitation user_invitations%ROWTYPE;
+BEGIN
+  SELECT * INTO v_invitation
+  FROM user_invitations
+  WHERE code = upper(trim(NEW.raw_user_meta_data ->> 'invitation_code'))
+    AND lower(email) = lower(NEW.email)
+    AND used_at IS NULL
+    AND revoked_at IS NULL
+    AND expires_at > now()
+  FOR UPDATE;
+
+  INSERT INTO public.profiles (id, email, role)
+  VALUES (NEW.id, NEW.email, coalesce(v_invitation.role, 'patient'));
+
+  IF v_invitation.id IS NOT NULL THEN
+    UPDATE user_invitations
+    SET used_at = now(), used_by = NEW.id
+    WHERE id = v_invitation.id;
+  END IF;
+
+  RETURN NEW;
+END;
+$$;
+
+-- Drop existing trigger if present, then re-create
+DROP TRIGGER IF EXISTS on_auth_user_created ON auth.users;
+
+CREATE TRIGGER on_auth_user_created
+  AFTER INSERT ON auth.users
+  FOR EACH ROW
+  EXECUTE FUNCTION public.handle_new_user();
+
+
+-- =============================================================
+-- FUNCTIONS: Patient invitations
+-- =============================================================
+-- invitation_status(code): callable before sign-up (anon), only
+--   reveals whether a code can be used.
+-- redeem_patient_invitation(code): links the calling user to the
+--   invited patient record and consumes the code. SECURITY DEFINER
+--   because patients may not update patients / invitations.
+-- =============================================================
+
+CREATE OR REPLACE FUNCTION public.invitation_status(p_code text)
+RETURNS text
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT CASE
+    WHEN i.id IS NULL            THEN 'invalid'
+    WHEN i.revoked_at IS NOT NULL THEN 'revoked'
+    WHEN i.used_at IS NOT NULL   THEN 'used'
+    WHEN i.expires_at <= now()   THEN 'expired'
+    ELSE 'valid'
+  END
+  FROM (SELECT 1) AS one
+  LEFT JOIN patient_invitations i ON i.code = upper(trim(p_code));
+$$;
+
+CREATE OR REPLACE FUNCTION public.redeem_patient_invitation(p_code text)
+RETURNS uuid
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_invitation patient_invitations%ROWTYPE;
+  v_role       text;
+BEGIN
+  IF auth.uid() IS NULL THEN
+    RAISE EXCEPTION 'not_authenticated' USING ERRCODE = '28000';
+  END IF;
+
+  SELECT role INTO v_role FROM profiles WHERE id = auth.uid();
+  IF v_role IS DISTINCT FROM 'patient' THEN
+    RAISE EXCEPTION 'not_a_patient_account' USING ERRCODE = '42501';
+  END IF;
+
+  SELECT * INTO v_invitation
+  FROM patient_invitations
+  WHERE code = upper(trim(p_code))
+  FOR UPDATE;
+
+  IF v_invitation.id IS NULL
+     OR v_invitation.revoked_at IS NOT NULL
+     OR v_invitation.used_at IS NOT NULL
+     OR v_invitation.expires_at <= now() THEN
+    RAISE EXCEPTION 'invitation_not_valid' USING ERRCODE = 'P0001';
+  END IF;
+
+  IF EXISTS (SELECT 1 FROM patients WHERE user_id = auth.uid()) THEN
+    RAISE EXCEPTION 'account_already_linked' USING ERRCODE = 'P0001';
+  END IF;
+
+  PERFORM set_config('cura360.allow_relink', 'on', true);
+  UPDATE patients
+  SET user_id = auth.uid()
+  WHERE id = v_invitation.patient_id AND user_id IS NULL;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'patient_already_linked' USING ERRCODE = 'P0001';
+  END IF;
+  PERFORM set_config('cura360.allow_relink', '', true);
+
+  UPDATE patient_invitations
+  SET used_at = now(), used_by = auth.uid()
+  WHERE id = v_invitation.id;
+
+  RETURN v_invitation.patient_id;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.invitation_status(text) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.redeem_patient_invitation(text) TO authenticated;
+
+
+-- =============================================================
+-- FUNCTIONS: User invitations
+-- =============================================================
+-- user_invitation_status(code, email): callable before sign-up
+--   (anon); the code only works for the invited e-mail.
+--   Redemption happens in handle_new_user().
+-- =============================================================
+
+CREATE OR REPLACE FUNCTION public.user_invitation_status(p_code text, p_email text)
+RETURNS text
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT CASE
+    WHEN i.id IS NULL                               THEN 'invalid'
+    WHEN i.revoked_at IS NOT NULL                   THEN 'revoked'
+    WHEN i.used_at IS NOT NULL                      THEN 'used'
+    WHEN i.expires_at <= now()                      THEN 'expired'
+    WHEN lower(i.email) <> lower(trim(p_email))     THEN 'email_mismatch'
+    ELSE 'valid'
+  END
+  FROM (SELECT 1) AS one
+  LEFT JOIN user_invitations i ON i.code = upper(trim(p_code));
+$$;
+
+GRANT EXECUTE ON FUNCTION public.user_invitation_status(text, text) TO anon, authenticated;
+
+
+-- =============================================================
+-- FUNCTIONS: Access helpers
+-- =============================================================
+-- SECURITY DEFINER so policies can call them without recursing
+-- into the RLS of the tables they read.
+-- =============================================================
+
+-- Role of the caller; NULL for deactivated accounts
+CREATE OR REPLACE FUNCTION public.app_role()
+RETURNS text
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT role FROM profiles WHERE id = auth.uid() AND active;
+$$;
+
+CREATE OR REPLACE FUNCTION public.has_role(p_user uuid, p_roles text[])
+RETURNS boolean
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT EXISTS (
+    SELECT 1 FROM profiles
+    WHERE id = p_user AND active AND role = ANY (p_roles)
+  );
+$$;
+
+-- Roles that own patients: professional and admin
+CREATE OR REPLACE FUNCTION public.is_professional(p_user uuid)
+RETURNS boolean
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT public.has_role(p_user, ARRAY['professional', 'admin']);
+$$;
+
+-- Patient account linked to p_patient (active)
+CREATE OR REPLACE FUNCTION public.is_own_patient(p_patient uuid)
+RETURNS boolean
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT public.app_role() = 'patient' AND EXISTS (
+    SELECT 1 FROM patients WHERE id = p_patient AND user_id = auth.uid()
+  );
+$$;
+
+CREATE OR REPLACE FUNCTION public.is_own_wound(p_wound uuid)
+RETURNS boolean
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT public.is_own_patient((SELECT patient_id FROM wounds WHERE id = p_wound));
+$$;
+
+CREATE OR REPLACE FUNCTION public.is_org_member(p_org uuid)
+RETURNS boolean
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT EXISTS (
+    SELECT 1 FROM organization_members
+    WHERE organization_id = p_org AND user_id = auth.uid() AND joined_at IS NOT NULL
+  );
+$$;
+
+CREATE OR REPLACE FUNCTION public.is_org_admin(p_org uuid)
+RETURNS boolean
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT EXISTS (
+    SELECT 1 FROM organization_members
+    WHERE organization_id = p_org AND user_id = auth.uid() AND role = 'admin'
+      AND joined_at IS NOT NULL
+  );
+$$;
+
+-- True when the caller and p_user belong to at least one common
+-- organization (pending invitations do not count)
+CREATE OR REPLACE FUNCTION public.shares_org_with(p_user uuid)
+RETURNS boolean
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT EXISTS (
+    SELECT 1
+    FROM organization_members me
+    JOIN organization_members other ON other.organization_id = me.organization_id
+    WHERE me.user_id = auth.uid() AND me.joined_at IS NOT NULL
+      AND other.user_id = p_user AND other.joined_at IS NOT NULL
+  );
+$$;
+
+-- True when the owner placed the patient in an organization the
+-- caller belongs to (p_admin: as admin) and still belongs to it
+CREATE OR REPLACE FUNCTION public.is_team_patient(p_patient uuid, p_admin boolean DEFAULT false)
+RETURNS boolean
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT EXISTS (
+    SELECT 1
+    FROM patients p
+    JOIN team_patients tp           ON tp.patient_id = p.id
+    JOIN organization_members me    ON me.organization_id = tp.organization_id
+    JOIN organization_members owner ON owner.organization_id = tp.organization_id
+    WHERE p.id = p_patient
+      AND me.user_id = auth.uid() AND me.joined_at IS NOT NULL
+      AND (me.role = 'admin' OR NOT p_admin)
+      AND owner.user_id = p.professional_id AND owner.joined_at IS NOT NULL
+  );
+$$;
+
+-- Owner, or admin of a team the owner placed the patient in
+CREATE OR REPLACE FUNCTION public.can_manage_patient(p_patient uuid)
+RETURNS boolean
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT public.app_role() IN ('professional', 'admin') AND EXISTS (
+    SELECT 1 FROM patients p
+    WHERE p.id = p_patient
+      AND (p.professional_id = auth.uid() OR public.is_team_patient(p.id, true))
+  );
+$$;
+
+-- Managers, shares, and auditors of a team the patient was placed in
+CREATE OR REPLACE FUNCTION public.can_read_patient(p_patient uuid)
+RETURNS boolean
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT public.can_manage_patient(p_patient)
+    OR (
+      public.app_role() IN ('professional', 'admin', 'technician') AND EXISTS (
+        SELECT 1 FROM patient_shares
+        WHERE patient_id = p_patient AND professional_id = auth.uid()
+      )
+    )
+    OR (public.app_role() = 'auditor' AND public.is_team_patient(p_patient));
+$$;
+
+CREATE OR REPLACE FUNCTION public.can_write_patient(p_patient uuid)
+RETURNS boolean
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT public.can_manage_patient(p_patient) OR (
+    public.app_role() IN ('professional', 'admin', 'technician') AND EXISTS (
+      SELECT 1 FROM patient_shares
+      WHERE patient_id = p_patient AND professional_id = auth.uid() AND access = 'write'
+    )
+  );
+$$;
+
+CREATE OR REPLACE FUNCTION public.can_read_wound(p_wound uuid)
+RETURNS boolean
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT public.can_read_patient((SELECT patient_id FROM wounds WHERE id = p_wound));
+$$;
+
+CREATE OR REPLACE FUNCTION public.can_write_wound(p_wound uuid)
+RETURNS boolean
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT public.can_write_patient((SELECT patient_id FROM wounds WHERE id = p_wound));
+$$;
+
+-- Only professionals and admins change clinical_stage / stage_locked.
+-- Technicians still update the measurement snapshot and suggestions.
+CREATE OR REPLACE FUNCTION public.guard_wound_stage()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF auth.uid() IS NOT NULL
+     AND (NEW.clinical_stage IS DISTINCT FROM OLD.clinical_stage OR
+          NEW.stage_locked IS DISTINCT FROM OLD.stage_locked)
+     AND NOT public.is_professional(auth.uid()) THEN
+    RAISE EXCEPTION 'stage_change_not_allowed' USING ERRCODE = '42501';
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS wounds_guard_stage ON wounds;
+
+CREATE TRIGGER wounds_guard_stage
+  BEFORE UPDATE ON wounds
+  FOR EACH ROW
+  EXECUTE FUNCTION public.guard_wound_stage();
+
+
+
+-- =============================================================
+-- FUNCTIONS: Care teams
+-- =============================================================
+-- add_team_member(org, email, role): admins invite staff accounts
+--   by e-mail (profiles are not readable outside the team).
+-- team_invitations() / accept_team_invitation(org): the invitee's
+--   pending invitations; accepting makes them a member. Declining
+--   is deleting their own organization_members row.
+-- transfer_patient(patient, to, keep_access): moves ownership to a
+--   teammate; the previous owner keeps write access by default.
+-- team_caseload(): the members of the caller's teams (pending ones
+--   flagged) and the patients placed in each team, with the
+--   caller's access to each one (null = none).
+-- =============================================================
+
+CREATE OR REPLACE FUNCTION public.handle_new_organization()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  INSERT INTO organization_members (organization_id, user_id, role, invited_by, joined_at)
+  VALUES (NEW.id, NEW.created_by, 'admin', NEW.created_by, now());
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS on_organization_created ON organizations;
+
+CREATE TRIGGER on_organization_created
+  AFTER INSERT ON organizations
+  FOR EACH ROW
+  EXECUTE FUNCTION public.handle_new_organization();
+
+CREATE OR REPLACE FUNCTION public.add_team_member(p_org uuid, p_email text, p_role text DEFAULT 'member')
+RETURNS uuid
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_user uuid;
+BEGIN
+  IF NOT public.is_org_admin(p_org) THEN
+    RAISE EXCEPTION 'not_an_org_admin' USING ERRCODE = '42501';
+  END IF;
+
+  SELECT id INTO v_user
+  FROM profiles
+  WHERE lower(email) = lower(trim(p_email))
+    AND active
+    AND role IN ('admin', 'professional', 'technician', 'auditor');
+  IF v_user IS NULL THEN
+    RAISE EXCEPTION 'professional_not_found' USING ERRCODE = 'P0002';
+  END IF;
+
+  -- Pending until the invitee accepts it (accept_team_invitation)
+  INSERT INTO organization_members (organization_id, user_id, role, invited_by)
+  VALUES (p_org, v_user, p_role, auth.uid())
+  ON CONFLICT (organization_id, user_id) DO UPDATE SET role = EXCLUDED.role;
+
+  RETURN v_user;
+END;
+$$;
+
+-- Admins only change roles; joined_at is set once, by the invitee
+CREATE OR REPLACE FUNCTION public.guard_organization_member()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF (to_jsonb(NEW) - 'role' - 'joined_at') IS DISTINCT FROM (to_jsonb(OLD) - 'role' - 'joined_at') OR
+     (NEW.joined_at IS DISTINCT FROM OLD.joined_at AND
+      (OLD.joined_at IS NOT NULL OR NEW.user_id IS DISTINCT FROM auth.uid())) THEN
+    RAISE EXCEPTION 'membership_read_only' USING ERRCODE = '42501';
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS organization_members_guard ON organization_members;
+
+CREATE TRIGGER organization_members_guard
+  BEFORE UPDATE ON organization_members
+  FOR EACH ROW
+  EXECUTE FUNCTION public.guard_organization_member();
+
+CREATE OR REPLACE FUNCTION public.accept_team_invitation(p_org uuid)
+RETURNS void
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  UPDATE organization_members
+  SET joined_at = now()
+  WHERE organization_id = p_org AND user_id = auth.uid() AND joined_at IS NULL;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'invitation_not_found' USING ERRCODE = 'P0002';
+  END IF;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.team_invitations()
+RETURNS TABLE (
+  organization_id   uuid,
+  organization_name text,
+  member_role       text,
+  invited_by_email  text,
+  invited_at        timestamptz
+)
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT o.id, o.name, m.role, pr.email, m.invited_at
+  FROM organization_members m
+  JOIN organizations o   ON o.id = m.organization_id
+  LEFT JOIN profiles pr  ON pr.id = m.invited_by
+  WHERE m.user_id = auth.uid() AND m.joined_at IS NULL
+  ORDER BY m.invited_at;
+$$;
+
+-- Blocks changes to patients.professional_id / user_id outside
+-- transfer_patient() and redeem_patient_invitation(), which set
+-- cura360.allow_relink for their own transaction.
+CREATE OR REPLACE FUNCTION public.guard_patient_links()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF (NEW.professional_id IS DISTINCT FROM OLD.professional_id OR
+      NEW.user_id IS DISTINCT FROM OLD.user_id)
+     AND coalesce(current_setting('cura360.allow_relink', true), '') <> 'on' THEN
+    RAISE EXCEPTION 'patient_links_are_read_only' USING ERRCODE = '42501',
+      HINT = 'Use transfer_patient() or redeem_patient_invitation()';
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS patients_guard_links ON patients;
+
+CREATE TRIGGER patients_guard_links
+  BEFORE UPDATE ON patients
+  FOR EACH ROW
+  EXECUTE FUNCTION public.guard_patient_links();
+
+CREATE OR REPLACE FUNCTION public.transfer_patient(p_patient uuid, p_to uuid, p_keep_access boolean DEFAULT true)
+RETURNS void
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_from uuid;
+BEGIN
+  IF NOT public.can_manage_patient(p_patient) THEN
+    RAISE EXCEPTION 'not_allowed' USING ERRCODE = '42501';
+  END IF;
+  IF NOT public.is_professional(p_to) OR
+     (p_to <> auth.uid() AND NOT public.shares_org_with(p_to)) THEN
+    RAISE EXCEPTION 'target_not_in_team' USING ERRCODE = 'P0001';
+  END IF;
+
+  SELECT professional_id INTO v_from FROM patients WHERE id = p_patient FOR UPDATE;
+  IF v_from = p_to THEN
+    RETURN;
+  END IF;
+
+  PERFORM set_config('cura360.allow_relink', 'on', true);
+  UPDATE patients SET professional_id = p_to WHERE id = p_patient;
+  PERFORM set_config('cura360.allow_relink', '', true);
+
+  -- The new owner no longer needs a share
+  DELETE FROM patient_shares WHERE patient_id = p_patient AND professional_id = p_to;
+
+  IF p_keep_access THEN
+    INSERT INTO patient_shares (patient_id, professional_id, access, granted_by)
+    VALUES (p_patient, v_from, 'write', auth.uid())
+    ON CONFLICT (patient_id, professional_id) DO UPDATE SET access = 'write';
+  END IF;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.team_caseload()
+RETURNS TABLE (
+  organization_id    uuid,
+  organization_name  text,
+  professional_id    uuid,
+  professional_email text,
+  member_role        text,
+  member_pending     boolean,
+  patient_id         uuid,
+  patient_name       text,
+  active_wounds      bigint,
+  access             text
+)
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT
+    o.id, o.name, m.user_id, pr.email, m.role, m.joined_at IS NULL, p.id, p.name,
+    (SELECT count(*) FROM wounds w WHERE w.patient_id = p.id AND w.status <> 'closed'),
+    CASE
+      WHEN p.id IS NULL                                            THEN NULL
+      WHEN p.professional_id = auth.uid()                          THEN 'owner'
+      WHEN me.role = 'admin' AND public.is_professional(auth.uid()) THEN 'admin'
+      WHEN public.app_role() = 'auditor'                           THEN 'read'
+      ELSE s.access
+    END
+  FROM organization_members me
+  JOIN organizations o         ON o.id = me.organization_id
+  JOIN organization_members m  ON m.organization_id = me.organization_id
+  JOIN profiles pr             ON pr.id = m.user_id
+  LEFT JOIN (team_patients tp JOIN patients p ON p.id = tp.patient_id)
+         ON tp.organization_id = m.organization_id
+        AND p.professional_id = m.user_id
+        AND m.joined_at IS NOT NULL
+  LEFT JOIN patient_shares s   ON s.patient_id = p.id AND s.professional_id = auth.uid()
+  WHERE me.user_id = auth.uid() AND me.joined_at IS NOT NULL AND public.app_role() IS NOT NULL
+  ORDER BY o.name, pr.email, p.name;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.add_team_member(uuid, text, text) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.accept_team_invitation(uuid) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.team_invitations() TO authenticated;
+GRANT EXECUTE ON FUNCTION public.transfer_patient(uuid, uuid, boolean) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.team_caseload() TO authenticated;
+
+
+-- =============================================================
+-- FUNCTIONS: Visits
+-- =============================================================
+-- schedule_next_visit(wound): replaces the wound's open visit with
+--   one due dressing_frequency_days after its last curación (or its
+--   registration); closed wounds and wounds without a frequency get
+--   none.
+-- Triggers on treatments (complete + schedule next) and wounds
+-- (new, frequency change, closing) keep the agenda current, also
+-- for curaciones replayed from the offline queue.
+-- =============================================================
+
+-- Runs with the caller's rights: only users who can write the
+-- wound (visits policies below) schedule its visits. Dates are
+-- local to Chile so late-evening curaciones count for that day.
+CREATE OR REPLACE FUNCTION public.schedule_next_visit(p_wound uuid)
+RETURNS void
+LANGUAGE plpgsql
+SET search_path = public
+AS $$
+DECLARE
+  v_wound wounds%ROWTYPE;
+  v_last  timestamptz;
+BEGIN
+  SELECT * INTO v_wound FROM wounds WHERE id = p_wound;
+  IF NOT FOUND THEN
+    RETURN;
+  END IF;
+
+  DELETE FROM visits WHERE wound_id = p_wound AND status = 'scheduled';
+
+  IF v_wound.status = 'closed' OR v_wound.dressing_frequency_days IS NULL THEN
+    RETURN;
+  END IF;
+
+  SELECT max(created_at) INTO v_last FROM treatments WHERE wound_id = p_wound;
+
+  INSERT INTO visits (wound_id, scheduled_for)
+  VALUES (
+    p_wound,
+    (COALESCE(v_last, v_wound.created_at) AT TIME ZONE 'America/Santiago')::date
+      + v_wound.dressing_frequency_days
+  );
+END;
+$$;
+
+-- A curación completes the open visit and schedules the next one
+CREATE OR REPLACE FUNCTION public.handle_treatment_visit()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SET search_path = public
+AS $$
+BEGIN
+  UPDATE visits
+  SET status = 'done', treatment_id = NEW.id, completed_at = NEW.created_at
+  WHERE wound_id = NEW.wound_id AND status = 'scheduled';
+
+  PERFORM public.schedule_next_visit(NEW.wound_id);
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS treatments_schedule_visit ON treatments;
+
+CREATE TRIGGER treatments_schedule_visit
+  AFTER INSERT ON treatments
+  FOR EACH ROW
+  EXECUTE FUNCTION public.handle_treatment_visit();
+
+-- New wounds, frequency changes and closing reschedule the open visit
+CREATE OR REPLACE FUNCTION public.handle_wound_visit()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SET search_path = public
+AS $$
+BEGIN
+  IF TG_OP = 'UPDATE'
+     AND NEW.dressing_frequency_days IS NOT DISTINCT FROM OLD.dressing_frequency_days
+     AND (NEW.status = 'closed') = (OLD.status = 'closed') THEN
+    RETURN NEW;
+  END IF;
+
+  PERFORM public.schedule_next_visit(NEW.id);
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS wounds_schedule_visit ON wounds;
+
+CREATE TRIGGER wounds_schedule_visit
+  AFTER INSERT OR UPDATE ON wounds
+  FOR EACH ROW
+  EXECUTE FUNCTION public.handle_wound_visit();
+
+
+-- =============================================================
+-- FUNCTIONS: Supplies
+-- =============================================================
+-- apply_supply_movement: every movement (receipt, use, return,
+--   adjustment) adds its signed quantity to supply_stock.
+-- treatment_supplies line items draw from the kit's lots in expiry
+--   order, one use per lot and none below zero; what the kit lacks
+--   stays in shortfall and the unit cost averages what was taken.
+--   Deleting a line item returns to each lot what it took. Also
+--   applies to curaciones replayed from the offline queue.
+-- =============================================================
+
+-- SECURITY DEFINER: supply_stock has no write policies, so the
+-- movements are the only way to change it.
+CREATE OR REPLACE FUNCTION public.apply_supply_movement()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  INSERT INTO supply_stock (kit_id, lot_id, quantity)
+  VALUES (NEW.kit_id, NEW.lot_id, NEW.quantity)
+  ON CONFLICT (kit_id, lot_id)
+  DO UPDATE SET quantity = supply_stock.quantity + EXCLUDED.quantity;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS supply_movements_apply ON supply_movements;
 
--- -------------------------------------------------------------
--- 3. WOUNDS
--- -------------------------------------------------------------
-CREATE TABLE IF NOT EXISTS wounds (
-  id         uuid        NOT NULL DEFAULT gen_random_uuid(),
-  patient_id uuid        NOT NULL,
-  type       text        NOT NULL,
-  location   text        NOT NULL,
-  dimensions text,
-  status     text        NOT NULL DEFAULT 'active'
-               CHECK (status IN ('active', 'pending', 'critical', 'closed')),
-  created_at timestamptz NOT NULL DEFAULT now(),
+CREATE TRIGGER supply_movements_apply
+  AFTER INSERT ON supply_movements
+  FOR EACH ROW
+  EXECUTE FUNCTION public.apply_supply_movement();
 
-  CONSTRAINT wounds_pkey        PRIMARY KEY (id),
-  CONSTRAINT wounds_patient_fkey FOREIGN KEY (patient_id)
-    REFERENCES patients(id) ON DELETE CASCADE
-);
+-- Kits the caller may draw from or restock: their personal kit, any
+-- kit of an organization they administer, and the shared kits of
+-- the organizations they belong to
+CREATE OR REPLACE FUNCTION public.can_use_kit(p_kit uuid)
+RETURNS boolean
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT public.app_role() IN ('admin', 'professional', 'technician') AND EXISTS (
+    SELECT 1 FROM supply_kits k
+    WHERE k.id = p_kit
+      AND (
+        k.professional_id = auth.uid() OR
+        public.is_org_admin(k.organization_id) OR
+        (k.professional_id IS NULL AND public.is_org_member(k.organization_id))
+      )
+  );
+$$;
 
-CREATE INDEX IF NOT EXISTS idx_wounds_patient ON wounds(patient_id);
+-- Line item drawn from the kit: its lots in expiry order (the given
+-- lot first), one use per lot, never below zero. What the kit lacks
+-- is kept in shortfall; the unit cost averages what was taken, with
+-- the shortfall at the catalog cost
+CREATE OR REPLACE FUNCTION public.prepare_treatment_supply()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_supply_cost numeric;
+  v_left        numeric := NEW.quantity;
+  v_cost        numeric := 0;
+  v_take        numeric;
+  v_first_lot   uuid;
+  r             record;
+BEGIN
+  SELECT unit_cost INTO v_supply_cost FROM supplies WHERE id = NEW.supply_id;
+  NEW.shortfall := 0;
 
--- -------------------------------------------------------------
--- 4. TREATMENTS (curaciones)
--- -------------------------------------------------------------
-CREATE TABLE IF NOT EXISTS treatments (
-  id         uuid        NOT NULL DEFAULT gen_random_uuid(),
-  wound_id   uuid        NOT NULL,
-  technique  text        NOT NULL,
-  supplies   text,
-  notes      text,
-  created_at timestamptz NOT NULL DEFAULT now(),
+  IF NEW.kit_id IS NOT NULL THEN
+    FOR r IN
+      SELECT s.lot_id, s.quantity, COALESCE(l.unit_cost, v_supply_cost) AS unit_cost
+      FROM supply_stock s
+      JOIN supply_lots l ON l.id = s.lot_id
+      WHERE s.kit_id = NEW.kit_id AND l.supply_id = NEW.supply_id AND s.quantity > 0
+      ORDER BY l.id IS DISTINCT FROM NEW.lot_id, l.expires_on NULLS LAST, l.created_at
+      FOR UPDATE OF s
+    LOOP
+      EXIT WHEN v_left <= 0;
+      v_take := LEAST(v_left, r.quantity);
+      INSERT INTO supply_movements (kit_id, lot_id, quantity, reason, treatment_id, treatment_supply_id, created_by)
+      VALUES (NEW.kit_id, r.lot_id, -v_take, 'use', NEW.treatment_id, NEW.id, auth.uid());
+      v_first_lot := COALESCE(v_first_lot, r.lot_id);
+      v_cost := v_cost + v_take * r.unit_cost;
+      v_left := v_left - v_take;
+    END LOOP;
 
-  CONSTRAINT treatments_pkey       PRIMARY KEY (id),
-  CONSTRAINT treatments_wound_fkey FOREIGN KEY (wound_id)
-    REFERENCES wounds(id) ON DELETE CASCADE
-);
+    NEW.lot_id := v_first_lot;
+    NEW.shortfall := v_left;
+    IF NEW.unit_cost IS NULL THEN
+      NEW.unit_cost := (v_cost + v_left * v_supply_cost) / NEW.quantity;
+    END IF;
+  ELSIF NEW.unit_cost IS NULL THEN
+    NEW.unit_cost := COALESCE((SELECT unit_cost FROM supply_lots WHERE id = NEW.lot_id), v_supply_cost);
+  END IF;
+  RETURN NEW;
+END;
+$$;
 
-CREATE INDEX IF NOT EXISTS idx_treatments_wound ON treatments(wound_id);
+DROP TRIGGER IF EXISTS treatment_supplies_prepare ON treatment_supplies;
+
+CREATE TRIGGER treatment_supplies_prepare
+  BEFORE INSERT ON treatment_supplies
+  FOR EACH ROW
+  EXECUTE FUNCTION public.prepare_treatment_supply();
+
+-- Deleted line items give back what each of their uses took
+CREATE OR REPLACE FUNCTION public.handle_treatment_supply_stock()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  INSERT INTO supply_movements (kit_id, lot_id, quantity, reason, created_by)
+  SELECT m.kit_id, m.lot_id, -SUM(m.quantity), 'return', auth.uid()
+  FROM supply_movements m
+  WHERE m.treatment_supply_id = OLD.id AND m.reason = 'use'
+  GROUP BY m.kit_id, m.lot_id;
+  RETURN OLD;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS treatment_supplies_stock ON treatment_supplies;
+
+CREATE TRIGGER treatment_supplies_stock
+  AFTER DELETE ON treatment_supplies
+  FOR EACH ROW
+  EXECUTE FUNCTION public.handle_treatment_supply_stock();
 
 
 -- =============================================================
--- TRIGGER: Auto-create profile on user sign-up
+-- FUNCTIONS: Alerts
 -- =============================================================
--- This function runs after every INSERT into auth.users.
--- It creates a matching row in `profiles` with the default role.
--- The frontend (or an admin) can then UPDATE the role as needed.
+-- guard_wound_alert: alerts keep their wound, rule and raise date,
+--   and a resolved alert is final.
+-- log_wound_alert_event: one wound_alert_events row per raise and
+--   per status change.
 -- =============================================================
 
-CREATE OR REPLACE FUNCTION public.handle_new_user()
+-- The wound, the rule and the raise date never change; a resolved
+-- alert is final. Stamps the actor and the resolution date, and
+-- clears resolved_by_rule on anything but a resolution.
+CREATE OR REPLACE FUNCTION public.guard_wound_alert()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF OLD.status = 'resolved' THEN
+    RAISE EXCEPTION 'alert_resolved' USING ERRCODE = '42501';
+  END IF;
+  IF NEW.wound_id IS DISTINCT FROM OLD.wound_id OR
+     NEW.rule_id IS DISTINCT FROM OLD.rule_id OR
+     NEW.raised_at IS DISTINCT FROM OLD.raised_at THEN
+    RAISE EXCEPTION 'alert_immutable' USING ERRCODE = '42501';
+  END IF;
+
+  NEW.updated_at := now();
+  NEW.updated_by := auth.uid();
+  IF NEW.status <> 'snoozed' THEN
+    NEW.snoozed_until := NULL;
+  END IF;
+  IF NEW.status = 'resolved' THEN
+    NEW.resolved_at := now();
+  ELSE
+    NEW.resolved_by_rule := false;
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS wound_alerts_guard ON wound_alerts;
+
+CREATE TRIGGER wound_alerts_guard
+  BEFORE UPDATE ON wound_alerts
+  FOR EACH ROW
+  EXECUTE FUNCTION public.guard_wound_alert();
+
+-- One event per raise and per status change (reason refreshes are
+-- not logged). SECURITY DEFINER: wound_alert_events has no INSERT
+-- policy, so the trail cannot be written from the client.
+CREATE OR REPLACE FUNCTION public.log_wound_alert_event()
 RETURNS TRIGGER
 LANGUAGE plpgsql
 SECURITY DEFINER
 SET search_path = public
 AS $$
 BEGIN
-  INSERT INTO public.profiles (id, email, role)
-  VALUES (NEW.id, NEW.email, 'patient');
+  IF TG_OP = 'UPDATE' AND NEW.status = OLD.status
+     AND NEW.snoozed_until IS NOT DISTINCT FROM OLD.snoozed_until THEN
+    RETURN NEW;
+  END IF;
+
+  INSERT INTO wound_alert_events (alert_id, action, note, snoozed_until, actor_id)
+  VALUES (
+    NEW.id,
+    CASE
+      WHEN TG_OP = 'INSERT' THEN 'raised'
+      WHEN NEW.status = 'open' THEN 'reopened'
+      ELSE NEW.status
+    END,
+    CASE WHEN TG_OP = 'UPDATE' THEN NEW.note END,
+    NEW.snoozed_until,
+    auth.uid()
+  );
   RETURN NEW;
 END;
 $$;
 
--- Drop existing trigger if present, then re-create
-DROP TRIGGER IF EXISTS on_auth_user_created ON auth.users;
+DROP TRIGGER IF EXISTS wound_alerts_log ON wound_alerts;
 
-CREATE TRIGGER on_auth_user_created
-  AFTER INSERT ON auth.users
+CREATE TRIGGER wound_alerts_log
+  AFTER INSERT OR UPDATE ON wound_alerts
   FOR EACH ROW
-  EXECUTE FUNCTION public.handle_new_user();
+  EXECUTE FUNCTION public.log_wound_alert_event();
+
+-- =============================================================
+-- FUNCTIONS: Patient reports
+-- =============================================================
+-- guard_patient_report: a report never changes after it is sent;
+--   the only update is the review, stamped with the reviewer.
+-- =============================================================
+CREATE OR REPLACE FUNCTION public.guard_patient_report()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF OLD.reviewed_at IS NOT NULL THEN
+    RAISE EXCEPTION 'report_reviewed' USING ERRCODE = '42501';
+  END IF;
+  IF (to_jsonb(NEW) - 'reviewed_at' - 'reviewed_by') IS DISTINCT FROM
+     (to_jsonb(OLD) - 'reviewed_at' - 'reviewed_by') THEN
+    RAISE EXCEPTION 'report_immutable' USING ERRCODE = '42501';
+  END IF;
+
+  NEW.reviewed_at := now();
+  NEW.reviewed_by := auth.uid();
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS patient_reports_guard ON patient_reports;
+
+CREATE TRIGGER patient_reports_guard
+  BEFORE UPDATE ON patient_reports
+  FOR EACH ROW
+  EXECUTE FUNCTION public.guard_patient_report();
+
+
+-- =============================================================
+-- STORAGE: `wounds` bucket
+-- =============================================================
+-- Private bucket; the app reads through signed URLs
+-- (api.storage.signedUrl). storage.foldername(name)[1] is the
+-- wound id.
+-- =============================================================
+
+INSERT INTO storage.buckets (id, name, public)
+VALUES ('wounds', 'wounds', false)
+ON CONFLICT (id) DO NOTHING;
+
+-- Professional: read files of wounds they manage
+CREATE POLICY wound_files_select_by_professional
+  ON storage.objects FOR SELECT
+  USING (
+    bucket_id = 'wounds' AND
+    (storage.foldername(name))[1] IN (
+      SELECT w.id::text FROM wounds w WHERE can_read_patient(w.patient_id)
+    )
+  );
+
+-- Patient: read files of their own wounds
+CREATE POLICY wound_files_select_own
+  ON storage.objects FOR SELECT
+  USING (
+    bucket_id = 'wounds' AND
+    (storage.foldername(name))[1] IN (
+      SELECT w.id::text FROM wounds w WHERE is_own_patient(w.patient_id)
+    )
+  );
+
+-- Professional: upload files for wounds they manage
+CREATE POLICY wound_files_insert_by_professional
+  ON storage.objects FOR INSERT
+  WITH CHECK (
+    bucket_id = 'wounds' AND
+    (storage.foldername(name))[1] IN (
+      SELECT w.id::text FROM wounds w WHERE can_write_patient(w.patient_id)
+    )
+  );
+
+-- Patient: upload photos of their own wounds, only under reports/
+-- (patient_reports)
+CREATE POLICY wound_files_insert_own_report
+  ON storage.objects FOR INSERT
+  WITH CHECK (
+    bucket_id = 'wounds' AND
+    (storage.foldername(name))[2] = 'reports' AND
+    (storage.foldername(name))[1] IN (
+      SELECT w.id::text FROM wounds w WHERE is_own_patient(w.patient_id)
+    )
+  );
+
+-- Patient: remove their own report photos not attached to a report
+-- (cleanup after a failed send)
+CREATE POLICY wound_files_delete_own_report
+  ON storage.objects FOR DELETE
+  USING (
+    bucket_id = 'wounds' AND
+    owner = auth.uid() AND
+    (storage.foldername(name))[2] = 'reports' AND
+    NOT EXISTS (
+      SELECT 1 FROM patient_reports r WHERE objects.name IN (r.photo_path, r.thumb_path)
+    )
+  );
+
+-- Professional: delete files of wounds they manage
+CREATE POLICY wound_files_delete_by_professional
+  ON storage.objects FOR DELETE
+  USING (
+    bucket_id = 'wounds' AND
+    (storage.foldername(name))[1] IN (
+      SELECT w.id::text FROM wounds w WHERE can_write_patient(w.patient_id)
+    )
+  );
 
 
 -- =============================================================
 -- ROW LEVEL SECURITY (RLS)
 -- =============================================================
 -- Enable RLS on every table.
--- Professionals see only their own patients' data.
--- Patients see only their own record.
+-- Professionals see the patients they own, those shared with them
+-- (patient_shares) and, as organization admins, the patients placed
+-- in their teams (team_patients): see can_read_patient() /
+-- can_write_patient(). Team membership counts only once the invitee
+-- accepts it. Technicians only get access through shares; auditors
+-- read the patients placed in their teams. Patients see only their
+-- own record. Deactivated accounts (profiles.active) match nothing.
 -- =============================================================
 
 -- ── profiles ─────────────────────────────────────────────
@@ -128,33 +1855,48 @@ CREATE POLICY profiles_select_own
   ON profiles FOR SELECT
   USING (id = auth.uid());
 
--- Only the owner can update their own profile
-CREATE POLICY profiles_update_own
+-- Admin: read every profile (admin console)
+CREATE POLICY profiles_select_admin
+  ON profiles FOR SELECT
+  USING (app_role() = 'admin');
+
+-- Admin: change roles / deactivate other accounts (never their own,
+-- so the last admin cannot lock everyone out). No one else updates
+-- profiles, so nobody can change their own role.
+CREATE POLICY profiles_update_by_admin
   ON profiles FOR UPDATE
-  USING (id = auth.uid());
+  USING (app_role() = 'admin' AND id <> auth.uid());
+
+-- Teammates can read each other's e-mail (member lists, shares)
+CREATE POLICY profiles_select_teammates
+  ON profiles FOR SELECT
+  USING (shares_org_with(id));
 
 -- ── patients ─────────────────────────────────────────────
 ALTER TABLE patients ENABLE ROW LEVEL SECURITY;
 
--- Professional: read patients they own
+-- Professional: owner, org admin or shared (see can_read_patient).
+-- professional_id is checked directly too: the helper cannot see a
+-- row being inserted (INSERT ... RETURNING)
 CREATE POLICY patients_select_by_professional
   ON patients FOR SELECT
-  USING (professional_id = auth.uid());
+  USING (professional_id = auth.uid() OR can_read_patient(id));
 
--- Patient: read only their own row (id matches auth uid)
+-- Patient: read only their own row (linked through an invitation)
 CREATE POLICY patients_select_own
   ON patients FOR SELECT
-  USING (id = auth.uid());
+  USING (user_id = auth.uid() AND app_role() = 'patient');
 
--- Professional: insert patients (professional_id must be self)
+-- Professional / admin: insert patients (professional_id must be self).
+-- Technicians and auditors cannot create patients.
 CREATE POLICY patients_insert_by_professional
   ON patients FOR INSERT
-  WITH CHECK (professional_id = auth.uid());
+  WITH CHECK (professional_id = auth.uid() AND is_professional(auth.uid()));
 
 -- Professional: update own patients
 CREATE POLICY patients_update_by_professional
   ON patients FOR UPDATE
-  USING (professional_id = auth.uid());
+  USING (can_write_patient(id));
 
 -- ── wounds ───────────────────────────────────────────────
 ALTER TABLE wounds ENABLE ROW LEVEL SECURITY;
@@ -162,34 +1904,28 @@ ALTER TABLE wounds ENABLE ROW LEVEL SECURITY;
 -- Professional: read wounds for patients they own
 CREATE POLICY wounds_select_by_professional
   ON wounds FOR SELECT
-  USING (
-    patient_id IN (
-      SELECT id FROM patients WHERE professional_id = auth.uid()
-    )
-  );
+  USING (can_read_patient(patient_id));
 
 -- Patient: read wounds that belong to them
 CREATE POLICY wounds_select_own
   ON wounds FOR SELECT
-  USING (patient_id = auth.uid());
+  USING (is_own_patient(patient_id));
 
--- Professional: insert wounds for own patients
+-- Professional: insert wounds for patients they can write (registering
+-- a wound sets its stage, so technicians cannot)
 CREATE POLICY wounds_insert_by_professional
   ON wounds FOR INSERT
-  WITH CHECK (
-    patient_id IN (
-      SELECT id FROM patients WHERE professional_id = auth.uid()
-    )
-  );
+  WITH CHECK (is_professional(auth.uid()) AND can_write_patient(patient_id));
 
 -- Professional: update wounds for own patients
 CREATE POLICY wounds_update_by_professional
   ON wounds FOR UPDATE
-  USING (
-    patient_id IN (
-      SELECT id FROM patients WHERE professional_id = auth.uid()
-    )
-  );
+  USING (can_write_patient(patient_id));
+
+-- Professional: delete wounds of own patients
+CREATE POLICY wounds_delete_by_professional
+  ON wounds FOR DELETE
+  USING (is_professional(auth.uid()) AND can_write_patient(patient_id));
 
 -- ── treatments ───────────────────────────────────────────
 ALTER TABLE treatments ENABLE ROW LEVEL SECURITY;
@@ -197,30 +1933,455 @@ ALTER TABLE treatments ENABLE ROW LEVEL SECURITY;
 -- Professional: read treatments for wounds they manage
 CREATE POLICY treatments_select_by_professional
   ON treatments FOR SELECT
-  USING (
-    wound_id IN (
-      SELECT w.id FROM wounds w
-      JOIN patients p ON w.patient_id = p.id
-      WHERE p.professional_id = auth.uid()
-    )
-  );
+  USING (can_read_wound(wound_id));
 
 -- Patient: read treatments on their own wounds
 CREATE POLICY treatments_select_own
   ON treatments FOR SELECT
-  USING (
-    wound_id IN (
-      SELECT id FROM wounds WHERE patient_id = auth.uid()
-    )
-  );
+  USING (is_own_wound(wound_id));
 
 -- Professional: insert treatments
 CREATE POLICY treatments_insert_by_professional
   ON treatments FOR INSERT
+  WITH CHECK (can_write_wound(wound_id));
+
+-- Professional: update treatments of wounds they manage
+CREATE POLICY treatments_update_by_professional
+  ON treatments FOR UPDATE
+  USING (can_write_wound(wound_id));
+
+-- Professional: delete treatments of wounds they manage
+CREATE POLICY treatments_delete_by_professional
+  ON treatments FOR DELETE
+  USING (can_write_wound(wound_id));
+
+-- ── wound_measurements ───────────────────────────────────
+ALTER TABLE wound_measurements ENABLE ROW LEVEL SECURITY;
+
+-- Professional: read measurements for wounds they manage
+CREATE POLICY wound_measurements_select_by_professional
+  ON wound_measurements FOR SELECT
+  USING (can_read_wound(wound_id));
+
+-- Patient: read measurements on their own wounds
+CREATE POLICY wound_measurements_select_own
+  ON wound_measurements FOR SELECT
+  USING (is_own_wound(wound_id));
+
+-- Professional: insert measurements
+CREATE POLICY wound_measurements_insert_by_professional
+  ON wound_measurements FOR INSERT
+  WITH CHECK (can_write_wound(wound_id));
+
+-- ── wound_stage_history ──────────────────────────────────
+ALTER TABLE wound_stage_history ENABLE ROW LEVEL SECURITY;
+
+-- Professional: read stage history for wounds they manage
+CREATE POLICY wound_stage_history_select_by_professional
+  ON wound_stage_history FOR SELECT
+  USING (can_read_wound(wound_id));
+
+-- Professional / admin: insert transitions (actor must be self); no
+-- UPDATE/DELETE policies, so the log is append-only
+CREATE POLICY wound_stage_history_insert_by_professional
+  ON wound_stage_history FOR INSERT
+  WITH CHECK (
+    actor_id = auth.uid() AND
+    is_professional(auth.uid()) AND
+    can_write_wound(wound_id)
+  );
+
+-- ── clinical_scores ──────────────────────────────────────
+ALTER TABLE clinical_scores ENABLE ROW LEVEL SECURITY;
+
+-- Professional: read scores of their own patients
+CREATE POLICY clinical_scores_select_by_professional
+  ON clinical_scores FOR SELECT
+  USING (can_read_patient(patient_id));
+
+-- Patient: read their own scores
+CREATE POLICY clinical_scores_select_own
+  ON clinical_scores FOR SELECT
+  USING (is_own_patient(patient_id));
+
+-- Professional: insert scores for own patients
+CREATE POLICY clinical_scores_insert_by_professional
+  ON clinical_scores FOR INSERT
+  WITH CHECK (assessed_by = auth.uid() AND can_write_patient(patient_id));
+
+-- ── patient_invitations ──────────────────────────────────
+ALTER TABLE patient_invitations ENABLE ROW LEVEL SECURITY;
+
+-- Professional: read invitations of their own patients
+CREATE POLICY patient_invitations_select_by_professional
+  ON patient_invitations FOR SELECT
+  USING (can_write_patient(patient_id));
+
+-- Professional: create invitations for own patients
+CREATE POLICY patient_invitations_insert_by_professional
+  ON patient_invitations FOR INSERT
+  WITH CHECK (
+    created_by = auth.uid() AND
+    used_at IS NULL AND
+    can_write_patient(patient_id)
+  );
+
+-- Professional: revoke (update) invitations of own patients.
+-- Redemption happens only through redeem_patient_invitation().
+CREATE POLICY patient_invitations_update_by_professional
+  ON patient_invitations FOR UPDATE
+  USING (can_write_patient(patient_id));
+
+-- ── wound_images ─────────────────────────────────────────
+ALTER TABLE wound_images ENABLE ROW LEVEL SECURITY;
+
+-- Professional: read photos of wounds they manage
+CREATE POLICY wound_images_select_by_professional
+  ON wound_images FOR SELECT
+  USING (can_read_wound(wound_id));
+
+-- Patient: read photos of their own wounds
+CREATE POLICY wound_images_select_own
+  ON wound_images FOR SELECT
+  USING (is_own_wound(wound_id));
+
+-- Professional: insert photos (uploader must be self)
+CREATE POLICY wound_images_insert_by_professional
+  ON wound_images FOR INSERT
+  WITH CHECK (uploaded_by = auth.uid() AND can_write_wound(wound_id));
+
+-- Professional: edit photo notes and tracings of wounds they manage
+CREATE POLICY wound_images_update_by_professional
+  ON wound_images FOR UPDATE
+  USING (can_write_wound(wound_id));
+
+-- Professional: delete photos of wounds they manage
+CREATE POLICY wound_images_delete_by_professional
+  ON wound_images FOR DELETE
+  USING (can_write_wound(wound_id));
+
+-- ── organizations ────────────────────────────────────────
+ALTER TABLE organizations ENABLE ROW LEVEL SECURITY;
+
+-- Members: read their organizations. created_by also matches so the
+-- INSERT ... RETURNING runs before the membership trigger.
+CREATE POLICY organizations_select_member
+  ON organizations FOR SELECT
+  USING (created_by = auth.uid() OR is_org_member(id));
+
+-- Professional: create organizations (becomes admin via trigger)
+CREATE POLICY organizations_insert_by_professional
+  ON organizations FOR INSERT
+  WITH CHECK (created_by = auth.uid() AND is_professional(auth.uid()));
+
+-- Admin: rename / delete
+CREATE POLICY organizations_update_by_admin
+  ON organizations FOR UPDATE
+  USING (is_org_admin(id));
+
+CREATE POLICY organizations_delete_by_admin
+  ON organizations FOR DELETE
+  USING (is_org_admin(id));
+
+-- ── organization_members ─────────────────────────────────
+ALTER TABLE organization_members ENABLE ROW LEVEL SECURITY;
+
+-- Members: read the member list of their organizations, pending
+-- invitations included. Inserts only through add_team_member() (no
+-- INSERT policy); invitees accept through accept_team_invitation().
+CREATE POLICY organization_members_select_member
+  ON organization_members FOR SELECT
+  USING (is_org_member(organization_id));
+
+-- Admin: change roles
+CREATE POLICY organization_members_update_by_admin
+  ON organization_members FOR UPDATE
+  USING (is_org_admin(organization_id));
+
+-- Admin removes anyone; members can leave, invitees decline
+CREATE POLICY organization_members_delete
+  ON organization_members FOR DELETE
+  USING (is_org_admin(organization_id) OR user_id = auth.uid());
+
+-- ── team_patients ────────────────────────────────────────
+ALTER TABLE team_patients ENABLE ROW LEVEL SECURITY;
+
+-- Members: see which patients are placed in their teams
+CREATE POLICY team_patients_select_member
+  ON team_patients FOR SELECT
+  USING (is_org_member(organization_id));
+
+-- Owner: place their own patient in one of their teams
+CREATE POLICY team_patients_insert_by_owner
+  ON team_patients FOR INSERT
+  WITH CHECK (
+    added_by = auth.uid() AND
+    is_org_member(organization_id) AND
+    EXISTS (SELECT 1 FROM patients WHERE id = patient_id AND professional_id = auth.uid())
+  );
+
+-- Owner or team admin: take the patient out of the team
+CREATE POLICY team_patients_delete
+  ON team_patients FOR DELETE
+  USING (
+    is_org_admin(organization_id) OR
+    EXISTS (SELECT 1 FROM patients WHERE id = patient_id AND professional_id = auth.uid())
+  );
+
+-- ── patient_shares ───────────────────────────────────────
+ALTER TABLE patient_shares ENABLE ROW LEVEL SECURITY;
+
+-- Grantee sees their shares; owner / admin sees all of the patient
+CREATE POLICY patient_shares_select
+  ON patient_shares FOR SELECT
+  USING (professional_id = auth.uid() OR can_manage_patient(patient_id));
+
+-- Owner / admin: share with a professional or technician of a common
+-- organization (auditors already read everything)
+CREATE POLICY patient_shares_insert_by_manager
+  ON patient_shares FOR INSERT
+  WITH CHECK (
+    granted_by = auth.uid() AND
+    can_manage_patient(patient_id) AND
+    has_role(professional_id, ARRAY['professional', 'admin', 'technician']) AND
+    shares_org_with(professional_id)
+  );
+
+-- Owner / admin: change access level
+CREATE POLICY patient_shares_update_by_manager
+  ON patient_shares FOR UPDATE
+  USING (can_manage_patient(patient_id));
+
+-- Owner / admin revokes; the grantee can give the patient back
+CREATE POLICY patient_shares_delete
+  ON patient_shares FOR DELETE
+  USING (can_manage_patient(patient_id) OR professional_id = auth.uid());
+
+-- ── user_invitations ─────────────────────────────────────
+ALTER TABLE user_invitations ENABLE ROW LEVEL SECURITY;
+
+-- Admin: read, create and revoke. Redemption happens only in
+-- handle_new_user().
+CREATE POLICY user_invitations_select_admin
+  ON user_invitations FOR SELECT
+  USING (app_role() = 'admin');
+
+CREATE POLICY user_invitations_insert_admin
+  ON user_invitations FOR INSERT
+  WITH CHECK (
+    app_role() = 'admin' AND
+    created_by = auth.uid() AND
+    used_at IS NULL
+  );
+
+CREATE POLICY user_invitations_update_admin
+  ON user_invitations FOR UPDATE
+  USING (app_role() = 'admin');
+
+-- ── visits ───────────────────────────────────────────────
+ALTER TABLE visits ENABLE ROW LEVEL SECURITY;
+
+-- Staff: read visits of wounds they can read
+CREATE POLICY visits_select_by_professional
+  ON visits FOR SELECT
+  USING (can_read_wound(wound_id));
+
+-- Staff: schedule, complete and drop visits of wounds they can write
+CREATE POLICY visits_insert_by_professional
+  ON visits FOR INSERT
+  WITH CHECK (can_write_wound(wound_id));
+
+CREATE POLICY visits_update_by_professional
+  ON visits FOR UPDATE
+  USING (can_write_wound(wound_id));
+
+CREATE POLICY visits_delete_by_professional
+  ON visits FOR DELETE
+  USING (can_write_wound(wound_id));
+
+-- ── supplies ─────────────────────────────────────────────
+ALTER TABLE supplies ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY supplies_select_staff
+  ON supplies FOR SELECT
+  USING (app_role() IN ('admin', 'professional', 'technician', 'auditor'));
+
+CREATE POLICY supplies_insert_manager
+  ON supplies FOR INSERT
+  WITH CHECK (app_role() IN ('admin', 'professional') AND created_by = auth.uid());
+
+CREATE POLICY supplies_update_manager
+  ON supplies FOR UPDATE
+  USING (app_role() = 'admin');
+
+-- ── supply_lots ──────────────────────────────────────────
+ALTER TABLE supply_lots ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY supply_lots_select_staff
+  ON supply_lots FOR SELECT
+  USING (app_role() IN ('admin', 'professional', 'technician', 'auditor'));
+
+CREATE POLICY supply_lots_insert_manager
+  ON supply_lots FOR INSERT
+  WITH CHECK (app_role() IN ('admin', 'professional'));
+
+CREATE POLICY supply_lots_update_manager
+  ON supply_lots FOR UPDATE
+  USING (app_role() = 'admin');
+
+-- ── supply_kits ──────────────────────────────────────────
+ALTER TABLE supply_kits ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY supply_kits_select_staff
+  ON supply_kits FOR SELECT
+  USING (
+    app_role() = 'auditor' OR (
+      app_role() IN ('admin', 'professional', 'technician') AND (
+        professional_id = auth.uid() OR
+        is_org_admin(organization_id) OR
+        (professional_id IS NULL AND is_org_member(organization_id))
+      )
+    )
+  );
+
+CREATE POLICY supply_kits_insert_manager
+  ON supply_kits FOR INSERT
+  WITH CHECK (
+    app_role() IN ('admin', 'professional') AND (
+      (professional_id = auth.uid() AND (organization_id IS NULL OR is_org_member(organization_id))) OR
+      is_org_admin(organization_id)
+    )
+  );
+
+CREATE POLICY supply_kits_update_manager
+  ON supply_kits FOR UPDATE
+  USING (
+    app_role() IN ('admin', 'professional') AND
+    (professional_id = auth.uid() OR is_org_admin(organization_id))
+  )
   WITH CHECK (
-    wound_id IN (
-      SELECT w.id FROM wounds w
-      JOIN patients p ON w.patient_id = p.id
-      WHERE p.professional_id = auth.uid()
+    app_role() IN ('admin', 'professional') AND (
+      (professional_id = auth.uid() AND (organization_id IS NULL OR is_org_member(organization_id))) OR
+      is_org_admin(organization_id)
     )
   );
+
+-- ── supply_stock ─────────────────────────────────────────
+-- Written only by apply_supply_movement()
+ALTER TABLE supply_stock ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY supply_stock_select_staff
+  ON supply_stock FOR SELECT
+  USING (app_role() IN ('admin', 'professional', 'technician', 'auditor'));
+
+-- ── supply_movements ─────────────────────────────────────
+ALTER TABLE supply_movements ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY supply_movements_select_staff
+  ON supply_movements FOR SELECT
+  USING (app_role() IN ('admin', 'professional', 'technician', 'auditor'));
+
+-- Receipts and adjustments into kits the user can use; uses come
+-- from treatment_supplies
+CREATE POLICY supply_movements_insert_manager
+  ON supply_movements FOR INSERT
+  WITH CHECK (
+    app_role() IN ('admin', 'professional') AND
+    created_by = auth.uid() AND
+    reason IN ('receipt', 'adjustment') AND
+    can_use_kit(kit_id)
+  );
+
+-- ── treatment_supplies ───────────────────────────────────
+ALTER TABLE treatment_supplies ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY treatment_supplies_select_by_professional
+  ON treatment_supplies FOR SELECT
+  USING (can_read_wound((SELECT wound_id FROM treatments WHERE id = treatment_id)));
+
+CREATE POLICY treatment_supplies_insert_by_professional
+  ON treatment_supplies FOR INSERT
+  WITH CHECK (
+    can_write_wound((SELECT wound_id FROM treatments WHERE id = treatment_id)) AND
+    (kit_id IS NULL OR can_use_kit(kit_id))
+  );
+
+CREATE POLICY treatment_supplies_delete_by_professional
+  ON treatment_supplies FOR DELETE
+  USING (can_write_wound((SELECT wound_id FROM treatments WHERE id = treatment_id)));
+
+-- ── advisor_decisions ────────────────────────────────────
+ALTER TABLE advisor_decisions ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY advisor_decisions_select_by_professional
+  ON advisor_decisions FOR SELECT
+  USING (can_read_wound(wound_id));
+
+-- Actor must be self and the curación must belong to the wound; no
+-- UPDATE/DELETE policies, so the log is append-only
+CREATE POLICY advisor_decisions_insert_by_professional
+  ON advisor_decisions FOR INSERT
+  WITH CHECK (
+    decided_by = auth.uid() AND
+    can_write_wound(wound_id) AND
+    wound_id = (SELECT t.wound_id FROM treatments t WHERE t.id = treatment_id)
+  );
+
+-- ── wound_alerts ─────────────────────────────────────────
+ALTER TABLE wound_alerts ENABLE ROW LEVEL SECURITY;
+
+-- Staff: read alerts of wounds they can read
+CREATE POLICY wound_alerts_select_by_professional
+  ON wound_alerts FOR SELECT
+  USING (can_read_wound(wound_id));
+
+-- Staff: raise alerts on wounds they can write
+CREATE POLICY wound_alerts_insert_by_professional
+  ON wound_alerts FOR INSERT
+  WITH CHECK (status = 'open' AND NOT resolved_by_rule AND can_write_wound(wound_id));
+
+-- Staff: acknowledge, snooze, reopen and resolve; no DELETE policy
+CREATE POLICY wound_alerts_update_by_professional
+  ON wound_alerts FOR UPDATE
+  USING (can_write_wound(wound_id))
+  WITH CHECK (can_write_wound(wound_id));
+
+-- ── wound_alert_events ───────────────────────────────────
+ALTER TABLE wound_alert_events ENABLE ROW LEVEL SECURITY;
+
+-- Staff: read the trail of alerts they can read; written by trigger only
+CREATE POLICY wound_alert_events_select_by_professional
+  ON wound_alert_events FOR SELECT
+  USING (EXISTS (SELECT 1 FROM wound_alerts a WHERE a.id = alert_id));
+
+-- ── patient_reports ──────────────────────────────────────
+ALTER TABLE patient_reports ENABLE ROW LEVEL SECURITY;
+
+-- Staff: read reports of wounds they can read
+CREATE POLICY patient_reports_select_by_professional
+  ON patient_reports FOR SELECT
+  USING (can_read_wound(wound_id));
+
+-- Staff: mark reports as reviewed (the guard allows nothing else)
+CREATE POLICY patient_reports_update_by_professional
+  ON patient_reports FOR UPDATE
+  USING (can_write_wound(wound_id))
+  WITH CHECK (can_write_wound(wound_id));
+
+-- Patient: read their own reports
+CREATE POLICY patient_reports_select_own
+  ON patient_reports FOR SELECT
+  USING (
+    reported_by = auth.uid() AND
+    is_own_patient((SELECT patient_id FROM wounds WHERE id = wound_id))
+  );
+
+-- Patient: report only on their own wounds, unreviewed; no DELETE policy
+CREATE POLICY patient_reports_insert_own
+  ON patient_reports FOR INSERT
+  WITH CHECK (
+    reported_by = auth.uid() AND
+    reviewed_at IS NULL AND
+    reviewed_by IS NULL AND
+    is_own_patient((SELECT patient_id FROM wounds WHERE id = wound_id))
+  );
@@ -0,0 +1,77 @@
+#!/usr/bin/env bash
+# =============================================================
+# migrate.sh — Applies pending migrations/NNNN_*.sql in order
+# =============================================================
+# Each migration runs in its own transaction together with the
+# row that records it in public.schema_migrations, so a failed
+# file leaves nothing half-applied and is retried next time.
+#
+# Usage:
+#   DATABASE_URL=postgresql://... scripts/migrate.sh           apply pending
+#   DATABASE_URL=postgresql://... scripts/migrate.sh --status  list only
+#
+# DATABASE_URL: Supabase → Settings → Database → Connection string
+# (URI, role postgres). Requires psql 10+.
+# =============================================================
+
+set -euo pipefail
+
+MIGRATIONS_DIR="$(cd "$(dirname "$0")/.." && pwd)/migrations"
+STATUS_ONLY=false
+
+case "${1:-}" in
+  --status) STATUS_ONLY=true ;;
+  "") ;;
+  *) echo "Uso: $0 [--status]" >&2; exit 2 ;;
+esac
+
+if [ -z "${DATABASE_URL:-}" ]; then
+  echo "Defina DATABASE_URL (Supabase → Settings → Database → Connection string)." >&2
+  exit 2
+fi
+
+psql_run() {
+  psql "$DATABASE_URL" -X -q -v ON_ERROR_STOP=1 "$@"
+}
+
+psql_run -c "
+  CREATE TABLE IF NOT EXISTS public.schema_migrations (
+    version    text        NOT NULL PRIMARY KEY,
+    name       text        NOT NULL,
+    applied_at timestamptz NOT NULL DEFAULT now()
+  );
+  -- Not exposed through the REST API: RLS on, no policies
+  ALTER TABLE public.schema_migrations ENABLE ROW LEVEL SECURITY;"
+
+applied="$(psql_run -At -c "SELECT version FROM public.schema_migrations")"
+
+pending=0
+for file in "$MIGRATIONS_DIR"/[0-9][0-9][0-9][0-9]_*.sql; do
+  base="$(basename "$file" .sql)"
+  version="${base%%_*}"
+  name="${base#*_}"
+
+  if grep -qx "$version" <<< "$applied"; then
+    $STATUS_ONLY && echo "  aplicada   $base"
+    continue
+  fi
+
+  pending=$((pending + 1))
+  if $STATUS_ONLY; then
+    echo "  pendiente  $base"
+    continue
+  fi
+
+  echo "→ $base"
+  psql_run --single-transaction \
+    -f "$file" \
+    -c "INSERT INTO public.schema_migrations (version, name) VALUES ('$version', '$name')"
+done
+
+if $STATUS_ONLY; then
+  echo "$pending pendiente(s)."
+elif [ "$pending" -eq 0 ]; then
+  echo "La base de datos está al día."
+else
+  echo "$pending migración(es) aplicada(s)."
+fi
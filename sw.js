@@ -0,0 +1,108 @@
+/**
+ * sw.js — Service worker (app shell cache)
+ * ─────────────────────────────────────────
+ * • Same-origin static files: stale-while-revalidate, so pages open
+ *   offline and pick up new versions on the next visit.
+ * • Supabase API / Storage: never cached here (offline.js keeps the
+ *   clinical data in IndexedDB).
+ *
+ * Bump CACHE_VERSION when the shell list changes.
+ */
+
+const CACHE_VERSION = 'cura360-shell-v15';
+
+const SHELL = [
+  './',
+  'index.html',
+  'dashboard.html',
+  'paciente.html',
+  'registro.html',
+  'report.html',
+  'manifest.json',
+  'config/stage-rules.json',
+  'config/commune-centroids.json',
+  'config/protocol-templates.json',
+  'config/advisor-rules.json',
+  'config/alert-rules.json',
+  'css/variables.css',
+  'css/base.css',
+  'css/components.css',
+  'css/layout.css',
+  'css/clinical-stage.css',
+  'js/config.js',
+  'js/api.js',
+  'js/router.js',
+  'js/offline.js',
+  'js/auth.js',
+  'js/patients.js',
+  'js/invitations.js',
+  'js/teams.js',
+  'js/users.js',
+  'js/measurements.js',
+  'js/stage-rules.js',
+  'js/scales.js',
+  'js/wounds.js',
+  'js/treatments.js',
+  'js/supplies.js',
+  'js/protocols.js',
+  'js/advisor.js',
+  'js/patient-reports.js',
+  'js/alerts.js',
+  'js/visits.js',
+  'js/routes.js',
+  'js/images.js',
+  'js/tracing.js',
+  'js/tissue.js',
+  'js/charts.js',
+  'js/reports.js',
+  'assets/icon-192.svg',
+  'assets/icon-512.svg'
+];
+
+self.addEventListener('install', event => {
+  event.waitUntil(
+    caches.open(CACHE_VERSION)
+      .then(cache => cache.addAll(SHELL))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', event => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(
+        keys.filter(k => k !== CACHE_VERSION).map(k => caches.delete(k))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', event => {
+  const request = event.request;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+
+  // Clinical data (Supabase, any host) goes through offline.js, never this cache
+  if (url.pathname.match(/^\/(rest|storage|auth)\/v1\//)) return;
+
+  if (url.origin === self.location.origin) {
+    event.respondWith(_staleWhileRevalidate(request));
+  }
+});
+
+async function _staleWhileRevalidate(request) {
+  const cache = await caches.open(CACHE_VERSION);
+  const cached = await cache.match(request, { ignoreSearch: true });
+
+  const network = fetch(request)
+    .then(response => {
+      if (response.ok) cache.put(request, response.clone());
+      return response;
+    })
+    .catch(() => null);
+
+  if (cached) return cached;
+  const response = await network;
+  return response || new Response('Sin conexión', { status: 503, statusText: 'Offline' });
+}